@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { MealService } from './meals.js';
+import { normalizeNutrients, scaleNutrients, sumNutrients } from './nutrients.js';
+import { FoodCatalog, portionOf } from './foods/catalog.js';
+import { mixedProcessingLevel, processingLevel } from './scoring.js';
+
+// A photo analysis is kept as a pending draft until the user confirms or discards it.
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000;
+export const MAX_ITEMS = 20;
+export const MAX_SIZE = 5000;
+
+const itemId = () => crypto.randomUUID().slice(0, 8);
+
+// Totals are always derived from the items, so edits cannot leave them stale.
+const withTotals = (analysis) => ({
+    ...analysis,
+    calories: analysis.items.reduce((sum, item) => sum + item.calories, 0),
+    nutrients: sumNutrients(analysis.items.map(item => item.nutrients)),
+    needs_confirmation: analysis.items.length === 0 || analysis.items.some(item => item.needs_confirmation)
+});
+
+const present = ({ user_id, ...analysis }) => analysis;
+
+// Processing level of the items as one meal, for its nutrition score. Unmatched items are
+// judged by the name the vision model gave them.
+const processingOf = (items) => mixedProcessingLevel(items.map(item => ({
+    calories: item.calories,
+    level: processingLevel(FoodCatalog.get(item.food_id) || { name: item.name })
+})));
+
+const isExpired = (analysis) => analysis.status === 'pending' && Date.parse(analysis.expires_at) < Date.now();
+
+const findPending = async (userId, id) => {
+    const [analysis] = await db.query('analyses', { id, user_id: userId });
+    if (!analysis || isExpired(analysis)) throw new HttpError(404, 'Analysis not found or expired', 'ANALYSIS_NOT_FOUND');
+    if (analysis.status !== 'pending') throw new HttpError(409, `Analysis was already ${analysis.status}`, 'ANALYSIS_CLOSED');
+    return analysis;
+};
+
+// A catalog food at `size` grams/ml. Used when the user swaps an item for a search match.
+const priceFood = (food, size, label) => {
+    const portion = size ? { label: label || `${size} ${food.base_unit}`, amount: size } : food.portions[0];
+    const view = portionOf(food, portion);
+    return {
+        name: food.name,
+        food_id: food.id,
+        food_name: food.name,
+        portion: { size: view.size, unit: view.unit, label: view.label },
+        calories: view.calories,
+        nutrients: view.nutrients
+    };
+};
+
+// An existing draft item at a new size; calories and nutrients scale linearly.
+const resize = (item, size, label) => {
+    if (!size || size === item.portion.size) return { ...item, portion: { ...item.portion, label: label || item.portion.label } };
+    const factor = size / item.portion.size;
+    return {
+        ...item,
+        portion: { ...item.portion, size, label: label || `${size} ${item.portion.unit}` },
+        calories: Math.round(item.calories * factor),
+        nutrients: scaleNutrients(item.nutrients, factor)
+    };
+};
+
+// Applies the client's edited item list. Each entry is one of:
+//   { id, size?, label? }            keep a draft item, optionally resized
+//   { food_id, size?, label?, id? }  a catalog food (a swap when `id` is given), at its default portion or `size`
+// Items the client leaves out are removed. Anything the user touched counts as confirmed.
+const applyEdits = (draft, edits) => {
+    if (!Array.isArray(edits)) throw new HttpError(400, '"items" must be an array');
+    if (edits.length > MAX_ITEMS) throw new HttpError(400, `At most ${MAX_ITEMS} items per analysis`);
+    const byId = new Map(draft.items.map(item => [item.id, item]));
+
+    return edits.map((edit, i) => {
+        if (!edit || typeof edit !== 'object') throw new HttpError(400, `items[${i}] must be an object`);
+        const size = edit.size === undefined ? null : Number(edit.size);
+        if (size !== null && !(size > 0 && size <= MAX_SIZE)) throw new HttpError(400, `items[${i}].size must be between 0 and ${MAX_SIZE}`);
+        if (edit.label !== undefined && (typeof edit.label !== 'string' || edit.label.length > 60)) {
+            throw new HttpError(400, `items[${i}].label must be a string of at most 60 characters`);
+        }
+        const original = edit.id !== undefined ? byId.get(String(edit.id)) : null;
+        if (edit.id !== undefined && !original) throw new HttpError(400, `items[${i}].id does not match an item of this analysis`);
+
+        if (edit.food_id !== undefined && edit.food_id !== original?.food_id) {
+            const food = FoodCatalog.get(edit.food_id);
+            if (!food) throw new HttpError(400, `items[${i}].food_id is not a known food`);
+            return { id: original?.id || itemId(), confidence: 1, ...priceFood(food, size, edit.label), needs_confirmation: false };
+        }
+        if (!original) throw new HttpError(400, `items[${i}] needs an "id" or a "food_id"`);
+        return { ...resize(original, size, edit.label), needs_confirmation: false };
+    });
+};
+
+// The serving of a meal made from several items: their sizes add up when they share a unit,
+// otherwise the whole plate counts as one serving (the items keep their own portions).
+const combinedServing = (items) => {
+    if (items.length === 1) return items[0].portion;
+    const label = `${items.length} items`;
+    const [{ unit }] = items.map(item => item.portion);
+    return items.every(item => item.portion.unit === unit)
+        ? { size: items.reduce((sum, item) => sum + item.portion.size, 0), unit, label }
+        : { size: 1, unit: 'serving', label };
+};
+
+export const AnalysisService = {
+    // Stores a vision result as a pending draft and clears out the user's stale ones.
+    create: async (userId, result) => {
+        const now = Date.now();
+        await db.delete('analyses', a => a.user_id === userId && (a.status !== 'pending' || Date.parse(a.expires_at) < now));
+        const record = await db.insert('analyses', withTotals({
+            user_id: userId,
+            status: 'pending',
+            provider: result.provider,
+            model: result.model,
+            confidence_threshold: result.confidence_threshold,
+            items: result.items.map(item => ({ id: itemId(), ...item, nutrients: normalizeNutrients(item.nutrients) })),
+            expires_at: new Date(now + PENDING_TTL_MS).toISOString()
+        }));
+        return present(record);
+    },
+
+    get: async (userId, id) => {
+        const [analysis] = await db.query('analyses', { id, user_id: userId });
+        if (!analysis || isExpired(analysis)) throw new HttpError(404, 'Analysis not found or expired', 'ANALYSIS_NOT_FOUND');
+        return present(analysis);
+    },
+
+    update: async (userId, id, { items } = {}) => {
+        const draft = await findPending(userId, id);
+        const updated = withTotals({ ...draft, items: applyEdits(draft, items) });
+        return present(await db.update('analyses', id, { ...updated, updated_at: new Date().toISOString() }));
+    },
+
+    // Commits the (optionally edited) items as one meal and closes the draft. The draft's id is
+    // the meal's client_id, so a repeated confirm (a double tap, a retry) gets the same meal back,
+    // even while the first one is still running.
+    confirm: async (userId, id, { items, name, eaten_at } = {}) => {
+        const [closed] = await db.query('analyses', { id, user_id: userId, status: 'confirmed' });
+        if (closed) return MealService.get(userId, closed.meal_id);
+        const draft = await findPending(userId, id);
+        const final = items === undefined ? draft.items : applyEdits(draft, items);
+        if (!final.length) throw new HttpError(400, 'Nothing to log; discard the analysis instead');
+
+        const meal = await MealService.create(userId, {
+            name: name || final.map(item => item.food_name || item.name).join(', ').slice(0, 120),
+            calories: final.reduce((sum, item) => sum + item.calories, 0),
+            nutrients: sumNutrients(final.map(item => item.nutrients)),
+            serving: combinedServing(final),
+            icon: '📸',
+            source: 'photo',
+            ...(eaten_at !== undefined && { eaten_at })
+        }, {
+            items: final.map(({ name, food_id, portion, calories, nutrients }) => ({ name, food_id, portion, calories, nutrients })),
+            processing: processingOf(final),
+            analysis_id: id,
+            client_id: `analysis-${id}`
+        });
+        await db.update('analyses', id, {
+            ...withTotals({ ...draft, items: final }), status: 'confirmed', meal_id: meal.id, updated_at: new Date().toISOString()
+        });
+        return meal;
+    },
+
+    discard: async (userId, id) => {
+        await findPending(userId, id);
+        await db.delete('analyses', id);
+    }
+};
@@ -0,0 +1,38 @@
+import { config } from './config.js';
+import { AnalysisService } from './analyses.js';
+import { createJobQueue } from './jobs.js';
+import { normalizeImage } from './uploads.js';
+import { VisionService } from './vision.js';
+
+// Photo analysis runs in the background: POST /api/v1/analyze queues the upload and answers
+// at once with a job, whose stages clients follow over /api/v1/analysis-jobs/:id/events.
+// A finished job's `result` is { analysis_id } of the pending draft it stored.
+export const ANALYSIS_STAGES = ['received', 'preprocessing', 'inference', 'nutrient_lookup', 'done', 'failed'];
+
+const analyzePhoto = async ({ userId, file }, progress) => {
+    progress('preprocessing');
+    const image = await normalizeImage(file.buffer, file.type);
+
+    progress('inference');
+    const detection = await VisionService.detect({ ...image, originalname: file.originalname });
+
+    progress('nutrient_lookup');
+    // Nothing is logged yet: the draft waits for the user to confirm it.
+    const draft = await AnalysisService.create(userId, VisionService.price(detection));
+    console.log(`📝 Pending analysis ${draft.id}: ${draft.items.length} item(s)`);
+    return { analysis_id: draft.id };
+};
+
+const queue = createJobQueue({
+    name: 'photo analysis',
+    concurrency: config.vision.concurrency,
+    maxQueued: config.vision.queueLimit,
+    run: analyzePhoto
+});
+
+export const AnalysisJobs = {
+    ...queue,
+
+    // `file` is an upload checked by imageUpload (lib/uploads.js).
+    enqueue: (userId, file) => queue.enqueue(userId, { userId, file }, { stage: 'received' })
+};
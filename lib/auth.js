@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { config } from './config.js';
+import { db } from './db.js';
+import { HttpError, asyncRoute } from './http.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// --- SECRETS ---
+
+// Without a configured secret, tokens are signed with a per-process key: fine for
+// local development, but every restart logs everyone out. Production refuses to boot.
+const resolveSecret = () => {
+    if (config.jwt.secret.length >= 32) return config.jwt.secret;
+    if (config.isProduction) throw new Error('JWT_SECRET must be set to at least 32 characters in production');
+    console.log('⚠️ JWT_SECRET missing or too short. Using a temporary secret for this process.');
+    return crypto.randomBytes(48).toString('hex');
+};
+
+const JWT_SECRET = resolveSecret();
+
+// Turns "7d", "12h", "30m", "45s" or a bare number of seconds into milliseconds.
+export const parseDuration = (value) => {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid duration: ${value}`);
+    const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+    return Number(match[1]) * unit * 1000;
+};
+
+const TOKEN_TTL_MS = parseDuration(config.jwt.expire);
+
+// --- PASSWORDS ---
+
+// Stored as "scrypt$<salt>$<hash>" so the algorithm can change later without a migration.
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuf = Buffer.from(expected, 'hex');
+    return expectedBuf.length === hash.length && crypto.timingSafeEqual(hash, expectedBuf);
+};
+
+const DUMMY_HASH = await hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// --- TOKENS (HS256 JWT) ---
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64url');
+
+export const signToken = (payload, ttlMs = TOKEN_TTL_MS) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + Math.floor(ttlMs / 1000) }));
+    return `${header}.${body}.${sign(`${header}.${body}`)}`;
+};
+
+// Returns the payload, or null for anything malformed, tampered with or expired.
+export const verifyToken = (token) => {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+        return payload;
+    } catch (e) { return null; }
+};
+
+// --- SERVICE ---
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const publicUser = (user) => ({ id: user.id, username: user.username, created_at: user.created_at });
+
+const findUserByName = async (username) => {
+    const key = username.toLowerCase();
+    const [user] = await db.query('users', u => u.username.toLowerCase() === key);
+    return user || null;
+};
+
+// Each login opens a server-side session; the token carries its id so logout can revoke it.
+const openSession = async (user) => {
+    const now = Date.now();
+    await db.delete('sessions', s => Date.parse(s.expires_at) <= now);
+
+    const session = await db.insert('sessions', {
+        id: crypto.randomUUID(),
+        user_id: user.id,
+        expires_at: new Date(now + TOKEN_TTL_MS).toISOString()
+    });
+    const token = signToken({ sub: user.id, sid: session.id });
+    return { token, expires_at: session.expires_at, user: publicUser(user) };
+};
+
+export const AuthService = {
+    register: async (username, password) => {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new HttpError(400, 'Username must be 3-32 characters: letters, numbers, "_", "." or "-"');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (await findUserByName(username)) throw new HttpError(409, 'Username is already taken', 'USERNAME_TAKEN');
+
+        const password_hash = await hashPassword(password);
+        // Re-check after the (slow) hash in case a concurrent request claimed the name.
+        if (await findUserByName(username)) throw new HttpError(409, 'Username is already taken', 'USERNAME_TAKEN');
+        const user = await db.insert('users', { id: crypto.randomUUID(), username, password_hash });
+        console.log(`👤 Registered user ${username}`);
+        return openSession(user);
+    },
+
+    login: async (username, password) => {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new HttpError(400, 'Username and password are required');
+        }
+        const user = await findUserByName(username);
+        // Verify against a dummy hash for unknown users so response time does not leak which names exist.
+        const ok = await verifyPassword(password, user ? user.password_hash : DUMMY_HASH);
+        if (!user || !ok) throw new HttpError(401, 'Invalid username or password', 'INVALID_CREDENTIALS');
+        return openSession(user);
+    },
+
+    logout: (sessionId) => db.delete('sessions', sessionId),
+
+    // Resolves a bearer token to { user, session }, or null if it is no longer valid.
+    resolve: async (token) => {
+        const payload = verifyToken(token);
+        if (!payload) return null;
+        const [session] = await db.query('sessions', { id: payload.sid, user_id: payload.sub });
+        if (!session || Date.parse(session.expires_at) <= Date.now()) return null;
+        const [user] = await db.query('users', { id: payload.sub });
+        return user ? { user: publicUser(user), session } : null;
+    }
+};
+
+// --- MIDDLEWARE ---
+
+const bearerToken = (req) => {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Attaches req.user / req.session, or answers 401.
+export const authenticate = asyncRoute(async (req, res, next) => {
+    const resolved = await AuthService.resolve(bearerToken(req));
+    if (!resolved) return next(new HttpError(401, 'Authentication required'));
+    req.user = resolved.user;
+    req.session = resolved.session;
+    next();
+});
@@ -0,0 +1,249 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { addDays, daysBetween, localDate } from './dates.js';
+import { ProfileService } from './profiles.js';
+import { DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS } from './stats.js';
+import { entryDate, localStamp, rangeFilter, userTimeZone } from './zones.js';
+
+/*
+ * Drinks, kept apart from meals: water and everything else you drink, with its caffeine and
+ * alcohol.
+ *
+ * Volumes are stored in ml whatever unit they were entered in. Caffeine (mg) and strength
+ * (% ABV) default to typical values for the kind of drink, scaled by the volume, and can be
+ * given exactly instead. Alcohol is counted in standard drinks of STANDARD_DRINK_G grams of
+ * ethanol. Non-alcoholic drinks count towards the hydration target in full; drinks with
+ * alcohol do not count at all.
+ *
+ * Daily targets come from the profile: a hydration target (by default WATER_ML_PER_KG of
+ * body weight, or DEFAULT_WATER_ML without one), a caffeine limit and an alcohol limit.
+ * Days are counted in the caller's time zone, like meals.
+ */
+
+// fl_oz is the US fluid ounce.
+export const VOLUME_UNITS = { ml: 1, fl_oz: 29.5735 };
+
+// Typical caffeine per 100 ml, strength and glass size of each kind.
+export const BEVERAGE_KINDS = {
+    water: { label: 'Water', icon: '💧', caffeine_per_100ml: 0, abv: 0, volume_ml: 250 },
+    sparkling_water: { label: 'Sparkling water', icon: '🫧', caffeine_per_100ml: 0, abv: 0, volume_ml: 330 },
+    coffee: { label: 'Coffee', icon: '☕', caffeine_per_100ml: 40, abv: 0, volume_ml: 200 },
+    espresso: { label: 'Espresso', icon: '☕', caffeine_per_100ml: 210, abv: 0, volume_ml: 30 },
+    tea: { label: 'Black tea', icon: '🍵', caffeine_per_100ml: 20, abv: 0, volume_ml: 250 },
+    green_tea: { label: 'Green tea', icon: '🍵', caffeine_per_100ml: 12, abv: 0, volume_ml: 250 },
+    herbal_tea: { label: 'Herbal tea', icon: '🫖', caffeine_per_100ml: 0, abv: 0, volume_ml: 250 },
+    cola: { label: 'Cola', icon: '🥤', caffeine_per_100ml: 10, abv: 0, volume_ml: 330 },
+    energy_drink: { label: 'Energy drink', icon: '⚡', caffeine_per_100ml: 32, abv: 0, volume_ml: 250 },
+    juice: { label: 'Juice', icon: '🧃', caffeine_per_100ml: 0, abv: 0, volume_ml: 200 },
+    milk: { label: 'Milk', icon: '🥛', caffeine_per_100ml: 0, abv: 0, volume_ml: 250 },
+    beer: { label: 'Beer', icon: '🍺', caffeine_per_100ml: 0, abv: 5, volume_ml: 330 },
+    wine: { label: 'Wine', icon: '🍷', caffeine_per_100ml: 0, abv: 12, volume_ml: 150 },
+    spirits: { label: 'Spirits', icon: '🥃', caffeine_per_100ml: 0, abv: 40, volume_ml: 40 },
+    other: { label: 'Other', icon: '🥤', caffeine_per_100ml: 0, abv: 0, volume_ml: 250 }
+};
+
+// Grams of ethanol in one standard drink (the US definition).
+export const STANDARD_DRINK_G = 14;
+export const WATER_ML_PER_KG = 35;
+export const DEFAULT_WATER_ML = 2000;
+// EFSA's safe daily caffeine intake for adults.
+export const DEFAULT_CAFFEINE_LIMIT_MG = 400;
+export const DEFAULT_ALCOHOL_LIMIT_DRINKS = 2;
+export const MAX_VOLUME_ML = 5000;
+// A limit warns from this share onwards, and again once it is passed.
+export const NEAR_LIMIT_SHARE = 0.8;
+
+const ETHANOL_G_PER_ML = 0.789;
+
+const round = (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const drunkAt = (entry) => Date.parse(entry.drunk_at);
+const drinkDate = (entry, timeZone) => entryDate(entry, 'drunk_at', timeZone);
+
+// Caffeine, strength and alcohol of a drink from its kind and volume, unless given exactly.
+const withContents = (entry, { caffeine_mg, abv }) => {
+    const kind = BEVERAGE_KINDS[entry.kind];
+    const strength = abv ?? kind.abv;
+    const alcohol = entry.volume_ml * (strength / 100) * ETHANOL_G_PER_ML;
+    return {
+        ...entry,
+        caffeine_mg: round(caffeine_mg ?? (entry.volume_ml * kind.caffeine_per_100ml) / 100),
+        abv: strength,
+        alcohol_g: round(alcohol, 1),
+        standard_drinks: round(alcohol / STANDARD_DRINK_G, 2)
+    };
+};
+
+// Converts client input to the stored fields. On a PATCH `current` is the stored drink: a new
+// kind or volume works caffeine and strength out again unless they are given too.
+const sanitize = (input, current = null) => {
+    if (current && input.unit !== undefined && input.volume === undefined) {
+        throw new HttpError(400, '"unit" only applies together with "volume"');
+    }
+    const kind = input.kind ?? current?.kind ?? 'water';
+    const entry = { ...current, kind };
+    if (input.volume !== undefined) entry.volume_ml = round(input.volume * VOLUME_UNITS[input.unit || 'ml']);
+    else if (!current) entry.volume_ml = BEVERAGE_KINDS[kind].volume_ml;
+    if (entry.volume_ml <= 0 || entry.volume_ml > MAX_VOLUME_ML) {
+        throw new HttpError(400, `"volume" must be more than 0 and at most ${MAX_VOLUME_ML} ml`);
+    }
+    if (input.name !== undefined) entry.name = input.name?.trim() || undefined;
+    if (input.drunk_at !== undefined) entry.drunk_at = new Date(input.drunk_at).toISOString();
+
+    const recount = !current || input.kind !== undefined || input.volume !== undefined;
+    return withContents(entry, {
+        caffeine_mg: input.caffeine_mg ?? (recount ? undefined : current.caffeine_mg),
+        abv: input.abv ?? (recount && input.kind !== undefined ? undefined : current?.abv)
+    });
+};
+
+const findOwned = async (userId, id) => {
+    const [entry] = await db.query('beverages', { id, user_id: userId });
+    if (!entry) throw new HttpError(404, 'Beverage not found', 'BEVERAGE_NOT_FOUND');
+    return entry;
+};
+
+// The hydration target and the limits of a profile, and where each came from.
+export const beverageTargets = (profile) => {
+    const computed = profile.weight_kg ? round((profile.weight_kg * WATER_ML_PER_KG) / 50) * 50 : DEFAULT_WATER_ML;
+    return {
+        water_ml: profile.water_target_ml ?? computed,
+        caffeine_mg: profile.caffeine_limit_mg ?? DEFAULT_CAFFEINE_LIMIT_MG,
+        alcohol_drinks: profile.alcohol_limit_drinks ?? DEFAULT_ALCOHOL_LIMIT_DRINKS,
+        source: {
+            water_ml: profile.water_target_ml != null ? 'override' : profile.weight_kg ? 'computed' : 'default',
+            caffeine_mg: profile.caffeine_limit_mg != null ? 'override' : 'default',
+            alcohol_drinks: profile.alcohol_limit_drinks != null ? 'override' : 'default'
+        }
+    };
+};
+
+// Water, caffeine and alcohol of some drinks.
+const totalsOf = (drinks) => ({
+    drinks: drinks.length,
+    water_ml: round(drinks.filter(drink => !drink.abv).reduce((sum, drink) => sum + drink.volume_ml, 0)),
+    volume_ml: round(drinks.reduce((sum, drink) => sum + drink.volume_ml, 0)),
+    caffeine_mg: round(drinks.reduce((sum, drink) => sum + drink.caffeine_mg, 0)),
+    alcohol_g: round(drinks.reduce((sum, drink) => sum + drink.alcohol_g, 0), 1),
+    standard_drinks: round(drinks.reduce((sum, drink) => sum + drink.standard_drinks, 0), 2)
+});
+
+// A warning per limit reached or passed; a limit of 0 warns at the first drink.
+const warningsOf = (totals, targets) => {
+    const checks = [
+        { type: 'caffeine', value: totals.caffeine_mg, limit: targets.caffeine_mg, unit: 'mg caffeine' },
+        { type: 'alcohol', value: totals.standard_drinks, limit: targets.alcohol_drinks, unit: 'standard drinks' }
+    ];
+    return checks
+        .filter(({ value, limit }) => value > 0 && value >= limit * NEAR_LIMIT_SHARE)
+        .map(({ type, value, limit, unit }) => ({
+            type,
+            level: value > limit ? 'over' : 'near',
+            message: value > limit
+                ? `${value} ${unit} is over your daily limit of ${limit}`
+                : `${value} ${unit} is close to your daily limit of ${limit}`
+        }));
+};
+
+export const BeverageService = {
+    // Newest first. `from`/`to` (or one `date`) are inclusive, as for meals (see schemas BeverageListQuery).
+    list: async (userId, { from, to, date, tz } = {}) => {
+        const inRange = rangeFilter({ from, to, date }, 'drunk_at', await userTimeZone(userId, tz));
+        const entries = await db.query('beverages', { user_id: userId });
+        return entries
+            .filter(inRange)
+            .sort((a, b) => drunkAt(b) - drunkAt(a));
+    },
+
+    // Drinks are dated like meals (lib/zones.js): in `input.tz` or else the profile's zone when
+    // logged, and again in the zone they were logged in when drunk_at changes. A `client_id`
+    // already used returns that drink, as for meals.
+    create: async (userId, input) => {
+        const entry = { drunk_at: new Date().toISOString(), ...sanitize(input), ...(input.client_id && { client_id: input.client_id }) };
+        const record = { ...entry, ...localStamp(entry.drunk_at, await userTimeZone(userId, input.tz)), user_id: userId };
+        return input.client_id
+            ? db.insertOnce('beverages', { user_id: userId, client_id: input.client_id }, record)
+            : db.insert('beverages', record);
+    },
+
+    update: async (userId, id, input) => {
+        const current = await findOwned(userId, id);
+        const entry = sanitize(input, current);
+        const stamp = input.drunk_at !== undefined ? localStamp(entry.drunk_at, await userTimeZone(userId, current.time_zone)) : {};
+        return db.update('beverages', id, { ...entry, ...stamp, updated_at: new Date().toISOString() });
+    },
+
+    remove: async (userId, id) => {
+        await findOwned(userId, id);
+        await db.delete('beverages', id);
+    },
+
+    // One day's drinks and totals against the targets, with warnings for the limits.
+    day: async (userId, { date, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const day = date || localDate(new Date(), timeZone);
+        const [entries, { profile }] = await Promise.all([db.query('beverages', { user_id: userId }), ProfileService.get(userId)]);
+        const drinks = entries.filter(entry => drinkDate(entry, timeZone) === day).sort((a, b) => drunkAt(a) - drunkAt(b));
+        const targets = beverageTargets(profile);
+        const totals = totalsOf(drinks);
+        return {
+            date: day,
+            time_zone: timeZone,
+            targets,
+            ...totals,
+            water_progress: round(totals.water_ml / targets.water_ml, 2),
+            by_kind: Object.keys(BEVERAGE_KINDS)
+                .map(kind => ({ kind, ...totalsOf(drinks.filter(drink => drink.kind === kind)) }))
+                .filter(group => group.drinks > 0),
+            warnings: warningsOf(totals, targets),
+            beverages: drinks
+        };
+    },
+
+    // Daily totals over a range of local days, with averages over the days with a drink and
+    // how often the target was met and the limits passed.
+    stats: async (userId, { from, to, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const end = to || localDate(new Date(), timeZone);
+        const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+        if (start > end) throw new HttpError(400, '"from" must not be after "to"');
+        if (daysBetween(start, end) >= MAX_RANGE_DAYS) throw new HttpError(400, `A range can cover at most ${MAX_RANGE_DAYS} days`);
+
+        const [entries, { profile }] = await Promise.all([db.query('beverages', { user_id: userId }), ProfileService.get(userId)]);
+        const targets = beverageTargets(profile);
+        const byDate = new Map();
+        for (let date = start; date <= end; date = addDays(date, 1)) byDate.set(date, []);
+        entries.forEach(entry => byDate.get(drinkDate(entry, timeZone))?.push(entry));
+
+        const days = [...byDate].map(([date, drinks]) => {
+            const totals = totalsOf(drinks);
+            return {
+                date,
+                ...totals,
+                water_met: totals.water_ml >= targets.water_ml,
+                caffeine_over: totals.caffeine_mg > targets.caffeine_mg,
+                alcohol_over: totals.standard_drinks > targets.alcohol_drinks
+            };
+        });
+        const logged = days.filter(day => day.drinks > 0);
+        const mean = (key, digits) => (logged.length ? round(logged.reduce((sum, day) => sum + day[key], 0) / logged.length, digits) : null);
+        const count = (test) => days.filter(test).length;
+
+        return {
+            range: { from: start, to: end, days: days.length, time_zone: timeZone },
+            targets,
+            average: { days_logged: logged.length, water_ml: mean('water_ml'), caffeine_mg: mean('caffeine_mg'), standard_drinks: mean('standard_drinks', 2) },
+            totals: { standard_drinks: round(days.reduce((sum, day) => sum + day.standard_drinks, 0), 2) },
+            counts: {
+                water_met: count(day => day.water_met),
+                caffeine_over: count(day => day.caffeine_over),
+                alcohol_over: count(day => day.alcohol_over),
+                alcohol_free: count(day => day.standard_drinks === 0)
+            },
+            days
+        };
+    }
+};
@@ -0,0 +1,117 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+dotenv.config();
+
+const env = process.env;
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Relative paths in settings are taken from the project root, not the working directory.
+const fromRoot = (value) => path.resolve(ROOT, value);
+
+// Single place where environment settings are read and defaulted.
+// Modules import this instead of touching process.env directly, so values from
+// .env are loaded before anything reads them.
+export const config = {
+    port: env.PORT || 3001,
+    nodeEnv: env.NODE_ENV || 'development',
+    isProduction: env.NODE_ENV === 'production',
+
+    db: {
+        adapter: (env.DB_ADAPTER || 'json').toLowerCase(),
+        file: fromRoot(env.DB_FILE || 'nutrition_data.json'),
+        storage: fromRoot(env.DB_STORAGE || 'database.sqlite')
+    },
+
+    foods: {
+        // The first file is the bundled catalog; later ones (e.g. FoodData Central imports) are optional.
+        catalogs: (env.FOOD_CATALOGS || 'data/foods.json,data/fdc-foods.json')
+            .split(',').map(f => f.trim()).filter(Boolean).map(fromRoot),
+        // Barcode lookups: bundled sample first, then `npm run import:products` output.
+        products: (env.PRODUCT_TABLES || 'data/products.json,data/off-products.json')
+            .split(',').map(f => f.trim()).filter(Boolean).map(fromRoot)
+    },
+
+    vision: {
+        // openai when a key is configured, otherwise a local model; "mock" is deterministic.
+        // With neither a provider nor a key set, a fresh install has no model it can count on
+        // (Ollama may not be running), so photos fall back to mock instead of failing.
+        provider: (env.VISION_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'local')).toLowerCase(),
+        fallback: (env.VISION_FALLBACK || (env.VISION_PROVIDER || env.OPENAI_API_KEY ? '' : 'mock')).toLowerCase() || null,
+        configured: Boolean(env.VISION_PROVIDER || env.OPENAI_API_KEY),
+        // Items below this confidence are returned for confirmation instead of being saved.
+        confidenceThreshold: Number(env.VISION_CONFIDENCE_THRESHOLD || 0.6),
+        timeoutMs: Number(env.VISION_TIMEOUT_MS || 60000),
+        // Photos are analyzed by a background queue: this many at once, this many waiting.
+        concurrency: Number(env.ANALYSIS_CONCURRENCY || 2),
+        queueLimit: Number(env.ANALYSIS_QUEUE_LIMIT || 50),
+        openai: {
+            apiKey: env.OPENAI_API_KEY || '',
+            model: env.OPENAI_VISION_MODEL || 'gpt-4o-mini'
+        },
+        local: {
+            url: env.LOCAL_VISION_URL || 'http://127.0.0.1:11434',
+            model: env.LOCAL_VISION_MODEL || 'llava'
+        }
+    },
+
+    // Browser origins allowed to call the API cross-origin ("*" allows any). Same-origin
+    // requests from the bundled UI never need an entry.
+    cors: {
+        origins: (env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean)
+    },
+
+    // Number of reverse proxies in front of the app, so req.ip is the client and not the proxy.
+    trustProxy: Number(env.TRUST_PROXY || 0),
+
+    // Fixed-window limits: per client IP on every API route, per signed-in user, and a
+    // separate, smaller budget for photo analysis, which calls a vision model.
+    rateLimit: {
+        windowMs: Number(env.RATE_LIMIT_WINDOW_MS || 900_000),
+        maxRequests: Number(env.RATE_LIMIT_MAX_REQUESTS || 300),
+        maxUserRequests: Number(env.RATE_LIMIT_USER_MAX_REQUESTS || 300),
+        analyze: {
+            windowMs: Number(env.RATE_LIMIT_ANALYZE_WINDOW_MS || 3_600_000),
+            max: Number(env.RATE_LIMIT_ANALYZE_MAX || 20)
+        }
+    },
+
+    uploads: {
+        maxFileSize: Number(env.MAX_FILE_SIZE || 5_000_000),
+        // Checked against the file's magic bytes, not its name or declared type.
+        allowedTypes: (env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/webp,image/heic')
+            .split(',').map(t => t.trim().toLowerCase()).filter(Boolean),
+        // Photos are downscaled to fit this box (in pixels) before analysis.
+        maxDimension: Number(env.IMAGE_MAX_DIMENSION || 1024)
+    },
+
+    // Largest JSON body POST /api/v1/import/* accepts (a backup or a CSV), in bytes.
+    imports: {
+        maxBytes: Number(env.IMPORT_MAX_BYTES || 10_000_000)
+    },
+
+    // Reminder rules are checked this often (0 turns the scheduler off).
+    reminders: {
+        intervalMs: Number(env.REMINDER_INTERVAL_MS || 60_000)
+    },
+
+    // Web Push (VAPID). Without a key pair one is made at startup, and browser subscriptions
+    // stop working on the next restart. Endpoints must be on one of `hosts` (or a subdomain):
+    // the push services of Chrome (FCM), Firefox, Safari and Edge (WNS). http:// endpoints on
+    // this machine are only for a local mock push service.
+    push: {
+        publicKey: env.VAPID_PUBLIC_KEY || '',
+        privateKey: env.VAPID_PRIVATE_KEY || '',
+        subject: env.VAPID_SUBJECT || 'mailto:admin@localhost',
+        hosts: (env.PUSH_SERVICE_HOSTS || 'fcm.googleapis.com,push.services.mozilla.com,push.apple.com,notify.windows.com')
+            .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+        allowHttp: env.PUSH_ALLOW_HTTP === 'true',
+        timeoutMs: Number(env.PUSH_TIMEOUT_MS || 10_000)
+    },
+
+    jwt: {
+        secret: env.JWT_SECRET || '',
+        expire: env.JWT_EXPIRE || '7d'
+    }
+};
@@ -0,0 +1,72 @@
+// CSV reading and writing (RFC 4180: quoted fields, doubled quotes, CRLF or LF line ends).
+
+export const DELIMITERS = [',', ';', '\t'];
+
+// Splits one CSV record, honouring quotes and doubled quotes ("").
+export const parseCsvLine = (line, delimiter = ',') => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+};
+
+// The delimiter that splits the header line into the most columns.
+const detectDelimiter = (headerLine) =>
+    DELIMITERS.reduce((best, d) => (parseCsvLine(headerLine, d).length > parseCsvLine(headerLine, best).length ? d : best), DELIMITERS[0]);
+
+/**
+ * Parses a whole CSV text with a header line. Blank lines are skipped. Returns
+ * { header, delimiter, rows }, where each row is { line, values } with `line` the 1-based
+ * line number it starts on and `values` keyed by header name.
+ */
+export const parseCsv = (text, { delimiter } = {}) => {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const records = [];
+    let pending = null;
+    lines.forEach((line, i) => {
+        // A quoted field may contain a newline: keep reading until the quotes balance.
+        pending = pending ? { line: pending.line, text: `${pending.text}\n${line}` } : { line: i + 1, text: line };
+        if ((pending.text.match(/"/g) || []).length % 2 === 1) return;
+        if (pending.text.trim()) records.push(pending);
+        pending = null;
+    });
+    if (pending) records.push(pending);
+    if (!records.length) return { header: [], delimiter: delimiter || ',', rows: [] };
+
+    const used = delimiter || detectDelimiter(records[0].text);
+    const header = parseCsvLine(records[0].text, used).map(name => name.trim());
+    const rows = records.slice(1).map(({ line, text }) => {
+        const fields = parseCsvLine(text, used);
+        return { line, values: Object.fromEntries(header.map((name, i) => [name, (fields[i] ?? '').trim()])) };
+    });
+    return { header, delimiter: used, rows };
+};
+
+// One field for output. Text starting with =, +, - or @ is prefixed with ' so spreadsheets
+// do not run it as a formula.
+const formatField = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (arrays of values) as CSV text with CRLF line ends.
+export const toCsv = (rows) => rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
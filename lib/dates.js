@@ -0,0 +1,60 @@
+import { HttpError } from './http.js';
+import { zonedInstant as resolveWallTime } from './zoned-time.js';
+
+// Calendar days as YYYY-MM-DD keys. An instant becomes a day in a given IANA time zone;
+// arithmetic on keys is then plain calendar math, unaffected by DST.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+// "YYYY-MM-DD HH:MM" of an instant in an IANA time zone. Throws 400 for an unknown zone.
+const localDateTime = (instant, timeZone) => {
+    if (!formatters.has(timeZone)) {
+        try {
+            formatters.set(timeZone, new Intl.DateTimeFormat('sv-SE', {
+                timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+            }));
+        } catch {
+            throw new HttpError(400, `Unknown time zone "${timeZone}"`, 'INVALID_TIME_ZONE');
+        }
+    }
+    return formatters.get(timeZone).format(instant);
+};
+
+// YYYY-MM-DD of an instant in an IANA time zone.
+export const localDate = (instant, timeZone = 'UTC') => localDateTime(instant, timeZone).slice(0, 10);
+
+// HH:MM (24-hour) of an instant in an IANA time zone.
+export const localTime = (instant, timeZone = 'UTC') => localDateTime(instant, timeZone).slice(11, 16);
+
+// The instant a wall-clock time occurs on a day in a time zone; see lib/zoned-time.js for
+// how times skipped or repeated by a DST change are settled.
+export const zonedInstant = (key, time, timeZone = 'UTC') => resolveWallTime(key, time, (instant) => localDateTime(instant, timeZone));
+
+const toDay = (key) => Date.parse(`${key}T00:00:00Z`) / DAY_MS;
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+export const addDays = (key, days) => fromDay(toDay(key) + days);
+export const daysBetween = (from, to) => toDay(to) - toDay(from);
+
+// Monday of the ISO week containing `key`.
+export const weekStart = (key) => addDays(key, -((new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// Day orders found in files from other apps; each parses to a YYYY-MM-DD key.
+export const DATE_FORMATS = {
+    'YYYY-MM-DD': { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] },
+    'MM/DD/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['month', 'day', 'year'] },
+    'DD/MM/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['day', 'month', 'year'] },
+    'DD.MM.YYYY': { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['day', 'month', 'year'] }
+};
+
+// The YYYY-MM-DD key of a date written in one of DATE_FORMATS, or null if it is not a real day.
+export const parseDateKey = (text, format = 'YYYY-MM-DD') => {
+    const { pattern, order } = DATE_FORMATS[format];
+    const match = text.trim().match(pattern);
+    if (!match) return null;
+    const { year, month, day } = Object.fromEntries(order.map((part, i) => [part, Number(match[i + 1])]));
+    const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const date = new Date(`${key}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.getUTCMonth() + 1 === month && date.getUTCDate() === day ? key : null;
+};
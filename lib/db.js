@@ -0,0 +1,29 @@
+import { config } from './config.js';
+import { createJsonFileStore } from './storage/json-file.js';
+import { createSqliteStore } from './storage/sqlite.js';
+
+export const COLLECTIONS = ['meals', 'users', 'sessions', 'analyses', 'profiles', 'weights', 'recipes', 'templates', 'beverages', 'reminders', 'notifications', 'push_subscriptions'];
+
+// Every adapter exposes the same async surface:
+//   read()                          -> { meals: [...], users: [...], ... }
+//   query(collection, where?)       -> matching records (where: equality object or predicate)
+//   insert(collection, record)      -> stored record with id / created_at
+//   insertOnce(collection, where, record)
+//                                   -> the first record matching `where`, else `record` inserted;
+//                                      atomic, so concurrent calls agree on one record
+//   update(collection, id, patch)   -> updated record, or null if missing
+//   delete(collection, idOrWhere)   -> number of records removed
+const ADAPTERS = {
+    json: () => createJsonFileStore({ file: config.db.file, collections: COLLECTIONS }),
+    sqlite: () => createSqliteStore({ file: config.db.storage, collections: COLLECTIONS })
+};
+
+const openStore = async () => {
+    const factory = ADAPTERS[config.db.adapter];
+    if (!factory) throw new Error(`Unknown DB_ADAPTER "${config.db.adapter}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    const store = await factory();
+    await store.init();
+    return store;
+};
+
+export const db = await openStore();
@@ -0,0 +1,137 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { toCsv } from './csv.js';
+import { NUTRIENTS, NUTRIENT_KEYS } from './nutrients.js';
+import { ProfileService } from './profiles.js';
+import { scoreMeal } from './scoring.js';
+import { slotOf } from './slots.js';
+import { mealDate, mealTime, userTimeZone } from './zones.js';
+
+/*
+ * A user's data out of the app, in three shapes:
+ *   - CSV: one row per meal with its nutrients, for spreadsheets (lib/import.js reads it back)
+ *   - JSON backup: everything the user owns, restorable with POST /api/v1/import/backup
+ *   - FHIR: an HL7 FHIR R5 Bundle of NutritionIntake resources, one per meal, for clinicians
+ * Only records owned by the user are read. Record ids and owners are left out of the backup,
+ * so it can be restored into any account.
+ */
+
+export const BACKUP_FORMAT = 'calcatcher-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_COLLECTIONS = ['meals', 'weights', 'recipes', 'templates', 'beverages'];
+
+// CSV nutrient columns carry their unit, e.g. protein_g, sodium_mg.
+export const nutrientColumn = (key) => `${key}_${NUTRIENTS[key].unit}`;
+export const CSV_COLUMNS = [
+    'date', 'time', 'slot', 'name', 'calories', 'serving_size', 'serving_unit', 'serving_label', 'source', 'processing', 'nutrition_score',
+    ...NUTRIENT_KEYS.map(nutrientColumn)
+];
+// Meal fields a CSV import can read from a column; nutrients by their plain key (protein, sodium).
+export const CSV_FIELDS = ['name', 'calories', 'date', 'time', 'slot', 'serving_size', 'serving_unit', 'serving_label', 'processing', ...NUTRIENT_KEYS];
+
+const FHIR_UNITS = {
+    g: { unit: 'g', code: 'g' }, mg: { unit: 'mg', code: 'mg' }, mcg: { unit: 'µg', code: 'ug' }, kcal: { unit: 'kcal', code: 'kcal' },
+    ml: { unit: 'mL', code: 'mL' }, oz: { unit: 'oz', code: '[oz_av]' }, fl_oz: { unit: 'fl oz', code: '[foz_us]' },
+    cup: { unit: 'cup', code: '[cup_us]' }, tbsp: { unit: 'tbsp', code: '[tbs_us]' }, tsp: { unit: 'tsp', code: '[tsp_us]' }
+};
+const UCUM = 'http://unitsofmeasure.org';
+// SNOMED CT 255620007 "Foods", the example code FHIR gives for a consumed food item.
+const FOOD_TYPE = { coding: [{ system: 'http://snomed.info/sct', code: '255620007', display: 'Foods' }] };
+const NUTRIENT_SYSTEM = 'urn:calcatcher:nutrient';
+const USER_SYSTEM = 'urn:calcatcher:user';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const round = (value) => Math.round(value * 10) / 10;
+const eatenAt = (meal) => meal.eaten_at || meal.created_at;
+const byEatenAt = (a, b) => Date.parse(eatenAt(a)) - Date.parse(eatenAt(b));
+
+// A FHIR Quantity; units without a UCUM code (piece, slice, serving) only carry their name.
+const quantity = (value, unit) => {
+    const ucum = FHIR_UNITS[unit];
+    return ucum ? { value, unit: ucum.unit, system: UCUM, code: ucum.code } : { value, unit };
+};
+
+// The user's meals eaten on local days `from`..`to` (inclusive, either open), oldest first.
+const mealsBetween = async (userId, { from, to, timeZone }) => {
+    if (from && to && from > to) throw new HttpError(400, '"from" must not be after "to"');
+    const meals = await db.query('meals', { user_id: userId });
+    return meals
+        .filter(meal => {
+            const date = mealDate(meal, timeZone);
+            return (!from || date >= from) && (!to || date <= to);
+        })
+        .sort(byEatenAt);
+};
+
+// Drops what belongs to this account rather than to the data.
+const portable = ({ id, user_id, ...record }) => record;
+
+const nutritionIntake = (meal, user) => ({
+    resourceType: 'NutritionIntake',
+    id: meal.id,
+    status: 'completed',
+    subject: { identifier: { system: USER_SYSTEM, value: user.id }, display: user.username },
+    occurrenceDateTime: eatenAt(meal),
+    ...(meal.created_at && { recorded: meal.created_at }),
+    reportedBoolean: true,
+    consumedItem: [{
+        type: FOOD_TYPE,
+        nutritionProduct: { concept: { text: meal.name } },
+        ...(meal.serving && { amount: quantity(meal.serving.size, meal.serving.unit) })
+    }],
+    ingredientLabel: [
+        { nutrient: { concept: { coding: [{ system: NUTRIENT_SYSTEM, code: 'energy', display: 'Energy' }], text: 'Energy' } }, amount: quantity(meal.calories, 'kcal') },
+        ...NUTRIENT_KEYS.filter(key => meal.nutrients?.[key] > 0).map(key => ({
+            nutrient: { concept: { coding: [{ system: NUTRIENT_SYSTEM, code: key, display: NUTRIENTS[key].label }], text: NUTRIENTS[key].label } },
+            amount: quantity(meal.nutrients[key], NUTRIENTS[key].unit)
+        }))
+    ],
+    ...(meal.serving?.label && { note: [{ text: meal.serving.label }] })
+});
+
+export const ExportService = {
+    // Meals as CSV text, each with the local date and time it was logged with (lib/zones.js);
+    // `timeZone` (default the profile's) dates the meals from before those were stored.
+    mealsCsv: async (userId, { from, to, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const [meals, { profile }] = await Promise.all([mealsBetween(userId, { from, to, timeZone }), ProfileService.get(userId)]);
+        const rows = meals.map(meal => [
+            mealDate(meal, timeZone), mealTime(meal, timeZone), slotOf(meal, profile.meal_slots, timeZone).id,
+            meal.name, meal.calories,
+            meal.serving?.size ?? null, meal.serving?.unit ?? null, meal.serving?.label ?? null,
+            meal.source || 'manual', meal.processing ?? null, scoreMeal(meal).score,
+            ...NUTRIENT_KEYS.map(key => (meal.nutrients?.[key] == null ? null : round(meal.nutrients[key])))
+        ]);
+        return toCsv([CSV_COLUMNS, ...rows]);
+    },
+
+    // Everything the user owns, ready for POST /api/v1/import/backup.
+    backup: async (userId) => {
+        const [[user], { profile }, ...collections] = await Promise.all([
+            db.query('users', { id: userId }),
+            ProfileService.get(userId),
+            ...BACKUP_COLLECTIONS.map(name => db.query(name, { user_id: userId }))
+        ]);
+        const { updated_at, ...settings } = profile;
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exported_at: new Date().toISOString(),
+            user: { username: user.username },
+            profile: settings,
+            ...Object.fromEntries(BACKUP_COLLECTIONS.map((name, i) => [name, collections[i].map(portable)]))
+        };
+    },
+
+    // A FHIR R5 `collection` Bundle with one NutritionIntake per meal.
+    fhir: async (userId, { from, to, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const [[user], meals] = await Promise.all([db.query('users', { id: userId }), mealsBetween(userId, { from, to, timeZone })]);
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: meals.map(meal => ({ ...(UUID.test(meal.id) && { fullUrl: `urn:uuid:${meal.id}` }), resource: nutritionIntake(meal, user) }))
+        };
+    }
+};
@@ -0,0 +1,34 @@
+import { HttpError } from '../http.js';
+
+// GTIN check digit: from the right, payload digits are weighted 3,1,3,1...
+// The same rule covers EAN-13, UPC-A (GTIN-12) and EAN-8, which is why a UPC-A
+// code keeps its check digit when padded to 13 digits with a leading zero.
+export const checkDigit = (payload) => {
+    let sum = 0;
+    for (let i = 0; i < payload.length; i++) {
+        const digit = Number(payload[payload.length - 1 - i]);
+        sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return (10 - (sum % 10)) % 10;
+};
+
+export const hasValidCheckDigit = (code) =>
+    /^\d{8,14}$/.test(code) && checkDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+// Canonical key for the product table: 13 digits, UPC-A gets its implied leading zero.
+export const toGtin13 = (code) => code.padStart(13, '0');
+
+// Validates a scanned or typed EAN-13 / UPC-A code and returns its GTIN-13 form.
+// Spaces and dashes (as printed under the bars) are ignored.
+export const parseBarcode = (input) => {
+    const code = String(input || '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(code)) throw new HttpError(400, 'Barcode must contain digits only', 'INVALID_BARCODE');
+    if (code.length !== 12 && code.length !== 13) {
+        throw new HttpError(400, 'Barcode must be an EAN-13 (13 digits) or UPC-A (12 digits) code', 'INVALID_BARCODE');
+    }
+    if (!hasValidCheckDigit(code)) {
+        const type = code.length === 13 ? 'EAN-13' : 'UPC-A';
+        throw new HttpError(400, `Invalid ${type} check digit (expected ${checkDigit(code.slice(0, -1))})`, 'INVALID_BARCODE');
+    }
+    return toGtin13(code);
+};
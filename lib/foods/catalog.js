@@ -0,0 +1,248 @@
+import fs from 'fs';
+import { config } from '../config.js';
+import { HttpError } from '../http.js';
+import { normalizeNutrients, scaleNutrients } from '../nutrients.js';
+import { processingLevel, scoreNutrition } from '../scoring.js';
+import { SYNONYMS, editDistance, normalize, tokenize, typoBudget } from './text.js';
+
+/*
+ * Offline food catalog.
+ *
+ * Catalog files (data/foods.json, plus anything produced by `npm run import:foods`) hold
+ * foods with nutrients per 100 g / 100 ml and a list of household portions. They are read
+ * once at startup into an inverted index: token -> (food -> field weight). A query token
+ * matches index tokens exactly, through a synonym, as a prefix (typing in progress) or,
+ * when the index knows it neither way, within a small edit distance (typos), each at a lower
+ * weight. Foods must match every
+ * query token; the ranking blends that relevance with the food's popularity.
+ */
+
+const FIELD_WEIGHT = { primary: 1.5, name: 1, alias: 1.2, category: 0.5, portion: 0.3 };
+const MATCH_WEIGHT = { exact: 1, synonym: 0.9, prefix: 0.75, typo1: 0.6, typo2: 0.4 };
+export const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 20;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const readCatalogFile = (file) => {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const foods = Array.isArray(parsed) ? parsed : parsed.foods;
+    if (!Array.isArray(foods)) throw new Error(`${file} has no "foods" array`);
+    return foods;
+};
+
+// Fills defaults so the rest of the module can rely on every field being present.
+const normalizeFood = (food) => ({
+    id: String(food.id),
+    name: String(food.name),
+    category: food.category || 'Other',
+    base_unit: food.base_unit === 'ml' ? 'ml' : 'g',
+    popularity: Math.max(0, Math.min(100, Number(food.popularity) || 0)),
+    aliases: Array.isArray(food.aliases) ? food.aliases : [],
+    calories: Number(food.calories) || 0,
+    nutrients: normalizeNutrients(food.nutrients),
+    portions: Array.isArray(food.portions) && food.portions.length
+        ? food.portions.filter(p => Number(p.amount) > 0)
+        : [{ label: food.base_unit === 'ml' ? '100 ml' : '100 g', amount: 100 }],
+    // NOVA processing group when the source knows it (see lib/scoring.js).
+    nova: Number(food.nova) || null,
+    source: food.source || 'catalog'
+});
+
+// Nutrients for one portion of a food.
+export const portionOf = (food, portion, quantity = 1) => {
+    const amount = portion.amount * quantity;
+    const factor = amount / 100;
+    return {
+        label: quantity === 1 ? portion.label : `${quantity} × ${portion.label}`,
+        size: round(amount),
+        unit: food.base_unit,
+        calories: Math.round(food.calories * factor),
+        nutrients: scaleNutrients(food.nutrients, factor)
+    };
+};
+
+// API shape of a food: top-level values are for its default (first) portion, so a result
+// can be logged as-is; `portions` lists the alternatives and `per_100` the reference basis.
+export const presentFood = (food, portionIndex = 0) => {
+    const portion = food.portions[portionIndex] || food.portions[0];
+    const view = portionOf(food, portion);
+    return {
+        id: food.id,
+        name: food.name,
+        category: food.category,
+        source: food.source,
+        calories: view.calories,
+        nutrients: view.nutrients,
+        serving: { size: view.size, unit: view.unit, label: view.label },
+        portion: `${view.label} (${view.size} ${view.unit})`,
+        portions: food.portions.map(p => {
+            const { label, size, unit, calories } = portionOf(food, p);
+            return { label, size, unit, calories };
+        }),
+        per_100: { unit: food.base_unit, calories: food.calories, nutrients: food.nutrients },
+        // Densities are the same per portion and per 100 g, so this rates the food as a whole.
+        nutrition_score: scoreNutrition({ calories: food.calories, nutrients: food.nutrients, processing: processingLevel(food) })
+    };
+};
+
+export const createCatalog = (rawFoods) => {
+    const foods = [];
+    const byId = new Map();
+    const postings = new Map(); // token -> Map(foodIndex -> field weight)
+    const phrases = [];         // normalized name and aliases per food, for whole-phrase bonuses
+
+    const post = (token, index, weight) => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const docs = postings.get(token);
+        docs.set(index, Math.max(docs.get(index) || 0, weight));
+    };
+
+    for (const raw of rawFoods) {
+        const food = normalizeFood(raw);
+        if (byId.has(food.id)) continue;
+        const index = foods.push(food) - 1;
+        byId.set(food.id, food);
+
+        const [primary, ...rest] = food.name.split(',');
+        tokenize(primary).forEach(t => post(t, index, FIELD_WEIGHT.primary));
+        tokenize(rest.join(' ')).forEach(t => post(t, index, FIELD_WEIGHT.name));
+        food.aliases.forEach(alias => tokenize(alias).forEach(t => post(t, index, FIELD_WEIGHT.alias)));
+        tokenize(food.category).forEach(t => post(t, index, FIELD_WEIGHT.category));
+        // Portion words ("slice", "can") help disambiguate without outranking the name.
+        food.portions.forEach(p => tokenize(p.label).filter(t => !/\d/.test(t)).forEach(t => post(t, index, FIELD_WEIGHT.portion)));
+        phrases.push([normalize(food.name), normalize(primary), ...food.aliases.map(normalize)]);
+    }
+
+    const vocabulary = [...postings.keys()];
+
+    // All index tokens a query token can stand for, with the weight of the best way it matches.
+    const expand = (token, isLast) => {
+        const found = new Map([[token, MATCH_WEIGHT.exact]]);
+        const offer = (candidate, weight) => {
+            if ((found.get(candidate) || 0) < weight) found.set(candidate, weight);
+        };
+        (SYNONYMS[token] || []).forEach(s => offer(s, MATCH_WEIGHT.synonym));
+        // A word the catalog knows, as it is or through a synonym, is not a typo: "soda" means
+        // cola, not "soya".
+        const known = [...found.keys()].some(candidate => postings.has(candidate));
+        const budget = known ? 0 : typoBudget(token);
+        for (const candidate of vocabulary) {
+            // Prefixes only count for the token being typed, or once they are long enough to be deliberate.
+            if ((isLast || token.length >= 4) && candidate.length > token.length && candidate.startsWith(token)) {
+                offer(candidate, MATCH_WEIGHT.prefix);
+            } else if (budget) {
+                const distance = editDistance(token, candidate, budget);
+                if (distance === 1) offer(candidate, MATCH_WEIGHT.typo1);
+                else if (distance === 2 && budget >= 2) offer(candidate, MATCH_WEIGHT.typo2);
+            }
+        }
+        return found;
+    };
+
+    // foodIndex -> best score for this query token
+    const scoreToken = (token, isLast) => {
+        const scores = new Map();
+        for (const [candidate, matchWeight] of expand(token, isLast)) {
+            for (const [index, fieldWeight] of postings.get(candidate) || []) {
+                const score = matchWeight * fieldWeight;
+                if ((scores.get(index) || 0) < score) scores.set(index, score);
+            }
+        }
+        return scores;
+    };
+
+    const rank = (query) => {
+        const tokens = [...new Set(tokenize(query))];
+        if (!tokens.length) {
+            return foods.map((food, index) => ({ index, score: food.popularity / 100, complete: false }));
+        }
+
+        const perToken = tokens.map((token, i) => scoreToken(token, i === tokens.length - 1));
+        const totals = new Map();
+        const hits = new Map();
+        perToken.forEach(scores => scores.forEach((score, index) => {
+            totals.set(index, (totals.get(index) || 0) + score);
+            hits.set(index, (hits.get(index) || 0) + 1);
+        }));
+
+        // Require every token; fall back to "most tokens" so a stray word does not empty the list.
+        let needed = tokens.length;
+        while (needed > 1 && ![...hits.values()].some(h => h >= needed)) needed--;
+
+        const phrase = normalize(query);
+        const results = [];
+        for (const [index, total] of totals) {
+            if (hits.get(index) < needed) continue;
+            const food = foods[index];
+            let relevance = total / tokens.length;
+            if (phrases[index].includes(phrase)) relevance += 0.5;
+            else if (phrases[index][0].startsWith(phrase)) relevance += 0.25;
+            // Prefer "Banana, raw" over "Banana bread, with nuts" when both match equally.
+            relevance -= 0.02 * Math.max(0, tokenize(food.name).length - tokens.length);
+            results.push({ index, score: relevance * 0.8 + (food.popularity / 100) * 0.2, complete: hits.get(index) === tokens.length });
+        }
+        return results;
+    };
+
+    const catalog = {
+        size: foods.length,
+
+        get: (id) => byId.get(String(id)) || null,
+
+        // Best single food for a free-text name (e.g. a vision label). `complete` is false when
+        // only some of its words matched, so callers can treat the food as a guess.
+        match: (name) => {
+            const [best] = rank(name).map(r => ({ ...r, food: foods[r.index] })).sort(byScore);
+            return best ? { food: best.food, complete: best.complete } : null;
+        },
+
+        // Every food matching the query with its ranking score, unsorted and not yet presented.
+        matches: (query) => rank(query).map(r => ({ food: foods[r.index], score: r.score })),
+
+        search: (query, options) => searchCatalogs([catalog], query, options)
+    };
+    return catalog;
+};
+
+const byScore = (a, b) => b.score - a.score || a.food.name.length - b.food.name.length;
+
+// Ranked, paginated search over one or more catalogs (e.g. the shared one and a user's
+// recipes). Scores are comparable across catalogs; results are presented per default portion.
+export const searchCatalogs = (catalogs, query, { page = 1, limit = DEFAULT_LIMIT } = {}) => {
+    const pageNumber = Number(page);
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) throw new HttpError(400, '"page" must be a positive integer');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+        throw new HttpError(400, `"limit" must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const ranked = catalogs.flatMap(catalog => catalog.matches(query)).sort(byScore);
+    const start = (pageNumber - 1) * pageSize;
+    return {
+        data: ranked.slice(start, start + pageSize).map(r => ({ ...presentFood(r.food), score: Math.round(r.score * 100) / 100 })),
+        page: pageNumber,
+        limit: pageSize,
+        total: ranked.length
+    };
+};
+
+// Loads every configured catalog file. The bundled one must exist; extra imports are optional.
+const loadCatalog = () => {
+    const foods = [];
+    let imported = false;
+    for (const [i, file] of config.foods.catalogs.entries()) {
+        if (!fs.existsSync(file)) {
+            if (i === 0) throw new Error(`Food catalog not found: ${file}`);
+            continue;
+        }
+        foods.push(...readCatalogFile(file));
+        if (i > 0) imported = true;
+    }
+    const catalog = createCatalog(foods);
+    console.log(`🥦 Food catalog indexed: ${catalog.size} foods`);
+    if (!imported) console.warn('⚠️ Only the bundled sample foods are loaded. Run `npm run import:foods` for the full USDA catalog (see README).');
+    return catalog;
+};
+
+export const FoodCatalog = loadCatalog();
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { parseCsvLine } from '../csv.js';
+
+/*
+ * Converts USDA FoodData Central downloads into catalog foods (see data/foods.json).
+ * Two input shapes are supported:
+ *   - the JSON downloads (FoundationFoods / SRLegacyFoods / SurveyFoods arrays)
+ *   - the CSV dump directory (food.csv, nutrient.csv, food_nutrient.csv, food_portion.csv, ...)
+ * Branded foods are skipped here; they carry per-package data, not reference nutrients.
+ */
+
+// FDC nutrient numbers -> catalog keys. Energy has several encodings, tried in this order.
+const ENERGY_KCAL = ['208', '958', '957'];
+const ENERGY_KJ = '268';
+const NUTRIENT_NUMBERS = {
+    203: 'protein',
+    205: 'carbs',
+    204: 'fat',
+    291: 'fiber',
+    269: 'sugar',
+    '269.3': 'sugar',
+    307: 'sodium',
+    306: 'potassium',
+    301: 'calcium',
+    303: 'iron',
+    320: 'vitamin_a',
+    401: 'vitamin_c',
+    328: 'vitamin_d'
+};
+const VITAMIN_D_IU = '324'; // 40 IU = 1 mcg
+
+// Popularity seeds: survey foods are named the way people eat them, so rank them a little higher.
+export const DATA_TYPES = {
+    foundation_food: { json: 'FoundationFoods', popularity: 25 },
+    sr_legacy_food: { json: 'SRLegacyFoods', popularity: 20 },
+    survey_fndds_food: { json: 'SurveyFoods', popularity: 30 }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Accumulates FDC nutrient rows for one food, then resolves energy fallbacks.
+const collectNutrients = (rows) => {
+    const byNumber = new Map(rows.map(r => [String(r.number), Number(r.amount)]));
+    const nutrients = {};
+    for (const [number, key] of Object.entries(NUTRIENT_NUMBERS)) {
+        if (byNumber.has(number) && nutrients[key] === undefined) nutrients[key] = round(byNumber.get(number));
+    }
+    if (nutrients.vitamin_d === undefined && byNumber.has(VITAMIN_D_IU)) nutrients.vitamin_d = round(byNumber.get(VITAMIN_D_IU) / 40);
+
+    const kcal = ENERGY_KCAL.find(n => byNumber.has(n));
+    let calories = kcal ? byNumber.get(kcal) : null;
+    if (calories === null && byNumber.has(ENERGY_KJ)) calories = byNumber.get(ENERGY_KJ) / 4.184;
+    return { calories: calories === null ? null : Math.round(calories), nutrients };
+};
+
+const portionLabel = ({ portionDescription, amount, unitName, modifier }) => {
+    if (portionDescription && !/^quantity not specified$/i.test(portionDescription)) return portionDescription;
+    const unit = unitName && unitName !== 'undetermined' ? unitName : '';
+    return [amount, unit, modifier].filter(Boolean).join(' ').trim() || 'serving';
+};
+
+const buildFood = ({ fdcId, description, category, dataType, nutrientRows, portions }) => {
+    const { calories, nutrients } = collectNutrients(nutrientRows);
+    if (calories === null) return null;
+    const cleaned = portions
+        .filter(p => Number(p.gramWeight) > 0)
+        .map(p => ({ label: portionLabel(p), amount: round(Number(p.gramWeight)) }));
+    return {
+        id: `fdc-${fdcId}`,
+        name: description,
+        category: category || 'Other',
+        base_unit: 'g',
+        popularity: DATA_TYPES[dataType]?.popularity ?? 10,
+        aliases: [],
+        calories,
+        nutrients,
+        portions: [...cleaned, { label: '100 g', amount: 100 }],
+        source: `fdc:${dataType}`
+    };
+};
+
+// --- JSON downloads ---
+
+const JSON_TYPE_BY_KEY = Object.fromEntries(Object.entries(DATA_TYPES).map(([type, { json }]) => [json, type]));
+
+export const importFdcJson = (file) => {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const foods = [];
+    for (const [key, list] of Object.entries(parsed)) {
+        const dataType = JSON_TYPE_BY_KEY[key];
+        if (!dataType || !Array.isArray(list)) continue;
+        for (const item of list) {
+            const food = buildFood({
+                fdcId: item.fdcId,
+                description: item.description,
+                category: item.foodCategory?.description || item.wweiaFoodCategory?.wweiaFoodCategoryDescription,
+                dataType,
+                nutrientRows: (item.foodNutrients || [])
+                    .filter(n => n.nutrient?.number && n.amount !== undefined)
+                    .map(n => ({ number: n.nutrient.number, amount: n.amount })),
+                portions: (item.foodPortions || []).map(p => ({
+                    portionDescription: p.portionDescription,
+                    amount: p.amount,
+                    unitName: p.measureUnit?.name,
+                    modifier: p.modifier,
+                    gramWeight: p.gramWeight
+                }))
+            });
+            if (food) foods.push(food);
+        }
+    }
+    return foods;
+};
+
+// --- CSV dump ---
+
+// Streams a CSV file as header-keyed objects; food_nutrient.csv is too large to read at once.
+async function* readCsv(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let header = null;
+    let pending = '';
+    for await (const line of lines) {
+        // A quoted field may contain a newline: keep reading until the quotes balance.
+        pending = pending ? `${pending}\n${line}` : line;
+        if ((pending.match(/"/g) || []).length % 2 === 1) continue;
+        const fields = parseCsvLine(pending);
+        pending = '';
+        if (!header) {
+            header = fields.map(f => f.replace(/^\uFEFF/, ''));
+            continue;
+        }
+        yield Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+    }
+}
+
+const readCsvIfPresent = async (dir, name, onRow) => {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) return false;
+    for await (const row of readCsv(file)) onRow(row);
+    return true;
+};
+
+export const importFdcCsv = async (dir, { dataTypes = Object.keys(DATA_TYPES) } = {}) => {
+    const foods = new Map();
+    const categories = new Map();
+    const measureUnits = new Map();
+    const nutrientNumbers = new Map();
+
+    await readCsvIfPresent(dir, 'food_category.csv', r => categories.set(r.id, r.description));
+    await readCsvIfPresent(dir, 'wweia_food_category.csv', r => categories.set(r.wweia_food_category, r.wweia_food_category_description));
+    await readCsvIfPresent(dir, 'measure_unit.csv', r => measureUnits.set(r.id, r.name));
+    if (!await readCsvIfPresent(dir, 'nutrient.csv', r => nutrientNumbers.set(r.id, r.nutrient_nbr))) {
+        throw new Error(`${dir} has no nutrient.csv; is this a FoodData Central CSV dump?`);
+    }
+    const found = await readCsvIfPresent(dir, 'food.csv', r => {
+        if (!dataTypes.includes(r.data_type)) return;
+        foods.set(r.fdc_id, {
+            fdcId: r.fdc_id,
+            description: r.description,
+            category: categories.get(r.food_category_id),
+            dataType: r.data_type,
+            nutrientRows: [],
+            portions: []
+        });
+    });
+    if (!found) throw new Error(`${dir} has no food.csv`);
+
+    const wanted = new Set([...ENERGY_KCAL, ENERGY_KJ, VITAMIN_D_IU, ...Object.keys(NUTRIENT_NUMBERS)]);
+    await readCsvIfPresent(dir, 'food_nutrient.csv', r => {
+        const food = foods.get(r.fdc_id);
+        const number = nutrientNumbers.get(r.nutrient_id);
+        if (food && wanted.has(number) && r.amount !== '') food.nutrientRows.push({ number, amount: r.amount });
+    });
+    const portionRows = [];
+    await readCsvIfPresent(dir, 'food_portion.csv', r => {
+        if (foods.has(r.fdc_id)) portionRows.push(r);
+    });
+    portionRows
+        .sort((a, b) => Number(a.seq_num || 0) - Number(b.seq_num || 0))
+        .forEach(r => foods.get(r.fdc_id).portions.push({
+            portionDescription: r.portion_description,
+            amount: r.amount,
+            unitName: measureUnits.get(r.measure_unit_id),
+            modifier: r.modifier,
+            gramWeight: r.gram_weight
+        }));
+
+    return [...foods.values()].map(buildFood).filter(Boolean);
+};
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import readline from 'readline';
+import zlib from 'zlib';
+import { hasValidCheckDigit, toGtin13 } from './barcode.js';
+
+/*
+ * Converts Open Food Facts dumps into product-table rows (see data/products.json).
+ * Accepts the JSONL dump (openfoodfacts-products.jsonl) and the tab-separated CSV
+ * export (en.openfoodfacts.org.products.csv), either optionally gzipped.
+ */
+
+// OFF *_100g keys -> [catalog key, factor]. OFF stores minerals and vitamins in grams.
+const NUTRIMENTS = {
+    proteins_100g: ['protein', 1],
+    carbohydrates_100g: ['carbs', 1],
+    fat_100g: ['fat', 1],
+    fiber_100g: ['fiber', 1],
+    sugars_100g: ['sugar', 1],
+    sodium_100g: ['sodium', 1000],
+    potassium_100g: ['potassium', 1000],
+    calcium_100g: ['calcium', 1000],
+    iron_100g: ['iron', 1000],
+    'vitamin-a_100g': ['vitamin_a', 1e6],
+    'vitamin-c_100g': ['vitamin_c', 1000],
+    'vitamin-d_100g': ['vitamin_d', 1e6]
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const number = (value) => {
+    const n = Number(value);
+    return value !== '' && value !== null && Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+const LIQUID = /\d\s*(ml|cl|dl|l|fl\.?\s*oz)\b/i;
+
+// "330 ml", "2 biscuits (25 g)", "1 can (355 mL)" -> { amount, unit } in g or ml.
+const parseQuantity = (text) => {
+    const match = /(\d+(?:[.,]\d+)?)\s*(ml|cl|dl|l|g|kg|fl\.?\s*oz|oz)\b/i.exec(text || '');
+    if (!match) return null;
+    const value = Number(match[1].replace(',', '.'));
+    const unit = match[2].toLowerCase().replace(/\s|\./g, '');
+    const scale = { ml: 1, cl: 10, dl: 100, l: 1000, g: 1, kg: 1000, floz: 29.57, oz: 28.35 }[unit];
+    return { amount: round(value * scale), unit: ['ml', 'cl', 'dl', 'l', 'floz'].includes(unit) ? 'ml' : 'g' };
+};
+
+// One OFF product (JSONL object or CSV row with flattened nutriments) -> table row, or null to skip.
+export const productFromOff = (raw) => {
+    const digits = String(raw.code || '').trim();
+    if (!/^\d{8,13}$/.test(digits) || !hasValidCheckDigit(digits)) return null;
+    const name = String(raw.product_name_en || raw.product_name || '').trim();
+    if (!name) return null;
+
+    const n = raw.nutriments || raw;
+    let calories = number(n['energy-kcal_100g']);
+    if (calories === null && number(n.energy_100g) !== null) calories = n.energy_100g / 4.184;
+    if (calories === null) return null;
+
+    const nutrients = {};
+    for (const [field, [key, factor]] of Object.entries(NUTRIMENTS)) {
+        const value = number(n[field]);
+        if (value !== null) nutrients[key] = round(value * factor);
+    }
+    if (nutrients.sodium === undefined && number(n.salt_100g) !== null) nutrients.sodium = round(n.salt_100g / 2.5 * 1000);
+
+    const servingText = String(raw.serving_size || '').trim();
+    const parsedServing = parseQuantity(servingText);
+    const baseUnit = LIQUID.test(servingText) || (!servingText && LIQUID.test(raw.quantity || '')) ? 'ml' : 'g';
+    const servingSize = number(raw.serving_quantity) || parsedServing?.amount || null;
+    const nova = Number(raw.nova_group);
+
+    return {
+        code: toGtin13(digits),
+        name,
+        brand: String(raw.brands || '').split(',')[0].trim() || null,
+        base_unit: baseUnit,
+        calories: Math.round(calories),
+        nutrients,
+        serving: servingSize
+            ? { size: round(servingSize), label: servingText || `${round(servingSize)} ${baseUnit}` }
+            : null,
+        ...(nova >= 1 && nova <= 4 && { nova }),
+        source: 'off'
+    };
+};
+
+// Streams rows from a dump. The CSV export is tab-separated and unquoted.
+export async function* readOffDump(file) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let header = null;
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        if (!header && line.startsWith('{')) {
+            header = 'jsonl';
+        }
+        if (header === 'jsonl') {
+            try { yield JSON.parse(line); } catch { /* skip malformed line */ }
+            continue;
+        }
+        if (!header) {
+            header = line.split('\t');
+            continue;
+        }
+        const fields = line.split('\t');
+        yield Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+    }
+}
+
+// Optional country filter, e.g. "en:united-states". Dumps carry it as an array (JSONL) or comma list (CSV).
+export const soldIn = (raw, country) => {
+    const tags = Array.isArray(raw.countries_tags) ? raw.countries_tags : String(raw.countries_tags || '').split(',');
+    return tags.includes(country);
+};
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import { config } from '../config.js';
+import { HttpError } from '../http.js';
+import { normalizeNutrients } from '../nutrients.js';
+import { parseBarcode } from './barcode.js';
+import { portionOf } from './catalog.js';
+import { processingLevel, scoreNutrition } from '../scoring.js';
+
+/*
+ * Packaged-product table keyed by GTIN-13.
+ *
+ * Product files (data/products.json, plus `npm run import:products` output) hold one row
+ * per barcode with nutrients per 100 g / 100 ml and the label's serving size. They are
+ * loaded once at startup; later files win when a barcode appears twice.
+ */
+
+const readProductFile = (file) => {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const products = Array.isArray(parsed) ? parsed : parsed.products;
+    if (!Array.isArray(products)) throw new Error(`${file} has no "products" array`);
+    return products;
+};
+
+const normalizeProduct = (product) => {
+    const baseUnit = product.base_unit === 'ml' ? 'ml' : 'g';
+    const servingSize = Number(product.serving?.size) || 0;
+    return {
+        code: String(product.code),
+        name: String(product.name),
+        brand: product.brand || null,
+        base_unit: baseUnit,
+        calories: Number(product.calories) || 0,
+        nutrients: normalizeNutrients(product.nutrients),
+        // Labels without a serving size are logged per 100 g / 100 ml.
+        serving: servingSize > 0
+            ? { label: product.serving.label || `${servingSize} ${baseUnit}`, amount: servingSize }
+            : { label: `100 ${baseUnit}`, amount: 100 },
+        nova: Number(product.nova) || null,
+        source: product.source || 'products'
+    };
+};
+
+// API shape of a product: top-level values are per labelled serving, ready to log.
+export const presentProduct = (product) => {
+    const view = portionOf(product, product.serving);
+    return {
+        code: product.code,
+        name: product.name,
+        brand: product.brand,
+        source: product.source,
+        calories: view.calories,
+        nutrients: view.nutrients,
+        serving: { size: view.size, unit: view.unit, label: view.label },
+        portion: `${view.label} (${view.size} ${view.unit})`,
+        per_100: { unit: product.base_unit, calories: product.calories, nutrients: product.nutrients },
+        nutrition_score: scoreNutrition({
+            calories: product.calories,
+            nutrients: product.nutrients,
+            processing: processingLevel({ name: product.name, nova: product.nova, packaged: true })
+        })
+    };
+};
+
+export const createProductTable = (rawProducts) => {
+    const byCode = new Map();
+    for (const raw of rawProducts) {
+        const product = normalizeProduct(raw);
+        byCode.set(product.code, product);
+    }
+    return {
+        size: byCode.size,
+
+        // Throws 400 for malformed codes and 404 for valid codes we have no data for.
+        lookup: (code) => {
+            const product = byCode.get(parseBarcode(code));
+            if (!product) throw new HttpError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
+            return presentProduct(product);
+        }
+    };
+};
+
+// Loads every configured product file. The bundled one must exist; imports are optional.
+const loadProducts = () => {
+    const products = [];
+    for (const [i, file] of config.foods.products.entries()) {
+        if (!fs.existsSync(file)) {
+            if (i === 0) throw new Error(`Product table not found: ${file}`);
+            continue;
+        }
+        products.push(...readProductFile(file));
+    }
+    const table = createProductTable(products);
+    console.log(`🏷️ Product table loaded: ${table.size} barcodes`);
+    return table;
+};
+
+export const ProductTable = loadProducts();
@@ -0,0 +1,82 @@
+// Text handling for food search: normalization, tokens, synonyms and edit distance.
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'or', 'in', 'with', 'nfs', 'ns']);
+
+// Query-side synonyms: each token also matches the listed catalog tokens.
+// Multi-word aliases ("soft drink", "mac and cheese") belong on the food's `aliases` instead.
+export const SYNONYMS = {
+    aubergine: ['eggplant'],
+    bbq: ['barbecue'],
+    biscuit: ['cookie'],
+    catsup: ['ketchup'],
+    chip: ['fry', 'crisp'],
+    coke: ['cola'],
+    coriander: ['cilantro'],
+    courgette: ['zucchini'],
+    crisp: ['chip'],
+    donut: ['doughnut'],
+    doughnut: ['donut'],
+    fry: ['chip'],
+    garbanzo: ['chickpea'],
+    hamburger: ['burger'],
+    burger: ['hamburger'],
+    mince: ['ground'],
+    pop: ['cola', 'soda'],
+    porridge: ['oatmeal'],
+    prawn: ['shrimp'],
+    soda: ['cola'],
+    spud: ['potato'],
+    veg: ['vegetable'],
+    yoghurt: ['yogurt'],
+    yogurt: ['yoghurt']
+};
+
+export const normalize = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9%]+/g, ' ')
+    .trim();
+
+// Crude English singularization, enough for "berries" / "tomatoes" / "sandwiches".
+// "-ie" and "-ies" both become "-y" so "cookie", "cookies" and "berries"/"berry" line up.
+export const stem = (token) => {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+    if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.length > 4 && token.endsWith('ie')) return `${token.slice(0, -2)}y`;
+    if (/(oes|ches|shes|xes|sses)$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) return token.slice(0, -1);
+    return token;
+};
+
+export const tokenize = (text) => normalize(text)
+    .split(' ')
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(stem);
+
+// Optimal-string-alignment distance (Levenshtein plus adjacent swaps, the most common typo).
+// Returns max + 1 as soon as the distance is known to exceed `max`.
+export const editDistance = (a, b, max = 2) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+};
+
+// How many typos a query token of this length may contain.
+export const typoBudget = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
@@ -0,0 +1,61 @@
+// Shared HTTP plumbing for routes: a typed error, the response envelope, and an async
+// wrapper so rejected promises reach the Express error handler instead of hanging the request.
+//
+// Every /api/v1 response body is one of:
+//   { success: true, data, meta? }
+//   { success: false, error: { code, message, details? } }
+
+// Fallback error codes by status; throw sites pass a more specific code where it helps clients.
+const STATUS_CODES = {
+    400: 'VALIDATION_ERROR',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    429: 'RATE_LIMITED',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+export class HttpError extends Error {
+    constructor(status, message, code = STATUS_CODES[status] || 'ERROR', details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const asyncRoute = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+export const send = (res, data, { status = 200, meta } = {}) =>
+    res.status(status).json({ success: true, data, ...(meta && { meta }) });
+
+// Errors thrown by express/body-parser and multer, mapped onto the same contract.
+const fromFramework = (err) => {
+    if (err.type === 'entity.parse.failed') return new HttpError(400, 'Request body is not valid JSON', 'INVALID_JSON');
+    if (err.type === 'entity.too.large') return new HttpError(413, 'Request body is too large');
+    if (err.name === 'MulterError') return new HttpError(400, err.message, 'UPLOAD_ERROR');
+    return null;
+};
+
+// HttpError messages are written for clients (including deliberate 5xx such as 503);
+// anything else is a bug, so it is logged and its details stay on the server.
+export const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const error = err instanceof HttpError ? err : fromFramework(err);
+    if (!error) {
+        console.error('💥 Unhandled error:', err);
+        return res.status(500).json({ success: false, error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+    }
+    res.status(error.status).json({
+        success: false,
+        error: { code: error.code, message: error.message, ...(error.details && { details: error.details }) }
+    });
+};
+
+export const notFound = (message = 'Unknown API route') => (req, res, next) => next(new HttpError(404, message));
@@ -0,0 +1,305 @@
+import { db } from './db.js';
+import { BeverageService } from './beverages.js';
+import { HttpError } from './http.js';
+import { parseCsv } from './csv.js';
+import { parseDateKey, zonedInstant } from './dates.js';
+import { BACKUP_COLLECTIONS, BACKUP_FORMAT, BACKUP_VERSION, CSV_FIELDS, nutrientColumn } from './export.js';
+import { FoodCatalog } from './foods/catalog.js';
+import { LOGGED_FIELDS, MealService } from './meals.js';
+import { NUTRIENT_KEYS } from './nutrients.js';
+import { PROFILE_FIELDS, ProfileService } from './profiles.js';
+import { RecipeService } from './recipes.js';
+import { BeverageInput, MealInput, ProfilePatch, RecipeInput, TemplateRecord, WeightInput } from './schemas.js';
+import { userTimeZone } from './zones.js';
+import { validateValue } from './validate.js';
+import { WeightService } from './weights.js';
+
+/*
+ * History into the app: a JSON backup (lib/export.js) or a CSV from another tracker.
+ *
+ * Every record is checked against the same schema as its API endpoint, and compared with
+ * what the user already has: a meal logged in the same minute with the same name and
+ * calories, a weigh-in at the same minute and weight, a drink of the same kind and volume
+ * at the same minute, or a recipe or template of the same name counts as a duplicate and is
+ * skipped, so importing a file twice is harmless. Invalid records are skipped and reported;
+ * the rest are imported. A dry run reports the same counts and errors without writing anything.
+ */
+
+export const MAX_IMPORT_ROWS = 20000;
+export const MAX_REPORTED_ERRORS = 100;
+
+const REQUIRED_CSV_FIELDS = ['name', 'calories', 'date'];
+// Without a time column, imported meals are logged at noon.
+const DEFAULT_TIME = '12:00';
+
+const minute = (iso) => Math.floor(Date.parse(iso) / 60000);
+const mealKey = (meal) => `${minute(meal.eaten_at || meal.created_at)}|${meal.name.trim().toLowerCase()}|${Math.round(meal.calories)}`;
+// Stored weigh-ins carry weight_kg; backup inputs carry the same value as `weight` in kg.
+const weightKey = (entry) => `${minute(entry.measured_at)}|${Math.round((entry.weight_kg ?? entry.weight) * 100)}`;
+const nameKey = (record) => record.name.trim().toLowerCase();
+// Stored drinks carry volume_ml; backup inputs carry the same value as `volume` in ml.
+const beverageKey = (entry) => `${minute(entry.drunk_at)}|${entry.kind}|${Math.round(entry.volume_ml ?? entry.volume)}`;
+
+// Tallies one collection: checks each record, skips duplicates, keeps the rest for saving.
+const createPlan = (collection, errors) => ({
+    collection,
+    received: 0,
+    duplicates: 0,
+    invalid: 0,
+    accepted: [],
+    check(where, problems) {
+        this.invalid += 1;
+        problems.forEach(problem => {
+            if (errors.length < MAX_REPORTED_ERRORS) errors.push({ collection, ...where, ...problem });
+        });
+    }
+});
+
+// Runs each record through `toInput` and `schema`, then drops duplicates by `keyOf`
+// (against `existing` keys and earlier records of the same file).
+const planRecords = (plan, records, { schema, toInput, keyOf, existing, extraCheck, where = (i) => ({ index: i }) }) => {
+    const seen = new Set(existing.map(keyOf));
+    records.forEach((record, i) => {
+        plan.received += 1;
+        let input;
+        try {
+            input = toInput(record);
+        } catch (e) {
+            return plan.check(where(i, record), [{ path: e.path || '', message: e.message }]);
+        }
+        const invalid = validateValue(schema, input);
+        const problems = invalid.length || !extraCheck ? invalid : extraCheck(input);
+        if (problems.length) return plan.check(where(i, record), problems);
+        const key = keyOf(input);
+        if (seen.has(key)) {
+            plan.duplicates += 1;
+            return;
+        }
+        seen.add(key);
+        plan.accepted.push(input);
+    });
+    return plan;
+};
+
+const summaryOf = (plan, dryRun) => ({
+    received: plan.received,
+    new: plan.accepted.length,
+    duplicates: plan.duplicates,
+    invalid: plan.invalid,
+    imported: dryRun ? 0 : plan.accepted.length
+});
+
+const pick = (record, keys) => Object.fromEntries(keys.filter(key => record[key] !== undefined && record[key] !== null).map(key => [key, record[key]]));
+
+// Backups from before photo meals and templates stored a whole processing level carry the
+// calorie-weighted mean (e.g. 2.4); it is rounded the way lib/scoring.js rounds it now.
+const wholeLevel = (record) => (typeof record?.processing === 'number' ? { ...record, processing: Math.round(record.processing) } : record);
+
+// Backup records in the shape their create endpoint takes.
+const BACKUP_INPUTS = {
+    meals: (meal) => ({
+        ...wholeLevel(pick(meal, [...LOGGED_FIELDS, 'slot'])),
+        eaten_at: meal.eaten_at || meal.created_at,
+        ...(meal.time_zone && { tz: meal.time_zone })
+    }),
+    weights: (entry) => ({
+        weight: entry.weight_kg,
+        unit: 'kg',
+        ...(entry.waist_cm != null && { waist: entry.waist_cm, waist_unit: 'cm' }),
+        ...pick(entry, ['body_fat_pct', 'note']),
+        measured_at: entry.measured_at || entry.created_at
+    }),
+    recipes: (recipe) => ({
+        ...pick(recipe, ['name', 'servings', 'serving_label', 'note']),
+        ingredients: (recipe.ingredients || []).map(item => pick(item, ['food_id', 'size', 'label']))
+    }),
+    templates: (template) => ({
+        ...pick(template, ['name', 'slot', 'items']),
+        ...(Array.isArray(template.items) && { items: template.items.map(wholeLevel) })
+    }),
+    beverages: (entry) => ({
+        ...pick(entry, ['kind', 'name', 'caffeine_mg', 'abv']),
+        volume: entry.volume_ml,
+        unit: 'ml',
+        drunk_at: entry.drunk_at || entry.created_at,
+        ...(entry.time_zone && { tz: entry.time_zone })
+    })
+};
+
+const unknownFoods = (recipe) => recipe.ingredients
+    .map((item, i) => (FoodCatalog.get(item.food_id) ? null : { path: `.ingredients[${i}].food_id`, message: 'is not a known food' }))
+    .filter(Boolean);
+
+// Saves planned records; meals and weigh-ins go through their services like API writes.
+const SAVERS = {
+    meals: (userId, input) => MealService.create(userId, input),
+    weights: (userId, input) => WeightService.create(userId, input),
+    recipes: (userId, input) => RecipeService.create(userId, input),
+    templates: (userId, { name, slot, items }) => db.insert('templates', { user_id: userId, name: name.trim(), slot: slot ?? null, items }),
+    beverages: (userId, input) => BeverageService.create(userId, input)
+};
+
+const save = async (userId, plans) => {
+    for (const plan of plans) {
+        for (const input of plan.accepted) await SAVERS[plan.collection](userId, input);
+    }
+    if (plans.some(plan => plan.collection === 'weights' && plan.accepted.length)) {
+        const latest = await WeightService.latest(userId);
+        await ProfileService.update(userId, { weight_kg: latest.weight_kg });
+    }
+};
+
+// "1,234.5" or, with a decimal comma, "1.234,5".
+const parseNumber = (text, decimal) => {
+    const plain = decimal === ',' ? text.trim().replace(/\./g, '').replace(',', '.') : text.trim().replace(/,/g, '');
+    const value = Number(plain);
+    if (!Number.isFinite(value)) throw new Error(`"${text}" is not a number`);
+    return value;
+};
+
+// "14:05", "14:05:30", "2:05 pm" -> "14:05"
+const parseTime = (text) => {
+    const match = text.trim().toLowerCase().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/);
+    if (!match) throw new Error(`"${text}" is not a time`);
+    let hours = Number(match[1]);
+    if (match[3] === 'pm' && hours < 12) hours += 12;
+    if (match[3] === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || Number(match[2]) > 59) throw new Error(`"${text}" is not a time`);
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+// A CSV date (in `format`) and optional time, as an instant in `timeZone`. A full ISO
+// date-time in the date column is taken as it is.
+const parseEatenAt = (dateText, timeText, { format, timeZone }) => {
+    if (/^\d{4}-\d{2}-\d{2}T/.test(dateText)) {
+        const time = Date.parse(dateText);
+        if (Number.isNaN(time)) throw new Error(`"${dateText}" is not a date`);
+        return new Date(time).toISOString();
+    }
+    const key = parseDateKey(dateText, format);
+    if (!key) throw new Error(`"${dateText}" is not a date in ${format} form`);
+    return zonedInstant(key, timeText ? parseTime(timeText) : DEFAULT_TIME, timeZone).toISOString();
+};
+
+// Which column each field reads: the explicit mapping, else a column named like the export's.
+const resolveMapping = (header, mapping) => {
+    const columns = {};
+    const problems = [];
+    CSV_FIELDS.forEach(field => {
+        const column = mapping[field] ?? [field, NUTRIENT_KEYS.includes(field) ? nutrientColumn(field) : null].find(name => name && header.includes(name));
+        if (!column) return;
+        if (!header.includes(column)) problems.push({ path: `body.mapping.${field}`, message: `column "${column}" is not in the file` });
+        columns[field] = column;
+    });
+    REQUIRED_CSV_FIELDS.forEach(field => {
+        if (!columns[field]) problems.push({ path: `body.mapping.${field}`, message: 'is required: name the column that holds it' });
+    });
+    if (problems.length) throw new HttpError(400, `${problems[0].path} ${problems[0].message}`, 'VALIDATION_ERROR', problems);
+    return columns;
+};
+
+// One CSV row as a MealInput. Empty cells are left out.
+const rowToMeal = (values, columns, { format, decimal, timeZone, slots }) => {
+    // Drops the quote our own export puts before text that a spreadsheet would run as a formula.
+    const cell = (field) => ((columns[field] ? values[columns[field]] : '') || '').replace(/^'(?=[=+\-@])/, '');
+    const number = (field) => {
+        try {
+            return cell(field) === '' ? undefined : parseNumber(cell(field), decimal);
+        } catch (e) {
+            throw Object.assign(e, { path: `.${field}` });
+        }
+    };
+    let eatenAt;
+    try {
+        eatenAt = parseEatenAt(cell('date'), cell('time'), { format, timeZone });
+    } catch (e) {
+        throw Object.assign(e, { path: '.date' });
+    }
+    const nutrients = Object.fromEntries(NUTRIENT_KEYS.map(key => [key, number(key)]).filter(([, value]) => value !== undefined));
+    const slotText = cell('slot').toLowerCase();
+    const slot = slotText && slots.find(s => s.id === slotText || s.name.toLowerCase() === slotText);
+    const size = number('serving_size');
+    return {
+        name: cell('name'),
+        calories: number('calories'),
+        ...(Object.keys(nutrients).length && { nutrients }),
+        ...(size !== undefined && { serving: { size, unit: cell('serving_unit') || 'g', ...(cell('serving_label') && { label: cell('serving_label') }) } }),
+        ...(cell('processing') && { processing: number('processing') }),
+        ...(slot && { slot: slot.id }),
+        source: 'import',
+        eaten_at: eatenAt,
+        tz: timeZone
+    };
+};
+
+export const ImportService = {
+    // Restores a JSON backup: the profile settings, then meals, weigh-ins, recipes, templates
+    // and drinks that are not already there.
+    backup: async (userId, file, { dryRun = false } = {}) => {
+        if (file?.format !== BACKUP_FORMAT) throw new HttpError(400, `Not a backup file: "format" must be "${BACKUP_FORMAT}"`, 'UNSUPPORTED_FILE');
+        if (file.version !== BACKUP_VERSION) throw new HttpError(400, `Backup version ${file.version} is not supported (expected ${BACKUP_VERSION})`, 'UNSUPPORTED_FILE');
+        for (const name of BACKUP_COLLECTIONS) {
+            if (file[name] !== undefined && !Array.isArray(file[name])) throw new HttpError(400, `"${name}" must be an array`);
+        }
+        const total = BACKUP_COLLECTIONS.reduce((sum, name) => sum + (file[name]?.length || 0), 0);
+        if (total > MAX_IMPORT_ROWS) throw new HttpError(400, `A backup can hold at most ${MAX_IMPORT_ROWS} records`);
+
+        const errors = [];
+        const existing = Object.fromEntries(await Promise.all(BACKUP_COLLECTIONS.map(async name => [name, await db.query(name, { user_id: userId })])));
+        const options = {
+            meals: { schema: MealInput, keyOf: mealKey },
+            weights: { schema: WeightInput, keyOf: weightKey },
+            recipes: { schema: RecipeInput, keyOf: nameKey, extraCheck: unknownFoods },
+            templates: { schema: TemplateRecord, keyOf: nameKey },
+            beverages: { schema: BeverageInput, keyOf: beverageKey }
+        };
+        const plans = BACKUP_COLLECTIONS.map(name => planRecords(createPlan(name, errors), file[name] || [], {
+            ...options[name],
+            toInput: BACKUP_INPUTS[name],
+            existing: existing[name]
+        }));
+
+        let profile = null;
+        if (file.profile && typeof file.profile === 'object') {
+            profile = pick(file.profile, [...PROFILE_FIELDS, 'overrides']);
+            const problems = Object.keys(profile).length ? validateValue(ProfilePatch, profile) : [];
+            if (problems.length) {
+                problems.forEach(problem => errors.length < MAX_REPORTED_ERRORS && errors.push({ collection: 'profile', ...problem }));
+                profile = null;
+            }
+        }
+
+        if (!dryRun) {
+            if (profile && Object.keys(profile).length) await ProfileService.update(userId, profile);
+            await save(userId, plans);
+        }
+        return {
+            dry_run: dryRun,
+            profile: { restored: Boolean(profile && Object.keys(profile).length) && !dryRun, valid: Boolean(profile) },
+            ...Object.fromEntries(plans.map(plan => [plan.collection, summaryOf(plan, dryRun)])),
+            errors
+        };
+    },
+
+    // Imports meals from a CSV with a header line; `mapping` names the column of each field.
+    csv: async (userId, { csv, mapping = {}, date_format: format = 'YYYY-MM-DD', decimal = '.', delimiter, tz }, { dryRun = false } = {}) => {
+        const timeZone = await userTimeZone(userId, tz); // rejects an unknown zone before any row is read
+        const { header, rows } = parseCsv(csv, { delimiter });
+        if (!header.length) throw new HttpError(400, 'The CSV is empty', 'UNSUPPORTED_FILE');
+        if (rows.length > MAX_IMPORT_ROWS) throw new HttpError(400, `A CSV can hold at most ${MAX_IMPORT_ROWS} rows`);
+        const columns = resolveMapping(header, mapping);
+
+        const errors = [];
+        const [meals, { profile }] = await Promise.all([db.query('meals', { user_id: userId }), ProfileService.get(userId)]);
+        const plan = planRecords(createPlan('meals', errors), rows, {
+            schema: MealInput,
+            keyOf: mealKey,
+            existing: meals,
+            toInput: ({ values }) => rowToMeal(values, columns, { format, decimal, timeZone, slots: profile.meal_slots }),
+            where: (i, row) => ({ row: row.line })
+        });
+
+        if (!dryRun) await save(userId, [plan]);
+        return { dry_run: dryRun, columns, meals: summaryOf(plan, dryRun), errors };
+    }
+};
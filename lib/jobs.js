@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { HttpError } from './http.js';
+
+/*
+ * In-process job queue with bounded concurrency.
+ *
+ * `run(payload, progress)` does the work and calls progress(stage) as it moves along; its
+ * result (or error) settles the job. Jobs belong to the user who queued them, are published
+ * to subscribers on every change, and are forgotten `retainMs` after they finish. They live
+ * in memory only: a restart drops queued and running jobs.
+ */
+
+// API shape of a job. `queue_position` (1-based) is only present while it waits for a worker.
+const present = (job, position) => ({
+    id: job.id,
+    stage: job.stage,
+    ...(position > 0 && { queue_position: position }),
+    ...(job.result !== undefined && { result: job.result }),
+    ...(job.error && { error: job.error }),
+    created_at: job.created_at,
+    updated_at: job.updated_at
+});
+
+// Errors meant for clients keep their code and message; anything else is logged and hidden.
+const describeError = (err) => {
+    if (err instanceof HttpError) return { code: err.code, message: err.message };
+    console.error('💥 Job failed:', err);
+    return { code: 'INTERNAL_ERROR', message: 'The job failed unexpectedly' };
+};
+
+export const createJobQueue = ({ name, concurrency = 1, maxQueued = 100, retainMs = 10 * 60 * 1000, run, done = 'done', failed = 'failed' }) => {
+    const jobs = new Map();
+    const waiting = [];
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    let active = 0;
+
+    const positionOf = (job) => waiting.indexOf(job) + 1;
+    const view = (job) => present(job, positionOf(job));
+
+    const update = (job, changes) => {
+        Object.assign(job, changes, { updated_at: new Date().toISOString() });
+        events.emit(job.id, view(job));
+    };
+
+    const finish = (job, changes) => {
+        update(job, changes);
+        job.payload = null;
+        setTimeout(() => jobs.delete(job.id), retainMs).unref();
+    };
+
+    const start = (job) => {
+        active += 1;
+        const progress = (stage) => update(job, { stage });
+        Promise.resolve()
+            .then(() => run(job.payload, progress))
+            .then(result => finish(job, { stage: done, result }), err => finish(job, { stage: failed, error: describeError(err) }))
+            .finally(() => {
+                active -= 1;
+                pump();
+            });
+    };
+
+    // Starts waiting jobs while workers are free, then tells the rest where they now stand.
+    const pump = () => {
+        while (active < concurrency && waiting.length) start(waiting.shift());
+        waiting.forEach(job => events.emit(job.id, view(job)));
+    };
+
+    const findOwned = (userId, id) => {
+        const job = jobs.get(id);
+        if (!job || job.user_id !== userId) throw new HttpError(404, 'Job not found', 'JOB_NOT_FOUND');
+        return job;
+    };
+
+    return {
+        // `stage` is the job's first stage, reported until a worker picks it up.
+        enqueue: (userId, payload, { stage }) => {
+            if (waiting.length >= maxQueued) {
+                throw new HttpError(503, `The ${name} queue is full. Try again in a minute.`, 'QUEUE_FULL');
+            }
+            const now = new Date().toISOString();
+            const job = { id: crypto.randomUUID(), user_id: userId, stage, payload, created_at: now, updated_at: now };
+            jobs.set(job.id, job);
+            waiting.push(job);
+            pump();
+            return view(job);
+        },
+
+        get: (userId, id) => view(findOwned(userId, id)),
+
+        // True once a job snapshot has reached its final stage.
+        isFinished: (job) => job.stage === done || job.stage === failed,
+
+        // Calls listener with every later snapshot of the job; returns the unsubscribe function.
+        subscribe: (userId, id, listener) => {
+            findOwned(userId, id);
+            events.on(id, listener);
+            return () => events.off(id, listener);
+        }
+    };
+};
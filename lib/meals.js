@@ -0,0 +1,157 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { normalizeNutrients, sanitizeNutrients, sanitizeServing } from './nutrients.js';
+import { PROCESSING_LEVELS, scoreMeal } from './scoring.js';
+import { ProfileService } from './profiles.js';
+import { SLOT_ID_PATTERN, slotOf } from './slots.js';
+import { localStamp, rangeFilter, userTimeZone } from './zones.js';
+
+export const SOURCES = ['manual', 'search', 'quick_add', 'photo', 'barcode', 'recipe', 'import'];
+const SLOT_ID = new RegExp(SLOT_ID_PATTERN);
+export const FREQUENT_DEFAULT_DAYS = 90;
+export const FREQUENT_MAX_LIMIT = 20;
+
+// Validates client-supplied meal fields. `partial` allows omitting required fields (PATCH).
+const sanitize = (input, { partial = false } = {}) => {
+    if (!input || typeof input !== 'object') throw new HttpError(400, 'Meal body must be a JSON object');
+    const meal = {};
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 120) {
+            throw new HttpError(400, '"name" must be a non-empty string of at most 120 characters');
+        }
+        meal.name = input.name.trim();
+    }
+    if (input.calories !== undefined || !partial) {
+        const calories = Number(input.calories);
+        if (input.calories === null || input.calories === '' || !Number.isFinite(calories) || calories < 0) {
+            throw new HttpError(400, '"calories" must be a non-negative number');
+        }
+        meal.calories = Math.round(calories);
+    }
+    if (input.nutrients !== undefined) meal.nutrients = sanitizeNutrients(input.nutrients);
+    if (input.serving !== undefined) meal.serving = sanitizeServing(input.serving);
+    if (input.icon !== undefined) {
+        if (typeof input.icon !== 'string' || input.icon.length > 16) throw new HttpError(400, '"icon" must be a short string');
+        meal.icon = input.icon;
+    }
+    if (input.source !== undefined) {
+        if (!SOURCES.includes(input.source)) throw new HttpError(400, `"source" must be one of: ${SOURCES.join(', ')}`);
+        meal.source = input.source;
+    }
+    if (input.processing !== undefined) {
+        if (input.processing !== null && !PROCESSING_LEVELS[input.processing]) throw new HttpError(400, '"processing" must be a processing level from 1 to 4');
+        meal.processing = input.processing ?? undefined;
+    }
+    if (input.slot !== undefined) {
+        if (input.slot !== null && (typeof input.slot !== 'string' || !SLOT_ID.test(input.slot))) throw new HttpError(400, '"slot" must be a meal slot id');
+        meal.slot = input.slot ?? undefined;
+    }
+    if (input.eaten_at !== undefined) {
+        const time = Date.parse(input.eaten_at);
+        if (Number.isNaN(time)) throw new HttpError(400, '"eaten_at" must be an ISO date-time');
+        meal.eaten_at = new Date(time).toISOString();
+    }
+    return meal;
+};
+
+const findOwned = async (userId, id) => {
+    const [meal] = await db.query('meals', { id, user_id: userId });
+    if (!meal) throw new HttpError(404, 'Meal not found', 'MEAL_NOT_FOUND');
+    return meal;
+};
+
+// Scores are worked out on read, so a change to the formula applies to past meals too.
+const present = (meal) => ({ ...meal, nutrition_score: scoreMeal(meal) });
+
+const eatenAt = (meal) => Date.parse(meal.eaten_at || meal.created_at);
+
+// What re-logging a meal copies: everything the user logged, nothing about when or which record.
+export const LOGGED_FIELDS = ['name', 'calories', 'nutrients', 'serving', 'icon', 'source', 'processing'];
+export const loggedFields = (meal) => Object.fromEntries(LOGGED_FIELDS.filter(key => meal[key] !== undefined).map(key => [key, meal[key]]));
+
+export const MealService = {
+    // Newest first. `from`/`to` are both inclusive; `date` is one day, in the user's time zone
+    // (see lib/zones.js) unless `tz` says otherwise.
+    list: async (userId, { from, to, date, tz } = {}) => {
+        const inRange = rangeFilter({ from, to, date }, 'eaten_at', await userTimeZone(userId, tz));
+        const meals = await db.query('meals', { user_id: userId });
+        return meals
+            .filter(inRange)
+            .sort((a, b) => eatenAt(b) - eatenAt(a))
+            .map(present);
+    },
+
+    get: async (userId, id) => present(await findOwned(userId, id)),
+
+    // `trusted` carries server-built fields that clients cannot set (e.g. analysis items).
+    // `input.tz` is the zone the meal was eaten in, when it is not the profile's. A `client_id`
+    // already used returns that meal, so a retried create does not log it twice.
+    create: async (userId, input, trusted = {}) => {
+        const meal = { ...sanitize(input), ...(input.client_id && { client_id: input.client_id }) };
+        return MealService.save(userId, { ...meal, ...trusted }, { timeZone: input.tz });
+    },
+
+    // Stores an already-trusted meal (e.g. an analysis result) for the user, with the local
+    // day of its eaten_at in `timeZone` (default the profile's). A meal with a `client_id` is
+    // stored once per user: the lookup and the insert are one step in the store.
+    save: async (userId, meal, { timeZone } = {}) => {
+        const instant = meal.eaten_at || new Date().toISOString();
+        const record = {
+            source: 'manual',
+            ...meal,
+            eaten_at: instant,
+            ...localStamp(instant, await userTimeZone(userId, timeZone)),
+            nutrients: normalizeNutrients(meal.nutrients),
+            user_id: userId
+        };
+        return present(meal.client_id
+            ? await db.insertOnce('meals', { user_id: userId, client_id: meal.client_id }, record)
+            : await db.insert('meals', record));
+    },
+
+    // A new eaten_at or `tz` dates the meal again, in the zone it was logged in unless `tz` is given.
+    update: async (userId, id, input) => {
+        const patch = sanitize(input, { partial: true });
+        const meal = await findOwned(userId, id);
+        if (patch.eaten_at || input.tz) {
+            const timeZone = await userTimeZone(userId, input.tz || meal.time_zone);
+            Object.assign(patch, localStamp(patch.eaten_at || meal.eaten_at || meal.created_at, timeZone));
+        }
+        return present(await db.update('meals', id, { ...patch, updated_at: new Date().toISOString() }));
+    },
+
+    remove: async (userId, id) => {
+        await findOwned(userId, id);
+        await db.delete('meals', id);
+    },
+
+    // The foods the user logs most often over the last `days`, for quick-add. Entries are
+    // grouped by name and carry the values of the latest one. With `slot`, foods eaten in that
+    // slot rank first, so breakfast suggests what the user has for breakfast.
+    frequent: async (userId, { days = FREQUENT_DEFAULT_DAYS, limit = 8, slot, timeZone } = {}) => {
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+        const meals = (await db.query('meals', { user_id: userId })).filter(meal => eatenAt(meal) >= since);
+        const slots = slot ? (await ProfileService.get(userId)).profile.meal_slots : null;
+        const zone = await userTimeZone(userId, timeZone);
+
+        const foods = new Map();
+        meals.sort((a, b) => eatenAt(b) - eatenAt(a)).forEach(meal => {
+            const key = meal.name.toLowerCase();
+            if (!foods.has(key)) foods.set(key, { meal, count: 0, in_slot: 0 });
+            const food = foods.get(key);
+            food.count += 1;
+            if (slots && slotOf(meal, slots, zone).id === slot) food.in_slot += 1;
+        });
+        return [...foods.values()]
+            .sort((a, b) => b.in_slot - a.in_slot || b.count - a.count || eatenAt(b.meal) - eatenAt(a.meal))
+            .slice(0, limit)
+            .map(({ meal, count, in_slot }) => ({
+                ...loggedFields(meal),
+                count,
+                ...(slots && { count_in_slot: in_slot }),
+                last_eaten_at: meal.eaten_at || meal.created_at,
+                nutrition_score: scoreMeal(meal)
+            }));
+    }
+};
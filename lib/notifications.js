@@ -0,0 +1,63 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { PushService } from './push.js';
+
+/*
+ * The in-app inbox. Every reminder that fires is kept here, whether or not it also went out
+ * as a push message, so a user without push (or with it blocked) still sees it in the app.
+ *
+ * `key` names what a notification is about (one rule on one day, say); the scheduler never
+ * sends the same key twice. Only the newest MAX_KEPT per user are kept.
+ */
+
+export const MAX_KEPT = 200;
+export const LIST_LIMIT = 50;
+
+const present = ({ user_id, ...notification }) => notification;
+
+const byNewest = (a, b) => b.created_at.localeCompare(a.created_at);
+
+export const NotificationService = {
+    // Newest first, with the unread count of all of them.
+    list: async (userId, { unread = false } = {}) => {
+        const all = (await db.query('notifications', { user_id: userId })).sort(byNewest);
+        const unreadCount = all.filter(notification => !notification.read_at).length;
+        return {
+            notifications: all.filter(notification => !unread || !notification.read_at).slice(0, LIST_LIMIT).map(present),
+            unread: unreadCount
+        };
+    },
+
+    // Whether a notification with `key` was already sent.
+    sent: async (userId, key) => (await db.query('notifications', { user_id: userId, key })).length > 0,
+
+    // Keeps the notification and, unless `push` is off, sends it to the user's devices.
+    send: async (userId, { key, type, title, body, url = '/pro.html' }, { push = true } = {}) => {
+        let notification = await db.insert('notifications', { user_id: userId, key, type, title, body, url, read_at: null });
+        if (push) {
+            const result = await PushService.sendToUser(userId, { title, body, url, tag: key, notification_id: notification.id });
+            notification = await db.update('notifications', notification.id, { push: result });
+        }
+        const stale = (await db.query('notifications', { user_id: userId })).sort(byNewest).slice(MAX_KEPT);
+        if (stale.length) {
+            const ids = new Set(stale.map(old => old.id));
+            await db.delete('notifications', old => ids.has(old.id));
+        }
+        return present(notification);
+    },
+
+    markRead: async (userId, id) => {
+        const [notification] = await db.query('notifications', { id, user_id: userId });
+        if (!notification) throw new HttpError(404, 'Notification not found', 'NOTIFICATION_NOT_FOUND');
+        if (notification.read_at) return present(notification);
+        return present(await db.update('notifications', id, { read_at: new Date().toISOString() }));
+    },
+
+    // Marks everything read; resolves with how many were unread.
+    markAllRead: async (userId) => {
+        const unread = await db.query('notifications', notification => notification.user_id === userId && !notification.read_at);
+        const now = new Date().toISOString();
+        await Promise.all(unread.map(notification => db.update('notifications', notification.id, { read_at: now })));
+        return unread.length;
+    }
+};
@@ -0,0 +1,66 @@
+import { HttpError } from './http.js';
+
+// The nutrient schema shared by foods, analysis results and meals.
+// Amounts are per serving; `calories` stays a top-level field on foods and meals.
+export const NUTRIENTS = {
+    protein: { label: 'Protein', unit: 'g' },
+    carbs: { label: 'Carbohydrates', unit: 'g' },
+    fat: { label: 'Fat', unit: 'g' },
+    fiber: { label: 'Fiber', unit: 'g' },
+    sugar: { label: 'Sugar', unit: 'g' },
+    sodium: { label: 'Sodium', unit: 'mg' },
+    potassium: { label: 'Potassium', unit: 'mg' },
+    calcium: { label: 'Calcium', unit: 'mg' },
+    iron: { label: 'Iron', unit: 'mg' },
+    vitamin_a: { label: 'Vitamin A', unit: 'mcg' },
+    vitamin_c: { label: 'Vitamin C', unit: 'mg' },
+    vitamin_d: { label: 'Vitamin D', unit: 'mcg' }
+};
+
+export const NUTRIENT_KEYS = Object.keys(NUTRIENTS);
+export const SERVING_UNITS = ['g', 'ml', 'oz', 'fl_oz', 'cup', 'tbsp', 'tsp', 'piece', 'slice', 'serving'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// An amount the source does not give is null ("not known"), never 0 ("none"): a meal logged by
+// its calories alone must not read as one without fiber or protein.
+const amountOf = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : round(Number(value)));
+
+// Fills in missing keys with null and drops anything outside the schema.
+export const normalizeNutrients = (input = {}) =>
+    Object.fromEntries(NUTRIENT_KEYS.map(key => [key, amountOf(input?.[key])]));
+
+export const scaleNutrients = (nutrients, factor) =>
+    Object.fromEntries(NUTRIENT_KEYS.map(key => [key, nutrients?.[key] == null ? null : round(nutrients[key] * factor)]));
+
+// A total is only known when every part gives it.
+export const sumNutrients = (list) => Object.fromEntries(NUTRIENT_KEYS.map(key => [
+    key,
+    list.every(nutrients => nutrients?.[key] != null) ? round(list.reduce((sum, nutrients) => sum + nutrients[key], 0)) : null
+]));
+
+// Validates client-supplied nutrients: known keys only, non-negative numbers or null (not known).
+export const sanitizeNutrients = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new HttpError(400, '"nutrients" must be an object');
+    }
+    for (const [key, value] of Object.entries(input)) {
+        if (!NUTRIENTS[key]) throw new HttpError(400, `Unknown nutrient "${key}". Known: ${NUTRIENT_KEYS.join(', ')}`);
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            throw new HttpError(400, `Nutrient "${key}" must be a non-negative number, or null when not known`);
+        }
+    }
+    return normalizeNutrients(input);
+};
+
+// A serving is { size, unit, label? }, e.g. { size: 182, unit: 'g', label: '1 medium' }.
+export const sanitizeServing = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw new HttpError(400, '"serving" must be an object');
+    const size = Number(input.size);
+    if (!Number.isFinite(size) || size <= 0) throw new HttpError(400, '"serving.size" must be a positive number');
+    if (!SERVING_UNITS.includes(input.unit)) throw new HttpError(400, `"serving.unit" must be one of: ${SERVING_UNITS.join(', ')}`);
+    if (input.label !== undefined && (typeof input.label !== 'string' || input.label.length > 60)) {
+        throw new HttpError(400, '"serving.label" must be a string of at most 60 characters');
+    }
+    return { size: round(size), unit: input.unit, ...(input.label ? { label: input.label } : {}) };
+};
@@ -0,0 +1,499 @@
+import * as Schemas from './schemas.js';
+
+// OpenAPI 3.1 description of /api/v1, assembled from the same schemas the routes validate
+// with, so the document cannot drift from what the server accepts. Served at /api/v1/openapi.json.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const envelope = (data, meta) => ({
+    type: 'object',
+    properties: { success: { const: true }, data, ...(meta && { meta }) },
+    required: ['success', 'data']
+});
+
+const ok = (description, data, { status = 200, meta } = {}) => ({
+    [status]: { description, content: { 'application/json': { schema: envelope(data, meta) } } }
+});
+
+const noContent = (description) => ({ 204: { description } });
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }]));
+
+const json = (name) => ({ required: true, content: { 'application/json': { schema: ref(name) } } });
+
+// Turns an object schema into OpenAPI parameter objects.
+const parameters = (where, schema) => Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: where,
+    required: where === 'path' || (schema.required || []).includes(name),
+    schema: property,
+    ...(property.description && { description: property.description })
+}));
+
+const pageMeta = { type: 'object', properties: { page: { type: 'integer' }, limit: { type: 'integer' }, total: { type: 'integer' } } };
+
+const ERROR_DESCRIPTIONS = {
+    400: 'Invalid request (VALIDATION_ERROR, INVALID_JSON, ...)',
+    401: 'Missing, expired or revoked session (UNAUTHORIZED) or bad credentials (INVALID_CREDENTIALS)',
+    404: 'Not found',
+    409: 'Conflict with the current state',
+    413: 'Upload or import file too large (PAYLOAD_TOO_LARGE)',
+    415: 'Upload is not an accepted image format (UNSUPPORTED_MEDIA_TYPE)',
+    429: 'Rate limit exceeded (RATE_LIMITED); see the Retry-After header',
+    503: 'A dependency (e.g. the vision provider) is unavailable, or the analysis queue is full (QUEUE_FULL)'
+};
+
+const ErrorBody = {
+    type: 'object',
+    properties: {
+        success: { const: false },
+        error: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'Stable, machine-readable error code' },
+                message: { type: 'string' },
+                details: {
+                    type: 'array',
+                    description: 'Validation problems, one per field',
+                    items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+                }
+            },
+            required: ['code', 'message']
+        }
+    },
+    required: ['success', 'error']
+};
+
+export const buildOpenApi = ({ version }) => ({
+    openapi: '3.1.0',
+    info: {
+        title: 'Personal Calorie Pal API',
+        version,
+        description: 'Every response uses the envelope { success, data, meta? } or { success: false, error: { code, message, details? } }. ' +
+            'Requests are rate limited per client IP and per user (photo analysis has its own, smaller budget); ' +
+            'responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, and a 429 adds Retry-After.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }],
+    tags: [{ name: 'auth' }, { name: 'profile' }, { name: 'meals' }, { name: 'stats' }, { name: 'weights' }, { name: 'beverages' }, { name: 'reminders' }, { name: 'foods' }, { name: 'recipes' }, { name: 'templates' }, { name: 'data' }, { name: 'analysis' }],
+    paths: {
+        '/auth/register': {
+            post: {
+                tags: ['auth'], summary: 'Create an account and open a session', security: [],
+                requestBody: json('Registration'),
+                responses: { ...ok('Signed in', ref('Session'), { status: 201 }), ...errors(400, 409) }
+            }
+        },
+        '/auth/login': {
+            post: {
+                tags: ['auth'], summary: 'Open a session', security: [],
+                requestBody: json('Credentials'),
+                responses: { ...ok('Signed in', ref('Session')), ...errors(400, 401) }
+            }
+        },
+        '/auth/logout': {
+            post: { tags: ['auth'], summary: 'Revoke the current session', responses: { ...noContent('Signed out'), ...errors(401) } }
+        },
+        '/auth/me': {
+            get: { tags: ['auth'], summary: 'The signed-in user', responses: { ...ok('Current user', ref('User')), ...errors(401) } }
+        },
+        '/profile': {
+            get: { tags: ['profile'], summary: 'Body and goal settings with the daily targets computed from them', responses: { ...ok('Profile and targets', ref('Profile')), ...errors(401) } },
+            patch: {
+                tags: ['profile'], summary: 'Update settings or target overrides (null clears a field)',
+                requestBody: json('ProfilePatch'),
+                responses: { ...ok('Profile and recomputed targets', ref('Profile')), ...errors(400, 401) }
+            }
+        },
+        '/meals': {
+            get: {
+                tags: ['meals'], summary: 'List meals, newest first',
+                parameters: parameters('query', Schemas.MealListQuery),
+                responses: { ...ok('Meals', { type: 'array', items: ref('Meal') }), ...errors(400, 401) }
+            },
+            post: {
+                tags: ['meals'], summary: 'Log a meal',
+                requestBody: json('MealInput'),
+                responses: { ...ok('Created', ref('Meal'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/meals/frequent': {
+            get: {
+                tags: ['meals'], summary: 'The foods logged most often recently, for quick-add; with "slot", those eaten in it first',
+                parameters: parameters('query', Schemas.MealFrequentQuery),
+                responses: { ...ok('Foods', { type: 'array', items: ref('FrequentFood') }), ...errors(400, 401) }
+            }
+        },
+        '/meals/copy': {
+            post: {
+                tags: ['meals'], summary: 'Log a previous day, or one of its slots, again on another day at the same times',
+                requestBody: json('MealCopy'),
+                responses: { ...ok('The meals logged', { type: 'array', items: ref('Meal') }, { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/meals/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            get: { tags: ['meals'], summary: 'One meal; updated_at tells whether it changed since it was read', responses: { ...ok('Meal', ref('Meal')), ...errors(401, 404) } },
+            patch: {
+                tags: ['meals'], summary: 'Edit a meal',
+                requestBody: json('MealPatch'),
+                responses: { ...ok('Updated', ref('Meal')), ...errors(400, 401, 404) }
+            },
+            delete: { tags: ['meals'], summary: 'Delete a meal', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/templates': {
+            get: { tags: ['templates'], summary: 'Saved slots and days, by name', responses: { ...ok('Templates', { type: 'array', items: ref('Template') }), ...errors(401) } },
+            post: {
+                tags: ['templates'], summary: 'Save what was logged on a day, or in one of its slots, as a template',
+                requestBody: json('TemplateInput'),
+                responses: { ...ok('Created', ref('Template'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/templates/{id}/apply': {
+            parameters: parameters('path', Schemas.IdParams),
+            post: {
+                tags: ['templates'], summary: 'Log a template\'s meals on a day',
+                requestBody: { required: false, content: { 'application/json': { schema: ref('TemplateApply') } } },
+                responses: { ...ok('The meals logged', { type: 'array', items: ref('Meal') }, { status: 201 }), ...errors(400, 401, 404) }
+            }
+        },
+        '/templates/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            delete: { tags: ['templates'], summary: 'Delete a template', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/stats': {
+            get: {
+                tags: ['stats'], summary: 'Daily totals, rolling and weekly averages, goal adherence, macro split and streaks over a range of days',
+                parameters: parameters('query', Schemas.StatsQuery),
+                responses: { ...ok('Statistics', ref('Stats')), ...errors(400, 401) }
+            }
+        },
+        '/stats/day': {
+            get: {
+                tags: ['stats'], summary: 'One day\'s totals with its nutrition score and the breakdown of how it was reached',
+                parameters: parameters('query', Schemas.StatsDayQuery),
+                responses: { ...ok('Day summary', ref('StatsDay')), ...errors(400, 401) }
+            }
+        },
+        '/weights': {
+            get: {
+                tags: ['weights'], summary: 'List weigh-ins, newest first',
+                parameters: parameters('query', Schemas.WeightListQuery),
+                responses: { ...ok('Weigh-ins', { type: 'array', items: ref('WeightEntry') }), ...errors(400, 401) }
+            },
+            post: {
+                tags: ['weights'], summary: 'Log a weigh-in (kg or lb), optionally with waist and body fat; the newest one updates the profile weight',
+                requestBody: json('WeightInput'),
+                responses: { ...ok('Created', ref('WeightEntry'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/weights/trend': {
+            get: {
+                tags: ['weights'], summary: 'Smoothed weight trend and the TDEE measured from intake and weight change',
+                parameters: parameters('query', Schemas.WeightTrendQuery),
+                responses: { ...ok('Trend', ref('WeightTrend')), ...errors(400, 401) }
+            }
+        },
+        '/weights/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            patch: {
+                tags: ['weights'], summary: 'Edit a weigh-in (null clears waist, body fat or note)',
+                requestBody: json('WeightPatch'),
+                responses: { ...ok('Updated', ref('WeightEntry')), ...errors(400, 401, 404) }
+            },
+            delete: { tags: ['weights'], summary: 'Delete a weigh-in', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/beverages': {
+            get: {
+                tags: ['beverages'], summary: 'List drinks, newest first',
+                parameters: parameters('query', Schemas.BeverageListQuery),
+                responses: { ...ok('Drinks', { type: 'array', items: ref('Beverage') }), ...errors(400, 401) }
+            },
+            post: {
+                tags: ['beverages'], summary: 'Log a drink (ml or fl oz); caffeine and alcohol default to typical values for its kind',
+                requestBody: json('BeverageInput'),
+                responses: { ...ok('Created', ref('Beverage'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/beverages/day': {
+            get: {
+                tags: ['beverages'], summary: 'One day\'s water, caffeine and alcohol against the hydration target and daily limits, with warnings',
+                parameters: parameters('query', Schemas.BeverageDayQuery),
+                responses: { ...ok('Day summary', ref('BeverageDay')), ...errors(400, 401) }
+            }
+        },
+        '/beverages/stats': {
+            get: {
+                tags: ['beverages'], summary: 'Daily water, caffeine and alcohol over a range of days, with averages and days on target or over a limit',
+                parameters: parameters('query', Schemas.BeverageStatsQuery),
+                responses: { ...ok('Statistics', ref('BeverageStats')), ...errors(400, 401) }
+            }
+        },
+        '/beverages/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            patch: {
+                tags: ['beverages'], summary: 'Edit a drink (a new kind or volume works out caffeine and strength again unless they are given)',
+                requestBody: json('BeveragePatch'),
+                responses: { ...ok('Updated', ref('Beverage')), ...errors(400, 401, 404) }
+            },
+            delete: { tags: ['beverages'], summary: 'Delete a drink', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/reminders': {
+            get: { tags: ['reminders'], summary: 'List reminder rules', responses: { ...ok('Rules', { type: 'array', items: ref('Reminder') }), ...errors(401) } },
+            post: {
+                tags: ['reminders'], summary: 'Add a reminder: a meal slot left empty, hours without a meal, the calorie goal reached, or water behind pace',
+                requestBody: json('ReminderInput'),
+                responses: { ...ok('Created', ref('Reminder'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/reminders/check': {
+            post: {
+                tags: ['reminders'], summary: 'Check the rules now instead of waiting for the scheduler (quiet hours still apply)',
+                responses: { ...ok('Notifications sent', { type: 'array', items: ref('Notification') }), ...errors(401) }
+            }
+        },
+        '/reminders/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            patch: {
+                tags: ['reminders'], summary: 'Edit a reminder (settings of its own type only)',
+                requestBody: json('ReminderPatch'),
+                responses: { ...ok('Updated', ref('Reminder')), ...errors(400, 401, 404) }
+            },
+            delete: { tags: ['reminders'], summary: 'Delete a reminder', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/notifications': {
+            get: {
+                tags: ['reminders'], summary: 'The in-app inbox, newest first (the latest 50)',
+                parameters: parameters('query', Schemas.NotificationListQuery),
+                responses: {
+                    ...ok('Notifications', { type: 'array', items: ref('Notification') }, { meta: { type: 'object', properties: { unread: { type: 'integer' } } } }),
+                    ...errors(400, 401)
+                }
+            }
+        },
+        '/notifications/read-all': {
+            post: {
+                tags: ['reminders'], summary: 'Mark every notification read',
+                responses: { ...ok('How many were unread', { type: 'object', properties: { marked: { type: 'integer' } } }), ...errors(401) }
+            }
+        },
+        '/notifications/{id}/read': {
+            parameters: parameters('path', Schemas.IdParams),
+            post: { tags: ['reminders'], summary: 'Mark a notification read', responses: { ...ok('Updated', ref('Notification')), ...errors(401, 404) } }
+        },
+        '/push/key': {
+            get: {
+                tags: ['reminders'], summary: 'The VAPID public key to pass to PushManager.subscribe() as applicationServerKey',
+                responses: { ...ok('Key', { type: 'object', properties: { public_key: { type: 'string', description: 'base64url' } } }), ...errors(401) }
+            }
+        },
+        '/push/subscriptions': {
+            get: { tags: ['reminders'], summary: 'Devices with push on', responses: { ...ok('Subscriptions', { type: 'array', items: ref('PushSubscription') }), ...errors(401) } },
+            post: {
+                tags: ['reminders'], summary: 'Turn on push for a browser (the same endpoint again replaces its keys)',
+                requestBody: json('PushSubscriptionInput'),
+                responses: { ...ok('Subscribed', ref('PushSubscription'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/push/subscriptions/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            delete: { tags: ['reminders'], summary: 'Turn off push for a device', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/push/test': {
+            post: {
+                tags: ['reminders'], summary: 'Send a test notification to the inbox and every device',
+                responses: { ...ok('Sent', ref('Notification'), { status: 201 }), ...errors(401) }
+            }
+        },
+        '/foods/search': {
+            get: {
+                tags: ['foods'], summary: 'Ranked, typo-tolerant search of the offline food catalog and the user\'s recipes',
+                parameters: parameters('query', Schemas.FoodSearchQuery),
+                responses: { ...ok('One page of foods', { type: 'array', items: ref('Food') }, { meta: pageMeta }), ...errors(400, 401) }
+            }
+        },
+        '/foods/barcode/{code}': {
+            get: {
+                tags: ['foods'], summary: 'Packaged product by EAN-13 / UPC-A barcode',
+                parameters: parameters('path', Schemas.BarcodeParams),
+                responses: { ...ok('Product, per labelled serving', ref('Product')), ...errors(400, 401, 404) }
+            }
+        },
+        '/foods/{id}': {
+            get: {
+                tags: ['foods'], summary: 'A catalog food, or a recipe by its "recipe-<id>" food id, with all its portions',
+                parameters: parameters('path', Schemas.IdParams),
+                responses: { ...ok('Food', ref('Food')), ...errors(401, 404) }
+            }
+        },
+        '/recipes': {
+            get: { tags: ['recipes'], summary: 'The user\'s recipes and custom foods, by name', responses: { ...ok('Recipes', { type: 'array', items: ref('Recipe') }), ...errors(401) } },
+            post: {
+                tags: ['recipes'], summary: 'Save a recipe (or, with one serving, a custom food) from catalog ingredients; nutrients are computed',
+                requestBody: json('RecipeInput'),
+                responses: { ...ok('Created', ref('Recipe'), { status: 201 }), ...errors(400, 401) }
+            }
+        },
+        '/recipes/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            get: { tags: ['recipes'], summary: 'One recipe with its priced ingredients', responses: { ...ok('Recipe', ref('Recipe')), ...errors(401, 404) } },
+            patch: {
+                tags: ['recipes'], summary: 'Edit a recipe; "ingredients" replaces the whole list',
+                requestBody: json('RecipePatch'),
+                responses: { ...ok('Updated', ref('Recipe')), ...errors(400, 401, 404) }
+            },
+            delete: { tags: ['recipes'], summary: 'Delete a recipe (meals logged from it stay)', responses: { ...noContent('Deleted'), ...errors(401, 404) } }
+        },
+        '/export/meals.csv': {
+            get: {
+                tags: ['data'], summary: 'Meals as a CSV file, one row per meal with its nutrients (not enveloped)',
+                parameters: parameters('query', Schemas.ExportQuery),
+                responses: {
+                    200: { description: 'CSV download; columns date, time, slot, name, calories, serving, source, processing, nutrition_score, then one per nutrient', content: { 'text/csv': { schema: { type: 'string' } } } },
+                    ...errors(400, 401)
+                }
+            }
+        },
+        '/export/backup.json': {
+            get: {
+                tags: ['data'], summary: 'Everything the user owns as a JSON backup for /import/backup (not enveloped)',
+                responses: {
+                    200: { description: 'Backup download: profile, meals, weights, recipes, templates and beverages', content: { 'application/json': { schema: ref('BackupImport') } } },
+                    ...errors(401)
+                }
+            }
+        },
+        '/export/fhir': {
+            get: {
+                tags: ['data'], summary: 'Meals as an HL7 FHIR R5 Bundle of NutritionIntake resources (not enveloped)',
+                parameters: parameters('query', Schemas.ExportQuery),
+                responses: {
+                    200: { description: 'FHIR collection Bundle', content: { 'application/fhir+json': { schema: { type: 'object' } } } },
+                    ...errors(400, 401)
+                }
+            }
+        },
+        '/import/backup': {
+            post: {
+                tags: ['data'], summary: 'Restore a JSON backup; records already there are skipped',
+                parameters: parameters('query', Schemas.ImportQuery),
+                requestBody: json('BackupImport'),
+                responses: { ...ok('What was imported, skipped and why', ref('ImportReport')), ...errors(400, 401, 413) }
+            }
+        },
+        '/import/csv': {
+            post: {
+                tags: ['data'], summary: 'Import meals from a CSV with a column mapping; meals already logged are skipped',
+                parameters: parameters('query', Schemas.ImportQuery),
+                requestBody: json('CsvImport'),
+                responses: { ...ok('What was imported, skipped and why', ref('ImportReport')), ...errors(400, 401, 413) }
+            }
+        },
+        '/analyze': {
+            post: {
+                tags: ['analysis'], summary: 'Analyze a food photo into a pending, itemized draft',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: { type: 'object', properties: { image: { type: 'string', contentMediaType: 'image/*', description: 'JPEG, PNG, WebP or HEIC, detected from the file content' } }, required: ['image'] }
+                        }
+                    }
+                },
+                responses: {
+                    ...ok('Queued analysis job; the Location header points at it', ref('AnalysisJob'), { status: 202 }),
+                    ...errors(400, 401, 413, 415, 429, 503)
+                }
+            }
+        },
+        '/analysis-jobs/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            get: { tags: ['analysis'], summary: 'Current snapshot of an analysis job', responses: { ...ok('Job', ref('AnalysisJob')), ...errors(401, 404) } }
+        },
+        '/analysis-jobs/{id}/events': {
+            parameters: parameters('path', Schemas.IdParams),
+            get: {
+                tags: ['analysis'], summary: 'Follow an analysis job over Server-Sent Events',
+                description: 'Sends a `job` event with the current snapshot, then one per stage change ' +
+                    '(received, preprocessing, inference, nutrient_lookup, done or failed). The stream ends with the final stage.',
+                responses: {
+                    200: { description: 'Event stream of AnalysisJob snapshots', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                    ...errors(401, 404)
+                }
+            }
+        },
+        '/analyses/{id}': {
+            parameters: parameters('path', Schemas.IdParams),
+            get: { tags: ['analysis'], summary: 'A pending or confirmed analysis', responses: { ...ok('Analysis', ref('Analysis')), ...errors(401, 404) } },
+            patch: {
+                tags: ['analysis'], summary: 'Replace the draft items (resize, swap, remove, add)',
+                requestBody: json('AnalysisEdit'),
+                responses: { ...ok('Updated draft', ref('Analysis')), ...errors(400, 401, 404, 409) }
+            },
+            delete: { tags: ['analysis'], summary: 'Discard a pending analysis', responses: { ...noContent('Discarded'), ...errors(401, 404, 409) } }
+        },
+        '/analyses/{id}/confirm': {
+            parameters: parameters('path', Schemas.IdParams),
+            post: {
+                tags: ['analysis'], summary: 'Log the (optionally edited) items as one meal',
+                requestBody: { required: false, content: { 'application/json': { schema: ref('AnalysisConfirm') } } },
+                responses: { ...ok('Logged meal', ref('Meal'), { status: 201 }), ...errors(400, 401, 404, 409) }
+            }
+        }
+    },
+    components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+        schemas: {
+            Nutrients: Schemas.Nutrients,
+            Serving: Schemas.Serving,
+            Credentials: Schemas.Credentials,
+            Registration: Schemas.Registration,
+            MealInput: Schemas.MealInput,
+            MealPatch: Schemas.MealPatch,
+            MealCopy: Schemas.MealCopy,
+            FrequentFood: Schemas.FrequentFood,
+            TemplateInput: Schemas.TemplateInput,
+            TemplateApply: Schemas.TemplateApply,
+            Template: Schemas.Template,
+            BackupImport: Schemas.BackupImport,
+            CsvImport: Schemas.CsvImport,
+            ImportReport: Schemas.ImportReport,
+            ProfilePatch: Schemas.ProfilePatch,
+            AnalysisEdit: Schemas.AnalysisEdit,
+            AnalysisConfirm: Schemas.AnalysisConfirm,
+            User: Schemas.User,
+            Profile: Schemas.Profile,
+            Targets: Schemas.Targets,
+            Session: Schemas.Session,
+            Meal: Schemas.Meal,
+            Stats: Schemas.Stats,
+            StatsDay: Schemas.StatsDay,
+            NutritionScore: Schemas.NutritionScore,
+            WeightInput: Schemas.WeightInput,
+            WeightPatch: Schemas.WeightPatch,
+            WeightEntry: Schemas.WeightEntry,
+            WeightTrend: Schemas.WeightTrend,
+            BeverageInput: Schemas.BeverageInput,
+            BeveragePatch: Schemas.BeveragePatch,
+            Beverage: Schemas.Beverage,
+            BeverageDay: Schemas.BeverageDay,
+            BeverageStats: Schemas.BeverageStats,
+            ReminderInput: Schemas.ReminderInput,
+            ReminderPatch: Schemas.ReminderPatch,
+            Reminder: Schemas.Reminder,
+            Notification: Schemas.Notification,
+            PushSubscriptionInput: Schemas.PushSubscriptionInput,
+            PushSubscription: Schemas.PushSubscription,
+            Food: Schemas.Food,
+            RecipeInput: Schemas.RecipeInput,
+            RecipePatch: Schemas.RecipePatch,
+            Recipe: Schemas.Recipe,
+            Product: Schemas.Product,
+            Analysis: Schemas.Analysis,
+            AnalysisJob: Schemas.AnalysisJob,
+            Error: ErrorBody
+        },
+        responses: Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) =>
+            [`Error${status}`, { description, content: { 'application/json': { schema: ref('Error') } } }]))
+    }
+});
@@ -0,0 +1,81 @@
+import { db } from './db.js';
+import { OVERRIDE_KEYS, computeTargets } from './targets.js';
+import { WeightService } from './weights.js';
+import { DEFAULT_MEAL_SLOTS, sortSlots } from './slots.js';
+import { localDate } from './dates.js';
+
+// Body and goal settings, one record per user in the `profiles` collection.
+// Every field is optional; targets fall back to defaults until the body fields are set.
+// `weight_kg` follows the newest weigh-in (see syncWeight); `weight_unit` is only a display preference.
+// `meal_slots` are the parts of the day the log is grouped into (lib/slots.js).
+// The hydration target and the caffeine and alcohol limits fall back to lib/beverages.js defaults.
+// `time_zone` is the user's day: "today", totals and streaks are counted in it and new meals are
+// dated in it (lib/zones.js); an unset zone counts as UTC. Changing it leaves the local dates of
+// meals already logged alone. It and `quiet_hours` are also read by the reminder scheduler
+// (lib/reminders.js). Quiet hours may wrap past midnight, and start = end turns them off.
+export const PROFILE_FIELDS = [
+    'sex', 'age', 'height_cm', 'weight_kg', 'activity_level', 'goal', 'rate_kg_per_week', 'macro_preset', 'weight_unit', 'use_measured_tdee', 'meal_slots',
+    'volume_unit', 'water_target_ml', 'caffeine_limit_mg', 'alcohol_limit_drinks', 'time_zone', 'quiet_hours'
+];
+
+const DEFAULTS = {
+    activity_level: 'sedentary', goal: 'maintain', rate_kg_per_week: 0, macro_preset: 'balanced', weight_unit: 'kg', use_measured_tdee: false,
+    volume_unit: 'ml', meal_slots: DEFAULT_MEAL_SLOTS, quiet_hours: { start: '22:00', end: '07:00' }
+};
+
+// The measured TDEE is only worked out when the profile asks for it.
+const present = async (userId, record) => {
+    const profile = { ...DEFAULTS, overrides: {} };
+    for (const field of PROFILE_FIELDS) {
+        if (record?.[field] !== undefined) profile[field] = record[field];
+    }
+    profile.overrides = { ...record?.overrides };
+    if (record?.updated_at) profile.updated_at = record.updated_at;
+    const estimate = profile.use_measured_tdee ? await WeightService.estimateTdee(userId) : null;
+    return { profile, targets: computeTargets(profile, { measuredTdee: estimate?.tdee ?? null }) };
+};
+
+const findRecord = async (userId) => {
+    const [record] = await db.query('profiles', { user_id: userId });
+    return record || null;
+};
+
+export const ProfileService = {
+    // { profile, targets } for the user, whether or not they have saved anything yet.
+    get: async (userId) => present(userId, await findRecord(userId)),
+
+    // Partial update (the body is checked against ProfilePatch). `null` clears a field;
+    // `overrides` is merged key by key: { overrides: { calories: null } } drops one override,
+    // { overrides: null } drops them all. The record is made in the same store step that looks
+    // for it, so concurrent first writes (a profile save racing a weigh-in) share one record.
+    update: async (userId, patch) => {
+        const record = await db.insertOnce('profiles', { user_id: userId }, { user_id: userId });
+        const changes = {};
+        for (const field of PROFILE_FIELDS) {
+            if (patch[field] !== undefined) changes[field] = patch[field] ?? undefined;
+        }
+        if (changes.meal_slots) changes.meal_slots = sortSlots(changes.meal_slots);
+        // Throws 400 INVALID_TIME_ZONE for a zone this runtime does not know.
+        if (changes.time_zone) localDate(new Date(), changes.time_zone);
+        if (patch.overrides === null) {
+            changes.overrides = {};
+        } else if (patch.overrides !== undefined) {
+            const overrides = { ...record.overrides };
+            for (const key of OVERRIDE_KEYS) {
+                if (patch.overrides[key] === null) delete overrides[key];
+                else if (patch.overrides[key] !== undefined) overrides[key] = patch.overrides[key];
+            }
+            changes.overrides = overrides;
+        }
+        changes.updated_at = new Date().toISOString();
+
+        return present(userId, await db.update('profiles', record.id, changes));
+    },
+
+    // Makes the newest weigh-in the profile's weight, so the targets follow the scale. With no
+    // weigh-in left the weight is cleared rather than kept from one the user deleted.
+    syncWeight: async (userId) => {
+        const latest = await WeightService.latest(userId);
+        return ProfileService.update(userId, { weight_kg: latest ? latest.weight_kg : null });
+    }
+};
@@ -0,0 +1,136 @@
+import { config } from './config.js';
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { createKeyPair, encryptPayload, unb64, vapidAuthorization } from './webpush.js';
+
+/*
+ * Push notifications to the user's devices.
+ *
+ * The browser subscribes with this server's VAPID public key and hands over its subscription
+ * (endpoint and keys), which is kept per user. A message is encrypted for each subscription
+ * and POSTed to its push service (lib/webpush.js); the push service wakes the browser, whose
+ * service worker (public/sw.js) shows it. Endpoints that answer 404 or 410 have been
+ * unsubscribed and are dropped.
+ *
+ * The server POSTs to whatever endpoint a user hands over, so only the known push services
+ * (config.push.hosts) are accepted; anything else would let users aim it at hosts of their
+ * choosing, internal ones included.
+ */
+
+export const TTL_SECONDS = 24 * 60 * 60;
+export const MAX_SUBSCRIPTIONS = 10;
+
+// The server's VAPID key pair, from the environment or made for this run.
+const vapidKeys = (() => {
+    if (config.push.publicKey && config.push.privateKey) {
+        return { publicKey: config.push.publicKey, privateKey: config.push.privateKey };
+    }
+    console.warn('⚠️ VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY not set: using a key pair made for this run. Push subscriptions will stop working after a restart.');
+    return createKeyPair();
+})();
+
+// Sends one message; resolves with the push service's status code. Redirects are not followed:
+// they would carry the signed request past the host check to wherever the push host points,
+// so a 3xx counts as a failed delivery.
+const deliver = async (subscription, payload) => {
+    const body = encryptPayload(subscription, JSON.stringify(payload));
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: vapidAuthorization({ endpoint: subscription.endpoint, ...vapidKeys, subject: config.push.subject }),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(TTL_SECONDS),
+            Urgency: 'normal'
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.push.timeoutMs)
+    });
+    return response.status;
+};
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// An https URL on a known push service's default port, or with PUSH_ALLOW_HTTP an http URL
+// on this machine (the mock push service).
+export const isPushService = (url) => {
+    if (url.username || url.password) return false;
+    if (url.protocol === 'http:') return config.push.allowHttp && LOOPBACK_HOSTS.includes(url.hostname);
+    return url.protocol === 'https:' && url.port === ''
+        && config.push.hosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+};
+
+// Checks a subscription from PushManager.subscribe() before it is kept.
+const checkSubscription = ({ endpoint, keys }) => {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        throw new HttpError(400, '"endpoint" must be a URL', 'INVALID_SUBSCRIPTION');
+    }
+    if (!isPushService(url)) {
+        throw new HttpError(400, `Push endpoints must be https URLs on a known push service (${config.push.hosts.join(', ')})`, 'INVALID_SUBSCRIPTION');
+    }
+    const point = unb64(keys.p256dh);
+    if (point.length !== 65 || point[0] !== 4) throw new HttpError(400, '"keys.p256dh" must be an uncompressed P-256 public key', 'INVALID_SUBSCRIPTION');
+    if (unb64(keys.auth).length !== 16) throw new HttpError(400, '"keys.auth" must be 16 bytes', 'INVALID_SUBSCRIPTION');
+};
+
+const present = ({ id, endpoint, created_at }) => ({ id, endpoint, created_at });
+
+export const PushService = {
+    publicKey: () => vapidKeys.publicKey,
+
+    list: async (userId) => (await db.query('push_subscriptions', { user_id: userId })).map(present),
+
+    // The same endpoint subscribed again (new keys after a browser reset) replaces the old record.
+    subscribe: async (userId, { endpoint, keys }) => {
+        checkSubscription({ endpoint, keys });
+        // A browser only has one subscription: whoever subscribes it last gets its messages.
+        await db.delete('push_subscriptions', sub => sub.endpoint === endpoint && sub.user_id !== userId);
+        const existing = await db.query('push_subscriptions', { user_id: userId });
+        const same = existing.find(sub => sub.endpoint === endpoint);
+        if (same) return present(await db.update('push_subscriptions', same.id, { keys }));
+        if (existing.length >= MAX_SUBSCRIPTIONS) {
+            throw new HttpError(400, `At most ${MAX_SUBSCRIPTIONS} devices can get push notifications`, 'TOO_MANY_SUBSCRIPTIONS');
+        }
+        return present(await db.insert('push_subscriptions', { user_id: userId, endpoint, keys }));
+    },
+
+    unsubscribe: async (userId, id) => {
+        const removed = await db.delete('push_subscriptions', { id, user_id: userId });
+        if (!removed) throw new HttpError(404, 'Push subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+    },
+
+    // Sends `payload` (JSON) to every device of the user. Failures are counted, not thrown:
+    // a notification is still shown in the app when push does not get through.
+    sendToUser: async (userId, payload) => {
+        const subscriptions = await db.query('push_subscriptions', { user_id: userId });
+        const result = { sent: 0, failed: 0, removed: 0 };
+        await Promise.all(subscriptions.map(async subscription => {
+            // Kept before the host check, or its push service was taken off the list since.
+            if (!isPushService(new URL(subscription.endpoint))) {
+                await db.delete('push_subscriptions', subscription.id);
+                result.removed += 1;
+                return;
+            }
+            try {
+                const status = await deliver(subscription, payload);
+                if (status === 404 || status === 410) {
+                    await db.delete('push_subscriptions', subscription.id);
+                    result.removed += 1;
+                } else if (status >= 200 && status < 300) {
+                    result.sent += 1;
+                } else {
+                    console.warn(`⚠️ Push service answered ${status} for ${new URL(subscription.endpoint).origin}`);
+                    result.failed += 1;
+                }
+            } catch (e) {
+                console.warn(`⚠️ Push to ${new URL(subscription.endpoint).origin} failed: ${e.message}`);
+                result.failed += 1;
+            }
+        }));
+        return result;
+    }
+};
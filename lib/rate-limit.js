@@ -0,0 +1,75 @@
+import { HttpError } from './http.js';
+
+/*
+ * Fixed-window rate limiting.
+ *
+ * A limiter counts requests per key (client IP, user id, ...) inside a window of `windowMs`
+ * and refuses the request with 429 once `max` is exceeded. Every response carries the
+ * RateLimit-Limit / -Remaining / -Reset / -Policy headers (IETF draft); a refused one also
+ * carries Retry-After. When several limiters apply to one request, the headers describe
+ * whichever has the fewest requests left.
+ */
+
+// Every store exposes the same surface:
+//   hit(key, windowMs) -> { count, resetIn }   count includes this hit; resetIn is in ms
+//   reset(key)
+// The in-memory store takes its clock as an option, so tests can step time by hand.
+export const createMemoryStore = ({ now = Date.now } = {}) => {
+    const windows = new Map(); // key -> { count, resetAt }
+    let nextSweep = 0;
+
+    // Drops finished windows now and then, so one-off clients do not pile up forever.
+    const sweep = (time, windowMs) => {
+        if (time < nextSweep) return;
+        for (const [key, window] of windows) {
+            if (window.resetAt <= time) windows.delete(key);
+        }
+        nextSweep = time + windowMs;
+    };
+
+    return {
+        hit: (key, windowMs) => {
+            const time = now();
+            sweep(time, windowMs);
+            let window = windows.get(key);
+            if (!window || window.resetAt <= time) {
+                window = { count: 0, resetAt: time + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetIn: window.resetAt - time };
+        },
+
+        reset: (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+const describeWait = (seconds) => (seconds === 1 ? '1 second' : seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`);
+
+// `key(req)` returns the bucket for a request, or null to let it through uncounted.
+export const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests', store = createMemoryStore() }) => (req, res, next) => {
+    const id = key(req);
+    if (id === null || id === undefined) return next();
+
+    const { count, resetIn } = store.hit(`${name}:${id}`, windowMs);
+    const remaining = Math.max(0, max - count);
+    const resetSeconds = Math.ceil(resetIn / 1000);
+
+    const shown = res.get('RateLimit-Remaining');
+    if (shown === undefined || remaining <= Number(shown)) {
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(resetSeconds),
+            'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`
+        });
+    }
+
+    if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return next(new HttpError(429, `${message}. Try again in ${describeWait(resetSeconds)}.`));
+    }
+    next();
+};
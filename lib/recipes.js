@@ -0,0 +1,141 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { scaleNutrients, sumNutrients } from './nutrients.js';
+import { FoodCatalog, createCatalog, portionOf, presentFood, searchCatalogs } from './foods/catalog.js';
+import { mixedProcessingLevel, processingLevel } from './scoring.js';
+
+/*
+ * Recipes and custom foods, built from catalog ingredients.
+ *
+ * A recipe lists catalog foods with the grams (or ml) that go into it and the number of
+ * servings it yields; a custom food is a recipe of one serving. Ingredients are priced from
+ * the catalog when the recipe is saved and stored with their values, so a re-imported
+ * catalog does not change a recipe behind the user's back.
+ *
+ * Recipes are also served in the catalog's Food shape, with id "recipe-<id>", values per
+ * serving and per_100 from the total weight (ml counted as g). Food search indexes them
+ * with the same ranking as the catalog, so they come up next to built-in foods.
+ */
+
+export const MAX_INGREDIENTS = 50;
+export const MAX_SERVINGS = 100;
+export const RECIPE_FOOD_PREFIX = 'recipe-';
+export const RECIPE_CATEGORY = 'My recipes';
+// A user's own recipes rank like the most popular catalog foods.
+const RECIPE_POPULARITY = 100;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// One ingredient at `size` grams/ml of a catalog food.
+const priceIngredient = ({ food_id, size, label }, i) => {
+    const food = FoodCatalog.get(food_id);
+    if (!food) throw new HttpError(400, `ingredients[${i}].food_id is not a known food`);
+    const view = portionOf(food, { label: label || `${size} ${food.base_unit}`, amount: size });
+    return {
+        food_id: food.id,
+        name: food.name,
+        size: view.size,
+        unit: view.unit,
+        label: view.label,
+        calories: view.calories,
+        nutrients: view.nutrients,
+        processing: processingLevel(food)
+    };
+};
+
+// Totals are always derived from the ingredients, so edits cannot leave them stale.
+const withTotals = (recipe) => {
+    const calories = recipe.ingredients.reduce((sum, item) => sum + item.calories, 0);
+    return {
+        ...recipe,
+        total: {
+            size: round(recipe.ingredients.reduce((sum, item) => sum + item.size, 0)),
+            calories,
+            nutrients: sumNutrients(recipe.ingredients.map(item => item.nutrients))
+        },
+        processing: mixedProcessingLevel(recipe.ingredients.map(item => ({ calories: item.calories, level: item.processing })))
+    };
+};
+
+// The recipe as a catalog food: per 100 g of the finished dish, portioned per serving.
+export const recipeAsFood = (recipe) => {
+    const per100 = 100 / recipe.total.size;
+    const serving = recipe.total.size / recipe.servings;
+    return {
+        id: RECIPE_FOOD_PREFIX + recipe.id,
+        name: recipe.name,
+        category: RECIPE_CATEGORY,
+        base_unit: 'g',
+        popularity: RECIPE_POPULARITY,
+        calories: Math.round(recipe.total.calories * per100),
+        nutrients: scaleNutrients(recipe.total.nutrients, per100),
+        portions: [
+            { label: recipe.serving_label || '1 serving', amount: round(serving) },
+            ...(recipe.servings > 1 ? [{ label: `Whole recipe (${recipe.servings} servings)`, amount: recipe.total.size }] : [])
+        ],
+        nova: recipe.processing,
+        source: 'recipe'
+    };
+};
+
+const present = ({ user_id, ...recipe }) => {
+    const food = presentFood(recipeAsFood(recipe));
+    return {
+        ...recipe,
+        food_id: food.id,
+        per_serving: { ...food.serving, calories: food.calories, nutrients: food.nutrients },
+        nutrition_score: food.nutrition_score
+    };
+};
+
+const sanitize = (input) => {
+    const recipe = {};
+    if (input.name !== undefined) recipe.name = input.name.trim();
+    if (input.servings !== undefined) recipe.servings = input.servings;
+    if (input.serving_label !== undefined) recipe.serving_label = input.serving_label ?? undefined;
+    if (input.note !== undefined) recipe.note = input.note ?? undefined;
+    if (input.ingredients !== undefined) recipe.ingredients = input.ingredients.map(priceIngredient);
+    return recipe;
+};
+
+const findOwned = async (userId, id) => {
+    const [recipe] = await db.query('recipes', { id, user_id: userId });
+    if (!recipe) throw new HttpError(404, 'Recipe not found', 'RECIPE_NOT_FOUND');
+    return recipe;
+};
+
+export const RecipeService = {
+    // Alphabetical, as a cookbook.
+    list: async (userId) => {
+        const recipes = await db.query('recipes', { user_id: userId });
+        return recipes.sort((a, b) => a.name.localeCompare(b.name)).map(present);
+    },
+
+    get: async (userId, id) => present(await findOwned(userId, id)),
+
+    create: async (userId, input) => present(await db.insert('recipes', withTotals({ servings: 1, ...sanitize(input), user_id: userId }))),
+
+    update: async (userId, id, input) => {
+        const recipe = await findOwned(userId, id);
+        const updated = withTotals({ ...recipe, ...sanitize(input) });
+        return present(await db.update('recipes', id, { ...updated, updated_at: new Date().toISOString() }));
+    },
+
+    remove: async (userId, id) => {
+        await findOwned(userId, id);
+        await db.delete('recipes', id);
+    },
+
+    // A "recipe-<id>" food id in the catalog's Food shape, or null for any other id.
+    food: async (userId, foodId) => {
+        if (!foodId.startsWith(RECIPE_FOOD_PREFIX)) return null;
+        const [recipe] = await db.query('recipes', { id: foodId.slice(RECIPE_FOOD_PREFIX.length), user_id: userId });
+        return recipe ? presentFood(recipeAsFood(recipe)) : null;
+    },
+
+    // Catalog search with the user's recipes ranked in.
+    search: async (userId, query, options) => {
+        const recipes = await db.query('recipes', { user_id: userId });
+        return searchCatalogs([FoodCatalog, createCatalog(recipes.map(recipeAsFood))], query, options);
+    }
+};
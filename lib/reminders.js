@@ -0,0 +1,248 @@
+import { config } from './config.js';
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { addDays, localDate, localTime, zonedInstant } from './dates.js';
+import { BeverageService, VOLUME_UNITS } from './beverages.js';
+import { NotificationService } from './notifications.js';
+import { ProfileService } from './profiles.js';
+import { StatsService } from './stats.js';
+
+/*
+ * Reminder rules and the scheduler that checks them.
+ *
+ * A user keeps up to MAX_REMINDERS rules of four types:
+ *   meal_slot     at `time` (default an hour into the slot), if nothing is logged in `slot` today
+ *   inactivity    once the last meal is `hours` old
+ *   calorie_goal  when today's calories reach `near_share` of the target, and again when over it
+ *   hydration     every `every_hours` between `from` and `until`, while water is behind pace
+ *
+ * Every minute (REMINDER_INTERVAL_MS) the scheduler checks the rules of everyone who has one,
+ * on the clock of the profile's time zone. Nothing fires during the profile's quiet hours, and
+ * a meal reminder more than LATE_LIMIT_MINUTES late (the server was down, it was quiet time)
+ * is dropped rather than sent out of context. What fires goes to the in-app inbox and, unless
+ * the rule's `push` is off, to the user's devices (lib/notifications.js). A rule stores what it
+ * last fired for (`last_fired_for`: the local day, with the slot, level or window it was
+ * about), so it does not fire twice for it even once the notification has been pruned.
+ */
+
+export const REMINDER_TYPES = ['meal_slot', 'inactivity', 'calorie_goal', 'hydration'];
+export const MAX_REMINDERS = 20;
+export const LATE_LIMIT_MINUTES = 120;
+const SLOT_DELAY_MINUTES = 60;
+const DAY_MINUTES = 24 * 60;
+
+// The settings each type takes, with their defaults.
+export const REMINDER_SETTINGS = {
+    meal_slot: { slot: undefined, time: undefined },
+    inactivity: { hours: 5 },
+    calorie_goal: { near_share: 0.9 },
+    hydration: { every_hours: 2, from: '09:00', until: '21:00' }
+};
+
+const minutesOf = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const timeOf = (minutes) => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// When a meal_slot rule is due for the slot on local day `date`. The default time, an hour into
+// the slot, can run past midnight; it is then on the next local day.
+const slotDue = (rule, slot, date, timeZone) => {
+    const minutes = rule.time ? minutesOf(rule.time) : minutesOf(slot.start) + SLOT_DELAY_MINUTES;
+    return zonedInstant(addDays(date, Math.floor(minutes / DAY_MINUTES)), timeOf(minutes % DAY_MINUTES), timeZone).getTime();
+};
+
+// Whether a local HH:MM falls in quiet hours, which may wrap past midnight.
+export const isQuiet = (time, quiet) => {
+    if (!quiet || quiet.start === quiet.end) return false;
+    return quiet.start < quiet.end ? time >= quiet.start && time < quiet.end : time >= quiet.start || time < quiet.end;
+};
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-US');
+const formatVolume = (ml, unit) => `${formatNumber(ml / VOLUME_UNITS[unit])} ${unit === 'fl_oz' ? 'fl oz' : 'ml'}`;
+
+// A rule's stored fields: its type's settings from `input` (or the current rule), defaults for
+// the rest. Settings of another type are refused rather than silently kept.
+const sanitize = (input, current) => {
+    const type = current?.type ?? input.type;
+    const allowed = REMINDER_SETTINGS[type];
+    const foreign = Object.keys(input).find(key => !['type', 'enabled', 'push'].includes(key) && !(key in allowed));
+    if (foreign) throw new HttpError(400, `"${foreign}" does not apply to ${type} reminders`, 'INVALID_REMINDER');
+    if (type === 'meal_slot' && !(input.slot ?? current?.slot)) throw new HttpError(400, 'A meal_slot reminder needs a "slot"', 'INVALID_REMINDER');
+    const settings = Object.fromEntries(Object.entries(allowed).map(([key, fallback]) => [key, input[key] ?? current?.[key] ?? fallback]));
+    if (type === 'hydration' && settings.from >= settings.until) throw new HttpError(400, '"from" must be before "until"', 'INVALID_REMINDER');
+    return {
+        type,
+        enabled: input.enabled ?? current?.enabled ?? true,
+        push: input.push ?? current?.push ?? true,
+        ...settings
+    };
+};
+
+const present = ({ user_id, ...rule }) => rule;
+
+const findOwned = async (userId, id) => {
+    const [rule] = await db.query('reminders', { id, user_id: userId });
+    if (!rule) throw new HttpError(404, 'Reminder not found', 'REMINDER_NOT_FOUND');
+    return rule;
+};
+
+// The slot a meal_slot rule names must be one of the user's.
+const checkSlot = async (userId, rule) => {
+    if (rule.type !== 'meal_slot') return;
+    const { profile } = await ProfileService.get(userId);
+    if (!profile.meal_slots.some(slot => slot.id === rule.slot)) {
+        throw new HttpError(400, `"${rule.slot}" is not one of your meal slots`, 'UNKNOWN_SLOT');
+    }
+};
+
+// What each type has to say at `now`, or null. `for` is what it is about; the notification's
+// key is the rule's id and `for`. `context` holds the user's data, each day loaded once.
+const EVALUATORS = {
+    // Today's slot, or yesterday's when its reminder is due after midnight.
+    meal_slot: async (rule, { now, profile, today, timeZone, dayOf }) => {
+        const slot = profile.meal_slots.find(s => s.id === rule.slot);
+        if (!slot) return null;
+        const date = [today, addDays(today, -1)].find(key => {
+            const late = (now - slotDue(rule, slot, key, timeZone)) / 60_000;
+            return late >= 0 && late <= LATE_LIMIT_MINUTES;
+        });
+        if (!date) return null;
+        if ((await dayOf(date)).slots.find(s => s.id === slot.id)?.meals) return null;
+        return {
+            for: `${date}:${slot.id}`,
+            date,
+            title: `Time to log ${slot.name.toLowerCase()}`,
+            body: `Nothing is logged for ${slot.name.toLowerCase()} yet ${date === today ? 'today' : 'yesterday'}.`
+        };
+    },
+
+    inactivity: (rule, { now, lastMeal }) => {
+        if (!lastMeal) return null;
+        const hours = (now - Date.parse(lastMeal.eaten_at || lastMeal.created_at)) / (60 * 60 * 1000);
+        if (hours < rule.hours) return null;
+        return {
+            for: lastMeal.id,
+            title: `Nothing logged for ${Math.floor(hours)} hours`,
+            body: `Your last entry was "${lastMeal.name}". Had something since?`
+        };
+    },
+
+    // "Close" is not sent after "over" on the same day, even if a meal was deleted since.
+    calorie_goal: async (rule, { today, dayOf, targets }) => {
+        const day = await dayOf(today);
+        const target = targets.calories;
+        if (!day.meals || day.calories < target * rule.near_share) return null;
+        const over = day.calories > target;
+        if (!over && rule.last_fired_for === `${today}:over`) return null;
+        return {
+            for: `${today}:${over ? 'over' : 'near'}`,
+            title: over ? 'Over your calorie goal' : 'Close to your calorie goal',
+            body: over
+                ? `${formatNumber(day.calories)} of ${formatNumber(target)} kcal logged today.`
+                : `${formatNumber(day.calories)} of ${formatNumber(target)} kcal logged today, ${formatNumber(target - day.calories)} left.`
+        };
+    },
+
+    // Pace: the share of the target due by now if it were drunk evenly from `from` to `until`.
+    hydration: (rule, { profile, today, time, drinks }) => {
+        const start = minutesOf(rule.from);
+        const end = minutesOf(rule.until);
+        const elapsed = minutesOf(time) - start;
+        if (elapsed < 0 || minutesOf(time) >= end) return null;
+        const bucket = Math.floor(elapsed / (rule.every_hours * 60));
+        if (bucket < 1) return null;
+        const due = drinks.targets.water_ml * (elapsed / (end - start));
+        if (drinks.water_ml >= due) return null;
+        return {
+            for: `${today}:${bucket}`,
+            title: 'Time for some water',
+            body: `${formatVolume(drinks.water_ml, profile.volume_unit)} of ${formatVolume(drinks.targets.water_ml, profile.volume_unit)} so far today; about ${formatVolume(due, profile.volume_unit)} would be on pace.`
+        };
+    }
+};
+
+export const ReminderService = {
+    list: async (userId) => (await db.query('reminders', { user_id: userId }))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(present),
+
+    create: async (userId, input) => {
+        const rules = await db.query('reminders', { user_id: userId });
+        if (rules.length >= MAX_REMINDERS) throw new HttpError(400, `At most ${MAX_REMINDERS} reminders can be set`, 'TOO_MANY_REMINDERS');
+        const rule = sanitize(input);
+        await checkSlot(userId, rule);
+        return present(await db.insert('reminders', { ...rule, user_id: userId }));
+    },
+
+    update: async (userId, id, input) => {
+        const rule = sanitize(input, await findOwned(userId, id));
+        await checkSlot(userId, rule);
+        return present(await db.update('reminders', id, { ...rule, updated_at: new Date().toISOString() }));
+    },
+
+    remove: async (userId, id) => {
+        await findOwned(userId, id);
+        await db.delete('reminders', id);
+    },
+
+    // Checks the user's enabled rules at `now` and sends what is due. Resolves with the
+    // notifications sent, so a manual check (POST /reminders/check) shows what happened.
+    check: async (userId, now = new Date()) => {
+        const rules = await db.query('reminders', rule => rule.user_id === userId && rule.enabled);
+        if (!rules.length) return [];
+        const { profile, targets } = await ProfileService.get(userId);
+        const timeZone = profile.time_zone || 'UTC';
+        const time = localTime(now, timeZone);
+        if (isQuiet(time, profile.quiet_hours)) return [];
+
+        const today = localDate(now, timeZone);
+        const types = new Set(rules.map(rule => rule.type));
+        const [drinks, meals] = await Promise.all([
+            types.has('hydration') ? BeverageService.day(userId, { date: today, timeZone }) : null,
+            types.has('inactivity') ? db.query('meals', { user_id: userId }) : []
+        ]);
+        const days = new Map();
+        const dayOf = (date) => {
+            if (!days.has(date)) days.set(date, StatsService.day(userId, { date, timeZone }));
+            return days.get(date);
+        };
+        const lastMeal = meals
+            .filter(meal => Date.parse(meal.eaten_at || meal.created_at) <= now.getTime())
+            .sort((a, b) => Date.parse(b.eaten_at || b.created_at) - Date.parse(a.eaten_at || a.created_at))[0];
+        const context = { now: now.getTime(), profile, targets, timeZone, today, time, dayOf, drinks, lastMeal };
+
+        const sent = [];
+        for (const rule of rules) {
+            const { for: about, date = today, ...due } = await EVALUATORS[rule.type](rule, context) ?? {};
+            if (!about || rule.last_fired_for === about) continue;
+            // The inbox is asked too, for rules that last fired before `last_fired_for` was stored.
+            const key = `${rule.id}:${about}`;
+            if (await NotificationService.sent(userId, key)) continue;
+            await db.update('reminders', rule.id, { last_fired_for: about });
+            const url = `/pro.html#/day/${date}`;
+            sent.push(await NotificationService.send(userId, { ...due, key, type: rule.type, url }, { push: rule.push }));
+        }
+        return sent;
+    }
+};
+
+// Runs ReminderService.check for every user with an enabled rule every `intervalMs`. A tick
+// that is still busy when the next one is due makes that one skip.
+export const startReminderScheduler = ({ intervalMs = config.reminders.intervalMs } = {}) => {
+    if (!intervalMs) return null;
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const rules = await db.query('reminders', rule => rule.enabled);
+            const now = new Date();
+            for (const userId of new Set(rules.map(rule => rule.user_id))) {
+                await ReminderService.check(userId, now).catch(err => console.error(`💥 Reminder check failed for user ${userId}:`, err));
+            }
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(() => tick().catch(err => console.error('💥 Reminder tick failed:', err)), intervalMs);
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,983 @@
+import { NUTRIENTS, SERVING_UNITS } from './nutrients.js';
+import { FREQUENT_DEFAULT_DAYS, FREQUENT_MAX_LIMIT, LOGGED_FIELDS, SOURCES } from './meals.js';
+import { MAX_LIMIT as SEARCH_MAX_LIMIT } from './foods/catalog.js';
+import { MAX_ITEMS, MAX_SIZE } from './analyses.js';
+import { MAX_INGREDIENTS, MAX_SERVINGS } from './recipes.js';
+import { ANALYSIS_STAGES } from './analysis-jobs.js';
+import { ACTIVITY_LEVELS, GOALS, MACRO_PRESETS, MAX_RATE_KG_PER_WEEK, SEXES } from './targets.js';
+import { LENGTH_UNITS, TREND_SMOOTHING, WEIGHT_UNITS } from './weights.js';
+import { PROCESSING_LEVELS } from './scoring.js';
+import { MAX_MEAL_SLOTS, SLOT_ID_PATTERN, TIME_PATTERN } from './slots.js';
+import { MAX_TEMPLATE_ITEMS } from './templates.js';
+import { BACKUP_FORMAT, BACKUP_VERSION, CSV_FIELDS } from './export.js';
+import { DELIMITERS } from './csv.js';
+import { DATE_FORMATS } from './dates.js';
+import { ADHERENCE_TOLERANCE, DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS, ROLLING_WINDOW_DAYS } from './stats.js';
+import {
+    BEVERAGE_KINDS, DEFAULT_ALCOHOL_LIMIT_DRINKS, DEFAULT_CAFFEINE_LIMIT_MG, DEFAULT_WATER_ML, MAX_VOLUME_ML, NEAR_LIMIT_SHARE,
+    STANDARD_DRINK_G, VOLUME_UNITS, WATER_ML_PER_KG
+} from './beverages.js';
+import { LATE_LIMIT_MINUTES, REMINDER_SETTINGS, REMINDER_TYPES } from './reminders.js';
+
+// Request schemas (checked by lib/validate.js) and response schemas, both published
+// through the OpenAPI document. Services keep their own checks; these guard the edge.
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'], ...(schema.enum && { enum: [...schema.enum, null] }) });
+
+export const Nutrients = {
+    type: 'object',
+    description: 'Nutrient amounts per serving; units per key. null (or left out) means not known, which is not the same as 0.',
+    properties: Object.fromEntries(Object.entries(NUTRIENTS).map(([key, { label, unit }]) =>
+        [key, nullable(number({ minimum: 0, description: `${label} (${unit})` }))])),
+    additionalProperties: false
+};
+
+export const Serving = {
+    type: 'object',
+    properties: {
+        size: number({ exclusiveMinimum: 0 }),
+        unit: string({ enum: SERVING_UNITS }),
+        label: string({ maxLength: 60 })
+    },
+    required: ['size', 'unit'],
+    additionalProperties: false
+};
+
+// --- Requests ---
+
+export const Credentials = {
+    type: 'object',
+    properties: {
+        username: string({ minLength: 1, maxLength: 64 }),
+        password: string({ minLength: 1, maxLength: 1024 })
+    },
+    required: ['username', 'password'],
+    additionalProperties: false
+};
+
+export const Registration = {
+    ...Credentials,
+    properties: {
+        username: string({
+            pattern: '^[a-zA-Z0-9_.-]{3,32}$',
+            'x-message': 'must be 3-32 characters: letters, numbers, "_", "." or "-"'
+        }),
+        password: string({ minLength: 8, maxLength: 1024 })
+    }
+};
+
+const TimeZone = string({ maxLength: 64, description: 'IANA time zone the days are counted in (e.g. Europe/Berlin); defaults to the profile\'s time_zone, or UTC while that is unset' });
+
+const mealFields = {
+    name: string({ minLength: 1, maxLength: 120 }),
+    calories: number({ minimum: 0 }),
+    nutrients: Nutrients,
+    serving: Serving,
+    icon: string({ maxLength: 16 }),
+    source: string({ enum: SOURCES }),
+    processing: nullable({
+        type: 'integer', minimum: 1, maximum: 4,
+        description: `Processing level of the food, when known (search and barcode results give it as nutrition_score.processing.level): ${Object.entries(PROCESSING_LEVELS).map(([level, label]) => `${level} ${label}`).join(', ')}`
+    }),
+    slot: nullable(string({
+        pattern: SLOT_ID_PATTERN,
+        'x-message': 'must be a meal slot id',
+        description: 'Meal slot id from the profile\'s meal_slots; without one (or once the slot is removed) the meal falls in the slot of the time it was eaten'
+    })),
+    eaten_at: string({ format: 'date-time' })
+};
+
+// `tz` is only taken in: it dates the meal, which keeps it as local_date and time_zone.
+const mealInputFields = {
+    ...mealFields,
+    tz: { ...TimeZone, description: 'IANA time zone the meal was eaten in, which sets its local_date; defaults to the profile\'s time_zone (on a PATCH, to the zone the meal was logged in)' }
+};
+
+// Set by a client that may send the same create twice (an offline queue retrying after a lost
+// response): a second create with the same id returns the first record instead of a copy.
+const ClientId = string({ minLength: 1, maxLength: 64, description: 'Idempotency key chosen by the client; a create repeating one returns the record already made with it' });
+
+export const MealInput = { type: 'object', properties: { ...mealInputFields, client_id: ClientId }, required: ['name', 'calories'], additionalProperties: false };
+export const MealPatch = { type: 'object', properties: mealInputFields, minProperties: 1, additionalProperties: false };
+
+export const MealListQuery = {
+    type: 'object',
+    properties: {
+        from: string({ format: 'date-or-date-time', description: 'Inclusive lower bound: a date-time on eaten_at, or a date on local_date' }),
+        to: string({ format: 'date-or-date-time', description: 'Inclusive upper bound; a bare date covers the whole local day' }),
+        date: string({ format: 'date', description: 'Only this local day (the same as "from" and "to" both set to it)' }),
+        tz: { ...TimeZone, description: 'IANA time zone that dates entries logged before local_date was stored; defaults to the profile\'s time_zone' }
+    }
+};
+
+const SlotId = string({ pattern: SLOT_ID_PATTERN, 'x-message': 'must be a meal slot id' });
+
+export const MealFrequentQuery = {
+    type: 'object',
+    properties: {
+        days: { type: 'integer', minimum: 1, maximum: 365, description: `Look-back in days (default ${FREQUENT_DEFAULT_DAYS})` },
+        limit: { type: 'integer', minimum: 1, maximum: FREQUENT_MAX_LIMIT },
+        slot: { ...SlotId, description: 'Rank foods eaten in this slot first' },
+        tz: TimeZone
+    }
+};
+
+export const MealCopy = {
+    type: 'object',
+    properties: {
+        from: string({ format: 'date', description: 'Day to copy from' }),
+        to: string({ format: 'date', description: 'Day to log on; defaults to today' }),
+        slot: { ...SlotId, description: 'Only copy this slot' },
+        to_slot: { ...SlotId, description: 'Log everything into this slot, at its start time' },
+        tz: TimeZone
+    },
+    required: ['from'],
+    additionalProperties: false
+};
+
+export const TemplateInput = {
+    type: 'object',
+    properties: {
+        name: string({ minLength: 1, maxLength: 80 }),
+        date: string({ format: 'date', description: 'Day whose meals are saved; defaults to today' }),
+        slot: { ...SlotId, description: 'Only save this slot; without it the whole day is saved' },
+        tz: TimeZone
+    },
+    required: ['name'],
+    additionalProperties: false
+};
+
+export const TemplateApply = {
+    type: 'object',
+    properties: {
+        date: string({ format: 'date', description: 'Day to log on; defaults to today' }),
+        slot: { ...SlotId, description: 'Log everything into this slot' },
+        tz: TimeZone
+    },
+    additionalProperties: false
+};
+
+// A template as a backup file holds it (see the Template response).
+export const TemplateRecord = {
+    type: 'object',
+    properties: {
+        name: TemplateInput.properties.name,
+        slot: nullable(SlotId),
+        items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_TEMPLATE_ITEMS,
+            items: {
+                type: 'object',
+                properties: {
+                    ...Object.fromEntries(LOGGED_FIELDS.map(key => [key, mealFields[key]])),
+                    slot: SlotId,
+                    time: string({ pattern: TIME_PATTERN, 'x-message': 'must be a time as HH:MM' })
+                },
+                required: ['name', 'calories', 'time'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['name', 'items'],
+    additionalProperties: false
+};
+
+export const StatsQuery = {
+    type: 'object',
+    properties: {
+        from: string({ format: 'date', description: `First day (inclusive); defaults to ${DEFAULT_RANGE_DAYS} days before "to"` }),
+        to: string({ format: 'date', description: 'Last day (inclusive); defaults to today' }),
+        tz: TimeZone
+    },
+    description: `At most ${MAX_RANGE_DAYS} days`
+};
+
+export const StatsDayQuery = {
+    type: 'object',
+    properties: {
+        date: string({ format: 'date', description: 'Defaults to today' }),
+        tz: StatsQuery.properties.tz
+    }
+};
+
+export const FoodSearchQuery = {
+    type: 'object',
+    properties: {
+        q: string({ maxLength: 200, description: 'Free text; typos and common synonyms are tolerated' }),
+        page: { type: 'integer', minimum: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: SEARCH_MAX_LIMIT }
+    }
+};
+
+export const ExportQuery = {
+    type: 'object',
+    properties: {
+        from: string({ format: 'date', description: 'First day (inclusive); defaults to the first meal' }),
+        to: string({ format: 'date', description: 'Last day (inclusive); defaults to the last meal' }),
+        tz: TimeZone
+    }
+};
+
+export const ImportQuery = {
+    type: 'object',
+    properties: {
+        dry_run: { type: 'boolean', description: 'Check the file and report what would be imported, without saving anything' }
+    }
+};
+
+export const BackupImport = {
+    type: 'object',
+    description: 'A file from GET /export/backup.json',
+    properties: {
+        format: string({ enum: [BACKUP_FORMAT] }),
+        version: { type: 'integer', minimum: 1, maximum: BACKUP_VERSION }
+    },
+    required: ['format', 'version']
+};
+
+export const CsvImport = {
+    type: 'object',
+    properties: {
+        csv: string({ minLength: 1, description: 'The file\'s text, header line first' }),
+        mapping: {
+            type: 'object',
+            description: 'Column name for each field. Unmapped fields are read from a column of the same name, or the export\'s name with the unit (protein_g); name, calories and date are required.',
+            properties: Object.fromEntries(CSV_FIELDS.map(field => [field, string({ minLength: 1, maxLength: 100 })])),
+            additionalProperties: false
+        },
+        date_format: string({ enum: Object.keys(DATE_FORMATS), description: 'How the date column is written (default YYYY-MM-DD); ISO date-times are always accepted' }),
+        decimal: string({ enum: ['.', ','], description: 'Decimal separator of numbers (default ".")' }),
+        delimiter: string({ enum: DELIMITERS, description: 'Detected from the header line when left out' }),
+        tz: { ...TimeZone, description: 'IANA time zone the dates and times are in; defaults to the profile\'s time_zone' }
+    },
+    required: ['csv'],
+    additionalProperties: false
+};
+
+const recipeFields = {
+    name: string({ minLength: 1, maxLength: 120 }),
+    ingredients: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_INGREDIENTS,
+        items: {
+            type: 'object',
+            properties: {
+                food_id: string({ minLength: 1, maxLength: 100, description: 'Catalog food' }),
+                size: number({ exclusiveMinimum: 0, maximum: MAX_SIZE, description: 'Grams (or ml) of the food that go in' }),
+                label: string({ maxLength: 60, description: 'How the amount was measured, e.g. "2 cups"' })
+            },
+            required: ['food_id', 'size'],
+            additionalProperties: false
+        }
+    },
+    servings: number({ exclusiveMinimum: 0, maximum: MAX_SERVINGS, description: 'Servings the recipe yields (default 1: a custom food)' }),
+    serving_label: nullable(string({ maxLength: 60, description: 'Name of one serving, e.g. "1 bowl"' })),
+    note: nullable(string({ maxLength: 1000 }))
+};
+
+export const RecipeInput = { type: 'object', properties: recipeFields, required: ['name', 'ingredients'], additionalProperties: false };
+export const RecipePatch = { type: 'object', properties: recipeFields, minProperties: 1, additionalProperties: false };
+
+export const IdParams = {
+    type: 'object',
+    properties: { id: string({ minLength: 1, maxLength: 100 }) },
+    required: ['id']
+};
+
+export const BarcodeParams = {
+    type: 'object',
+    properties: { code: string({ pattern: '^[0-9 -]{8,20}$', 'x-message': 'must be an EAN-13 or UPC-A number', description: 'Digits as printed, spaces and dashes allowed; the check digit is verified' }) },
+    required: ['code']
+};
+
+const AnalysisItemEdit = {
+    type: 'object',
+    description: 'Keep a draft item ({ id }), resize it ({ id, size }), swap it ({ id, food_id }) or add a food ({ food_id }).',
+    properties: {
+        id: string({ maxLength: 64 }),
+        food_id: string({ maxLength: 100 }),
+        size: number({ exclusiveMinimum: 0, maximum: MAX_SIZE }),
+        label: string({ maxLength: 60 })
+    },
+    additionalProperties: false
+};
+
+export const AnalysisEdit = {
+    type: 'object',
+    properties: { items: { type: 'array', items: AnalysisItemEdit, maxItems: MAX_ITEMS } },
+    required: ['items'],
+    additionalProperties: false
+};
+
+export const AnalysisConfirm = {
+    type: 'object',
+    properties: {
+        items: { type: 'array', items: AnalysisItemEdit, minItems: 1, maxItems: MAX_ITEMS },
+        name: string({ minLength: 1, maxLength: 120 }),
+        eaten_at: string({ format: 'date-time' })
+    },
+    additionalProperties: false
+};
+
+const profileFields = {
+    sex: string({ enum: SEXES, description: '"other" uses the midpoint of the male and female equations' }),
+    age: { type: 'integer', minimum: 13, maximum: 120 },
+    height_cm: number({ minimum: 100, maximum: 250 }),
+    weight_kg: number({ minimum: 30, maximum: 400 }),
+    activity_level: string({ enum: Object.keys(ACTIVITY_LEVELS) }),
+    goal: string({ enum: GOALS }),
+    rate_kg_per_week: number({ minimum: 0, maximum: MAX_RATE_KG_PER_WEEK, description: 'Weight change per week for lose/gain' }),
+    macro_preset: string({ enum: Object.keys(MACRO_PRESETS) }),
+    weight_unit: string({ enum: Object.keys(WEIGHT_UNITS), description: 'Display preference; weights are always stored in kg' }),
+    use_measured_tdee: { type: 'boolean', description: 'Base the calorie target on the TDEE measured from intake and weight trend, once there is one' },
+    volume_unit: string({ enum: Object.keys(VOLUME_UNITS), description: 'Display preference; drinks are always stored in ml' }),
+    water_target_ml: number({ minimum: 500, maximum: 6000, description: `Daily hydration target; without one it is ${WATER_ML_PER_KG} ml per kg of body weight, or ${DEFAULT_WATER_ML} ml` }),
+    caffeine_limit_mg: number({ minimum: 0, maximum: 2000, description: `Daily caffeine limit (default ${DEFAULT_CAFFEINE_LIMIT_MG})` }),
+    alcohol_limit_drinks: number({ minimum: 0, maximum: 20, description: `Daily alcohol limit in standard drinks of ${STANDARD_DRINK_G} g (default ${DEFAULT_ALCOHOL_LIMIT_DRINKS})` }),
+    time_zone: string({ minLength: 1, maxLength: 64, description: 'IANA time zone that days, totals, streaks and reminders are counted in, and new meals are dated in; UTC while unset (the dashboards set the browser\'s)' }),
+    quiet_hours: {
+        type: 'object',
+        description: 'Local hours without reminders, e.g. 22:00-07:00 (the default); start = end turns them off',
+        properties: {
+            start: string({ pattern: TIME_PATTERN, 'x-message': 'must be a time as HH:MM' }),
+            end: string({ pattern: TIME_PATTERN, 'x-message': 'must be a time as HH:MM' })
+        },
+        required: ['start', 'end'],
+        additionalProperties: false
+    },
+    meal_slots: {
+        type: 'array',
+        description: 'Parts of the day the log is grouped into, each starting at a local time; null restores breakfast, lunch, snacks and dinner',
+        minItems: 1,
+        maxItems: MAX_MEAL_SLOTS,
+        items: {
+            type: 'object',
+            properties: {
+                id: SlotId,
+                name: string({ minLength: 1, maxLength: 40 }),
+                start: string({ pattern: TIME_PATTERN, 'x-message': 'must be a time as HH:MM' })
+            },
+            required: ['id', 'name', 'start'],
+            additionalProperties: false
+        }
+    }
+};
+
+const TargetOverrides = {
+    type: 'object',
+    description: 'Hand-set targets that replace the computed ones; null removes one',
+    properties: {
+        calories: nullable(number({ minimum: 800, maximum: 10000 })),
+        protein: nullable(number({ minimum: 0, maximum: 1000 })),
+        carbs: nullable(number({ minimum: 0, maximum: 1000 })),
+        fat: nullable(number({ minimum: 0, maximum: 1000 }))
+    },
+    additionalProperties: false
+};
+
+export const ProfilePatch = {
+    type: 'object',
+    properties: {
+        ...Object.fromEntries(Object.entries(profileFields).map(([key, schema]) => [key, nullable(schema)])),
+        overrides: { ...TargetOverrides, type: ['object', 'null'] }
+    },
+    minProperties: 1,
+    additionalProperties: false
+};
+
+const weightFields = {
+    weight: number({ exclusiveMinimum: 0, maximum: 1000, description: 'In `unit`' }),
+    unit: string({ enum: Object.keys(WEIGHT_UNITS) }),
+    waist: number({ exclusiveMinimum: 0, maximum: 300, description: 'In `waist_unit`' }),
+    waist_unit: string({ enum: Object.keys(LENGTH_UNITS) }),
+    body_fat_pct: number({ minimum: 2, maximum: 75 }),
+    note: string({ maxLength: 200 }),
+    measured_at: string({ format: 'date-time' })
+};
+
+export const WeightInput = { type: 'object', properties: weightFields, required: ['weight'], additionalProperties: false };
+
+export const WeightPatch = {
+    type: 'object',
+    properties: {
+        ...weightFields,
+        waist: nullable(weightFields.waist),
+        body_fat_pct: nullable(weightFields.body_fat_pct),
+        note: nullable(weightFields.note)
+    },
+    minProperties: 1,
+    additionalProperties: false
+};
+
+export const WeightListQuery = {
+    type: 'object',
+    properties: {
+        ...MealListQuery.properties,
+        from: string({ format: 'date-or-date-time', description: 'Inclusive lower bound: a date-time on measured_at, or a date on the local day' }),
+        tz: TimeZone
+    }
+};
+
+export const WeightTrendQuery = {
+    type: 'object',
+    properties: {
+        days: { type: 'integer', minimum: 7, maximum: 730, description: 'Days of trend to return (default 90)' },
+        tz: StatsQuery.properties.tz
+    }
+};
+
+const beverageFields = {
+    kind: string({ enum: Object.keys(BEVERAGE_KINDS), description: 'Sets the typical caffeine, strength and glass size (default water)' }),
+    name: nullable(string({ maxLength: 80, description: 'e.g. "Flat white"' })),
+    volume: number({ exclusiveMinimum: 0, maximum: MAX_VOLUME_ML, description: 'In `unit`; defaults to a typical glass of the kind' }),
+    unit: string({ enum: Object.keys(VOLUME_UNITS) }),
+    caffeine_mg: number({ minimum: 0, maximum: 2000, description: 'The whole drink\'s caffeine; worked out from the kind and volume when left out' }),
+    abv: number({ minimum: 0, maximum: 100, description: 'Alcohol by volume in percent; the kind\'s typical strength when left out' }),
+    drunk_at: string({ format: 'date-time' })
+};
+
+export const BeverageInput = {
+    type: 'object',
+    properties: {
+        ...beverageFields,
+        tz: { ...TimeZone, description: 'IANA time zone the drink was had in, which sets its local_date; defaults to the profile\'s time_zone' },
+        client_id: ClientId
+    },
+    additionalProperties: false
+};
+export const BeveragePatch = { type: 'object', properties: beverageFields, minProperties: 1, additionalProperties: false };
+export const BeverageListQuery = MealListQuery;
+export const BeverageDayQuery = StatsDayQuery;
+export const BeverageStatsQuery = StatsQuery;
+
+const Time = string({ pattern: TIME_PATTERN, 'x-message': 'must be a time as HH:MM' });
+
+const reminderFields = {
+    enabled: { type: 'boolean', description: 'Default true' },
+    push: { type: 'boolean', description: 'Also send to the devices with push on (default true); the in-app inbox always gets it' },
+    slot: { ...SlotId, description: 'meal_slot: the slot to remind about' },
+    time: { ...Time, description: `meal_slot: local time to remind at (default an hour after the slot starts); skipped when more than ${LATE_LIMIT_MINUTES} minutes late` },
+    hours: number({ minimum: 1, maximum: 24, description: `inactivity: hours since the last meal (default ${REMINDER_SETTINGS.inactivity.hours})` }),
+    near_share: number({ minimum: 0.5, maximum: 1, description: `calorie_goal: share of the target that counts as close (default ${REMINDER_SETTINGS.calorie_goal.near_share})` }),
+    every_hours: number({ minimum: 1, maximum: 12, description: `hydration: hours between checks (default ${REMINDER_SETTINGS.hydration.every_hours})` }),
+    from: { ...Time, description: `hydration: start of the drinking day (default ${REMINDER_SETTINGS.hydration.from})` },
+    until: { ...Time, description: `hydration: end of the drinking day (default ${REMINDER_SETTINGS.hydration.until})` }
+};
+
+export const ReminderInput = {
+    type: 'object',
+    properties: { type: string({ enum: REMINDER_TYPES }), ...reminderFields },
+    required: ['type'],
+    additionalProperties: false
+};
+
+// The type of a rule is fixed; make a new one instead.
+export const ReminderPatch = { type: 'object', properties: reminderFields, minProperties: 1, additionalProperties: false };
+
+export const NotificationListQuery = {
+    type: 'object',
+    properties: { unread: { type: 'boolean', description: 'Only unread ones' } },
+    additionalProperties: false
+};
+
+export const PushSubscriptionInput = {
+    type: 'object',
+    description: 'PushSubscription.toJSON() from the browser',
+    properties: {
+        endpoint: string({ minLength: 1, maxLength: 2048 }),
+        expirationTime: nullable(number()),
+        keys: {
+            type: 'object',
+            properties: {
+                p256dh: string({ pattern: '^[A-Za-z0-9_-]+={0,2}$', maxLength: 200, 'x-message': 'must be base64url' }),
+                auth: string({ pattern: '^[A-Za-z0-9_-]+={0,2}$', maxLength: 100, 'x-message': 'must be base64url' })
+            },
+            required: ['p256dh', 'auth'],
+            additionalProperties: false
+        }
+    },
+    required: ['endpoint', 'keys'],
+    additionalProperties: false
+};
+
+// --- Responses (documentation only) ---
+
+export const User = {
+    type: 'object',
+    properties: { id: string(), username: string(), created_at: string({ format: 'date-time' }) }
+};
+
+export const Session = {
+    type: 'object',
+    properties: { token: string({ description: 'Bearer token (JWT)' }), expires_at: string({ format: 'date-time' }), user: User }
+};
+
+export const NutritionScore = {
+    type: ['object', 'null'],
+    description: 'Nutrition score 0-100 with the points each factor gave or took (formula in lib/scoring.js). score and grade are null under 5 kcal.',
+    properties: {
+        score: nullable(number({ minimum: 0, maximum: 100 })),
+        grade: nullable(string({ enum: ['A', 'B', 'C', 'D', 'E'] })),
+        processing: {
+            type: 'object',
+            properties: { level: number({ minimum: 1, maximum: 4, description: 'Calorie-weighted for mixes' }), label: string() }
+        },
+        breakdown: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    factor: string({ enum: ['base', 'fiber', 'protein', 'sodium', 'added_sugar', 'processing'] }),
+                    label: string(), value: nullable(number()), unit: nullable(string()),
+                    points: number({ description: 'Added to the score (negative for penalties)' }),
+                    max: number(), reason: string()
+                }
+            }
+        },
+        note: string()
+    }
+};
+
+const ScoreSummary = nullable({ type: 'object', properties: { score: nullable(number()), grade: nullable(string()) } });
+
+export const Meal = {
+    type: 'object',
+    properties: {
+        id: string(),
+        ...mealFields,
+        processing: { ...mealFields.processing, description: `${mealFields.processing.description}. Photo meals: the calorie-weighted level of the items, rounded` },
+        nutrition_score: NutritionScore,
+        items: { type: 'array', description: 'Photo meals: the confirmed analysis items', items: { type: 'object' } },
+        analysis_id: string(),
+        client_id: string(),
+        local_date: string({ format: 'date', description: 'The day eaten_at falls on in time_zone; the day the meal counts on' }),
+        time_zone: string({ description: 'IANA time zone the meal was logged in' }),
+        created_at: string({ format: 'date-time' }),
+        updated_at: string({ format: 'date-time' })
+    }
+};
+
+export const FrequentFood = {
+    type: 'object',
+    description: 'A food the user logs often, with the values of its latest entry; log it again by posting these fields to /meals',
+    properties: {
+        ...Object.fromEntries(['name', 'calories', 'nutrients', 'serving', 'icon', 'source'].map(key => [key, mealFields[key]])),
+        processing: mealFields.processing,
+        count: { type: 'integer' },
+        count_in_slot: { type: 'integer', description: 'With `slot`' },
+        last_eaten_at: string({ format: 'date-time' }),
+        nutrition_score: NutritionScore
+    }
+};
+
+export const Template = {
+    type: 'object',
+    properties: {
+        id: string(),
+        name: string(),
+        slot: nullable(string({ description: 'The slot it was saved from; null for a whole day' })),
+        calories: number(),
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    ...Object.fromEntries(['name', 'calories', 'nutrients', 'serving', 'icon', 'source'].map(key => [key, mealFields[key]])),
+                    slot: string(),
+                    time: string({ description: 'Local HH:MM it was eaten at' })
+                }
+            }
+        },
+        created_at: string({ format: 'date-time' })
+    }
+};
+
+const portionView = { type: 'object', properties: { label: string(), size: number(), unit: string(), calories: number() } };
+const per100 = {
+    type: 'object',
+    properties: { unit: string({ enum: ['g', 'ml'] }), calories: number(), nutrients: Nutrients }
+};
+
+const importCounts = {
+    type: 'object',
+    properties: {
+        received: { type: 'integer' },
+        new: { type: 'integer', description: 'Valid and not already there' },
+        duplicates: { type: 'integer', description: 'Already there, or repeated in the file; skipped' },
+        invalid: { type: 'integer', description: 'Skipped; see errors' },
+        imported: { type: 'integer', description: 'Saved (0 on a dry run)' }
+    }
+};
+
+export const ImportReport = {
+    type: 'object',
+    properties: {
+        dry_run: { type: 'boolean' },
+        profile: { type: 'object', description: 'Backups only', properties: { valid: { type: 'boolean' }, restored: { type: 'boolean' } } },
+        columns: { type: 'object', description: 'CSV only: the column each field was read from' },
+        meals: importCounts,
+        weights: importCounts,
+        recipes: importCounts,
+        templates: importCounts,
+        beverages: importCounts,
+        errors: {
+            type: 'array',
+            description: 'Why records were skipped (the first 100); `index` is the position in a backup list, `row` the CSV line',
+            items: {
+                type: 'object',
+                properties: { collection: string(), index: { type: 'integer' }, row: { type: 'integer' }, path: string(), message: string() }
+            }
+        }
+    }
+};
+
+export const Food = {
+    type: 'object',
+    description: 'Catalog food or one of the user\'s recipes (source "recipe"); top-level values are for its default portion.',
+    properties: {
+        id: string(), name: string(), category: string(), source: string(),
+        calories: number(), nutrients: Nutrients, serving: Serving,
+        portion: string({ description: 'Human-readable default portion' }),
+        portions: { type: 'array', items: portionView },
+        per_100: per100,
+        nutrition_score: NutritionScore,
+        score: number({ description: 'Search relevance (search results only)' })
+    }
+};
+
+export const Product = {
+    type: 'object',
+    description: 'Packaged product; top-level values are per labelled serving.',
+    properties: {
+        code: string({ description: 'GTIN-13' }), name: string(), brand: { type: ['string', 'null'] }, source: string(),
+        calories: number(), nutrients: Nutrients, serving: Serving, portion: string(), per_100: per100,
+        nutrition_score: NutritionScore
+    }
+};
+
+const RecipeIngredient = {
+    type: 'object',
+    properties: {
+        food_id: string(), name: string(), size: number(), unit: string({ enum: ['g', 'ml'] }), label: string(),
+        calories: number(), nutrients: Nutrients, processing: { type: 'integer' }
+    }
+};
+
+export const Recipe = {
+    type: 'object',
+    properties: {
+        id: string(),
+        food_id: string({ description: 'Id under /foods (search results, GET /foods/{id})' }),
+        name: string(), servings: number(), serving_label: string(), note: string(),
+        ingredients: { type: 'array', items: RecipeIngredient },
+        total: { type: 'object', description: 'The whole recipe', properties: { size: number(), calories: number(), nutrients: Nutrients } },
+        per_serving: { type: 'object', properties: { size: number(), unit: string(), label: string(), calories: number(), nutrients: Nutrients } },
+        processing: { type: 'integer', minimum: 1, maximum: 4, description: 'Calorie-weighted processing level of the ingredients, rounded' },
+        nutrition_score: NutritionScore,
+        created_at: string({ format: 'date-time' }),
+        updated_at: string({ format: 'date-time' })
+    }
+};
+
+const AnalysisItem = {
+    type: 'object',
+    properties: {
+        id: string(), name: string({ description: 'What the vision model saw' }),
+        confidence: number({ minimum: 0, maximum: 1 }),
+        food_id: { type: ['string', 'null'] }, food_name: { type: ['string', 'null'] },
+        portion: Serving, calories: number(), nutrients: Nutrients,
+        needs_confirmation: { type: 'boolean' }
+    }
+};
+
+export const Analysis = {
+    type: 'object',
+    properties: {
+        id: string(),
+        status: string({ enum: ['pending', 'confirmed'] }),
+        provider: string(), model: string(),
+        items: { type: 'array', items: AnalysisItem },
+        calories: number(), nutrients: Nutrients,
+        needs_confirmation: { type: 'boolean' },
+        confidence_threshold: number(),
+        meal_id: string(),
+        expires_at: string({ format: 'date-time' }),
+        created_at: string({ format: 'date-time' })
+    }
+};
+
+export const AnalysisJob = {
+    type: 'object',
+    properties: {
+        id: string(),
+        stage: string({ enum: ANALYSIS_STAGES }),
+        queue_position: { type: 'integer', description: 'Place in the queue (1 = next); only while waiting for a worker' },
+        result: { type: 'object', properties: { analysis_id: string() }, description: 'Once done: the pending analysis to review' },
+        error: { type: 'object', properties: { code: string(), message: string() }, description: 'Once failed' },
+        created_at: string({ format: 'date-time' }),
+        updated_at: string({ format: 'date-time' })
+    }
+};
+
+const DateRange = {
+    type: 'object',
+    properties: { from: string({ format: 'date' }), to: string({ format: 'date' }), days: { type: 'integer' }, time_zone: string() }
+};
+
+const Averages = {
+    type: 'object',
+    description: 'Mean over the logged days only; null when none were logged. A nutrient is averaged over the days it is known on',
+    properties: {
+        days_logged: { type: 'integer' },
+        calories: nullable(number()), protein: nullable(number()), carbs: nullable(number()), fat: nullable(number()), fiber: nullable(number()),
+        days_known: {
+            type: 'object',
+            description: 'Logged days whose every meal gives the nutrient, the days its average is taken over',
+            properties: { protein: { type: 'integer' }, carbs: { type: 'integer' }, fat: { type: 'integer' }, fiber: { type: 'integer' } }
+        },
+        nutrition_score: nullable(number({ description: 'Mean nutrition score of the scored days' }))
+    }
+};
+
+const Adherence = {
+    type: 'object',
+    properties: {
+        days_on_target: { type: 'integer' },
+        days_logged: { type: 'integer' },
+        rate: nullable(number({ minimum: 0, maximum: 1, description: 'days_on_target / days_logged' }))
+    }
+};
+
+const StatsPeriod = {
+    type: 'object',
+    properties: {
+        start: string({ format: 'date' }), end: string({ format: 'date' }),
+        days: { type: 'integer', description: 'Days of the period inside the range' },
+        average: Averages,
+        adherence: Adherence
+    }
+};
+
+export const Stats = {
+    type: 'object',
+    properties: {
+        range: DateRange,
+        targets: { type: 'object', description: 'Current daily targets', properties: { calories: number(), protein: number(), carbs: number(), fat: number(), fiber: number() } },
+        average: Averages,
+        adherence: { ...Adherence, properties: { ...Adherence.properties, tolerance: number({ description: `A logged day is on target within ±${ADHERENCE_TOLERANCE * 100}% of the calorie target` }) } },
+        macro_split: { type: 'object', description: 'Percent of macro calories from protein, carbs and fat, over the days all three are known on', properties: { protein: nullable(number()), carbs: nullable(number()), fat: nullable(number()) } },
+        streaks: {
+            type: 'object',
+            description: 'Consecutive days with at least one entry, over all history',
+            properties: { current: { type: 'integer' }, longest: { type: 'integer' }, logged_today: { type: 'boolean' } }
+        },
+        days: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    date: string({ format: 'date' }), meals: { type: 'integer' },
+                    calories: number(),
+                    ...Object.fromEntries(['protein', 'carbs', 'fat', 'fiber'].map(key => [key, nullable(number({ description: 'Null unless every meal of the day gives it' }))])),
+                    on_target: { type: 'boolean' },
+                    nutrition_score: { ...ScoreSummary, description: 'Score of the day\'s totals; null when nothing was logged' },
+                    rolling_average: nullable(number({ description: `Mean calories of the logged days among the last ${ROLLING_WINDOW_DAYS}` }))
+                }
+            }
+        },
+        weeks: { type: 'array', description: 'ISO weeks (Monday to Sunday)', items: StatsPeriod },
+        months: { type: 'array', items: StatsPeriod }
+    }
+};
+
+const NutrientCounts = {
+    type: 'object',
+    description: 'How many of the meals give each nutrient',
+    properties: Object.fromEntries(Object.keys(NUTRIENTS).map(key => [key, { type: 'integer' }]))
+};
+
+export const StatsDay = {
+    type: 'object',
+    properties: {
+        date: string({ format: 'date' }), time_zone: string(), meals: { type: 'integer' },
+        calories: number(), nutrients: { ...Nutrients, description: 'Sums; a nutrient is null unless every meal gives it' },
+        nutrients_known: NutrientCounts,
+        nutrition_score: NutritionScore,
+        slots: {
+            type: 'array',
+            description: 'The profile\'s meal slots with their subtotals',
+            items: {
+                type: 'object',
+                properties: {
+                    id: string(), name: string(), start: string(), meals: { type: 'integer' },
+                    calories: number(), nutrients: Nutrients, nutrients_known: NutrientCounts, meal_ids: { type: 'array', items: string() }
+                }
+            }
+        }
+    }
+};
+
+export const WeightEntry = {
+    type: 'object',
+    properties: {
+        id: string(), weight_kg: number(), waist_cm: number(), body_fat_pct: number(), note: string(),
+        measured_at: string({ format: 'date-time' }), created_at: string({ format: 'date-time' })
+    }
+};
+
+const TdeeEstimate = {
+    type: 'object',
+    description: 'Average intake minus the energy in the weight trend\'s change; null (see `reason`) without enough data',
+    properties: {
+        tdee: nullable(number()),
+        reason: nullable(string()),
+        from: string({ format: 'date' }), to: string({ format: 'date' }), window_days: { type: 'integer' },
+        logged_days: { type: 'integer' }, weigh_in_days: { type: 'integer' },
+        average_intake: nullable(number()), trend_change_kg: number()
+    }
+};
+
+export const WeightTrend = {
+    type: 'object',
+    properties: {
+        range: DateRange,
+        points: {
+            type: 'array',
+            description: `One point per day with a weigh-in; trend_kg is exponentially smoothed (${TREND_SMOOTHING} per day)`,
+            items: { type: 'object', properties: { date: string({ format: 'date' }), weight_kg: number(), trend_kg: number() } }
+        },
+        current: {
+            type: ['object', 'null'],
+            properties: { date: string({ format: 'date' }), weight_kg: number(), trend_kg: number(), weekly_change_kg: nullable(number()) }
+        },
+        tdee_estimate: TdeeEstimate
+    }
+};
+
+export const Beverage = {
+    type: 'object',
+    properties: {
+        id: string(), kind: string({ enum: Object.keys(BEVERAGE_KINDS) }), name: string(),
+        volume_ml: number(), caffeine_mg: number(), abv: number(),
+        alcohol_g: number(), standard_drinks: number({ description: `Grams of alcohol / ${STANDARD_DRINK_G}` }),
+        drunk_at: string({ format: 'date-time' }), created_at: string({ format: 'date-time' }), client_id: string(),
+        local_date: string({ format: 'date', description: 'The day drunk_at falls on in time_zone' }), time_zone: string()
+    }
+};
+
+const BeverageTargets = {
+    type: 'object',
+    properties: {
+        water_ml: number(), caffeine_mg: number({ description: 'Daily limit' }), alcohol_drinks: number({ description: 'Daily limit in standard drinks' }),
+        source: { type: 'object', description: 'Per target: computed (from body weight), default or override' }
+    }
+};
+
+const beverageTotals = {
+    drinks: { type: 'integer' },
+    water_ml: number({ description: 'Drinks without alcohol, which count towards the hydration target' }),
+    volume_ml: number({ description: 'All drinks' }),
+    caffeine_mg: number(), alcohol_g: number(), standard_drinks: number()
+};
+
+export const BeverageDay = {
+    type: 'object',
+    properties: {
+        date: string({ format: 'date' }), time_zone: string(),
+        targets: BeverageTargets,
+        ...beverageTotals,
+        water_progress: number({ description: 'water_ml / the target; above 1 once it is met' }),
+        by_kind: { type: 'array', items: { type: 'object', properties: { kind: string(), ...beverageTotals } } },
+        warnings: {
+            type: 'array',
+            description: `One per limit at ${NEAR_LIMIT_SHARE * 100}% or more`,
+            items: { type: 'object', properties: { type: string({ enum: ['caffeine', 'alcohol'] }), level: string({ enum: ['near', 'over'] }), message: string() } }
+        },
+        beverages: { type: 'array', description: 'Oldest first', items: Beverage }
+    }
+};
+
+export const BeverageStats = {
+    type: 'object',
+    properties: {
+        range: DateRange,
+        targets: BeverageTargets,
+        average: {
+            type: 'object',
+            description: 'Mean over the days with a drink; null when there were none',
+            properties: { days_logged: { type: 'integer' }, water_ml: nullable(number()), caffeine_mg: nullable(number()), standard_drinks: nullable(number()) }
+        },
+        totals: { type: 'object', properties: { standard_drinks: number() } },
+        counts: {
+            type: 'object',
+            description: 'Days in the range that met the hydration target, went over a limit, or had no alcohol',
+            properties: { water_met: { type: 'integer' }, caffeine_over: { type: 'integer' }, alcohol_over: { type: 'integer' }, alcohol_free: { type: 'integer' } }
+        },
+        days: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    date: string({ format: 'date' }), ...beverageTotals,
+                    water_met: { type: 'boolean' }, caffeine_over: { type: 'boolean' }, alcohol_over: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+
+export const Reminder = {
+    type: 'object',
+    properties: {
+        id: string(), type: string({ enum: REMINDER_TYPES }), ...reminderFields,
+        last_fired_for: string({ description: 'What the rule last fired for: the local day, with the slot, level or window it was about' }),
+        created_at: string({ format: 'date-time' }), updated_at: string({ format: 'date-time' })
+    }
+};
+
+export const Notification = {
+    type: 'object',
+    properties: {
+        id: string(),
+        key: string({ description: 'What it is about (rule, day, level); never sent twice' }),
+        type: string({ enum: [...REMINDER_TYPES, 'test'] }),
+        title: string(), body: string(), url: string({ description: 'Where tapping it leads' }),
+        read_at: nullable(string({ format: 'date-time' })),
+        push: {
+            type: 'object',
+            description: 'Devices reached; missing when the rule does not push',
+            properties: { sent: { type: 'integer' }, failed: { type: 'integer' }, removed: { type: 'integer', description: 'Subscriptions the push service said are gone' } }
+        },
+        created_at: string({ format: 'date-time' })
+    }
+};
+
+export const PushSubscription = {
+    type: 'object',
+    properties: { id: string(), endpoint: string(), created_at: string({ format: 'date-time' }) }
+};
+
+export const Targets = {
+    type: 'object',
+    properties: {
+        complete: { type: 'boolean', description: 'False until sex, age, height and weight are set; targets are defaults until then' },
+        bmr: nullable(number({ description: 'Resting energy (Mifflin-St Jeor), kcal' })),
+        tdee: nullable(number({ description: 'Total daily energy expenditure, kcal' })),
+        calories: number(), protein: number(), carbs: number(), fat: number(), fiber: number(),
+        macro_preset: string({ enum: Object.keys(MACRO_PRESETS) }),
+        floored: { type: 'boolean', description: 'The goal deficit was capped at the minimum safe intake' },
+        source: { type: 'object', description: 'Per target: computed, default, preset or override; `tdee` is formula or measured' }
+    }
+};
+
+export const Profile = {
+    type: 'object',
+    properties: {
+        profile: { type: 'object', properties: { ...profileFields, overrides: TargetOverrides, updated_at: string({ format: 'date-time' }) } },
+        targets: Targets
+    }
+};
@@ -0,0 +1,177 @@
+/*
+ * Nutrition score: rates a food, a meal or a whole day from 0 to 100.
+ *
+ * Everything is measured per unit of energy, so a portion and the same food per 100 g score
+ * alike, and a day is scored from its totals exactly like a single food:
+ *
+ *   score = 40 (base)
+ *         + fiber      0..30  fiber g per 1000 kcal, full marks at 14 g (the fiber target)
+ *         + protein    0..30  share of energy from protein, full marks at 25 %
+ *         - sodium     0..20  sodium mg per 1000 kcal, from 600 mg up to 2000 mg
+ *         - sugar      0..20  added sugar as share of energy, from 5 % up to 25 %
+ *         - processing 0..20  0 / 5 / 10 / 20 for processing levels 1 / 2 / 3 / 4
+ *
+ * clamped to 0..100 and graded A (80+), B (65+), C (50+), D (35+) or E.
+ *
+ * Labels and catalogs only give total sugar. Sugar in unprocessed food (level 1: fruit,
+ * milk, vegetables) is taken as intrinsic; in anything processed all of it counts as added.
+ * A day sums the added sugar of its meals.
+ * Processing levels follow NOVA: 1 unprocessed or minimally processed, 2 culinary
+ * ingredients (oils, butter, sugar), 3 processed, 4 ultra-processed. Open Food Facts
+ * products carry their NOVA group; catalog foods get one from their category and name.
+ * Below MIN_SCORED_CALORIES there is too little energy for densities to mean anything
+ * (water, black coffee), and the score is null.
+ *
+ * A nutrient that is not known (null, see lib/nutrients.js) is not read as 0. Without fiber or
+ * protein (KEY_NUTRIENTS, where the points come from) the score is null; unknown sodium or
+ * sugar costs nothing and says so in the breakdown. A day is scored from the meals that give
+ * their key nutrients, with a note on any left out.
+ */
+
+export const BASE_POINTS = 40;
+export const MIN_SCORED_CALORIES = 5;
+export const KEY_NUTRIENTS = ['fiber', 'protein'];
+
+export const PROCESSING_LEVELS = {
+    1: 'Unprocessed or minimally processed',
+    2: 'Culinary ingredient',
+    3: 'Processed',
+    4: 'Ultra-processed'
+};
+const PROCESSING_PENALTY = { 1: 0, 2: 5, 3: 10, 4: 20 };
+
+export const GRADES = [
+    { grade: 'A', min: 80 },
+    { grade: 'B', min: 65 },
+    { grade: 'C', min: 50 },
+    { grade: 'D', min: 35 },
+    { grade: 'E', min: 0 }
+];
+
+// Checked in order against "<category> <name>"; the first match wins, anything else is level 1.
+const PROCESSING_RULES = [
+    [4, /fast food|prepared meal|snack|\bsweets\b|candy|chocolate|cookie|biscuit|\bcakes?\b|croissant|pastry|donut|doughnut|soda|cola\b|soft drink|energy drink|sausage|hot dog|nugget|chips|crisps|fries|pizza|burger|frankfurter|bologna|salami|instant|cereal|ice cream|sports drink/],
+    [3, /cheese|bread|bagel|tortilla|bacon|\bham\b|cured|smoked|canned|pickled|juice|cracker|waffle|pancake|french toast|sweetened|flavored|yogurt, fruit|beer|wine|dairy alternative|plant milk|tofu|peanut butter|\bjam\b/],
+    [2, /\bfats\b|\boils?\b|butter|\blard\b|condiment|\bsugar\b|honey|syrup|\bsalt\b|vinegar|mayonnaise|(?<!no )dressing|sauce/]
+];
+
+const round = (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+// Linear 0..max between `from` and `to` (either direction), clamped.
+const scale = (value, from, to, max) => Math.max(0, Math.min(1, (value - from) / (to - from))) * max;
+
+// Processing level of a catalog food or product. A known NOVA group wins; packaged products
+// without one are assumed processed.
+export const processingLevel = ({ name = '', category = '', nova = null, packaged = false } = {}) => {
+    if (PROCESSING_LEVELS[nova]) return Number(nova);
+    const text = `${category} ${name}`.toLowerCase();
+    const rule = PROCESSING_RULES.find(([, pattern]) => pattern.test(text));
+    if (rule) return rule[0];
+    return packaged ? 3 : 1;
+};
+
+// Processing level of a mix (a plate, a recipe): the calorie-weighted mean of its parts'
+// levels, rounded to a whole level so it can be stored like any food's. `parts` are
+// { calories, level }.
+export const mixedProcessingLevel = (parts) => {
+    const calories = parts.reduce((sum, part) => sum + part.calories, 0);
+    if (!calories) return 1;
+    const weighted = parts.reduce((sum, part) => sum + part.calories * part.level, 0) / calories;
+    return Math.min(4, Math.max(1, Math.round(weighted)));
+};
+
+export const gradeOf = (score) => (score === null ? null : GRADES.find(g => score >= g.min).grade);
+
+// Grams of sugar that count as added: none in unprocessed food, all of it otherwise; null
+// when processed food does not give its sugar.
+const addedSugarOf = (nutrients, level) => (level > 1 ? nutrients?.sugar ?? null : 0);
+
+const isKnown = (value) => value !== null && value !== undefined;
+const hasKeyNutrients = (nutrients) => KEY_NUTRIENTS.every(key => isKnown(nutrients?.[key]));
+
+const processingViewOf = (level) => ({ level: round(level, 1), label: PROCESSING_LEVELS[level] || 'Mix, weighted by calories' });
+const unrated = (level, note) => ({ score: null, grade: null, processing: processingViewOf(level), breakdown: [], note });
+
+/**
+ * Scores a nutrient profile. `processing` is a level 1-4 (fractional for mixes, e.g. a day),
+ * and `addedSugar` (grams) is worked out from it unless a mix passes its own sum.
+ * Returns { score, grade, processing, breakdown }, where each breakdown row says what was
+ * measured and how many points it gave or took.
+ */
+export const scoreNutrition = ({ calories, nutrients = {}, processing = 1, addedSugar = null }) => {
+    const level = Math.min(4, Math.max(1, Number(processing) || 1));
+    const processingView = processingViewOf(level);
+    if (!(calories >= MIN_SCORED_CALORIES)) return unrated(level, `Under ${MIN_SCORED_CALORIES} kcal; not rated`);
+    const missing = KEY_NUTRIENTS.filter(key => !isKnown(nutrients?.[key]));
+    if (missing.length) return unrated(level, `${missing.join(' and ').replace(/^./, c => c.toUpperCase())} not known; not rated`);
+
+    const per1000 = 1000 / calories;
+    const fiber = nutrients.fiber * per1000;
+    const proteinShare = (nutrients.protein * 4 * 100) / calories;
+    const sodium = isKnown(nutrients.sodium) ? nutrients.sodium * per1000 : null;
+    const sugar = addedSugar ?? addedSugarOf(nutrients, level);
+    const sugarShare = isKnown(sugar) ? (sugar * 4 * 100) / calories : null;
+    const processingPenalty = PROCESSING_PENALTY[Math.floor(level)]
+        + (level % 1) * ((PROCESSING_PENALTY[Math.ceil(level)] ?? 20) - PROCESSING_PENALTY[Math.floor(level)]);
+
+    const breakdown = [
+        { factor: 'base', label: 'Base', value: null, unit: null, points: BASE_POINTS, max: BASE_POINTS, reason: 'Every rated food starts here' },
+        {
+            factor: 'fiber', label: 'Fiber', value: round(fiber, 1), unit: 'g per 1000 kcal', points: round(scale(fiber, 0, 14, 30)), max: 30,
+            reason: fiber >= 14 ? 'Meets the 14 g per 1000 kcal fiber target' : 'Up to 30 points, full at 14 g per 1000 kcal'
+        },
+        {
+            factor: 'protein', label: 'Protein', value: round(proteinShare, 1), unit: '% of energy', points: round(scale(proteinShare, 0, 25, 30)), max: 30,
+            reason: proteinShare >= 25 ? 'At least a quarter of the energy is protein' : 'Up to 30 points, full at 25 % of energy'
+        },
+        sodium === null
+            ? { factor: 'sodium', label: 'Sodium', value: null, unit: null, points: 0, max: 0, reason: 'Not known; no points taken' }
+            : {
+                factor: 'sodium', label: 'Sodium', value: round(sodium), unit: 'mg per 1000 kcal', points: -round(scale(sodium, 600, 2000, 20)), max: 0,
+                reason: sodium <= 600 ? 'Low in sodium' : 'Loses up to 20 points from 600 to 2000 mg per 1000 kcal'
+            },
+        sugarShare === null
+            ? { factor: 'added_sugar', label: 'Added sugar', value: null, unit: null, points: 0, max: 0, reason: 'Not known; no points taken' }
+            : {
+                factor: 'added_sugar', label: 'Added sugar', value: round(sugarShare, 1), unit: '% of energy', points: -round(scale(sugarShare, 5, 25, 20)), max: 0,
+                reason: level === 1 ? 'Sugar in unprocessed food counts as intrinsic' : sugarShare <= 5 ? 'Under 5 % of energy' : 'Loses up to 20 points from 5 to 25 % of energy'
+            },
+        {
+            factor: 'processing', label: 'Processing', value: round(level, 1), unit: 'NOVA level', points: -round(processingPenalty), max: 0,
+            reason: processingView.label
+        }
+    ];
+    const score = Math.max(0, Math.min(100, breakdown.reduce((sum, row) => sum + row.points, 0)));
+    return { score, grade: gradeOf(score), processing: processingView, breakdown };
+};
+
+// Processing level of a logged meal: stored with it when known, else guessed from its name.
+export const mealProcessing = (meal) => meal.processing ?? processingLevel({ name: meal.name, packaged: meal.source === 'barcode' });
+
+export const scoreMeal = (meal) => scoreNutrition({ calories: meal.calories, nutrients: meal.nutrients, processing: mealProcessing(meal) });
+
+// A day (or any set of meals) is scored from its totals. Processing is the calorie-weighted
+// mean, and added sugar is summed meal by meal, so fruit eaten with a soda stays intrinsic.
+// Meals without their key nutrients are left out; sodium and sugar add up where known.
+export const scoreMeals = (meals) => {
+    const rated = meals.filter(meal => hasKeyNutrients(meal.nutrients));
+    if (!rated.length) return unrated(1, 'Fiber and protein not known for any meal; not rated');
+    const calories = rated.reduce((sum, meal) => sum + (meal.calories || 0), 0);
+    const nutrients = {};
+    rated.forEach(meal => Object.entries(meal.nutrients || {}).forEach(([key, value]) => {
+        if (isKnown(value)) nutrients[key] = (nutrients[key] || 0) + value;
+    }));
+    const processing = calories
+        ? rated.reduce((sum, meal) => sum + (meal.calories || 0) * mealProcessing(meal), 0) / calories
+        : 1;
+    const sugars = rated.map(meal => addedSugarOf(meal.nutrients, mealProcessing(meal))).filter(isKnown);
+    const addedSugar = sugars.length ? sugars.reduce((sum, grams) => sum + grams, 0) : null;
+    const result = scoreNutrition({ calories, nutrients, processing, addedSugar });
+    const skipped = meals.length - rated.length;
+    if (!skipped) return result;
+    const note = `${skipped} of ${meals.length} meals left out: fiber or protein not known`;
+    return { ...result, note: result.note ? `${result.note}. ${note}` : note };
+};
@@ -0,0 +1,41 @@
+import { HttpError } from './http.js';
+import { localTime } from './dates.js';
+
+/*
+ * Meal slots: the named parts of a day (breakfast, lunch, ...) that a log is grouped into.
+ *
+ * Each user configures their slots on the profile as { id, name, start }, where `start` is
+ * the local time the slot begins. A meal logged with a `slot` id belongs to that slot; any
+ * other meal, or one whose slot has since been removed, falls in the slot that had begun by
+ * the time it was eaten. Meals before the first slot's start belong to the last slot, so a
+ * midnight snack still counts toward the evening.
+ */
+
+export const MAX_MEAL_SLOTS = 8;
+export const SLOT_ID_PATTERN = '^[a-z0-9_-]{1,32}$';
+export const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+export const DEFAULT_MEAL_SLOTS = [
+    { id: 'breakfast', name: 'Breakfast', start: '05:00' },
+    { id: 'lunch', name: 'Lunch', start: '11:00' },
+    { id: 'snacks', name: 'Snacks', start: '14:30' },
+    { id: 'dinner', name: 'Dinner', start: '17:00' }
+];
+
+// Slots in the order of the day. Ids must be unique (the schema checks their shape).
+export const sortSlots = (slots) => {
+    const ids = new Set();
+    slots.forEach(({ id }) => {
+        if (ids.has(id)) throw new HttpError(400, `Meal slot "${id}" is listed twice`);
+        ids.add(id);
+    });
+    return slots.map(({ id, name, start }) => ({ id, name: name.trim(), start })).sort((a, b) => a.start.localeCompare(b.start));
+};
+
+// The slot that had begun at a local HH:MM.
+export const slotAt = (slots, time) => [...slots].reverse().find(slot => slot.start <= time) || slots[slots.length - 1];
+
+// The slot a meal belongs to, with its eaten_at read in the zone it was logged in (`timeZone`
+// for meals from before zones were stored).
+export const slotOf = (meal, slots, timeZone = 'UTC') =>
+    slots.find(slot => slot.id === meal.slot) || slotAt(slots, localTime(new Date(meal.eaten_at || meal.created_at), meal.time_zone || timeZone));
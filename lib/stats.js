@@ -0,0 +1,207 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { addDays, daysBetween, localDate, weekStart } from './dates.js';
+import { ProfileService } from './profiles.js';
+import { NUTRIENT_KEYS, sumNutrients } from './nutrients.js';
+import { scoreMeals } from './scoring.js';
+import { slotOf } from './slots.js';
+import { mealDate, userTimeZone } from './zones.js';
+
+/*
+ * Intake statistics over a range of calendar days.
+ *
+ * Meals are bucketed by the local date they were eaten on (lib/zones.js), and "today" is the
+ * user's, so a late dinner lands on the right day and the streak rolls over at their midnight.
+ *
+ * Averages only count days with something logged: a skipped day means "not tracked", not
+ * "ate nothing". Likewise a nutrient not known for a meal (null, see lib/nutrients.js) is not
+ * read as 0: a day's amount is null unless every meal of it gives one, its average is taken
+ * over the days where it is known, and `days_known` says how many those were. Adherence compares each logged day with the user's current calorie target.
+ * Each day's nutrition score comes from its totals (see lib/scoring.js); period averages are
+ * the mean of the scored days.
+ */
+
+export const MAX_RANGE_DAYS = 366;
+export const DEFAULT_RANGE_DAYS = 30;
+export const ROLLING_WINDOW_DAYS = 7;
+// A logged day is "on target" when its calories are within this share of the target.
+export const ADHERENCE_TOLERANCE = 0.1;
+
+const MACROS = ['protein', 'carbs', 'fat'];
+const DAY_NUTRIENTS = [...MACROS, 'fiber'];
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+const round = (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+// `known` counts the meals that give each nutrient; a day's amount only stands once they all do.
+const emptyDay = (date) => ({ date, meals: 0, calories: 0, ...Object.fromEntries(DAY_NUTRIENTS.map(key => [key, 0])), known: Object.fromEntries(DAY_NUTRIENTS.map(key => [key, 0])) });
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+// Average of the logged days in `days`, or nulls when none were logged. A nutrient is averaged
+// over the days it is known on.
+const averageOf = (days) => {
+    const logged = days.filter(day => day.meals > 0);
+    const mean = (values, digits) => (values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length, digits) : null);
+    const knownOf = (key) => logged.map(day => day[key]).filter(isKnown);
+    const scores = logged.map(day => day.nutrition_score?.score).filter(score => typeof score === 'number');
+    return {
+        days_logged: logged.length,
+        calories: mean(logged.map(day => day.calories)),
+        ...Object.fromEntries(DAY_NUTRIENTS.map(key => [key, mean(knownOf(key), 1)])),
+        days_known: Object.fromEntries(DAY_NUTRIENTS.map(key => [key, knownOf(key).length])),
+        nutrition_score: mean(scores)
+    };
+};
+
+// Score and grade only; the breakdown is served per day by StatsService.day.
+const scoreSummary = (meals) => {
+    const { score, grade } = scoreMeals(meals);
+    return { score, grade };
+};
+
+// Meal count, calories and summed nutrients of some meals. A nutrient is null unless every meal
+// gives it; `nutrients_known` counts the meals that do.
+const totalsOf = (meals) => ({
+    meals: meals.length,
+    calories: meals.reduce((sum, meal) => sum + meal.calories, 0),
+    nutrients: sumNutrients(meals.map(meal => meal.nutrients)),
+    nutrients_known: Object.fromEntries(NUTRIENT_KEYS.map(key => [key, meals.filter(meal => isKnown(meal.nutrients?.[key])).length]))
+});
+
+const isOnTarget = (day, target) => day.meals > 0 && Math.abs(day.calories - target) <= target * ADHERENCE_TOLERANCE;
+
+const adherenceOf = (days, target) => {
+    const logged = days.filter(day => day.meals > 0).length;
+    const onTarget = days.filter(day => isOnTarget(day, target)).length;
+    return { days_on_target: onTarget, days_logged: logged, rate: logged ? round(onTarget / logged, 2) : null };
+};
+
+// Share of calories from each macro, in percent of the macro calories, over the days all
+// three are known on.
+const macroSplit = (days) => {
+    const known = days.filter(day => MACROS.every(key => isKnown(day[key])));
+    const kcal = Object.fromEntries(MACROS.map(key => [key, known.reduce((sum, day) => sum + day[key], 0) * KCAL_PER_GRAM[key]]));
+    const total = MACROS.reduce((sum, key) => sum + kcal[key], 0);
+    return Object.fromEntries(MACROS.map(key => [key, total ? round((kcal[key] / total) * 100, 1) : null]));
+};
+
+// Consecutive logged days. The current streak ends today, or yesterday while today is still empty.
+const streaksOf = (loggedDates, today) => {
+    const dates = [...loggedDates].sort();
+    let longest = 0;
+    let run = 0;
+    dates.forEach((date, i) => {
+        run = i > 0 && daysBetween(dates[i - 1], date) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+
+    let current = 0;
+    let cursor = loggedDates.has(today) ? today : addDays(today, -1);
+    while (loggedDates.has(cursor)) {
+        current += 1;
+        cursor = addDays(cursor, -1);
+    }
+    return { current, longest, logged_today: loggedDates.has(today) };
+};
+
+// Groups consecutive days into periods keyed by `keyOf` (ISO week, month) with their averages.
+// A period cut by the range edge only covers the days inside it.
+const periodsOf = (days, keyOf, target) => {
+    const periods = new Map();
+    days.forEach(day => {
+        const key = keyOf(day.date);
+        if (!periods.has(key)) periods.set(key, []);
+        periods.get(key).push(day);
+    });
+    return [...periods.values()].map(members => ({
+        start: members[0].date,
+        end: members[members.length - 1].date,
+        days: members.length,
+        average: averageOf(members),
+        adherence: adherenceOf(members, target)
+    }));
+};
+
+export const StatsService = {
+    // `from`/`to` are inclusive YYYY-MM-DD dates in `timeZone` (default the profile's); `to`
+    // defaults to today and `from` to DEFAULT_RANGE_DAYS days before it.
+    summary: async (userId, { from, to, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const today = localDate(new Date(), timeZone);
+        const end = to || today;
+        const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+        if (start > end) throw new HttpError(400, '"from" must not be after "to"');
+        if (daysBetween(start, end) >= MAX_RANGE_DAYS) throw new HttpError(400, `A range can cover at most ${MAX_RANGE_DAYS} days`);
+
+        const [meals, { targets }] = await Promise.all([db.query('meals', { user_id: userId }), ProfileService.get(userId)]);
+
+        // Days are tallied from ROLLING_WINDOW_DAYS - 1 before `from`, so the rolling average
+        // of the first days in the range is not taken over a shorter window.
+        const byDate = new Map();
+        for (let date = addDays(start, -(ROLLING_WINDOW_DAYS - 1)); date <= end; date = addDays(date, 1)) byDate.set(date, emptyDay(date));
+        const loggedDates = new Set();
+        const mealsByDate = new Map();
+        meals.forEach(meal => {
+            const date = mealDate(meal, timeZone);
+            loggedDates.add(date);
+            const day = byDate.get(date);
+            if (!day) return;
+            mealsByDate.set(date, [...(mealsByDate.get(date) || []), meal]);
+            day.meals += 1;
+            day.calories += meal.calories;
+            DAY_NUTRIENTS.forEach(key => {
+                if (!isKnown(meal.nutrients?.[key])) return;
+                day[key] += meal.nutrients[key];
+                day.known[key] += 1;
+            });
+        });
+
+        const tallies = [...byDate.values()];
+        const days = tallies.slice(ROLLING_WINDOW_DAYS - 1).map(({ known, ...day }, i) => ({
+            ...day,
+            ...Object.fromEntries(DAY_NUTRIENTS.map(key => [key, known[key] === day.meals ? round(day[key], 1) : null])),
+            on_target: isOnTarget(day, targets.calories),
+            nutrition_score: day.meals ? scoreSummary(mealsByDate.get(day.date)) : null,
+            // Trailing average of the logged days among the last ROLLING_WINDOW_DAYS.
+            rolling_average: averageOf(tallies.slice(i, i + ROLLING_WINDOW_DAYS)).calories
+        }));
+
+        return {
+            range: { from: start, to: end, days: days.length, time_zone: timeZone },
+            targets: { calories: targets.calories, protein: targets.protein, carbs: targets.carbs, fat: targets.fat, fiber: targets.fiber },
+            average: averageOf(days),
+            adherence: { ...adherenceOf(days, targets.calories), tolerance: ADHERENCE_TOLERANCE },
+            macro_split: macroSplit(days),
+            streaks: streaksOf(loggedDates, today),
+            days,
+            weeks: periodsOf(days, weekStart, targets.calories),
+            months: periodsOf(days, (date) => date.slice(0, 7), targets.calories)
+        };
+    },
+
+    // One day's totals with the full nutrition score breakdown (the day view's score card),
+    // and subtotals per meal slot in the order of the day.
+    day: async (userId, { date, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const day = date || localDate(new Date(), timeZone);
+        const [meals, { profile }] = await Promise.all([
+            db.query('meals', { user_id: userId }).then(all => all.filter(meal => mealDate(meal, timeZone) === day)),
+            ProfileService.get(userId)
+        ]);
+        const slotOfMeal = new Map(meals.map(meal => [meal.id, slotOf(meal, profile.meal_slots, timeZone).id]));
+        return {
+            date: day,
+            time_zone: timeZone,
+            ...totalsOf(meals),
+            nutrition_score: meals.length ? scoreMeals(meals) : null,
+            slots: profile.meal_slots.map(slot => {
+                const members = meals.filter(meal => slotOfMeal.get(meal.id) === slot.id);
+                return { ...slot, ...totalsOf(members), meal_ids: members.map(meal => meal.id) };
+            })
+        };
+    }
+};
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+// Helpers shared by every storage adapter, so each one behaves the same way for callers.
+
+export const assertCollection = (collections, name) => {
+    if (!collections.includes(name)) throw new Error(`Unknown collection: ${name}`);
+};
+
+// Assigns the storage-owned fields of a new record.
+// Random UUIDs: unlike Date.now(), two inserts in the same millisecond cannot collide.
+export const stampNew = (record) => ({
+    ...record,
+    id: record.id || crypto.randomUUID(),
+    created_at: new Date().toISOString()
+});
+
+// In an equality filter, `null` and `undefined` both mean "no value": they match a record whose
+// field is null or missing altogether. Every adapter has to read them this way.
+export const isAbsent = (value) => value === undefined || value === null;
+
+// `where` is either a predicate function or an object of field => value equality checks.
+export const matches = (record, where) => {
+    if (!where) return true;
+    if (typeof where === 'function') return Boolean(where(record));
+    return Object.entries(where).every(([key, value]) => (isAbsent(value) ? isAbsent(record[key]) : record[key] === value));
+};
+
+// Normalizes a delete() target. Refuses an empty filter so a bug cannot wipe a collection.
+export const deleteFilter = (where) => {
+    if (where === undefined || where === null || where === '') throw new Error('delete() needs an id or a filter');
+    return typeof where === 'string' ? { id: where } : where;
+};
+
+// Patches never change a record's identity.
+export const applyPatch = (record, patch) => ({ ...record, ...patch, id: record.id, created_at: record.created_at });
+
+export const clone = (value) => (value === undefined ? undefined : structuredClone(value));
@@ -0,0 +1,231 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { applyPatch, assertCollection, clone, deleteFilter, matches, stampNew } from './common.js';
+
+// Journal entries before the snapshot is rewritten and the journal truncated.
+export const COMPACT_EVERY = 200;
+
+/*
+ * JSON file adapter.
+ *
+ * State lives in memory and on disk as two files:
+ *   <file>          snapshot: { _meta: { seq }, meals: [...], users: [...], ... }
+ *   <file>.journal  one JSON line per mutation made since that snapshot
+ *
+ * Every mutation goes through a single promise queue, is appended to the journal
+ * and fsync'd, and only then applied in memory and acknowledged. Compaction writes a
+ * new snapshot (and a <file>.bak copy of it) to a temp file and renames it over the old
+ * one, so a crash at any point leaves either the old or the new snapshot intact. Journal
+ * entries carry a sequence number, and replay skips anything the snapshot already holds.
+ *
+ * An unreadable snapshot is never treated as empty: it is quarantined to
+ * <file>.corrupt-<timestamp> and the store recovers from <file>.bak plus the journal,
+ * or refuses to start.
+ */
+export const createJsonFileStore = ({ file, collections }) => {
+    const journalFile = `${file}.journal`;
+    const backupFile = `${file}.bak`;
+    const tempFile = `${file}.tmp`;
+
+    let data = null;
+    let seq = 0;
+    let journalEntries = 0;
+    let queue = Promise.resolve();
+
+    const emptyData = () => Object.fromEntries(collections.map(name => [name, []]));
+
+    // Runs tasks one at a time, in arrival order. A failed task does not block the next.
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const readSnapshot = (target) => {
+        if (!fs.existsSync(target)) return null;
+        const parsed = JSON.parse(fs.readFileSync(target, 'utf8'));
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('snapshot is not a JSON object');
+        for (const name of collections) {
+            if (parsed[name] !== undefined && !Array.isArray(parsed[name])) throw new Error(`"${name}" is not an array`);
+        }
+        return parsed;
+    };
+
+    const writeDurably = async (target, contents) => {
+        const handle = await fsp.open(target, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    };
+
+    // Makes a rename durable on filesystems that need the directory entry flushed.
+    const syncDir = async () => {
+        let handle;
+        try {
+            handle = await fsp.open(path.dirname(file), 'r');
+            await handle.sync();
+        } catch (e) {
+            // Not supported everywhere (e.g. Windows); the rename itself is still atomic.
+        } finally {
+            await handle?.close();
+        }
+    };
+
+    const appendJournal = async (entry) => {
+        const handle = await fsp.open(journalFile, 'a');
+        try {
+            await handle.write(`${JSON.stringify(entry)}\n`);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    };
+
+    const applyEntry = (entry) => {
+        const rows = data[entry.c];
+        if (entry.op === 'insert') {
+            rows.push(entry.record);
+        } else if (entry.op === 'update') {
+            const index = rows.findIndex(r => r.id === entry.id);
+            if (index !== -1) rows[index] = entry.record;
+        } else if (entry.op === 'delete') {
+            const ids = new Set(entry.ids);
+            data[entry.c] = rows.filter(r => !ids.has(r.id));
+        }
+        seq = entry.seq;
+    };
+
+    // Writes the snapshot and an identical backup, each via temp file + rename, then truncates the journal.
+    // Until the truncate, the journal still covers everything since the previous snapshot,
+    // so a crash part-way leaves a recoverable pair whichever file is read back.
+    const compact = async () => {
+        const snapshot = { _meta: { seq, compacted_at: new Date().toISOString() }, ...data };
+        const contents = JSON.stringify(snapshot, null, 2);
+        for (const target of [file, backupFile]) {
+            await writeDurably(tempFile, contents);
+            await fsp.rename(tempFile, target);
+        }
+        await syncDir();
+        // Replay skips entries with seq <= _meta.seq, so leftovers from a crash here are harmless.
+        await writeDurably(journalFile, '');
+        journalEntries = 0;
+    };
+
+    const replayJournal = () => {
+        if (!fs.existsSync(journalFile)) return;
+        const lines = fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean);
+        for (const [index, line] of lines.entries()) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                if (index === lines.length - 1) {
+                    // Torn final write from a crash mid-append; that mutation was never acknowledged.
+                    console.log(`⚠️ Ignoring incomplete last journal entry in ${journalFile}`);
+                    return;
+                }
+                const quarantined = `${journalFile}.corrupt-${Date.now()}`;
+                fs.copyFileSync(journalFile, quarantined);
+                console.error(`🚨 Journal entry ${index + 1} is unreadable; replay stopped there. Copy kept at ${quarantined}`);
+                return;
+            }
+            if (entry.seq > seq && data[entry.c]) applyEntry(entry);
+        }
+    };
+
+    const loadOrRecover = () => {
+        try {
+            return readSnapshot(file);
+        } catch (err) {
+            const quarantined = `${file}.corrupt-${Date.now()}`;
+            fs.renameSync(file, quarantined);
+            console.error(`🚨 ${file} is unreadable (${err.message}). Moved to ${quarantined}.`);
+            let backup = null;
+            try { backup = readSnapshot(backupFile); } catch (e) { /* handled below */ }
+            if (!backup) {
+                throw new Error(`Database file is corrupt and no readable backup exists. Refusing to start with empty data; inspect ${quarantined}`);
+            }
+            console.log(`♻️ Recovering from ${backupFile} and the journal.`);
+            return backup;
+        }
+    };
+
+    const mutate = (plan) => enqueue(async () => {
+        const { entry, result } = plan();
+        if (entry) {
+            const stamped = { seq: seq + 1, ...entry };
+            await appendJournal(stamped);
+            applyEntry(stamped);
+            if (++journalEntries >= COMPACT_EVERY) {
+                // The mutation is already durable in the journal, so a failed compaction only costs disk space.
+                await compact().catch(err => console.error('⚠️ Compaction failed:', err));
+            }
+        }
+        return clone(result);
+    });
+
+    const findIndex = (collection, id) => data[collection].findIndex(r => r.id === id);
+
+    const planInsert = (collection, record) => {
+        const row = stampNew(record);
+        if (findIndex(collection, row.id) !== -1) throw new Error(`Duplicate id in ${collection}: ${row.id}`);
+        return { entry: { op: 'insert', c: collection, record: row }, result: row };
+    };
+
+    return {
+        name: 'JSON Storage',
+
+        init: () => enqueue(async () => {
+            const snapshot = loadOrRecover();
+            data = emptyData();
+            for (const name of collections) data[name] = snapshot?.[name] || [];
+            seq = snapshot?._meta?.seq || 0;
+            replayJournal();
+            // Start every run from a fresh snapshot and an empty journal.
+            await compact();
+        }),
+
+        read: async () => clone(data),
+
+        query: async (collection, where) => {
+            assertCollection(collections, collection);
+            return clone(data[collection].filter(r => matches(r, where)));
+        },
+
+        insert: (collection, record) => mutate(() => {
+            assertCollection(collections, collection);
+            return planInsert(collection, record);
+        }),
+
+        // Looks up and inserts in the same queued step, so concurrent calls cannot both insert.
+        insertOnce: (collection, where, record) => mutate(() => {
+            assertCollection(collections, collection);
+            const existing = data[collection].find(r => matches(r, where));
+            return existing ? { entry: null, result: existing } : planInsert(collection, record);
+        }),
+
+        // Resolves to the updated record, or null if there is no record with that id.
+        update: (collection, id, patch) => mutate(() => {
+            assertCollection(collections, collection);
+            const index = findIndex(collection, id);
+            if (index === -1) return { entry: null, result: null };
+            const row = applyPatch(data[collection][index], patch);
+            return { entry: { op: 'update', c: collection, id, record: row }, result: row };
+        }),
+
+        // `where` is an id, an equality object or a predicate. Resolves to the number removed.
+        delete: (collection, where) => mutate(() => {
+            assertCollection(collections, collection);
+            const test = deleteFilter(where);
+            const ids = data[collection].filter(r => matches(r, test)).map(r => r.id);
+            return { entry: ids.length ? { op: 'delete', c: collection, ids } : null, result: ids.length };
+        }),
+
+        // Resolves once every queued write has hit the disk.
+        flush: () => enqueue(async () => {})
+    };
+};
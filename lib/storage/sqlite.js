@@ -0,0 +1,127 @@
+import { applyPatch, assertCollection, deleteFilter, isAbsent, matches, stampNew } from './common.js';
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/*
+ * SQLite adapter, built on Node's bundled `node:sqlite` (Node.js 22.5+), so no native
+ * module has to be compiled. Records are stored as JSON documents in one table keyed by
+ * (collection, id); equality filters are pushed down to SQL via json_extract, predicate
+ * filters run in JS. SQLite's own WAL journal provides atomicity and crash safety, and
+ * DatabaseSync executes statements one at a time, so writes are naturally serialized.
+ */
+export const createSqliteStore = async ({ file, collections }) => {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = await import('node:sqlite'));
+    } catch (e) {
+        throw new Error(`DB_ADAPTER=sqlite needs Node.js 22.5 or newer (node:sqlite is unavailable in ${process.version})`);
+    }
+
+    let conn = null;
+
+    // Turns an equality object into a WHERE fragment; functions are applied afterwards in JS.
+    const compileWhere = (collection, where) => {
+        const clauses = ['collection = ?'];
+        const params = [collection];
+        if (where && typeof where === 'object') {
+            for (const [key, value] of Object.entries(where)) {
+                if (!FIELD_PATTERN.test(key)) throw new Error(`Invalid filter field: ${key}`);
+                // A missing field also extracts as NULL, as common.js matches() expects.
+                if (isAbsent(value)) {
+                    clauses.push(`json_extract(data, '$.${key}') IS NULL`);
+                } else {
+                    clauses.push(`json_extract(data, '$.${key}') = ?`);
+                    params.push(typeof value === 'boolean' ? Number(value) : value);
+                }
+            }
+        }
+        return { sql: clauses.join(' AND '), params };
+    };
+
+    const select = (collection, where) => {
+        const { sql, params } = compileWhere(collection, where);
+        const rows = conn.prepare(`SELECT data FROM documents WHERE ${sql} ORDER BY seq`).all(...params);
+        const records = rows.map(row => JSON.parse(row.data));
+        return typeof where === 'function' ? records.filter(r => matches(r, where)) : records;
+    };
+
+    const transaction = (fn) => {
+        conn.exec('BEGIN IMMEDIATE');
+        try {
+            const result = fn();
+            conn.exec('COMMIT');
+            return result;
+        } catch (err) {
+            conn.exec('ROLLBACK');
+            throw err;
+        }
+    };
+
+    const insertRow = (collection, record) => {
+        const row = stampNew(record);
+        conn.prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)')
+            .run(collection, row.id, JSON.stringify(row));
+        return row;
+    };
+
+    return {
+        name: 'SQLite Storage',
+
+        init: async () => {
+            conn = new DatabaseSync(file);
+            conn.exec('PRAGMA journal_mode = WAL');
+            conn.exec('PRAGMA synchronous = FULL');
+            conn.exec(`
+                CREATE TABLE IF NOT EXISTS documents (
+                    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                    collection TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    UNIQUE (collection, id)
+                )
+            `);
+        },
+
+        read: async () => Object.fromEntries(collections.map(name => [name, select(name)])),
+
+        query: async (collection, where) => {
+            assertCollection(collections, collection);
+            return select(collection, where);
+        },
+
+        insert: async (collection, record) => {
+            assertCollection(collections, collection);
+            return insertRow(collection, record);
+        },
+
+        insertOnce: async (collection, where, record) => {
+            assertCollection(collections, collection);
+            return transaction(() => select(collection, where)[0] || insertRow(collection, record));
+        },
+
+        update: async (collection, id, patch) => {
+            assertCollection(collections, collection);
+            return transaction(() => {
+                const current = conn.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?').get(collection, id);
+                if (!current) return null;
+                const row = applyPatch(JSON.parse(current.data), patch);
+                conn.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?')
+                    .run(JSON.stringify(row), collection, id);
+                return row;
+            });
+        },
+
+        delete: async (collection, where) => {
+            assertCollection(collections, collection);
+            const test = deleteFilter(where);
+            return transaction(() => {
+                const ids = select(collection, test).map(r => r.id);
+                const remove = conn.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+                for (const id of ids) remove.run(collection, id);
+                return ids.length;
+            });
+        },
+
+        flush: async () => {}
+    };
+};
@@ -0,0 +1,110 @@
+/*
+ * Daily energy and macro targets.
+ *
+ * Resting energy uses the Mifflin-St Jeor equation, scaled by an activity factor to total
+ * daily energy expenditure (TDEE). A weight-change goal shifts that by the energy in the
+ * requested rate (about 7700 kcal per kg of body weight). Calories are split into protein,
+ * carbs and fat by a preset, and any of the four numbers can be overridden by hand.
+ *
+ * With `use_measured_tdee` set, a TDEE measured from logged intake and the weight trend
+ * (lib/weights.js) replaces the formula once there is enough data for one.
+ */
+
+export const SEXES = ['female', 'male', 'other'];
+
+export const ACTIVITY_LEVELS = {
+    sedentary: { factor: 1.2, label: 'Sedentary (little or no exercise)' },
+    light: { factor: 1.375, label: 'Lightly active (1-3 days a week)' },
+    moderate: { factor: 1.55, label: 'Moderately active (3-5 days a week)' },
+    active: { factor: 1.725, label: 'Very active (6-7 days a week)' },
+    very_active: { factor: 1.9, label: 'Extra active (physical job or twice a day)' }
+};
+
+export const GOALS = ['lose', 'maintain', 'gain'];
+export const MAX_RATE_KG_PER_WEEK = 1;
+
+// Shares of calories from protein / carbs / fat, in percent.
+export const MACRO_PRESETS = {
+    balanced: { label: 'Balanced', protein: 25, carbs: 50, fat: 25 },
+    high_protein: { label: 'High protein', protein: 35, carbs: 40, fat: 25 },
+    low_carb: { label: 'Low carb', protein: 30, carbs: 20, fat: 50 },
+    keto: { label: 'Keto', protein: 20, carbs: 5, fat: 75 }
+};
+
+export const OVERRIDE_KEYS = ['calories', 'protein', 'carbs', 'fat'];
+
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+const KCAL_PER_KG = 7700;
+const FIBER_PER_1000_KCAL = 14;
+// Deficits never take intake below these without a manual override.
+const CALORIE_FLOOR = { female: 1200, male: 1500, other: 1200 };
+const DEFAULT_CALORIES = 2000;
+
+// Mifflin-St Jeor. "other" uses the midpoint of the two sex constants.
+export const restingEnergy = ({ sex, age, height_cm, weight_kg }) => {
+    const constant = { male: 5, female: -161, other: -78 }[sex];
+    return 10 * weight_kg + 6.25 * height_cm - 5 * age + constant;
+};
+
+export const isComplete = (profile) =>
+    SEXES.includes(profile.sex) && [profile.age, profile.height_cm, profile.weight_kg].every(v => Number.isFinite(v) && v > 0);
+
+// Daily kcal shift for a goal: negative to lose, positive to gain.
+export const goalAdjustment = ({ goal = 'maintain', rate_kg_per_week = 0 }) => {
+    if (goal === 'maintain') return 0;
+    const daily = (Math.min(rate_kg_per_week, MAX_RATE_KG_PER_WEEK) * KCAL_PER_KG) / 7;
+    return goal === 'lose' ? -daily : daily;
+};
+
+const gramsFor = (calories, preset) => Object.fromEntries(
+    Object.entries(KCAL_PER_GRAM).map(([macro, kcal]) => [macro, Math.round((calories * preset[macro]) / 100 / kcal)])
+);
+
+// Targets for a profile. Incomplete profiles fall back to a 2000 kcal day unless a measured
+// TDEE is in use. `source` says where each headline number came from, so the UI can mark
+// hand-set values.
+export const computeTargets = (profile = {}, { measuredTdee = null } = {}) => {
+    const complete = isComplete(profile);
+    const activity = ACTIVITY_LEVELS[profile.activity_level] || ACTIVITY_LEVELS.sedentary;
+    const presetKey = MACRO_PRESETS[profile.macro_preset] ? profile.macro_preset : 'balanced';
+    const preset = MACRO_PRESETS[presetKey];
+    const overrides = profile.overrides || {};
+
+    const bmr = complete ? Math.round(restingEnergy(profile)) : null;
+    const measured = profile.use_measured_tdee && measuredTdee !== null;
+    const tdee = measured ? measuredTdee : complete ? Math.round(bmr * activity.factor) : null;
+
+    let computed = DEFAULT_CALORIES;
+    let floored = false;
+    if (tdee !== null) {
+        computed = Math.round(tdee + goalAdjustment(profile));
+        const floor = CALORIE_FLOOR[profile.sex] || CALORIE_FLOOR.other;
+        if (computed < floor) {
+            computed = floor;
+            floored = true;
+        }
+    }
+
+    const calories = overrides.calories ?? computed;
+    const grams = gramsFor(calories, preset);
+    const source = {
+        tdee: measured ? 'measured' : complete ? 'formula' : null,
+        calories: overrides.calories != null ? 'override' : tdee !== null ? 'computed' : 'default'
+    };
+    for (const macro of Object.keys(KCAL_PER_GRAM)) {
+        if (overrides[macro] != null) grams[macro] = overrides[macro];
+        source[macro] = overrides[macro] != null ? 'override' : 'preset';
+    }
+
+    return {
+        complete,
+        bmr,
+        tdee,
+        calories,
+        ...grams,
+        fiber: Math.round((calories / 1000) * FIBER_PER_1000_KCAL),
+        macro_preset: presetKey,
+        floored,
+        source
+    };
+};
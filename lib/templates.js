@@ -0,0 +1,111 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { localDate, zonedInstant } from './dates.js';
+import { MealService, loggedFields } from './meals.js';
+import { ProfileService } from './profiles.js';
+import { slotOf } from './slots.js';
+import { mealDate, mealTime, userTimeZone } from './zones.js';
+
+/*
+ * Meal templates and "copy a day".
+ *
+ * A template is a saved slot (a usual breakfast) or a whole day: the meals logged there,
+ * each with its slot and local time of day. Applying it logs those meals again on another
+ * day at the same clock times; copying a day or slot does the same straight from the log.
+ * Moving a slot's meals into a different slot logs them at that slot's start instead.
+ * Days are the user's (lib/zones.js): a copy across a DST change keeps the clock times.
+ */
+
+export const MAX_TEMPLATE_ITEMS = 100;
+
+const describe = (date, slot) => (slot ? `${slot.name} on ${date}` : date);
+
+// The meals of a day, or of one slot of it, as template items.
+const itemsOf = async (userId, { date, slot, timeZone }) => {
+    const { profile } = await ProfileService.get(userId);
+    const slots = profile.meal_slots;
+    const source = slot ? slots.find(s => s.id === slot) : null;
+    if (slot && !source) throw new HttpError(400, `"${slot}" is not one of your meal slots`, 'UNKNOWN_SLOT');
+
+    const meals = (await db.query('meals', { user_id: userId }))
+        .filter(meal => mealDate(meal, timeZone) === date)
+        .map(meal => ({ meal, slot: slotOf(meal, slots, timeZone) }))
+        .filter(entry => !source || entry.slot.id === source.id)
+        .sort((a, b) => Date.parse(a.meal.eaten_at || a.meal.created_at) - Date.parse(b.meal.eaten_at || b.meal.created_at));
+    if (!meals.length) throw new HttpError(400, `Nothing is logged for ${describe(date, source)}`, 'NOTHING_LOGGED');
+    if (meals.length > MAX_TEMPLATE_ITEMS) throw new HttpError(400, `At most ${MAX_TEMPLATE_ITEMS} meals can be copied at once`);
+
+    return meals.map(({ meal, slot: { id } }) => ({
+        ...loggedFields(meal),
+        slot: id,
+        time: mealTime(meal, timeZone)
+    }));
+};
+
+// Logs `items` on `date`. With `slot`, every item goes into that slot, at its start unless
+// the items already came from it.
+const logItems = async (userId, items, { date, slot, timeZone }) => {
+    let target = null;
+    if (slot) {
+        const { profile } = await ProfileService.get(userId);
+        target = profile.meal_slots.find(s => s.id === slot);
+        if (!target) throw new HttpError(400, `"${slot}" is not one of your meal slots`, 'UNKNOWN_SLOT');
+    }
+    const meals = [];
+    for (const { time, slot: itemSlot, ...fields } of items) {
+        const moved = target && target.id !== itemSlot;
+        meals.push(await MealService.save(userId, {
+            ...fields,
+            slot: target ? target.id : itemSlot,
+            eaten_at: zonedInstant(date, moved ? target.start : time, timeZone).toISOString()
+        }, { timeZone }));
+    }
+    return meals;
+};
+
+const present = ({ user_id, ...template }) => ({
+    ...template,
+    calories: template.items.reduce((sum, item) => sum + item.calories, 0)
+});
+
+const findOwned = async (userId, id) => {
+    const [template] = await db.query('templates', { id, user_id: userId });
+    if (!template) throw new HttpError(404, 'Template not found', 'TEMPLATE_NOT_FOUND');
+    return template;
+};
+
+export const TemplateService = {
+    list: async (userId) => {
+        const templates = await db.query('templates', { user_id: userId });
+        return templates.sort((a, b) => a.name.localeCompare(b.name)).map(present);
+    },
+
+    // Saves what was logged on `date` (default today), or in one of its slots, under `name`.
+    create: async (userId, { name, date, slot, tz }) => {
+        const timeZone = await userTimeZone(userId, tz);
+        const day = date || localDate(new Date(), timeZone);
+        const items = await itemsOf(userId, { date: day, slot, timeZone });
+        return present(await db.insert('templates', { user_id: userId, name: name.trim(), slot: slot || null, items }));
+    },
+
+    // Logs the template's meals on `date` (default today); returns the new meals.
+    apply: async (userId, id, { date, slot, tz } = {}) => {
+        const template = await findOwned(userId, id);
+        const timeZone = await userTimeZone(userId, tz);
+        return logItems(userId, template.items, { date: date || localDate(new Date(), timeZone), slot, timeZone });
+    },
+
+    remove: async (userId, id) => {
+        await findOwned(userId, id);
+        await db.delete('templates', id);
+    },
+
+    // Logs again what was eaten on `from` (or in its `slot`) on `to`, default today, in
+    // `to_slot` if given.
+    copy: async (userId, { from, to, slot, to_slot, tz }) => {
+        const timeZone = await userTimeZone(userId, tz);
+        const date = to || localDate(new Date(), timeZone);
+        const items = await itemsOf(userId, { date: from, slot, timeZone });
+        return logItems(userId, items, { date, slot: to_slot, timeZone });
+    }
+};
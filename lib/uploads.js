@@ -0,0 +1,94 @@
+import multer from 'multer';
+import sharp from 'sharp';
+import { config } from './config.js';
+import { HttpError } from './http.js';
+
+/*
+ * Photo uploads.
+ *
+ * Files are size-limited while they stream in, identified by their leading bytes (never by
+ * the filename or the client's Content-Type) and later re-encoded as a downscaled JPEG by
+ * normalizeImage, which the analysis job runs as its preprocessing stage.
+ * Re-encoding drops EXIF/XMP, so GPS coordinates and device details never reach storage
+ * or a vision provider, and every provider receives the same small, predictable format.
+ */
+
+// Larger images are refused before decoding, which keeps decompression bombs out of memory.
+const MAX_PIXELS = 64_000_000;
+const JPEG_QUALITY = 85;
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs']);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// HEIC is an ISO-BMFF file whose leading `ftyp` box names a HEVC brand, either as the major
+// brand or among the compatible ones (iPhones write "mif1" first, then "heic").
+const isHeic = (buffer) => {
+    if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') return false;
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(buffer, 8, 12)];
+    for (let i = 16; i + 4 <= boxEnd; i += 4) brands.push(ascii(buffer, i, i + 4));
+    return brands.some(brand => HEIC_BRANDS.has(brand));
+};
+
+const SIGNATURES = {
+    'image/jpeg': (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    'image/png': (buffer) => buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_MAGIC),
+    'image/webp': (buffer) => buffer.length >= 12 && ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP',
+    'image/heic': isHeic
+};
+
+// The MIME type the file's content actually has, or null when it is none of the known images.
+export const sniffImageType = (buffer) => Object.keys(SIGNATURES).find(type => SIGNATURES[type](buffer)) || null;
+
+const formatBytes = (bytes) => (bytes >= 1_000_000 ? `${Math.round(bytes / 100_000) / 10} MB` : `${Math.round(bytes / 1000)} KB`);
+
+// Applies the EXIF orientation before the metadata is dropped, then fits the image inside
+// maxDimension × maxDimension. sharp writes no metadata unless asked to.
+export const normalizeImage = async (buffer, type, { maxDimension = config.uploads.maxDimension } = {}) => {
+    try {
+        const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+            .rotate()
+            .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: JPEG_QUALITY })
+            .toBuffer({ resolveWithObject: true });
+        return { buffer: data, mimetype: 'image/jpeg', size: data.length, width: info.width, height: info.height };
+    } catch (err) {
+        if (/pixel limit/i.test(err.message)) {
+            throw new HttpError(413, `Image dimensions are too large (max ${MAX_PIXELS / 1_000_000} megapixels)`);
+        }
+        // Stock sharp builds decode AVIF but not HEVC, so HEIC support depends on the installed libvips.
+        if (type === 'image/heic') {
+            throw new HttpError(415, 'HEIC photos cannot be decoded on this server. Export the photo as JPEG and try again.');
+        }
+        throw new HttpError(400, 'The image could not be decoded', 'INVALID_IMAGE');
+    }
+};
+
+const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.uploads.maxFileSize, files: 1 }
+});
+
+// Receives one image in `field` and checks its size and real type. req.file keeps multer's
+// shape ({ buffer, originalname, size, ... }) plus `type`, the sniffed MIME type to pass to
+// normalizeImage. A missing file is left for the route to report.
+export const imageUpload = (field) => {
+    const receive = parser.single(field);
+    const allowed = config.uploads.allowedTypes;
+
+    return (req, res, next) => receive(req, res, (err) => {
+        if (err?.code === 'LIMIT_FILE_SIZE') {
+            return next(new HttpError(413, `Image is larger than the ${formatBytes(config.uploads.maxFileSize)} limit`));
+        }
+        if (err || !req.file) return next(err);
+
+        const type = sniffImageType(req.file.buffer);
+        if (!type || !allowed.includes(type)) {
+            return next(new HttpError(415, `Unsupported image format. Upload one of: ${allowed.map(t => t.replace('image/', '').toUpperCase()).join(', ')}`));
+        }
+        req.file.type = type;
+        next();
+    });
+};
@@ -0,0 +1,115 @@
+import { HttpError } from './http.js';
+
+/*
+ * Request validation against a small JSON Schema subset, so the same schemas can be
+ * published in the OpenAPI document (lib/openapi.js). Supported keywords:
+ *   type (incl. arrays of types), properties, required, additionalProperties (boolean),
+ *   minLength, maxLength, pattern, enum, format (date-time, date, date-or-date-time),
+ *   minimum, maximum, exclusiveMinimum, items, minItems, maxItems, minProperties,
+ *   plus `x-message`, a friendlier error for a failed pattern.
+ * Query and path values arrive as strings and are coerced to the declared number/boolean type.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T/;
+
+// Date.parse rolls 2026-02-30 over to March 2, so the leading YYYY-MM-DD must also come back
+// unchanged from Date.UTC to be a real day.
+const isCalendarDay = (v) => {
+    const [year, month, day] = v.slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const FORMATS = {
+    'date': (v) => DATE_ONLY.test(v) && isCalendarDay(v),
+    'date-time': (v) => DATE_TIME.test(v) && isCalendarDay(v) && !Number.isNaN(Date.parse(v)),
+    'date-or-date-time': (v) => (DATE_ONLY.test(v) || DATE_TIME.test(v)) && isCalendarDay(v) && !Number.isNaN(Date.parse(v))
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const accepts = (types, value) => {
+    const actual = typeOf(value);
+    return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+};
+
+const coerceScalar = (types, value) => {
+    if (typeof value !== 'string') return value;
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+// Returns the (possibly coerced) value; problems are pushed onto `errors` as { path, message }.
+const check = (schema, input, path, errors, coerce) => {
+    const types = schema.type ? [].concat(schema.type) : null;
+    const value = coerce && types ? coerceScalar(types, input) : input;
+    const fail = (message) => { errors.push({ path, message }); return value; };
+
+    if (types && !accepts(types, value)) return fail(`must be ${types.join(' or ')}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.map(v => (v === null ? 'null' : v)).join(', ')}`);
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(schema['x-message'] || `must match ${schema.pattern}`);
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) return value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors, coerce));
+    }
+    if (typeOf(value) === 'object') {
+        const out = { ...value };
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push({ path: `${path}.${name}`, message: 'is required' });
+        }
+        for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined) out[name] = check(propSchema, value[name], `${path}.${name}`, errors, coerce);
+        }
+        if (schema.additionalProperties === false) {
+            for (const name of Object.keys(value)) {
+                if (!schema.properties?.[name]) errors.push({ path: `${path}.${name}`, message: 'is not an allowed field' });
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(`must have at least ${schema.minProperties} field(s)`);
+        }
+        return out;
+    }
+    return value;
+};
+
+// Checks one value outside a request (e.g. a record inside an import file). Returns the
+// problems as { path, message }; an empty list means the value is valid.
+export const validateValue = (schema, value, path = '') => {
+    const errors = [];
+    check(schema, value, path, errors, false);
+    return errors;
+};
+
+// Route middleware: validate({ params, query, body }) with one schema per part.
+// Coerced values replace the originals, so handlers see numbers where numbers were declared.
+export const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    for (const part of ['params', 'query', 'body']) {
+        if (!schemas[part]) continue;
+        const input = req[part] ?? {};
+        req[part] = check(schemas[part], input, part, errors, part !== 'body');
+    }
+    if (!errors.length) return next();
+    const [first] = errors;
+    next(new HttpError(400, `${first.path} ${first.message}`, 'VALIDATION_ERROR', errors));
+};
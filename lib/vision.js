@@ -0,0 +1,102 @@
+import { config } from './config.js';
+import { HttpError } from './http.js';
+import { normalizeNutrients, sumNutrients } from './nutrients.js';
+import { FoodCatalog, portionOf } from './foods/catalog.js';
+import { createOpenAIProvider } from './vision/openai.js';
+import { createLocalProvider } from './vision/local.js';
+import { createMockProvider } from './vision/mock.js';
+
+// Every provider exposes the same surface:
+//   name, model
+//   detect({ buffer, mimetype, originalname }) -> [{ name, confidence, grams, portion, estimate? }]
+// `estimate` is the model's own { calories, nutrients } guess, used when the catalog has no match.
+const PROVIDERS = {
+    openai: () => createOpenAIProvider({ ...config.vision.openai, timeoutMs: config.vision.timeoutMs }),
+    local: () => createLocalProvider({ ...config.vision.local, timeoutMs: config.vision.timeoutMs }),
+    mock: () => createMockProvider()
+};
+
+const createProvider = (name) => {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown VISION_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    return factory();
+};
+
+const chain = [config.vision.provider, config.vision.fallback].filter(Boolean).map(createProvider);
+if (!config.vision.configured) {
+    console.warn(`⚠️ No VISION_PROVIDER or OPENAI_API_KEY set: photos go to a local model at ${config.vision.local.url}, and to mock fixtures when none answers (see README).`);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Prices a detection at its estimated weight: from the offline catalog when every word of
+// the label matches a food, else from the model's own estimate, else from a partial catalog
+// match. Partial matches, items with no numbers at all and anything under the confidence
+// threshold need the user's say-so.
+const resolveItem = (detection) => {
+    const match = FoodCatalog.match(detection.name);
+    const food = match && (match.complete || !detection.estimate) ? match.food : null;
+    const item = {
+        name: detection.name,
+        confidence: round(detection.confidence),
+        food_id: food ? food.id : null,
+        food_name: food ? food.name : null
+    };
+
+    if (food) {
+        const view = portionOf(food, { label: detection.portion, amount: detection.grams });
+        Object.assign(item, {
+            portion: { size: view.size, unit: view.unit, label: view.label },
+            calories: view.calories,
+            nutrients: view.nutrients
+        });
+    } else {
+        Object.assign(item, {
+            portion: { size: round(detection.grams), unit: 'g', label: detection.portion },
+            calories: Math.round(detection.estimate?.calories || 0),
+            nutrients: normalizeNutrients(detection.estimate?.nutrients)
+        });
+    }
+    const guessed = food ? !match.complete : !detection.estimate;
+    item.needs_confirmation = item.confidence < config.vision.confidenceThreshold || guessed;
+    return item;
+};
+
+const detect = async (image) => {
+    for (const [i, provider] of chain.entries()) {
+        try {
+            return { provider, detections: await provider.detect(image) };
+        } catch (err) {
+            const next = chain[i + 1];
+            console.log(`⚠️ Vision provider "${provider.name}" failed: ${err.message.replace(/\.+$/, '')}.${next ? ` Trying "${next.name}".` : ''}`);
+        }
+    }
+    throw new HttpError(503, 'Image analysis is unavailable right now. Try again or add the food manually.', 'VISION_UNAVAILABLE');
+};
+
+export const VisionService = {
+    providers: chain.map(p => p.name),
+
+    // Runs an image ({ buffer, mimetype, originalname }) through the provider chain.
+    // Resolves with { provider, model, detections } for `price`.
+    detect: async (image) => {
+        const { provider, detections } = await detect(image);
+        console.log(`🧠 ${provider.name} found ${detections.length} item(s) in ${image.originalname || 'upload'}`);
+        return { provider: provider.name, model: provider.model, detections };
+    },
+
+    // Turns raw detections into priced items and totals (the stored analysis shape).
+    price: ({ provider, model, detections }) => {
+        const items = detections.map(resolveItem);
+        return {
+            provider,
+            model,
+            items,
+            calories: items.reduce((sum, item) => sum + item.calories, 0),
+            nutrients: sumNutrients(items.map(item => item.nutrients)),
+            confidence_threshold: config.vision.confidenceThreshold,
+            // Nothing recognised also needs a human: better to ask than to save an empty meal.
+            needs_confirmation: items.length === 0 || items.some(item => item.needs_confirmation)
+        };
+    }
+};
@@ -0,0 +1,32 @@
+import { VISION_PROMPT, parseDetections } from './prompt.js';
+
+// A vision model served on this machine through an Ollama-compatible /api/chat endpoint
+// (e.g. `ollama pull llava`). Nothing leaves the host, so it also works offline.
+export const createLocalProvider = ({ url, model, timeoutMs }) => ({
+    name: 'local',
+    model,
+    detect: async ({ buffer }) => {
+        let response;
+        try {
+            response = await fetch(new URL('/api/chat', url), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal: AbortSignal.timeout(timeoutMs),
+                body: JSON.stringify({
+                    model,
+                    stream: false,
+                    format: 'json',
+                    options: { temperature: 0 },
+                    messages: [{ role: 'user', content: VISION_PROMPT, images: [buffer.toString('base64')] }]
+                })
+            });
+        } catch (err) {
+            throw new Error(`Local vision model unreachable at ${url} (${err.message})`);
+        }
+        if (!response.ok) {
+            throw new Error(`Local vision model returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+        const reply = await response.json();
+        return parseDetections(reply.message?.content || '');
+    }
+});
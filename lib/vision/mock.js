@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+// Deterministic stand-in for tests and demos: the same image bytes always produce the
+// same detections, and roughly a third of them fall below the default confidence threshold.
+const FIXTURES = [
+    { name: 'grilled chicken breast', grams: 150, portion: '1 breast' },
+    { name: 'white rice', grams: 180, portion: '1 cup' },
+    { name: 'broccoli', grams: 90, portion: '1 cup chopped' },
+    { name: 'caesar salad', grams: 200, portion: '1 bowl' },
+    { name: 'pepperoni pizza', grams: 110, portion: '1 slice' },
+    { name: 'french fries', grams: 115, portion: '1 medium serving' },
+    { name: 'hamburger', grams: 220, portion: '1 burger' },
+    { name: 'apple', grams: 182, portion: '1 medium' },
+    { name: 'salmon', grams: 150, portion: '1 fillet' },
+    { name: 'scrambled eggs', grams: 120, portion: '2 eggs' },
+    { name: 'avocado toast', grams: 130, portion: '1 slice' },
+    { name: 'orange juice', grams: 250, portion: '1 glass' }
+];
+
+export const createMockProvider = () => ({
+    name: 'mock',
+    model: 'fixtures',
+    detect: async ({ buffer }) => {
+        const hash = crypto.createHash('sha256').update(buffer).digest();
+        const count = 1 + (hash[0] % 3);
+        const picked = new Set();
+        for (let i = 1; picked.size < count; i++) picked.add(hash[i] % FIXTURES.length);
+        return [...picked].map((index, i) => ({
+            ...FIXTURES[index],
+            confidence: Math.round((0.4 + (hash[10 + i] % 60) / 100) * 100) / 100,
+            estimate: null
+        }));
+    }
+});
@@ -0,0 +1,31 @@
+import OpenAI from 'openai';
+import { VISION_PROMPT, parseDetections } from './prompt.js';
+
+// OpenAI chat-completions vision model. The photo is sent inline as a data URL.
+export const createOpenAIProvider = ({ apiKey, model, timeoutMs }) => {
+    if (!apiKey) throw new Error('VISION_PROVIDER=openai needs OPENAI_API_KEY');
+    const client = new OpenAI({ apiKey, timeout: timeoutMs, maxRetries: 1 });
+
+    return {
+        name: 'openai',
+        model,
+        detect: async ({ buffer, mimetype }) => {
+            const completion = await client.chat.completions.create({
+                model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: VISION_PROMPT },
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: 'What food is on this photo?' },
+                            { type: 'image_url', image_url: { url: `data:${mimetype};base64,${buffer.toString('base64')}` } }
+                        ]
+                    }
+                ]
+            });
+            return parseDetections(completion.choices[0]?.message?.content || '');
+        }
+    };
+};
@@ -0,0 +1,48 @@
+// Prompt and reply parsing shared by the model-backed providers (OpenAI, local).
+
+const MAX_ITEMS = 10;
+
+export const VISION_PROMPT = `You are a nutrition assistant. List every distinct food or drink visible in the photo.
+Reply with JSON only, in this shape:
+{"items": [{"name": "white rice", "confidence": 0.9, "grams": 180, "portion": "1 cup", "calories": 230, "protein": 4.3, "carbs": 50, "fat": 0.5}]}
+- "name": a plain, generic food name (e.g. "fried egg", "caesar salad"), one entry per food.
+- "confidence": 0 to 1, how sure you are of the identification. Be honest; use low values when unsure.
+- "grams": estimated edible weight of the visible portion (millilitres for drinks).
+- "portion": the same amount in household terms.
+- "calories", "protein", "carbs", "fat": your estimate for that portion (kcal and grams).
+If there is no food in the photo, reply {"items": []}.`;
+
+// A non-negative number, or null when the model left it out (null and "" are not 0).
+const number = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+// Turns a model reply into detections: [{ name, confidence, grams, portion, estimate }].
+// Models sometimes wrap JSON in code fences or prose, so the outermost object is extracted.
+export const parseDetections = (text) => {
+    const start = String(text).indexOf('{');
+    const end = String(text).lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error('Vision model reply contained no JSON');
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(parsed.items)) throw new Error('Vision model reply has no "items" array');
+
+    return parsed.items
+        .filter(item => item && typeof item.name === 'string' && item.name.trim())
+        .slice(0, MAX_ITEMS)
+        .map(item => {
+            const grams = number(item.grams) || 100;
+            const calories = number(item.calories);
+            return {
+                name: item.name.trim().slice(0, 120),
+                confidence: Math.min(1, number(item.confidence) ?? 0.5),
+                grams,
+                portion: typeof item.portion === 'string' && item.portion.trim() ? item.portion.trim().slice(0, 60) : `${Math.round(grams)} g`,
+                estimate: calories === null ? null : {
+                    calories,
+                    nutrients: { protein: number(item.protein), carbs: number(item.carbs), fat: number(item.fat) }
+                }
+            };
+        });
+};
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+/*
+ * The Web Push protocol, with nothing but node:crypto.
+ *
+ * A browser subscription is an endpoint URL on its push service plus two keys: p256dh (the
+ * browser's P-256 public key) and auth (a 16-byte secret). A message is encrypted for those
+ * keys with "aes128gcm" content encoding (RFC 8291 / RFC 8188) and POSTed to the endpoint with
+ * a VAPID token (RFC 8292): an ES256 JWT for the push service's origin, signed with the
+ * sending server's key pair. Keys travel as base64url: public keys as the raw 65-byte point,
+ * private keys as the 32-byte scalar.
+ *
+ * Both ends live here, so the mock push service (scripts/mock-push-server.js) can check what
+ * lib/push.js sends without a browser.
+ */
+
+// One record of plaintext; push messages are far smaller than this.
+const RECORD_SIZE = 4096;
+const HEADER_SIZE = 21;
+const VAPID_EXPIRY_SECONDS = 12 * 60 * 60;
+
+export const b64 = (buffer) => Buffer.from(buffer).toString('base64url');
+export const unb64 = (text) => Buffer.from(text, 'base64url');
+
+export const createKeyPair = () => {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    // getPrivateKey() drops leading zero bytes; JWK wants all 32.
+    const scalar = ecdh.getPrivateKey();
+    return { publicKey: b64(ecdh.getPublicKey()), privateKey: b64(Buffer.concat([Buffer.alloc(32 - scalar.length), scalar])) };
+};
+
+const jwk = (publicKey, privateKey) => {
+    const point = unb64(publicKey);
+    return { kty: 'EC', crv: 'P-256', x: b64(point.subarray(1, 33)), y: b64(point.subarray(33, 65)), ...(privateKey && { d: privateKey }) };
+};
+
+// The Authorization header for sending to `endpoint` with a VAPID key pair.
+export const vapidAuthorization = ({ endpoint, publicKey, privateKey, subject }) => {
+    const header = b64(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = b64(JSON.stringify({ aud: new URL(endpoint).origin, exp: Math.floor(Date.now() / 1000) + VAPID_EXPIRY_SECONDS, sub: subject }));
+    const key = crypto.createPrivateKey({ format: 'jwk', key: jwk(publicKey, privateKey) });
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+    return `vapid t=${header}.${claims}.${b64(signature)}, k=${publicKey}`;
+};
+
+// The claims of a VAPID Authorization header for `audience` (an origin), or null when the
+// signature, audience or expiry is wrong. What a push service does before accepting a message.
+export const verifyVapid = (authorization, audience) => {
+    const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/.exec(authorization || '');
+    if (!match) return null;
+    const [, header, claims, signature, publicKey] = match;
+    const key = crypto.createPublicKey({ format: 'jwk', key: jwk(publicKey) });
+    if (!crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, unb64(signature))) return null;
+    const payload = JSON.parse(unb64(claims).toString());
+    return payload.aud === audience && payload.exp > Date.now() / 1000 ? { ...payload, public_key: publicKey } : null;
+};
+
+// The content key and nonce of a message (RFC 8291 section 3.4).
+const deriveContentKeys = ({ sharedSecret, authSecret, receiverKey, senderKey, salt }) => {
+    const info = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, info, 32));
+    return {
+        key: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16)),
+        nonce: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12))
+    };
+};
+
+// The aes128gcm body of a message for one subscription: a header (salt, record size, the
+// sender's one-off public key) and a single encrypted record.
+export const encryptPayload = (subscription, payload) => {
+    const receiverKey = unb64(subscription.keys.p256dh);
+    const sender = crypto.createECDH('prime256v1');
+    const senderKey = sender.generateKeys();
+    const salt = crypto.randomBytes(16);
+    const { key, nonce } = deriveContentKeys({
+        sharedSecret: sender.computeSecret(receiverKey),
+        authSecret: unb64(subscription.keys.auth),
+        receiverKey,
+        senderKey,
+        salt
+    });
+    const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+    // 0x02 marks the last (here the only) record.
+    const record = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+    const header = Buffer.alloc(HEADER_SIZE);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(senderKey.length, 20);
+    return Buffer.concat([header, senderKey, record]);
+};
+
+// The plaintext of a single-record message, as the browser would read it with the
+// subscription's private key and auth secret. Throws when it does not decrypt.
+export const decryptPayload = (body, { publicKey, privateKey, auth }) => {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const senderKey = body.subarray(HEADER_SIZE, HEADER_SIZE + idLength);
+    const record = body.subarray(HEADER_SIZE + idLength);
+    const receiver = crypto.createECDH('prime256v1');
+    receiver.setPrivateKey(unb64(privateKey));
+    const { key, nonce } = deriveContentKeys({
+        sharedSecret: receiver.computeSecret(senderKey),
+        authSecret: unb64(auth),
+        receiverKey: unb64(publicKey),
+        senderKey,
+        salt
+    });
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+    return padded.subarray(0, padded.lastIndexOf(2)).toString();
+};
@@ -0,0 +1,195 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { addDays, daysBetween, localDate } from './dates.js';
+import { mealDate, rangeFilter, userTimeZone } from './zones.js';
+
+/*
+ * Body weight and measurements.
+ *
+ * Entries are stored in metric (weight_kg, waist_cm) whatever unit they were entered in.
+ * Scale readings swing by a kilo or more from water alone, so progress is read from an
+ * exponentially smoothed trend: each day moves the trend a tenth of the way towards that
+ * day's weight. The trend then gives an energy balance: average intake minus the energy in
+ * the trend's change is what the body actually burned (its TDEE).
+ */
+
+export const WEIGHT_UNITS = { kg: 1, lb: 0.45359237 };
+export const LENGTH_UNITS = { cm: 1, in: 2.54 };
+export const MIN_WEIGHT_KG = 20;
+export const MAX_WEIGHT_KG = 400;
+export const TREND_SMOOTHING = 0.1;
+export const ESTIMATE_WINDOW_DAYS = 28;
+// Below these the estimate is mostly noise and is not offered.
+export const MIN_ESTIMATE_SPAN_DAYS = 14;
+export const MIN_LOGGED_INTAKE_DAYS = 10;
+
+const KCAL_PER_KG = 7700;
+
+const round = (value, digits = 1) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const measuredAt = (entry) => Date.parse(entry.measured_at);
+
+// Converts client input (any unit) to the stored metric fields. `partial` allows a PATCH.
+const sanitize = (input, { partial = false } = {}) => {
+    if (partial && input.unit !== undefined && input.weight === undefined) {
+        throw new HttpError(400, '"unit" only applies together with "weight"');
+    }
+    const entry = {};
+    if (input.weight !== undefined || !partial) {
+        entry.weight_kg = round(input.weight * WEIGHT_UNITS[input.unit || 'kg'], 2);
+        if (entry.weight_kg < MIN_WEIGHT_KG || entry.weight_kg > MAX_WEIGHT_KG) {
+            throw new HttpError(400, `"weight" must be between ${MIN_WEIGHT_KG} and ${MAX_WEIGHT_KG} kg (${Math.round(MIN_WEIGHT_KG / WEIGHT_UNITS.lb)}-${Math.round(MAX_WEIGHT_KG / WEIGHT_UNITS.lb)} lb)`);
+        }
+    }
+    if (input.waist !== undefined) {
+        entry.waist_cm = input.waist === null ? undefined : round(input.waist * LENGTH_UNITS[input.waist_unit || 'cm']);
+    }
+    if (input.body_fat_pct !== undefined) entry.body_fat_pct = input.body_fat_pct ?? undefined;
+    if (input.note !== undefined) entry.note = input.note ?? undefined;
+    if (input.measured_at !== undefined) entry.measured_at = new Date(input.measured_at).toISOString();
+    return entry;
+};
+
+const findOwned = async (userId, id) => {
+    const [entry] = await db.query('weights', { id, user_id: userId });
+    if (!entry) throw new HttpError(404, 'Weight entry not found', 'WEIGHT_NOT_FOUND');
+    return entry;
+};
+
+// One weight per day (the mean of that day's weigh-ins), oldest first.
+const dailyWeights = (entries, timeZone) => {
+    const days = new Map();
+    entries.forEach(entry => {
+        const date = localDate(new Date(entry.measured_at), timeZone);
+        const day = days.get(date) || { date, total: 0, count: 0 };
+        day.total += entry.weight_kg;
+        day.count += 1;
+        days.set(date, day);
+    });
+    return [...days.values()]
+        .sort((a, b) => (a.date < b.date ? -1 : 1))
+        .map(day => ({ date: day.date, weight_kg: round(day.total / day.count, 2) }));
+};
+
+// Exponentially smoothed trend over daily weights. A gap of n days counts as n steps, so a
+// week without weighing lets the next reading pull the trend further.
+export const smoothTrend = (days, alpha = TREND_SMOOTHING) => {
+    let trend = null;
+    let previous = null;
+    return days.map(day => {
+        if (trend === null) {
+            trend = day.weight_kg;
+        } else {
+            const weight = 1 - (1 - alpha) ** daysBetween(previous, day.date);
+            trend += weight * (day.weight_kg - trend);
+        }
+        previous = day.date;
+        return { ...day, trend_kg: round(trend, 2) };
+    });
+};
+
+// The trend's value on `date`: the last smoothed point on or before it.
+const trendOn = (trend, date) => [...trend].reverse().find(point => point.date <= date) || null;
+
+export const WeightService = {
+    // Newest first. `from`/`to` are both inclusive; `date` is one day, in the user's time zone
+    // (see lib/zones.js) unless `tz` says otherwise.
+    list: async (userId, { from, to, date, tz } = {}) => {
+        const inRange = rangeFilter({ from, to, date }, 'measured_at', await userTimeZone(userId, tz));
+        const entries = await db.query('weights', { user_id: userId });
+        return entries
+            .filter(inRange)
+            .sort((a, b) => measuredAt(b) - measuredAt(a));
+    },
+
+    latest: async (userId) => (await WeightService.list(userId))[0] || null,
+
+    create: (userId, input) => db.insert('weights', {
+        measured_at: new Date().toISOString(),
+        ...sanitize(input),
+        user_id: userId
+    }),
+
+    update: async (userId, id, input) => {
+        const patch = sanitize(input, { partial: true });
+        await findOwned(userId, id);
+        return db.update('weights', id, { ...patch, updated_at: new Date().toISOString() });
+    },
+
+    remove: async (userId, id) => {
+        await findOwned(userId, id);
+        await db.delete('weights', id);
+    },
+
+    // Daily weights with their trend over the last `days` days, and the TDEE estimate.
+    trend: async (userId, { days = 90, timeZone: zone } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const today = localDate(new Date(), timeZone);
+        const from = addDays(today, -(days - 1));
+        const [entries, estimate] = await Promise.all([
+            db.query('weights', { user_id: userId }),
+            WeightService.estimateTdee(userId, { timeZone })
+        ]);
+        // The trend is smoothed over all history, then cut to the range, so its start is settled.
+        const trend = smoothTrend(dailyWeights(entries, timeZone));
+        const points = trend.filter(point => point.date >= from);
+        const current = trend[trend.length - 1] || null;
+        const weekAgo = current && trendOn(trend, addDays(current.date, -7));
+
+        return {
+            range: { from, to: today, days, time_zone: timeZone },
+            points,
+            current: current && {
+                date: current.date,
+                weight_kg: current.weight_kg,
+                trend_kg: current.trend_kg,
+                weekly_change_kg: weekAgo && weekAgo !== current ? round(current.trend_kg - weekAgo.trend_kg, 2) : null
+            },
+            tdee_estimate: estimate
+        };
+    },
+
+    // Energy balance over the last ESTIMATE_WINDOW_DAYS: mean intake on logged days minus the
+    // energy of the trend's change per day. `tdee` is null (with a `reason`) until there are
+    // enough weigh-ins and logged days for the number to mean anything.
+    estimateTdee: async (userId, { timeZone: zone, windowDays = ESTIMATE_WINDOW_DAYS } = {}) => {
+        const timeZone = await userTimeZone(userId, zone);
+        const to = localDate(new Date(), timeZone);
+        const from = addDays(to, -(windowDays - 1));
+        const [entries, meals] = await Promise.all([db.query('weights', { user_id: userId }), db.query('meals', { user_id: userId })]);
+
+        const trend = smoothTrend(dailyWeights(entries, timeZone));
+        const inWindow = trend.filter(point => point.date >= from && point.date <= to);
+        // A weigh-in before the window still tells where the trend stood when it opened.
+        const first = trendOn(trend, from) || inWindow[0];
+        const last = inWindow[inWindow.length - 1];
+        const span = first && last ? daysBetween(first.date < from ? from : first.date, last.date) : 0;
+
+        const intake = new Map();
+        meals.forEach(meal => {
+            const date = mealDate(meal, timeZone);
+            if (date >= from && date <= to) intake.set(date, (intake.get(date) || 0) + meal.calories);
+        });
+        const loggedDays = intake.size;
+        const averageIntake = loggedDays ? Math.round([...intake.values()].reduce((a, b) => a + b, 0) / loggedDays) : null;
+
+        const base = { from, to, window_days: windowDays, logged_days: loggedDays, weigh_in_days: inWindow.length, average_intake: averageIntake };
+        if (!last || span < MIN_ESTIMATE_SPAN_DAYS) {
+            return { ...base, tdee: null, reason: `Needs weigh-ins at least ${MIN_ESTIMATE_SPAN_DAYS} days apart within the last ${windowDays} days` };
+        }
+        if (loggedDays < MIN_LOGGED_INTAKE_DAYS) {
+            return { ...base, tdee: null, reason: `Needs food logged on at least ${MIN_LOGGED_INTAKE_DAYS} of the last ${windowDays} days` };
+        }
+
+        const change = last.trend_kg - first.trend_kg;
+        return {
+            ...base,
+            trend_change_kg: round(change, 2),
+            tdee: Math.round(averageIntake - (change * KCAL_PER_KG) / span),
+            reason: null
+        };
+    }
+};
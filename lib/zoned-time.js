@@ -0,0 +1,24 @@
+/*
+ * Wall-clock times to instants, shared by the server (lib/dates.js) and the Pro dashboard
+ * (Frontend-Pro.js), so both settle DST changes the same way. `wallClock(instant)` gives
+ * "YYYY-MM-DD HH:MM" of an instant in the zone in question.
+ *
+ * The browser loads this file as /js/zoned-time.js (see server.js), so it must not import
+ * anything.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The instant HH:MM occurs on a day. The zone's offsets a day before and after are the two
+// it can be in (clocks never change twice within a day):
+// - a time that exists once takes the offset that reproduces it;
+// - a time repeated when the clocks go back is its first occurrence;
+// - a time skipped when the clocks go forward is read with the offset from before the change,
+//   so 02:30 becomes 03:30 both east and west of UTC.
+export const zonedInstant = (key, time, wallClock) => {
+    const wall = Date.parse(`${key}T${time}:00Z`);
+    const offsetAt = (instant) => Date.parse(`${wallClock(instant).replace(' ', 'T')}:00Z`) - instant;
+    const candidates = [offsetAt(wall - DAY_MS), offsetAt(wall + DAY_MS)].map(offset => wall - offset).sort((a, b) => a - b);
+    const valid = candidates.filter(instant => wallClock(instant) === `${key} ${time}`);
+    return new Date(valid.length ? valid[0] : candidates[1]);
+};
@@ -0,0 +1,62 @@
+import { db } from './db.js';
+import { HttpError } from './http.js';
+import { localDate, localTime } from './dates.js';
+
+/*
+ * The user's time zone, and the local day of what they log.
+ *
+ * "Today", day totals, streaks and every other per-day figure are counted in the profile's
+ * IANA `time_zone` (UTC while unset); a request's `tz` overrides it. A meal keeps the instant
+ * it was eaten (`eaten_at`) next to the local day and zone it was logged in (`local_date`,
+ * `time_zone`), so a dinner at 23:30 in Berlin stays on that day when its owner later flies
+ * to New York or changes the profile's zone. Entries from before local dates were stored are
+ * dated in the zone asked about.
+ */
+
+// The zone to count days in: `timeZone` when given (400 INVALID_TIME_ZONE if unknown), else
+// the profile's, else UTC.
+export const userTimeZone = async (userId, timeZone) => {
+    if (timeZone) {
+        localDate(new Date(), timeZone);
+        return timeZone;
+    }
+    const [record] = await db.query('profiles', { user_id: userId });
+    return record?.time_zone || 'UTC';
+};
+
+// The local day and zone stored next to an instant. Throws 400 for an unknown zone.
+export const localStamp = (instant, timeZone) => ({ local_date: localDate(new Date(instant), timeZone), time_zone: timeZone });
+
+// The day an entry counts on: its stored local date, or the day of its `at` instant in `timeZone`.
+export const entryDate = (entry, at, timeZone) => entry.local_date || localDate(new Date(entry[at] || entry.created_at), entry.time_zone || timeZone);
+
+export const mealDate = (meal, timeZone) => entryDate(meal, 'eaten_at', timeZone);
+
+// The clock time a meal was eaten at, in the zone it was logged in.
+export const mealTime = (meal, timeZone) => localTime(new Date(meal.eaten_at || meal.created_at), meal.time_zone || timeZone);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A list query bound: an ISO date, matched against the entry's local day, or a date-time,
+// matched against its instant.
+const parseBound = (value, name) => {
+    if (value === undefined || value === '') return null;
+    if (DATE_ONLY.test(value)) return { date: value };
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new HttpError(400, `"${name}" must be an ISO date or date-time`);
+    return { time };
+};
+
+// A filter for the inclusive `from`/`to` of a list query, or the single day `date`.
+export const rangeFilter = ({ from, to, date }, at, timeZone) => {
+    const start = parseBound(from ?? date, 'from');
+    const end = parseBound(to ?? date, 'to');
+    const comparable = start && end && Boolean(start.date) === Boolean(end.date);
+    if (comparable && (start.date ?? start.time) > (end.date ?? end.time)) throw new HttpError(400, '"from" must not be after "to"');
+
+    // Negative before the bound, positive after it.
+    const compare = (entry, bound) => (bound.date
+        ? entryDate(entry, at, timeZone).localeCompare(bound.date)
+        : Date.parse(entry[at] || entry.created_at) - bound.time);
+    return (entry) => (!start || compare(entry, start) >= 0) && (!end || compare(entry, end) <= 0);
+};
@@ -3,21 +3,214 @@
  * Pattern: State-Driven Component Rendering
  */
 
+import { zonedInstant } from './zoned-time.js';
+
 // --- 1. STATE MANAGEMENT (The Brain) ---
+
+// Mirrors the server's nutrient schema (lib/nutrients.js). Amounts are per logged serving.
+const NUTRIENTS = {
+    protein: { label: 'Protein', unit: 'g' },
+    carbs: { label: 'Carbohydrates', unit: 'g' },
+    fat: { label: 'Fat', unit: 'g' },
+    fiber: { label: 'Fiber', unit: 'g' },
+    sugar: { label: 'Sugar', unit: 'g' },
+    sodium: { label: 'Sodium', unit: 'mg' },
+    potassium: { label: 'Potassium', unit: 'mg' },
+    calcium: { label: 'Calcium', unit: 'mg' },
+    iron: { label: 'Iron', unit: 'mg' },
+    vitamin_a: { label: 'Vitamin A', unit: 'mcg' },
+    vitamin_c: { label: 'Vitamin C', unit: 'mg' },
+    vitamin_d: { label: 'Vitamin D', unit: 'mcg' }
+};
+const NUTRIENT_KEYS = Object.keys(NUTRIENTS);
+
+// Profile choices, mirroring lib/targets.js.
+const ACTIVITY_LEVELS = {
+    sedentary: 'Sedentary (little or no exercise)',
+    light: 'Lightly active (1-3 days a week)',
+    moderate: 'Moderately active (3-5 days a week)',
+    active: 'Very active (6-7 days a week)',
+    very_active: 'Extra active (physical job or twice a day)'
+};
+const MACRO_PRESETS = { balanced: 'Balanced (25/50/25)', high_protein: 'High protein (35/40/25)', low_carb: 'Low carb (30/20/50)', keto: 'Keto (20/5/75)' };
+const GOAL_RATES = [0.25, 0.5, 0.75, 1];
+const MAX_MEAL_SLOTS = 8; // lib/slots.js
+const QUICK_ADD_FOODS = 6;
+// History ranges in days, as offered by the History view (#/history/:days)
+const HISTORY_RANGES = { 7: 'Week', 30: '30 days', 90: '90 days', 365: 'Year' };
+// The browser's time zone, which a profile without one is given (see loadProfile).
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// How often a dashboard left open checks whether midnight has passed.
+const ROLLOVER_CHECK_MS = 60 * 1000;
+// Downloads offered by Settings > Your data (/api/v1/export/*)
+const EXPORTS = { 'meals.csv': 'Meals (CSV)', 'backup.json': 'Backup (JSON)', fhir: 'FHIR (for clinicians)' };
+// CSV import: the fields a column can be picked for (name, calories and date are required),
+// and the date orders the server reads (lib/dates.js).
+const CSV_IMPORT_FIELDS = { name: 'Food', calories: 'Calories', date: 'Date', time: 'Time', slot: 'Meal slot', protein: 'Protein', carbs: 'Carbs', fat: 'Fat', fiber: 'Fiber', sugar: 'Sugar', sodium: 'Sodium' };
+const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY'];
+
+// Weights are stored in kg and shown in the profile's unit; the waist goes with it (cm / in).
+const WEIGHT_UNITS = { kg: { perKg: 1, waist: 'cm', perCm: 1 }, lb: { perKg: 2.20462262, waist: 'in', perCm: 1 / 2.54 } };
+const WEIGHT_DAYS = 90;
+
+// Drinks (lib/beverages.js). Each dashboard widget logs its kinds with one tap; without a
+// volume the server pours a typical glass of the kind.
+const BEVERAGE_KINDS = {
+    water: { label: 'Water', icon: '💧' }, sparkling_water: { label: 'Sparkling water', icon: '🫧' },
+    coffee: { label: 'Coffee', icon: '☕' }, espresso: { label: 'Espresso', icon: '☕' },
+    tea: { label: 'Black tea', icon: '🍵' }, green_tea: { label: 'Green tea', icon: '🍵' }, herbal_tea: { label: 'Herbal tea', icon: '🫖' },
+    cola: { label: 'Cola', icon: '🥤' }, energy_drink: { label: 'Energy drink', icon: '⚡' },
+    juice: { label: 'Juice', icon: '🧃' }, milk: { label: 'Milk', icon: '🥛' },
+    beer: { label: 'Beer', icon: '🍺' }, wine: { label: 'Wine', icon: '🍷' }, spirits: { label: 'Spirits', icon: '🥃' },
+    other: { label: 'Other', icon: '🥤' }
+};
+const DRINK_BUTTONS = {
+    water: [{ kind: 'water', volume_ml: 250, label: 'Glass' }, { kind: 'water', volume_ml: 500, label: 'Bottle' }],
+    caffeine: [{ kind: 'coffee' }, { kind: 'espresso' }, { kind: 'tea' }],
+    alcohol: [{ kind: 'beer' }, { kind: 'wine' }, { kind: 'spirits' }]
+};
+// Drinks are stored in ml and shown in the profile's volume unit.
+const VOLUME_UNITS = { ml: { perMl: 1, label: 'ml', digits: 0 }, fl_oz: { perMl: 1 / 29.5735, label: 'fl oz', digits: 1 } };
+
+// Reminder rules (lib/reminders.js), their settings as the add form offers them, and how
+// often the inbox is fetched; a push message also makes the page fetch it at once.
+const REMINDER_TYPES = {
+    meal_slot: { label: 'Meal slot left empty', icon: '🍽️' },
+    inactivity: { label: 'Nothing logged for a while', icon: '⏳' },
+    calorie_goal: { label: 'Calorie goal reached', icon: '🎯' },
+    hydration: { label: 'Water behind pace', icon: '💧' }
+};
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+// Nutrition score grades (lib/scoring.js), coloured the same as in the simple app.
+const GRADE_COLORS = { A: '#10B981', B: '#84CC16', C: '#F59E0B', D: '#F97316', E: '#EF4444' };
+
+// Calendar days are "YYYY-MM-DD" keys in the profile's time zone (the browser's until the
+// profile is known), the form used in routes and the date picker. A key parses to noon UTC,
+// which no DST change moves off its day, so day math and labels are done in UTC.
+const Dates = {
+    timeZone: TIME_ZONE,
+    formatters: new Map(),
+    // "YYYY-MM-DD HH:MM" of an instant in a time zone.
+    local(date, timeZone = Dates.timeZone) {
+        if (!Dates.formatters.has(timeZone)) {
+            Dates.formatters.set(timeZone, new Intl.DateTimeFormat('sv-SE', {
+                timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+            }));
+        }
+        return Dates.formatters.get(timeZone).format(date);
+    },
+    key(date = new Date()) { return Dates.local(date).slice(0, 10); },
+    today() { return Dates.key(); },
+    // The day a meal or drink counts on: the local_date the server dated it with, else its instant's day.
+    dayOf(entry, at = 'eaten_at') { return entry.local_date || Dates.key(new Date(entry[at] || Date.now())); },
+    // "14:05" or "2:05 PM", in the zone the entry was logged in.
+    clock(instant, timeZone = Dates.timeZone) {
+        return new Date(instant || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+    },
+    parse(key) { return new Date(`${key}T12:00:00Z`); },
+    shift(key, days) {
+        const date = Dates.parse(key);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    },
+    // The instant a wall-clock HH:MM occurs on a day, settled as on the server (lib/zoned-time.js).
+    at(key, time) { return zonedInstant(key, time, (instant) => Dates.local(new Date(instant))); },
+    // Midnight-to-midnight bounds of a day, as instants the server can compare against.
+    range(key) {
+        const end = Dates.at(Dates.shift(key, 1), '00:00');
+        end.setMilliseconds(-1);
+        return { from: Dates.at(key, '00:00').toISOString(), to: end.toISOString() };
+    },
+    label(key) {
+        if (key === Dates.today()) return 'Today';
+        if (key === Dates.shift(Dates.today(), -1)) return 'Yesterday';
+        return Dates.parse(key).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+    },
+    // The label inside a sentence: "today", "yesterday", "Mon, Oct 12".
+    phrase(key) {
+        const label = Dates.label(key);
+        return ['Today', 'Yesterday'].includes(label) ? label.toLowerCase() : label;
+    }
+};
+
+// Volumes in the profile's unit: "250 ml", "8.5 fl oz".
+const Volumes = {
+    unit(state = Store.state) { return VOLUME_UNITS[state.profile?.volume_unit] ? state.profile.volume_unit : 'ml'; },
+    amount(ml, unit) { return Number((ml * VOLUME_UNITS[unit].perMl).toFixed(VOLUME_UNITS[unit].digits)); },
+    format(ml, unit) { return `${Volumes.amount(ml, unit).toLocaleString()} ${VOLUME_UNITS[unit].label}`; },
+    toMl(amount, unit) { return Math.round(amount / VOLUME_UNITS[unit].perMl); }
+};
+
 const Store = {
     state: {
         user: null,
-        view: 'login', // login, dashboard, analysis
+        token: null,
+        view: 'login', // login, dashboard, history, food, recipes, recipe, weight, settings, analysis (picked by Router)
+        date: Dates.today(), // day shown by the dashboard's log
+        history: null, // /api/v1/stats for the History view's range
+        historyDays: 30,
+        food: null, // catalog food opened at #/foods/:id
+        recipes: null, // the user's recipes and custom foods (/api/v1/recipes)
+        recipeDraft: null, // recipe being written at #/recipes/:id: { id, name, servings, serving_label, ingredients }
+        isSavingRecipe: false,
+        weights: null, // weigh-ins of the last WEIGHT_DAYS days, newest first
+        weightTrend: null, // /api/v1/weights/trend: smoothed points, current trend, TDEE estimate
+        analysis: null, // pending photo analysis under review
+        swapItemId: null, // analysis item being replaced through Food Search
+        pickIngredient: false, // Food Search adds its pick to the recipe draft
         meals: [],
-        dailyGoal: 2000,
+        dayScore: null, // /api/v1/stats/day nutrition score (with breakdown) of the day on screen
+        daySlots: null, // /api/v1/stats/day meal slots of that day, with subtotals and meal ids
+        beverageDay: null, // /api/v1/beverages/day of that day: drinks, water/caffeine/alcohol totals, targets and limit warnings
+        logSlot: null, // slot id the next entry is logged into (a slot's "+" button)
+        frequentFoods: [], // /api/v1/meals/frequent: learned quick-add foods
+        templates: null, // saved slots and days (/api/v1/templates)
+        slotDraft: null, // meal slots being edited in Settings, until saved
+        online: navigator.onLine, // false once a request could not reach the server, until one does again
+        outbox: { meals: 0, photos: 0 }, // changes waiting in the IndexedDB outbox (Outbox)
+        isSyncing: false,
+        syncNotes: [], // what the last sync could not apply as queued (edit conflicts, refused entries)
+        photoJobs: [], // analysis jobs of photos taken offline, uploaded on reconnect and waiting for review
+        dataImport: null, // file picked in Settings > Your data: { kind, name, text, columns?, options?, report?, isImporting }
+        notifications: null, // /api/v1/notifications: the in-app inbox, newest first
+        unreadCount: 0,
+        showNotifications: false,
+        reminders: null, // reminder rules (/api/v1/reminders), shown in Settings
+        reminderType: 'meal_slot', // type picked in the add-reminder form
+        pushDevice: null, // this browser's /api/v1/push/subscriptions id while push is on (kept in localStorage)
+        profile: null, // body and goal settings from /api/v1/profile
+        targets: { calories: 2000, protein: 125, carbs: 250, fat: 56, fiber: 28 }, // daily targets; server defaults until the profile loads
+        isSavingProfile: false,
         currentCalories: 0,
+        totals: Object.fromEntries(NUTRIENT_KEYS.map(key => [key, 0])), // today's nutrients
         isAnalyzing: false,
-        loadingStep: 0, // 0: Uploading, 1: Scanning, 2: Identifying, 3: Done
+        analysisJob: null, // server-side photo analysis job ({ id, stage, queue_position? }) being followed
+        uploadError: null, // { title, message } when a photo was refused (413/415/429) or its analysis failed
         showSearch: false,
         searchResults: [],
-        isSearching: false
+        isSearching: false,
+        showBarcode: false,
+        barcodeCode: '',
+        barcodeProduct: null, // last successful lookup, per serving
+        barcodeError: null,
+        isLookingUp: false,
+        barcodeCamera: false
     },
     
+    // Copies one LOCAL_STATE slice to IndexedDB (see hydrate).
+    persist(key) {
+        LocalDb.put('state', this.state[key], key).catch(e => console.error(`Could not keep ${key}`, e));
+    },
+
+    // Restores the LOCAL_STATE slices and the outbox count, so the app has data before (or without) the network.
+    async hydrate() {
+        const values = await Promise.all(LOCAL_STATE.map(key => LocalDb.get('state', key)));
+        LOCAL_STATE.forEach((key, i) => { if (values[i] !== undefined) this.state[key] = values[i]; });
+        Dates.timeZone = this.state.profile?.time_zone || TIME_ZONE;
+        await Outbox.refresh();
+    },
+
     // Reactive Update System
     listeners: [],
     subscribe(fn) { this.listeners.push(fn); },
@@ -30,47 +223,605 @@ const Store = {
         try { localStorage.setItem('calcatcher_user', JSON.stringify(user)); } catch(e){}
         this.notify(); 
     },
+    setSession(user, token) {
+        this.state.token = token;
+        try { localStorage.setItem('calcatcher_token', token); } catch(e){}
+        this.setUser(user);
+    },
+    clearSession() {
+        this.state.user = null;
+        this.state.token = null;
+        this.state.view = 'login';
+        try {
+            localStorage.removeItem('calcatcher_user');
+            localStorage.removeItem('calcatcher_token');
+            localStorage.removeItem('calcatcher_job');
+            localStorage.removeItem('calcatcher_push');
+        } catch(e){}
+        Object.assign(this.state, { notifications: null, unreadCount: 0, showNotifications: false, reminders: null, pushDevice: null });
+        Dates.timeZone = TIME_ZONE;
+        this.notify();
+    },
+    // Switching days drops the old day's meals at once, so they never show under the new date.
+    setDate(date) {
+        if (date === this.state.date) return;
+        this.state.date = date;
+        this.state.meals = [];
+        Object.assign(this.state, { dayScore: null, daySlots: null, beverageDay: null });
+        this.recalculate();
+        this.notify();
+    },
+    setHistory(history, days = this.state.historyDays) {
+        Object.assign(this.state, { history, historyDays: days });
+        this.notify();
+    },
+    setFood(food) { this.state.food = food; this.notify(); },
+    setDaySummary(day) {
+        Object.assign(this.state, { dayScore: day.nutrition_score, daySlots: day.slots });
+        LocalDb.put('state', day, `day:${day.date}`).catch(e => console.error('Could not keep the day summary', e));
+        this.notify();
+    },
+    setBeverageDay(day) {
+        this.state.beverageDay = day;
+        LocalDb.put('state', day, `drinks:${day.date}`).catch(e => console.error('Could not keep the drinks', e));
+        this.notify();
+    },
+    setFrequentFoods(foods) { this.state.frequentFoods = foods; this.persist('frequentFoods'); this.notify(); },
+    setTemplates(templates) { this.state.templates = templates; this.persist('templates'); this.notify(); },
+    setSlotDraft(slots) { this.state.slotDraft = slots; this.notify(); },
+    setDataImport(dataImport) { this.state.dataImport = dataImport; this.notify(); },
+    setNotifications(notifications, unread) { Object.assign(this.state, { notifications, unreadCount: unread }); this.notify(); },
+    toggleNotifications() { this.state.showNotifications = !this.state.showNotifications; this.notify(); },
+    setReminders(reminders) { this.state.reminders = reminders; this.notify(); },
+    setReminderType(type) { this.state.reminderType = type; this.notify(); },
+    setPushDevice(id) {
+        this.state.pushDevice = id;
+        try {
+            if (id) localStorage.setItem('calcatcher_push', id);
+            else localStorage.removeItem('calcatcher_push');
+        } catch(e){}
+        this.notify();
+    },
+    setOnline(bool) { if (this.state.online !== bool) { this.state.online = bool; this.notify(); } },
+    setOutbox(outbox) { this.state.outbox = outbox; this.notify(); },
+    setSyncing(bool, notes = this.state.syncNotes) { Object.assign(this.state, { isSyncing: bool, syncNotes: notes }); this.notify(); },
+    setPhotoJobs(jobs) { this.state.photoJobs = jobs; this.persist('photoJobs'); this.notify(); },
+    setRecipes(recipes) { this.state.recipes = recipes; this.persist('recipes'); this.notify(); },
+    setRecipeDraft(draft) { Object.assign(this.state, { recipeDraft: draft, isSavingRecipe: false }); this.notify(); },
+    setSavingRecipe(bool) { this.state.isSavingRecipe = bool; this.notify(); },
+    setWeights(weights, weightTrend) { Object.assign(this.state, { weights, weightTrend }); this.notify(); },
     setView(view) { 
         console.log('Changing view to:', view);
         this.state.view = view; 
         this.notify(); 
     },
-    setAnalyzing(bool) { this.state.isAnalyzing = bool; if(!bool) this.state.loadingStep = 0; this.notify(); },
-    setLoadingStep(step) { this.state.loadingStep = step; this.notify(); },
+    setAnalyzing(bool) { this.state.isAnalyzing = bool; if(!bool) this.state.analysisJob = null; this.notify(); },
+    // The job id is kept in localStorage so a page refresh picks the same job back up.
+    setAnalysisJob(job) {
+        this.state.analysisJob = job;
+        try {
+            if (job) localStorage.setItem('calcatcher_job', job.id);
+            else localStorage.removeItem('calcatcher_job');
+        } catch(e){}
+        this.notify();
+    },
+    setUploadError(error) { this.state.uploadError = error; this.notify(); },
     setSearchResults(results) { this.state.searchResults = results; this.notify(); },
     setSearching(bool) { this.state.isSearching = bool; this.notify(); },
-    toggleSearch() { this.state.showSearch = !this.state.showSearch; this.notify(); },
+    toggleSearch() {
+        this.state.showSearch = !this.state.showSearch;
+        if (!this.state.showSearch) Object.assign(this.state, { swapItemId: null, pickIngredient: false });
+        this.notify();
+    },
+    setAnalysis(analysis) { this.state.analysis = analysis; this.notify(); },
+    toggleBarcode() {
+        this.state.showBarcode = !this.state.showBarcode;
+        Object.assign(this.state, { barcodeCode: '', barcodeProduct: null, barcodeError: null, barcodeCamera: false });
+        this.notify();
+    },
+    setLookingUp(code) { Object.assign(this.state, { isLookingUp: true, barcodeCode: code, barcodeProduct: null, barcodeError: null }); this.notify(); },
+    setBarcodeResult(product, error = null) { Object.assign(this.state, { isLookingUp: false, barcodeProduct: product, barcodeError: error }); this.notify(); },
+    setBarcodeCamera(bool) { this.state.barcodeCamera = bool; this.notify(); },
     
+    // Meals come from /api/v1/meals; `time` is the display label derived from eaten_at.
+    withTime(meal) {
+        return { ...meal, time: Dates.clock(meal.eaten_at, meal.time_zone) };
+    },
+
+    // Recomputes the running calorie and nutrient totals from the meal list.
+    recalculate() {
+        const totals = Object.fromEntries(NUTRIENT_KEYS.map(key => [key, 0]));
+        let calories = 0;
+        this.state.meals.forEach(meal => {
+            calories += meal.calories;
+            NUTRIENT_KEYS.forEach(key => { totals[key] += meal.nutrients?.[key] || 0; });
+        });
+        NUTRIENT_KEYS.forEach(key => { totals[key] = Math.round(totals[key] * 10) / 10; });
+        this.state.currentCalories = calories;
+        this.state.totals = totals;
+    },
+
+    // Targets are computed on the server (Mifflin-St Jeor, activity, goal, macro preset, overrides).
+    // The profile's time zone is the one days are counted in.
+    setProfile({ profile, targets }) {
+        Object.assign(this.state, { profile, targets, isSavingProfile: false, slotDraft: null });
+        Dates.timeZone = profile.time_zone || TIME_ZONE;
+        this.persist('profile');
+        this.persist('targets');
+        this.notify();
+    },
+    setSavingProfile(bool) { this.state.isSavingProfile = bool; this.notify(); },
+
+    setMeals(meals) {
+        this.state.meals = meals.map(m => this.withTime(m));
+        LocalDb.replaceDay(this.state.date, meals).catch(e => console.error('Could not keep the meals', e));
+        this.recalculate();
+        this.notify();
+    },
+
+    // Meals eaten on another day than the one on screen are saved but not listed.
     addMeal(meal) { 
-        this.state.meals.unshift(meal); 
-        this.state.currentCalories += meal.calories;
+        LocalDb.putMeal(meal).catch(e => console.error('Could not keep the meal', e));
+        if (Dates.dayOf(meal) !== this.state.date) return;
+        this.state.meals.unshift(this.withTime(meal)); 
+        this.recalculate();
         this.notify(); 
     },
 
-    updateMeal(index, newName, newCals) {
-        const oldCals = this.state.meals[index].calories;
-        this.state.meals[index].name = newName;
-        this.state.meals[index].calories = parseInt(newCals);
-        this.state.currentCalories = (this.state.currentCalories - oldCals) + parseInt(newCals);
+    updateMeal(index, meal) {
+        this.state.meals[index] = this.withTime(meal);
+        LocalDb.putMeal(meal).catch(e => console.error('Could not keep the meal', e));
+        this.recalculate();
+        this.notify();
+    },
+
+    removeMeal(index) {
+        LocalDb.remove('meals', this.state.meals[index].id).catch(e => console.error('Could not forget the meal', e));
+        this.state.meals.splice(index, 1);
+        this.recalculate();
         this.notify();
     }
 };
 
-// --- 2. COMPONENTS (The UI Bricks) ---
+// --- 2. API CLIENT (The Wire) ---
+const Api = {
+    base: '/api/v1',
+
+    // Sends the session token and resolves with the response envelope ({ success, data, meta }).
+    // Failures throw an Error carrying the server's `status` and `code`.
+    async request(path, { method = 'GET', body } = {}) {
+        const headers = {};
+        if (Store.state.token) headers.Authorization = `Bearer ${Store.state.token}`;
+        const init = { method, headers };
+        if (body instanceof FormData) {
+            init.body = body;
+        } else if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(this.base + path, init);
+        } catch (e) {
+            // No connection (or the server is down): callers fall back to the local copy and the outbox.
+            Store.setOnline(false);
+            const error = new Error('You are offline');
+            error.offline = true;
+            throw error;
+        }
+        if (!Store.state.online) {
+            Store.setOnline(true);
+            setTimeout(() => Actions.sync());
+        }
+        const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+
+        if (response.status === 401 && Store.state.token) {
+            // Session expired or revoked elsewhere: back to the login card.
+            Store.clearSession();
+            Router.go('/login', { replace: true });
+        }
+        if (!response.ok || data.success === false) {
+            const error = new Error(data.error?.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            error.code = data.error?.code;
+            error.details = data.error?.details;
+            throw error;
+        }
+        return data;
+    },
+
+    // Reads a Server-Sent Events stream (fetch rather than EventSource, so the token still
+    // travels in the Authorization header) and calls onEvent with each parsed `data` payload.
+    // Resolves when the server ends the stream.
+    async stream(path, onEvent) {
+        const response = await fetch(this.base + path, {
+            headers: { Authorization: `Bearer ${Store.state.token}`, Accept: 'text/event-stream' }
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error?.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            error.code = data.error?.code;
+            throw error;
+        }
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            buffer += value;
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            events.forEach(event => {
+                const data = event.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+                if (data) onEvent(JSON.parse(data));
+            });
+        }
+    },
+
+    // Fetches a file endpoint (not enveloped) and resolves with { blob, filename }.
+    async download(path) {
+        const response = await fetch(this.base + path, { headers: { Authorization: `Bearer ${Store.state.token}` } });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error?.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            error.code = data.error?.code;
+            throw error;
+        }
+        const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || path.split('/').pop();
+        return { blob: await response.blob(), filename };
+    },
+
+    get(path) { return this.request(path); },
+    post(path, body) { return this.request(path, { method: 'POST', body }); },
+    patch(path, body) { return this.request(path, { method: 'PATCH', body }); },
+    delete(path) { return this.request(path, { method: 'DELETE' }); }
+};
+
+// --- 3. OFFLINE (The Pantry) ---
+
+// A copy of the user's data in IndexedDB, so the dashboard opens with the last known log and
+// profile without a network, plus the outbox of changes made meanwhile. Without IndexedDB
+// (some private browsing modes) reads come back empty and the app only works online.
+const LocalDb = {
+    name: 'calcatcher-pro',
+    version: 1,
+    connection: null,
+
+    open() {
+        this.connection ||= new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            const request = indexedDB.open(this.name, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('state'); // Store.state slices (LOCAL_STATE) and day summaries ("day:<date>", "drinks:<date>")
+                db.createObjectStore('meals', { keyPath: 'id' }).createIndex('date', 'date');
+                db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('IndexedDB unavailable', request.error);
+                resolve(null);
+            };
+        });
+        return this.connection;
+    },
+
+    // Runs `work` on one object store and resolves with its request's result once the
+    // transaction has committed.
+    async run(storeName, mode, work) {
+        const db = await this.open();
+        if (!db) return undefined;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = work(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    get(storeName, key) { return this.run(storeName, 'readonly', store => store.get(key)); },
+    put(storeName, value, key) { return this.run(storeName, 'readwrite', store => store.put(value, key)); },
+    remove(storeName, key) { return this.run(storeName, 'readwrite', store => store.delete(key)); },
+    async all(storeName) { return (await this.run(storeName, 'readonly', store => store.getAll())) || []; },
+
+    // Meals are filed under their local day; `time` is a display label and is not kept.
+    record({ time, ...meal }) { return { ...meal, date: Dates.dayOf(meal) }; },
+    async mealsOn(date) { return (await this.run('meals', 'readonly', store => store.index('date').getAll(date))) || []; },
+    putMeal(meal) { return this.put('meals', this.record(meal)); },
+    replaceDay(date, meals) {
+        return this.run('meals', 'readwrite', store => {
+            store.index('date').openKeyCursor(IDBKeyRange.only(date)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return meals.forEach(meal => store.put(this.record(meal)));
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    },
+
+    // The copy belongs to one account: signing in as someone else starts from scratch.
+    async claim(userId) {
+        if ((await this.get('state', 'user_id')) !== userId) await this.clear();
+        await this.put('state', userId, 'user_id');
+    },
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+        await Promise.all(['state', 'meals', 'outbox'].map(name => this.run(name, 'readwrite', store => store.clear())));
+    }
+};
+
+// Store.state slices kept in IndexedDB, restored by Store.hydrate before the first render.
+const LOCAL_STATE = ['profile', 'targets', 'templates', 'recipes', 'frequentFoods', 'photoJobs'];
+
+// Changes made offline, replayed in order by Actions.sync once the server answers again.
+// Meals logged offline carry a "local-" id until then; editing or deleting one rewrites or
+// drops its queued create instead of queueing more. Creates send that id as their client_id,
+// so a retry after a response that never arrived does not log the meal or drink twice. Entries:
+//   { type: 'create', meal_id, body }
+//   { type: 'update', meal_id, changes, base, edited_at }: base holds the edited fields and
+//     `version` (updated_at) as they were, to spot edits made meanwhile on another device
+//   { type: 'delete', meal_id, name }
+//   { type: 'photo', photo, name }: a photo to analyze
+//   { type: 'drink', body }: a drink to log, its body carrying a "local-" client_id
+const localId = () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const Outbox = {
+    entries() { return LocalDb.all('outbox'); },
+
+    async add(entry) {
+        if (!(await LocalDb.open())) return false;
+        await LocalDb.put('outbox', { ...entry, queued_at: new Date().toISOString() });
+        await this.refresh();
+        return true;
+    },
+
+    async done(seq) {
+        await LocalDb.remove('outbox', seq);
+        await this.refresh();
+    },
+
+    async refresh() {
+        const entries = await this.entries();
+        Store.setOutbox({
+            meals: entries.filter(entry => entry.type !== 'photo').length,
+            photos: entries.filter(entry => entry.type === 'photo').length
+        });
+    },
+
+    // Logs a meal on this device only; resolves with it (id "local-...") or null without IndexedDB.
+    async queueMeal(body) {
+        const now = new Date().toISOString();
+        const meal = { ...body, id: localId(), eaten_at: body.eaten_at || now, created_at: now, pending: true };
+        const { id, created_at, pending, ...fields } = meal;
+        if (!(await this.add({ type: 'create', meal_id: id, body: fields }))) return null;
+        await LocalDb.putMeal(meal);
+        return meal;
+    },
+
+    // Resolves with the edited meal, or null without IndexedDB.
+    async queueEdit(meal, changes) {
+        const entries = await this.entries();
+        const queued = entries.find(entry => entry.meal_id === meal.id && ['create', 'update'].includes(entry.type));
+        if (queued?.type === 'create') {
+            await LocalDb.put('outbox', { ...queued, body: { ...queued.body, ...changes } });
+        } else if (queued) {
+            await LocalDb.put('outbox', { ...queued, changes: { ...queued.changes, ...changes }, edited_at: new Date().toISOString() });
+        } else {
+            const base = Object.fromEntries(Object.keys(changes).map(field => [field, meal[field]]));
+            const added = await this.add({ type: 'update', meal_id: meal.id, changes, base: { ...base, version: meal.updated_at || meal.created_at }, edited_at: new Date().toISOString() });
+            if (!added) return null;
+        }
+        const edited = { ...meal, ...changes, pending: true };
+        await LocalDb.putMeal(edited);
+        return edited;
+    },
+
+    // Resolves false without IndexedDB.
+    async queueDelete(meal) {
+        if (!(await LocalDb.open())) return false;
+        const entries = await this.entries();
+        await Promise.all(entries.filter(entry => entry.meal_id === meal.id).map(entry => LocalDb.remove('outbox', entry.seq)));
+        if (!meal.id.startsWith('local-')) await LocalDb.put('outbox', { type: 'delete', meal_id: meal.id, name: meal.name, queued_at: new Date().toISOString() });
+        await LocalDb.remove('meals', meal.id);
+        await this.refresh();
+        return true;
+    },
+
+    // A day's meals from the server, with what this device has not synced yet laid over them.
+    async overlay(date, serverMeals) {
+        const [cached, entries] = await Promise.all([LocalDb.mealsOn(date), this.entries()]);
+        const deleted = new Set(entries.filter(entry => entry.type === 'delete').map(entry => entry.meal_id));
+        const queued = new Set(entries.map(entry => entry.meal_id));
+        const pending = new Map(cached.filter(meal => meal.pending && queued.has(meal.id)).map(meal => [meal.id, meal]));
+        return [
+            ...[...pending.values()].filter(meal => meal.id.startsWith('local-')),
+            ...serverMeals.filter(meal => !deleted.has(meal.id)).map(meal => pending.get(meal.id) || meal)
+        ];
+    },
+
+    // Which of an offline edit's fields to send, given the meal as it is on the server now.
+    // Untouched since the edit was queued: all of them. Otherwise field by field: a field
+    // only this device changed is sent; one both sides changed goes to the later edit.
+    merge(entry, current) {
+        if ((current.updated_at || current.created_at) === entry.base.version) return { apply: entry.changes, kept: [] };
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const theirsIsLater = Date.parse(current.updated_at || current.created_at) > Date.parse(entry.edited_at);
+        const apply = {};
+        const kept = [];
+        Object.entries(entry.changes).forEach(([field, value]) => {
+            if (same(current[field], value)) return;
+            if (same(current[field], entry.base[field]) || !theirsIsLater) apply[field] = value;
+            else kept.push(field);
+        });
+        return { apply, kept };
+    },
+
+    // Sends one entry. Resolves with a note for the user when it did not go through as queued,
+    // and with the analysis job of a photo.
+    async replay(entry) {
+        const path = `/meals/${encodeURIComponent(entry.meal_id)}`;
+        if (entry.type === 'create') {
+            await Api.post('/meals', { ...entry.body, client_id: entry.meal_id });
+            await LocalDb.remove('meals', entry.meal_id);
+            return {};
+        }
+        if (entry.type === 'delete') {
+            await Api.delete(path).catch(e => { if (e.status !== 404) throw e; });
+            return {};
+        }
+        if (entry.type === 'drink') {
+            await Api.post('/beverages', entry.body);
+            return {};
+        }
+        if (entry.type === 'photo') {
+            const formData = new FormData();
+            formData.append('image', entry.photo, entry.name);
+            const { data: job } = await Api.post('/analyze', formData);
+            return { job: job.id };
+        }
+        let current;
+        try {
+            ({ data: current } = await Api.get(path));
+        } catch (e) {
+            if (e.status === 404) return { note: `"${entry.changes.name || entry.base.name}" was deleted on another device, so your offline edit was dropped.` };
+            throw e;
+        }
+        const { apply, kept } = this.merge(entry, current);
+        if (Object.keys(apply).length) await Api.patch(path, apply);
+        return kept.length ? { note: `"${current.name}" was also edited on another device; its newer ${kept.join(' and ')} ${kept.length > 1 ? 'were' : 'was'} kept.` } : {};
+    },
+
+    describe(entry) {
+        if (entry.type === 'photo') return `The photo ${entry.name}`;
+        if (entry.type === 'drink') return `Your ${BEVERAGE_KINDS[entry.body.kind].label.toLowerCase()}`;
+        if (entry.type === 'create') return `"${entry.body.name}"`;
+        return `Your change to "${entry.changes?.name || entry.base?.name || entry.name}"`;
+    }
+};
+
+// --- 4. ROUTER (The Map) ---
+
+// Every signed-in view has a hash route, so views can be bookmarked and walked with the
+// browser's back/forward buttons. Changing the hash is the only way to switch views: the
+// hashchange listener resolves the route, sets the view and asks the view's loader for data.
+const Router = {
+    routes: [
+        { path: /^\/login$/, view: 'login', public: true },
+        { path: /^\/day\/(\d{4}-\d{2}-\d{2})$/, view: 'dashboard', load: (date) => Actions.openDay(date) },
+        { path: /^\/history(?:\/(\d+))?$/, view: 'history', load: (days) => Actions.loadHistory(Number(days) || Store.state.historyDays) },
+        { path: /^\/foods\/([^/]+)$/, view: 'food', load: (id) => Actions.openFood(decodeURIComponent(id)) },
+        { path: /^\/recipes$/, view: 'recipes', load: () => Actions.loadRecipes() },
+        { path: /^\/recipes\/([^/]+)$/, view: 'recipe', load: (id) => Actions.openRecipe(decodeURIComponent(id)) },
+        { path: /^\/weight$/, view: 'weight', load: () => Actions.loadWeights() },
+        { path: /^\/settings$/, view: 'settings', load: () => Promise.all([Actions.loadProfile(), Actions.loadBeverages(), Actions.loadReminders()]) },
+        { path: /^\/analysis\/([^/]+)$/, view: 'analysis', load: (id) => Actions.openAnalysis(decodeURIComponent(id)) }
+    ],
+
+    current() { return location.hash.replace(/^#/, '') || '/'; },
+
+    // Where a signed-in user lands when the URL names no view: the last one they had open.
+    home() {
+        let saved = null;
+        try { saved = localStorage.getItem('calcatcher_route'); } catch(e) {}
+        return saved && this.match(saved) ? saved : `/day/${Dates.today()}`;
+    },
+
+    match(path) {
+        for (const route of this.routes) {
+            const found = route.path.exec(path);
+            if (found) return { route, params: found.slice(1) };
+        }
+        return null;
+    },
+
+    // Pushes a history entry (or replaces the current one) and shows the route.
+    go(path, { replace = false } = {}) {
+        if (replace) {
+            history.replaceState(null, '', `#${path}`);
+            return this.resolve();
+        }
+        if (this.current() === path) return this.resolve();
+        location.hash = path; // fires hashchange -> resolve()
+    },
+
+    resolve() {
+        const path = this.current();
+        const found = this.match(path);
+        const signedIn = Boolean(Store.state.token);
+
+        if (!signedIn && !found?.route.public) return this.go('/login', { replace: true });
+        if (!found || (signedIn && found.route.public)) return this.go(this.home(), { replace: true });
+
+        if (!found.route.public) {
+            try { localStorage.setItem('calcatcher_route', path); } catch(e) {}
+        }
+        Store.setView(found.route.view);
+        found.route.load?.(...found.params);
+    },
+
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+};
+
+// --- 5. TEMPLATES (The Mould) ---
+
+// Components write markup with the `html` tag. Every interpolated value is escaped unless it
+// is itself an `html` result (or an array of them), so food names, notes and server messages
+// always land as text, never as markup.
+class Markup {
+    constructor(text) { this.text = text; }
+    toString() { return this.text; }
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+// null, undefined and false render nothing, so `${cond && html`...`}` needs no `: ''`.
+const fragment = (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof Markup) return value.text;
+    if (Array.isArray(value)) return value.map(fragment).join('');
+    return escapeHtml(value);
+};
+
+const html = (strings, ...values) => new Markup(strings.reduce((out, text, i) => out + fragment(values[i - 1]) + text));
+
+// Binds an element to an action through Events (no inline handlers):
+// `<button ${on('click', 'editMeal', index)}>` calls Actions.editMeal(index). Arguments travel
+// as JSON. 'change' handlers also get the field's value (`checked` for checkboxes, the input
+// itself for files), 'enter' fires on the Enter key, and 'submit' never reloads the page.
+const on = (event, action, ...args) => html`data-on-${event}="${JSON.stringify([action, ...args])}"`;
+
+// "P 12g · C 30g · F 5g". A nutrient the server does not know is null: it shows as "?", and
+// nothing shows when none of them is known (a meal logged by its calories alone).
+const MACRO_ABBREVIATIONS = { protein: 'P', carbs: 'C', fat: 'F', sugar: 'Sugar' };
+const macroLine = (nutrients, keys = ['protein', 'carbs', 'fat']) => {
+    if (!keys.some(key => nutrients?.[key] != null)) return '';
+    return keys.map(key => `${MACRO_ABBREVIATIONS[key]} ${nutrients[key] == null ? '?' : Math.round(nutrients[key])}g`).join(' · ');
+};
+
+// --- 6. COMPONENTS (The UI Bricks) ---
 
 const Components = {
     // The "Living" Background
-    MeshBackground: () => `<div class="mesh-bg"></div>`,
+    MeshBackground: () => html`<div class="mesh-bg"></div>`,
 
     // Login View
-    LoginView: () => `
+    LoginView: () => html`
         <div class="login-wrapper">
             <div class="login-card fade-in-up">
                 <div class="login-emoji">🥗</div>
                 <h1 class="login-title">CalCatcher.</h1>
                 <p class="subtitle mb-20">AI-Powered Nutrition Intelligence.</p>
                 
-                <form onsubmit="event.preventDefault(); Actions.login()">
+                <form ${on('submit', 'login')}>
                     <input type="text" class="input-field" placeholder="Username" id="username" autocomplete="username">
                     <input type="password" class="input-field" placeholder="Password" id="password" autocomplete="current-password">
                     
@@ -80,8 +831,8 @@ const Components = {
                 </form>
                 
                 <div style="margin-top: 20px; text-align: center;">
-                    <button onclick="Actions.forceDashboard()" style="background: none; border: none; color: #666; cursor: pointer; text-decoration: underline;">
-                        (Debug: Force Enter)
+                    <button ${on('click', 'register')} style="background: none; border: none; color: #666; cursor: pointer; text-decoration: underline;">
+                        New here? Create an account
                     </button>
                 </div>
             </div>
@@ -89,38 +840,88 @@ const Components = {
     `,
 
     // Desktop Sidebar
-    Sidebar: (state) => `
+    Sidebar: (state) => html`
         <div class="desktop-sidebar">
             <div class="sidebar-brand">
                 <span>🥗</span> CalCatcher
             </div>
-            <div class="desktop-nav-item active" onclick="Actions.nav('dashboard')">
+            <div class="desktop-nav-item ${state.view === 'dashboard' ? 'active' : ''}" ${on('click', 'nav', 'dashboard')}>
                 <i class="fas fa-home"></i> Dashboard
             </div>
-            <div class="desktop-nav-item" onclick="document.getElementById('fileInput').click()">
+            <div class="desktop-nav-item ${state.view === 'history' ? 'active' : ''}" ${on('click', 'nav', 'history')}>
+                <i class="fas fa-calendar-alt"></i> History
+            </div>
+            <div class="desktop-nav-item ${state.view === 'weight' ? 'active' : ''}" ${on('click', 'nav', 'weight')}>
+                <i class="fas fa-weight"></i> Weight
+            </div>
+            <div class="desktop-nav-item ${state.view === 'recipes' || state.view === 'recipe' ? 'active' : ''}" ${on('click', 'nav', 'recipes')}>
+                <i class="fas fa-book-open"></i> Recipes
+            </div>
+            <div class="desktop-nav-item ${state.view === 'analysis' ? 'active' : ''}" ${on('click', 'takePhoto')}>
                 <i class="fas fa-camera"></i> AI Analysis
             </div>
-            <div class="desktop-nav-item" onclick="Actions.toggleSearch()">
+            <div class="desktop-nav-item ${state.view === 'food' ? 'active' : ''}" ${on('click', 'toggleSearch')}>
                 <i class="fas fa-search"></i> Food Search
             </div>
-            <div class="desktop-nav-item" onclick="Actions.nav('settings')">
+            <div class="desktop-nav-item" ${on('click', 'toggleBarcode')}>
+                <i class="fas fa-barcode"></i> Scan Barcode
+            </div>
+            <div class="desktop-nav-item ${state.view === 'settings' ? 'active' : ''}" ${on('click', 'nav', 'settings')}>
                 <i class="fas fa-cog"></i> Settings
             </div>
             
             <div class="mt-auto">
                 <div class="glass-card goal-card">
                     <div class="goal-label">Daily Goal</div>
-                    <div class="goal-value">${state.currentCalories} / ${state.dailyGoal}</div>
+                    <div class="goal-value">${state.currentCalories} / ${state.targets.calories}</div>
                     <div class="progress-bar-bg">
-                        <div class="progress-bar-fill" style="width: ${Math.min((state.currentCalories / state.dailyGoal) * 100, 100)}%;"></div>
+                        <div class="progress-bar-fill" style="width: ${Math.min((state.currentCalories / state.targets.calories) * 100, 100)}%;"></div>
                     </div>
                 </div>
             </div>
         </div>
     `,
 
+    // One labelled progress bar: amount consumed against a gram target
+    MacroRow: (label, amount, target, color) => html`
+        <div class="macro-row">
+            <div class="macro-label">
+                <span>${label}</span>
+                <span>${Math.round(amount)}g / ${target}g</span>
+            </div>
+            <div class="progress-bar-bg">
+                <div class="progress-bar-fill" style="width: ${Math.min((amount / target) * 100, 100)}%; background: ${color};"></div>
+            </div>
+        </div>
+    `,
+
+    // Grade and score of a food, meal or day; nothing for unrated ones (water, black coffee)
+    ScoreBadge: (rating) => rating?.grade ? html`
+        <span class="score-badge" style="background: ${GRADE_COLORS[rating.grade]};" title="Nutrition score ${rating.score}/100">${rating.grade} · ${rating.score}</span>
+    ` : '',
+
+    // Why a score is what it is: the points each factor of the formula gave or took
+    ScoreBreakdown: (rating) => {
+        if (!rating?.breakdown?.length) return html`<p class="subtitle">${rating?.note || 'Nothing to rate yet.'}</p>`;
+        return html`
+        <div class="score-head">
+            <div class="score-number" style="color: ${GRADE_COLORS[rating.grade]};">${rating.score}<span>/100</span></div>
+            <div>
+                <div style="font-weight: 700;">Grade ${rating.grade}</div>
+                <div style="font-size: 12px; color: var(--text-muted);">${rating.processing.label}</div>
+            </div>
+        </div>
+        ${rating.breakdown.map(row => html`
+            <div class="target-row" title="${row.reason}">
+                <span>${row.label}${row.value !== null ? html` <small class="subtitle">${row.value} ${row.unit}</small>` : ''}</span>
+                <strong class="${row.points < 0 ? 'score-penalty' : ''}">${row.points > 0 ? '+' : ''}${row.points}</strong>
+            </div>
+        `)}
+        ${rating.note && html`<p class="subtitle">${rating.note}</p>`}
+    `},
+
     // Desktop Stats Panel
-    StatsPanel: (state) => `
+    StatsPanel: (state) => html`
         <div class="stats-panel">
             <h3 class="stats-panel-title">Your Stats</h3>
             <div class="glass-card text-center" style="padding: 20px;">
@@ -130,23 +931,11 @@ const Components = {
             </div>
              <div class="glass-card" style="padding: 20px;">
                 <h4>Macronutrients</h4>
-                <div class="macro-row">
-                    <div class="macro-label">
-                        <span>Protein</span>
-                        <span>85g</span>
-                    </div>
-                    <div class="progress-bar-bg">
-                        <div class="progress-bar-fill" style="width: 70%; background: var(--accent);"></div>
-                    </div>
-                </div>
-                <div class="macro-row">
-                    <div class="macro-label">
-                        <span>Carbs</span>
-                        <span>120g</span>
-                    </div>
-                    <div class="progress-bar-bg">
-                        <div class="progress-bar-fill" style="width: 50%; background: var(--primary);"></div>
-                    </div>
+                ${Components.MacroRow('Protein', state.totals.protein, state.targets.protein, 'var(--accent)')}
+                ${Components.MacroRow('Carbs', state.totals.carbs, state.targets.carbs, 'var(--primary)')}
+                ${Components.MacroRow('Fat', state.totals.fat, state.targets.fat, '#29B6F6')}
+                <div style="font-size: 12px; color: var(--text-muted); margin-top: 10px;">
+                    Fiber ${Math.round(state.totals.fiber)}g · Sugar ${Math.round(state.totals.sugar)}g · Sodium ${Math.round(state.totals.sodium)}mg
                 </div>
             </div>
             
@@ -155,59 +944,109 @@ const Components = {
                 <div class="flex-gap-15" style="margin-top: 15px; align-items: center;">
                     <div style="font-size: 32px;">🎯</div>
                     <div>
-                        <div class="goal-value">${state.currentCalories}/${state.dailyGoal} cal</div>
-                        <div style="font-size: 12px; color: var(--text-muted);">${Math.round((state.currentCalories/state.dailyGoal)*100)}% Complete</div>
+                        <div class="goal-value">${state.currentCalories}/${state.targets.calories} cal</div>
+                        <div style="font-size: 12px; color: var(--text-muted);">${Math.round((state.currentCalories/state.targets.calories)*100)}% Complete</div>
                     </div>
                 </div>
             </div>
             
             <div class="glass-card" style="padding: 20px; margin-top: 20px;">
                 <h4>Quick Add</h4>
+                ${state.frequentFoods.length ? html`
                 <div class="quick-add-grid">
-                    <button class="btn-primary" style="padding: 8px;" onclick="Actions.quickAdd('Water', 0)">💧 Water</button>
-                    <button class="btn-primary" style="padding: 8px;" onclick="Actions.quickAdd('Coffee', 5)">☕ Coffee</button>
-                    <button class="btn-primary" style="padding: 8px;" onclick="Actions.quickAdd('Apple', 95)">🍎 Apple</button>
-                    <button class="btn-primary" style="padding: 8px;" onclick="Actions.quickAdd('Banana', 105)">🍌 Banana</button>
-                </div>
+                    ${state.frequentFoods.map((food, index) => html`
+                        <button class="btn-primary quick-add-item" ${on('click', 'quickAdd', index)} title="${food.calories} cal · logged ${food.count} times">${food.icon || '🍽️'} ${food.name}</button>
+                    `)}
+                </div>` : html`<p class="subtitle">The foods you log most often will show up here.</p>`}
             </div>
         </div>
     `,
 
     // Search Modal
-    SearchModal: (state) => `
-        <div class="modal-overlay" onclick="if(event.target === this) Actions.toggleSearch()">
+    SearchModal: (state) => html`
+        <div class="modal-overlay" ${on('click', 'toggleSearch')} data-self>
             <div class="modal-card">
                 <div class="modal-header">
                     <h3>Search Food Database</h3>
-                    <button class="modal-close" onclick="Actions.toggleSearch()">&times;</button>
+                    <button class="modal-close" ${on('click', 'toggleSearch')}>&times;</button>
                 </div>
                 <div class="flex-gap-10 mb-20">
-                    <input type="text" id="searchInput" class="input-field" placeholder="Type a food name (e.g. Apple)..." style="margin-bottom: 0;" onkeypress="if(event.key === 'Enter') Actions.searchFood()">
-                    <button class="btn-primary" style="width: auto;" onclick="Actions.searchFood()">Search</button>
+                    <input type="text" id="searchInput" class="input-field" placeholder="Type a food name (e.g. Apple)..." style="margin-bottom: 0;" ${on('enter', 'searchFood')}>
+                    <button class="btn-primary" style="width: auto;" ${on('click', 'searchFood')}>Search</button>
                 </div>
                 <div class="search-results">
-                    ${state.isSearching ? '<div class="text-center" style="padding: 20px;">Searching...</div>' : ''}
-                    ${!state.isSearching && state.searchResults.length === 0 ? '<div class="text-center" style="color: var(--text-muted); padding: 20px;">No results found</div>' : ''}
-                    ${state.searchResults.map(food => `
-                        <div class="search-item" onclick="Actions.addFoodFromSearch('${food.name}', ${food.calories})">
+                    ${state.isSearching ? html`<div class="text-center" style="padding: 20px;">Searching...</div>` : ''}
+                    ${!state.isSearching && state.searchResults.length === 0 ? html`<div class="text-center" style="color: var(--text-muted); padding: 20px;">No results found</div>` : ''}
+                    ${state.searchResults.map((food, index) => (state.swapItemId || state.pickIngredient) && food.source === 'recipe' ? '' : html`
+                        <div class="search-item" data-key="food-${food.source}-${food.id}" ${on('click', 'addFoodFromSearch', index)}>
                             <div>
-                                <div style="font-weight: 600;">${food.name}</div>
-                                <div style="font-size: 12px; color: var(--text-muted);">${food.portion}</div>
+                                <div style="font-weight: 600;">${food.name} ${Components.ScoreBadge(food.nutrition_score)}</div>
+                                <div style="font-size: 12px; color: var(--text-muted);">${food.source === 'recipe' ? '📖 ' : ''}${food.portion}</div>
+                            </div>
+                            <div class="flex-gap-10" style="align-items: center;">
+                                <div style="font-weight: 700; color: var(--primary);">${food.calories} cal</div>
+                                ${state.swapItemId || state.pickIngredient ? '' : html`
+                                    <button class="btn-icon-small" ${on('click', 'openFoodDetail', index)} title="Portions and nutrients">
+                                        <i class="fas fa-info"></i>
+                                    </button>`}
                             </div>
-                            <div style="font-weight: 700; color: var(--primary);">${food.calories} cal</div>
                         </div>
-                    `).join('')}
+                    `)}
                 </div>
             </div>
         </div>
     `,
 
+    // Barcode Modal: type the digits or, where the browser supports BarcodeDetector, scan them
+    BarcodeModal: (state) => {
+        const product = state.barcodeProduct;
+        return html`
+        <div class="modal-overlay" ${on('click', 'toggleBarcode')} data-self>
+            <div class="modal-card">
+                <div class="modal-header">
+                    <h3>Scan a Barcode</h3>
+                    <button class="modal-close" ${on('click', 'toggleBarcode')}>&times;</button>
+                </div>
+                ${state.barcodeCamera ? html`
+                    <video id="barcodeVideo" class="barcode-video" autoplay muted playsinline></video>
+                    <button class="btn-primary w-full mb-20" ${on('click', 'stopBarcodeCamera')}>Stop Camera</button>
+                ` : ''}
+                <div class="flex-gap-10 mb-20">
+                    <input type="text" id="barcodeInput" class="input-field" inputmode="numeric" placeholder="EAN-13 or UPC-A digits" value="${state.barcodeCode}" style="margin-bottom: 0;" ${on('enter', 'lookupBarcode')}>
+                    <button class="btn-primary" style="width: auto;" ${on('click', 'lookupBarcode')}>Look up</button>
+                    ${'BarcodeDetector' in window && !state.barcodeCamera ? html`
+                        <button class="btn-primary" style="width: auto;" ${on('click', 'startBarcodeCamera')} title="Scan with camera"><i class="fas fa-camera"></i></button>
+                    ` : ''}
+                </div>
+                ${state.isLookingUp ? html`<div class="text-center" style="padding: 20px;">Looking up...</div>` : ''}
+                ${state.barcodeError ? html`<div class="text-center" style="color: var(--accent); padding: 20px;">${state.barcodeError}</div>` : ''}
+                ${product ? html`
+                    <div class="product-card">
+                        <div style="font-weight: 700; font-size: 16px;">${product.name} ${Components.ScoreBadge(product.nutrition_score)}</div>
+                        <div style="font-size: 12px; color: var(--text-muted);">${product.brand ? `${product.brand} · ` : ''}${product.portion}</div>
+                        <div style="font-size: 12px; color: var(--text-muted); margin-top: 5px;">
+                            ${macroLine(product.nutrients, ['protein', 'carbs', 'fat', 'sugar'])}
+                        </div>
+                        <div class="flex-between" style="margin-top: 15px;">
+                            <div style="font-weight: 700; color: var(--primary);">${product.calories} cal / serving</div>
+                            <div class="flex-gap-10" style="align-items: center;">
+                                <input type="number" id="barcodeServings" class="input-field" value="1" min="0.25" step="0.25" style="width: 80px; margin-bottom: 0;" title="Servings">
+                                <button class="btn-primary" style="width: auto;" ${on('click', 'addScannedProduct')}>Add to today</button>
+                            </div>
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `},
+
     // Dashboard View
     DashboardView: (state) => {
-        const progress = (state.currentCalories / state.dailyGoal) * 502; // 502 is circumference
+        const progress = (state.currentCalories / state.targets.calories) * 502; // 502 is circumference
         const offset = 502 - Math.min(progress, 502);
+        const day = Dates.label(state.date);
         
-        const mainContent = `
+        const mainContent = html`
         <div class="main-content">
             <!-- Header -->
             <div class="fade-in-up flex-between mb-20">
@@ -215,11 +1054,17 @@ const Components = {
                     <p class="subtitle">Welcome back,</p>
                     <h2>${state.user?.username || 'Guest'}</h2>
                 </div>
-                <div class="user-avatar">
-                    👤
+                <div class="flex-gap-10">
+                    ${Components.NotificationBell(state)}
+                    <div class="user-avatar" ${on('click', 'logout')} title="Sign out">
+                        👤
+                    </div>
                 </div>
             </div>
 
+            ${Components.DayPicker(state)}
+            ${Components.SyncStatus(state)}
+
             <!-- Hero Ring -->
             <div class="glass-card fade-in-up stagger-1">
                 <div class="ring-container">
@@ -237,23 +1082,25 @@ const Components = {
                 </div>
                 <div class="ring-stats-row">
                     <div class="ring-stat-item">
-                        <div class="ring-stat-val" style="color: var(--primary);">120g</div>
+                        <div class="ring-stat-val" style="color: var(--primary);">${Math.round(state.totals.carbs)}g</div>
                         <div class="ring-stat-lbl">Carbs</div>
                     </div>
                     <div class="ring-stat-item">
-                        <div class="ring-stat-val" style="color: var(--accent);">85g</div>
+                        <div class="ring-stat-val" style="color: var(--accent);">${Math.round(state.totals.protein)}g</div>
                         <div class="ring-stat-lbl">Protein</div>
                     </div>
                     <div class="ring-stat-item">
-                        <div class="ring-stat-val" style="color: #29B6F6;">45g</div>
+                        <div class="ring-stat-val" style="color: #29B6F6;">${Math.round(state.totals.fat)}g</div>
                         <div class="ring-stat-lbl">Fat</div>
                     </div>
                 </div>
             </div>
 
+            ${Components.BeverageWidgets(state)}
+
             <!-- Recent Activity -->
             <div class="glass-card fade-in-up stagger-2 mb-20">
-                <h4>Today's Progress</h4>
+                <h4>${day === 'Today' ? "Today's Progress" : `Progress · ${day}`}</h4>
                 <div class="activity-grid">
                     <div class="activity-card" style="background: rgba(74, 144, 226, 0.1);">
                         <span class="activity-icon">📊</span>
@@ -267,198 +1114,1683 @@ const Components = {
                     </div>
                     <div class="activity-card" style="background: rgba(251, 191, 36, 0.1);">
                         <span class="activity-icon">🎯</span>
-                        <div style="font-weight: 700;">${Math.round((state.currentCalories/state.dailyGoal)*100)}%</div>
+                        <div style="font-weight: 700;">${Math.round((state.currentCalories/state.targets.calories)*100)}%</div>
                         <div style="font-size: 12px; color: var(--text-muted);">Goal</div>
                     </div>
                 </div>
             </div>
 
+            <!-- Nutrition Score -->
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <h4>Nutrition score</h4>
+                ${Components.ScoreBreakdown(state.meals.length ? state.dayScore : null)}
+            </div>
+
             <!-- Meal List -->
-            <h3 class="fade-in-up stagger-2" style="margin: 24px 0 16px 0;">Today's Intake</h3>
+            <div class="fade-in-up stagger-2 flex-between" style="margin: 24px 0 16px 0;">
+                <h3>${day === 'Today' ? "Today's Intake" : `Intake · ${day}`}</h3>
+                <div class="flex-gap-10">
+                    <button class="btn-secondary" ${on('click', 'copyDay')} title="Log everything from the day before again">Copy ${state.date === Dates.today() ? 'yesterday' : 'previous day'}</button>
+                    ${state.meals.length ? html`<button class="btn-secondary" ${on('click', 'saveTemplate')} title="Save this day as a template">Save day</button>` : ''}
+                </div>
+            </div>
             <div class="meal-list fade-in-up stagger-3">
                 ${state.meals.length === 0 ? 
-                    `<div class="glass-card text-center" style="padding: 40px;">
+                    html`<div class="glass-card text-center" style="padding: 40px;">
                         <div style="font-size: 48px; margin-bottom: 15px;">🍽️</div>
-                        <h4>No meals logged yet</h4>
+                        <h4>No meals logged ${day === 'Today' ? 'yet' : 'for this day'}</h4>
                         <p style="color: var(--text-muted); margin-bottom: 20px;">Start tracking your nutrition by uploading a photo or searching our database.</p>
                         <div class="flex-center flex-gap-10">
-                            <button class="btn-primary" onclick="document.getElementById('fileInput').click()">📸 Take Photo</button>
-                            <button class="btn-primary" onclick="Actions.toggleSearch()">🔍 Search Food</button>
-                        </div>
-                    </div>` : 
-                    state.meals.map((meal, index) => `
-                        <div class="glass-card meal-item">
-                            <div class="meal-icon">${meal.icon || '🍽️'}</div>
-                            <div class="meal-info">
-                                <div class="meal-name">${meal.name}</div>
-                                <div class="meal-time">${meal.time}</div>
-                            </div>
-                            <div class="meal-cal">${meal.calories} cal</div>
-                            <div class="meal-actions">
-                                <button class="btn-icon-small" onclick="Actions.editMeal(${index})" title="Edit Meal">
-                                    <i class="fas fa-pen"></i>
-                                </button>
-                            </div>
+                            <button class="btn-primary" ${on('click', 'takePhoto')}>📸 Take Photo</button>
+                            <button class="btn-primary" ${on('click', 'toggleSearch')}>🔍 Search Food</button>
+                            <button class="btn-primary" ${on('click', 'toggleBarcode')}>🏷️ Scan Barcode</button>
                         </div>
-                    `).join('')
+                    </div>` : Components.MealSlots(state)
                 }
+                ${Components.Templates(state)}
             </div>
         </div>`;
 
-        return `
+        return html`
             ${Components.Sidebar(state)}
             ${mainContent}
             ${Components.StatsPanel(state)}
-            
-            ${state.showSearch ? Components.SearchModal(state) : ''}
+            ${Components.Dock(state)}
+        `;
+    },
 
-            <!-- Floating Dock (Mobile Only) -->
-            <div class="dock fade-in-up stagger-3">
-                <div class="dock-item active" onclick="Actions.nav('home')"><i class="fas fa-home"></i></div>
-                <div class="dock-item" onclick="Actions.toggleSearch()"><i class="fas fa-search"></i></div>
-                <div class="dock-item" onclick="Actions.nav('profile')"><i class="fas fa-user"></i></div>
+    NotificationBell: (state) => html`
+        <button class="user-avatar notification-bell" ${on('click', 'toggleNotifications')} title="Notifications">
+            🔔${state.unreadCount ? html`<span class="notification-count">${state.unreadCount > 99 ? '99+' : state.unreadCount}</span>` : ''}
+        </button>`,
+
+    // The in-app inbox: every reminder that fired, whether or not it was also pushed.
+    NotificationPanel: (state) => html`
+        <div class="modal-overlay" ${on('click', 'toggleNotifications')} data-self>
+            <div class="modal-card">
+                <div class="modal-header">
+                    <h3>Notifications</h3>
+                    <div class="flex-gap-10">
+                        ${state.unreadCount ? html`<button class="btn-secondary" ${on('click', 'markAllNotificationsRead')}>Mark all read</button>` : ''}
+                        <button class="modal-close" ${on('click', 'toggleNotifications')}>&times;</button>
+                    </div>
+                </div>
+                <div class="search-results">
+                    ${!state.notifications ? html`<div class="text-center" style="padding: 20px;">Loading...</div>`
+                        : !state.notifications.length ? html`<div class="text-center" style="color: var(--text-muted); padding: 20px;">Nothing yet. Reminders you set in Settings show up here.</div>`
+                        : state.notifications.map(notification => html`
+                            <div class="search-item notification-item ${notification.read_at ? '' : 'unread'}" data-key="${notification.id}" ${on('click', 'openNotification', notification.id)}>
+                                <div>
+                                    <div style="font-weight: 600;">${REMINDER_TYPES[notification.type]?.icon || '🔔'} ${notification.title}</div>
+                                    <div style="font-size: 13px; color: var(--text-muted);">${notification.body}</div>
+                                </div>
+                                <div class="notification-time">${new Date(notification.created_at).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: Dates.timeZone })}</div>
+                            </div>`)}
+                </div>
             </div>
+        </div>`,
+
+    // Offline state, the outbox and what the last sync has to report. Hidden when there is nothing to say.
+    SyncStatus: (state) => {
+        const waiting = state.outbox.meals + state.outbox.photos;
+        if (state.online && !waiting && !state.isSyncing && !state.photoJobs.length && !state.syncNotes.length) return '';
+        const queued = [
+            state.outbox.meals && `${state.outbox.meals} change${state.outbox.meals > 1 ? 's' : ''}`,
+            state.outbox.photos && `${state.outbox.photos} photo${state.outbox.photos > 1 ? 's' : ''}`
+        ].filter(Boolean).join(' and ');
+        const status = state.isSyncing ? html`<i class="fas fa-sync fa-spin"></i> Syncing your offline changes…`
+            : !state.online ? html`<i class="fas fa-wifi"></i> You are offline.${queued ? ` ${queued} will sync when you are back.` : ' New entries are saved on this device.'}`
+            : queued ? html`<i class="fas fa-clock"></i> ${queued} waiting to sync. <button class="btn-secondary" ${on('click', 'sync')}>Sync now</button>`
+            : '';
+        return html`
+        <div class="glass-card sync-status fade-in-up ${state.online ? '' : 'offline'}">
+            ${status ? html`<div>${status}</div>` : ''}
+            ${state.photoJobs.length ? html`
+                <div class="flex-between">
+                    <span>📸 ${state.photoJobs.length} photo${state.photoJobs.length > 1 ? 's' : ''} taken offline ready to review</span>
+                    <button class="btn-primary" ${on('click', 'reviewPhoto')}>Review</button>
+                </div>` : ''}
+            ${state.syncNotes.length ? html`
+                <ul class="sync-notes">${state.syncNotes.map(note => html`<li>${note}</li>`)}</ul>
+                <button class="btn-secondary" ${on('click', 'dismissSyncNotes')}>Dismiss</button>` : ''}
+        </div>`;
+    },
 
-            <!-- Scan Button (Mobile Only) -->
-            <div class="scan-btn-wrapper fade-in-up stagger-3">
-                <div class="scan-btn" onclick="document.getElementById('fileInput').click()">
-                    +
+    // Water against the hydration target, caffeine and alcohol against their limits, each with
+    // one-tap logging; then the day's drinks and a form for any other drink.
+    BeverageWidgets: (state) => {
+        const day = state.beverageDay;
+        if (!day) return '';
+        const unit = Volumes.unit(state);
+        const warning = (type) => day.warnings.find(w => w.type === type);
+        const widget = ({ type, title, value, target, share, color }) => html`
+            <div class="glass-card drink-widget ${warning(type)?.level || ''}" data-key="drink-${type}">
+                <div class="drink-widget-title">${title}</div>
+                <div class="drink-widget-value">${value}</div>
+                <div class="drink-widget-target">${target}</div>
+                <div class="progress-bar-bg">
+                    <div class="progress-bar-fill" style="width: ${Math.min(share * 100, 100)}%; background: ${color};"></div>
                 </div>
+                ${warning(type) ? html`<div class="drink-warning">⚠️ ${warning(type).message}</div>` : ''}
+                <div class="drink-buttons">
+                    ${DRINK_BUTTONS[type].map(({ kind, volume_ml, label }) => html`
+                        <button class="btn-secondary" ${on('click', 'logDrink', kind, volume_ml ?? null)}>
+                            + ${BEVERAGE_KINDS[kind].icon} ${label || BEVERAGE_KINDS[kind].label}${volume_ml ? ` · ${Volumes.format(volume_ml, unit)}` : ''}
+                        </button>`)}
+                </div>
+            </div>`;
+        const limit = (value, max) => (max ? value / max : value > 0 ? 1 : 0);
+
+        return html`
+        <div class="drink-widgets fade-in-up stagger-1">
+            ${widget({
+                type: 'water', title: '💧 Hydration', color: '#29B6F6',
+                value: Volumes.format(day.water_ml, unit), target: `of ${Volumes.format(day.targets.water_ml, unit)}`,
+                share: day.water_progress
+            })}
+            ${widget({
+                type: 'caffeine', title: '☕ Caffeine', color: warning('caffeine')?.level === 'over' ? '#EF4444' : '#A16207',
+                value: `${day.caffeine_mg} mg`, target: `limit ${day.targets.caffeine_mg} mg`,
+                share: limit(day.caffeine_mg, day.targets.caffeine_mg)
+            })}
+            ${widget({
+                type: 'alcohol', title: '🍷 Alcohol', color: warning('alcohol')?.level === 'over' ? '#EF4444' : '#9333EA',
+                value: `${day.standard_drinks} drinks`, target: `limit ${day.targets.alcohol_drinks} standard drinks`,
+                share: limit(day.standard_drinks, day.targets.alcohol_drinks)
+            })}
+        </div>
+        <div class="glass-card fade-in-up stagger-1 mb-20 drink-log">
+            ${day.beverages.length ? html`
+                <div class="drink-chips">
+                    ${day.beverages.map(drink => html`
+                        <span class="drink-chip" data-key="${drink.id}" title="${drink.caffeine_mg} mg caffeine · ${drink.standard_drinks} standard drinks">
+                            ${BEVERAGE_KINDS[drink.kind]?.icon || '🥤'} ${drink.name || BEVERAGE_KINDS[drink.kind]?.label || drink.kind} · ${Volumes.format(drink.volume_ml, unit)}
+                            · ${Dates.clock(drink.drunk_at, drink.time_zone)}
+                            <button class="btn-icon-small" ${on('click', 'deleteDrink', drink.id)} title="Remove"><i class="fas fa-times"></i></button>
+                        </span>`)}
+                </div>` : html`<p class="subtitle">No drinks logged ${day.date === Dates.today() ? 'yet' : 'for this day'}.</p>`}
+            <div class="drink-form">
+                <select id="drinkKind" class="input-field">
+                    ${Object.entries(BEVERAGE_KINDS).map(([kind, { icon, label }]) => html`<option value="${kind}">${icon} ${label}</option>`)}
+                </select>
+                <input id="drinkVolume" type="number" class="input-field" min="1" step="${unit === 'ml' ? 10 : 0.5}" placeholder="${VOLUME_UNITS[unit].label}" ${on('enter', 'logCustomDrink')}>
+                <button class="btn-primary" ${on('click', 'logCustomDrink')}>Add drink</button>
             </div>
-            <input type="file" id="fileInput" hidden onchange="Actions.handleUpload(this)">
-        `;
+        </div>`;
     },
 
-    // Loading Overlay - The "Fake" AI Steps
-    LoadingOverlay: (state) => {
-        const steps = [
-            { icon: '📤', text: 'Uploading image...' },
-            { icon: '🔍', text: 'Scanning pixels...' },
-            { icon: '🧠', text: 'Identifying food...' },
-            { icon: '⚡', text: 'Calculating macros...' }
-        ];
-        
-        return `
-        <div class="loading-overlay">
-            <div class="loading-emoji">🥑</div>
-            <h2>Analyzing...</h2>
-            <div class="loading-steps">
-                ${steps.map((step, i) => `
-                    <div class="step-item ${i <= state.loadingStep ? 'active' : ''} ${i < state.loadingStep ? 'done' : ''}">
-                        <div class="step-icon">
-                            ${i === state.loadingStep ? '<div class="step-spinner"></div>' : (i < state.loadingStep ? '✅' : '⚪')}
-                        </div>
-                        <div class="step-text">${step.text}</div>
-                    </div>
-                `).join('')}
+    // One logged entry; `index` is its position in state.meals.
+    MealItem: (meal, index) => html`
+        <div class="glass-card meal-item" data-key="meal-${meal.id}">
+            <div class="meal-icon">${meal.icon || '🍽️'}</div>
+            <div class="meal-info">
+                <div class="meal-name">${meal.name} ${Components.ScoreBadge(meal.nutrition_score)}${meal.pending ? html`<span class="pending-badge" title="Saved on this device; sent to the server when you are back online">Not synced</span>` : ''}</div>
+                <div class="meal-time">${meal.time}${macroLine(meal.nutrients) && ` · ${macroLine(meal.nutrients)}`}</div>
+            </div>
+            <div class="meal-cal">${meal.calories} cal</div>
+            <div class="meal-actions">
+                <button class="btn-icon-small" ${on('click', 'editMeal', index)} title="Edit Meal">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="btn-icon-small" ${on('click', 'deleteMeal', index)} title="Delete Meal">
+                    <i class="fas fa-trash"></i>
+                </button>
             </div>
         </div>
-    `},
-};
+    `,
 
-// --- 3. ACTIONS (The Logic) ---
-const Actions = {
-    init() {
-        // Font Awesome for icons
-        const link = document.createElement('link');
-        link.rel = 'stylesheet';
-        link.href = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css';
-        document.head.appendChild(link);
+    // The day's log grouped into the profile's meal slots, each with its subtotal. Entries the
+    // server has not placed yet (just logged) are listed on top until the summary reloads.
+    MealSlots: (state) => {
+        if (!state.daySlots) return state.meals.map(Components.MealItem);
+        const placed = new Set(state.daySlots.flatMap(slot => slot.meal_ids));
+        const itemsOf = (ids) => state.meals
+            .map((meal, index) => ({ meal, index }))
+            .filter(({ meal }) => ids(meal.id))
+            .sort((a, b) => Date.parse(a.meal.eaten_at) - Date.parse(b.meal.eaten_at))
+            .map(({ meal, index }) => Components.MealItem(meal, index));
+        // A subtotal is unknown (null) when a meal in the slot does not give it.
+        const grams = (amount) => (amount === null ? '–' : `${Math.round(amount)}g`);
 
-        // Check for saved user
-        try {
-            const savedUser = localStorage.getItem('calcatcher_user');
-            if (savedUser) {
+        return html`
+            ${itemsOf(id => !placed.has(id))}
+            ${state.daySlots.map(slot => html`
+                <div class="slot-group" data-key="slot-${slot.id}">
+                    <div class="slot-header">
+                        <div>
+                            <h4>${slot.name}</h4>
+                            <span class="slot-subtotal">${slot.meals ? `${slot.calories} cal · P ${grams(slot.nutrients.protein)} · C ${grams(slot.nutrients.carbs)} · F ${grams(slot.nutrients.fat)}` : 'Nothing logged'}</span>
+                        </div>
+                        <div class="slot-actions">
+                            <button class="btn-icon-small" ${on('click', 'addToSlot', slot.id)} title="Add to ${slot.name}">
+                                <i class="fas fa-plus"></i>
+                            </button>
+                            <button class="btn-icon-small" ${on('click', 'copyDay', slot.id)} title="Copy ${slot.name} from the day before">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                            ${slot.meals ? html`
+                            <button class="btn-icon-small" ${on('click', 'saveTemplate', slot.id)} title="Save ${slot.name} as a template">
+                                <i class="fas fa-bookmark"></i>
+                            </button>` : ''}
+                        </div>
+                    </div>
+                    ${itemsOf(id => slot.meal_ids.includes(id))}
+                </div>
+            `)}
+        `;
+    },
+
+    // Saved slots and days; one click logs them on the day on screen.
+    Templates: (state) => !state.templates?.length ? '' : html`
+        <div class="glass-card" style="padding: 20px;">
+            <h4>Templates</h4>
+            <div class="template-list">
+                ${state.templates.map(template => html`
+                    <span class="template-chip" data-key="template-${template.id}">
+                        <button ${on('click', 'applyTemplate', template.id)} title="Log on ${Dates.phrase(state.date)}">${template.name} · ${template.calories} cal</button>
+                        <button ${on('click', 'deleteTemplate', template.id)} title="Delete template"><i class="fas fa-times"></i></button>
+                    </span>
+                `)}
+            </div>
+        </div>
+    `,
+
+    // Day switcher for the log: arrows, a native date input and a jump back to today
+    DayPicker: (state) => {
+        const today = Dates.today();
+        return html`
+        <div class="day-picker fade-in-up">
+            <button class="btn-icon-small" ${on('click', 'shiftDay', -1)} title="Previous day">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <input type="date" class="input-field day-picker-input" value="${state.date}" max="${today}" ${on('change', 'goToDay')}>
+            <button class="btn-icon-small" ${on('click', 'shiftDay', 1)} title="Next day" ${state.date >= today ? 'disabled' : ''}>
+                <i class="fas fa-chevron-right"></i>
+            </button>
+            ${state.date !== today ? html`<button class="link-btn" ${on('click', 'goToDay')}>Today</button>` : ''}
+        </div>
+    `},
+
+    // Floating Dock, scan button and the shared photo input (Mobile Only, except the input)
+    Dock: (state) => html`
+        <div class="dock fade-in-up stagger-3">
+            <div class="dock-item ${state.view === 'dashboard' ? 'active' : ''}" ${on('click', 'nav', 'home')}><i class="fas fa-home"></i></div>
+            <div class="dock-item ${state.view === 'history' ? 'active' : ''}" ${on('click', 'nav', 'history')}><i class="fas fa-calendar-alt"></i></div>
+            <div class="dock-item ${state.view === 'weight' ? 'active' : ''}" ${on('click', 'nav', 'weight')}><i class="fas fa-weight"></i></div>
+            <div class="dock-item ${state.view === 'recipes' || state.view === 'recipe' ? 'active' : ''}" ${on('click', 'nav', 'recipes')}><i class="fas fa-book-open"></i></div>
+            <div class="dock-item ${state.view === 'food' ? 'active' : ''}" ${on('click', 'toggleSearch')}><i class="fas fa-search"></i></div>
+            <div class="dock-item" ${on('click', 'toggleBarcode')}><i class="fas fa-barcode"></i></div>
+            <div class="dock-item ${state.view === 'settings' ? 'active' : ''}" ${on('click', 'nav', 'profile')}><i class="fas fa-user"></i></div>
+        </div>
+
+        <div class="scan-btn-wrapper fade-in-up stagger-3">
+            <div class="scan-btn" ${on('click', 'takePhoto')}>
+                +
+            </div>
+        </div>
+        <input type="file" id="fileInput" hidden accept="image/jpeg,image/png,image/webp,image/heic,.heic" ${on('change', 'handleUpload')}>
+    `,
+
+    // Daily calories as bars against the target line, with the rolling average drawn over them
+    DailyChart: (stats) => {
+        const width = 600, height = 180, top = 10;
+        const days = stats.days;
+        const max = Math.max(stats.targets.calories * 1.25, ...days.map(day => day.calories)) || 1;
+        const y = (value) => top + (height - top) * (1 - value / max);
+        const slot = width / days.length;
+        const rolling = days.map((day, i) => day.rolling_average === null ? null : `${(i + 0.5) * slot},${y(day.rolling_average)}`).filter(Boolean);
+        return html`
+        <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Calories per day">
+            ${days.map((day, i) => html`
+                <rect class="chart-bar ${day.on_target ? 'on-target' : ''}" x="${i * slot + slot * 0.15}" y="${y(day.calories)}"
+                    width="${slot * 0.7}" height="${height - y(day.calories)}"><title>${Dates.label(day.date)}: ${day.calories} kcal</title></rect>
+            `)}
+            <line class="chart-target" x1="0" x2="${width}" y1="${y(stats.targets.calories)}" y2="${y(stats.targets.calories)}"></line>
+            ${rolling.length > 1 ? html`<polyline class="chart-rolling" points="${rolling.join(' ')}"></polyline>` : ''}
+        </svg>
+        <div class="chart-legend">
+            <span><i class="legend-swatch chart-bar"></i>Calories</span>
+            <span><i class="legend-swatch on-target"></i>On target (±10%)</span>
+            <span><i class="legend-line chart-rolling"></i>7-day average</span>
+            <span><i class="legend-line chart-target"></i>Target ${stats.targets.calories}</span>
+        </div>
+    `},
+
+    // Average calories per week (or month), labelled, against the target line
+    PeriodChart: (periods, target, label) => {
+        const width = 600, height = 180, top = 20, bottom = 20;
+        const max = Math.max(target * 1.25, ...periods.map(p => p.average.calories || 0));
+        const y = (value) => top + (height - top - bottom) * (1 - value / max);
+        const slot = width / periods.length;
+        return html`
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Average calories per period">
+            ${periods.map((period, i) => html`
+                ${period.average.calories === null ? '' : html`
+                    <rect class="chart-bar" x="${i * slot + slot * 0.2}" y="${y(period.average.calories)}" width="${slot * 0.6}" height="${height - bottom - y(period.average.calories)}">
+                        <title>${label(period)}: ${period.average.calories} kcal a day over ${period.average.days_logged} logged day(s)</title>
+                    </rect>
+                    <text class="chart-value" x="${(i + 0.5) * slot}" y="${y(period.average.calories) - 4}">${period.average.calories}</text>
+                `}
+                <text class="chart-label" x="${(i + 0.5) * slot}" y="${height - 5}">${label(period)}</text>
+            `)}
+            <line class="chart-target" x1="0" x2="${width}" y1="${y(target)}" y2="${y(target)}"></line>
+        </svg>
+    `},
+
+    // Macro split as a ring of three arcs, drawn the same way as the dashboard's calorie ring
+    MacroDonut: (split) => {
+        const circumference = 2 * Math.PI * 50;
+        const colors = { protein: 'var(--accent)', carbs: 'var(--primary)', fat: '#29B6F6' };
+        let offset = 0;
+        const arcs = Object.entries(colors).map(([key, color]) => {
+            const length = ((split[key] || 0) / 100) * circumference;
+            const arc = html`<circle class="donut-arc" cx="70" cy="70" r="50" stroke="${color}" stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"></circle>`;
+            offset += length;
+            return arc;
+        });
+        return html`
+        <div class="flex-gap-15" style="align-items: center;">
+            <svg width="140" height="140" role="img" aria-label="Macro split">
+                <circle class="donut-bg" cx="70" cy="70" r="50"></circle>
+                ${split.protein === null ? '' : arcs}
+            </svg>
+            <div>
+                ${Object.entries(colors).map(([key, color]) => html`
+                    <div class="target-row"><span><i class="legend-swatch" style="background: ${color};"></i>${NUTRIENTS[key].label}</span><strong>${split[key] ?? '–'}%</strong></div>
+                `)}
+            </div>
+        </div>
+    `},
+
+    // History: trends from /api/v1/stats, then one row per day that opens its log
+    HistoryView: (state) => {
+        const stats = state.history;
+        const byMonth = state.historyDays > 90;
+        const periodLabel = byMonth
+            ? (period) => Dates.parse(period.start).toLocaleDateString([], { month: 'short', timeZone: 'UTC' })
+            : (period) => Dates.parse(period.start).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+        const mainContent = html`
+        <div class="main-content">
+            <div class="fade-in-up flex-between mb-20">
+                <div class="user-welcome">
+                    <p class="subtitle">Trends</p>
+                    <h2>History</h2>
+                </div>
+                <div class="range-tabs">
+                    ${Object.entries(HISTORY_RANGES).map(([days, label]) => html`
+                        <button class="range-tab ${Number(days) === state.historyDays ? 'active' : ''}" ${on('click', 'nav', 'history', Number(days))}>${label}</button>
+                    `)}
+                </div>
+            </div>
+
+            ${!stats ? html`<div class="glass-card text-center" style="padding: 40px;">Loading your history...</div>` : html`
+            <div class="activity-grid fade-in-up stagger-1 mb-20">
+                <div class="activity-card glass-card">
+                    <span class="activity-icon">🔥</span>
+                    <div style="font-weight: 700;">${stats.streaks.current} day${stats.streaks.current === 1 ? '' : 's'}</div>
+                    <div style="font-size: 12px; color: var(--text-muted);">Streak${stats.streaks.logged_today ? '' : ' · log today to keep it'}</div>
+                </div>
+                <div class="activity-card glass-card">
+                    <span class="activity-icon">🏆</span>
+                    <div style="font-weight: 700;">${stats.streaks.longest} days</div>
+                    <div style="font-size: 12px; color: var(--text-muted);">Longest streak</div>
+                </div>
+                <div class="activity-card glass-card">
+                    <span class="activity-icon">🎯</span>
+                    <div style="font-weight: 700;">${stats.adherence.rate === null ? '–' : `${Math.round(stats.adherence.rate * 100)}%`}</div>
+                    <div style="font-size: 12px; color: var(--text-muted);">${stats.adherence.days_on_target} of ${stats.adherence.days_logged} days on target</div>
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <h4>${byMonth ? 'Monthly' : 'Weekly'} averages</h4>
+                <p class="subtitle">Average calories per logged day. Judge progress by these rather than by single days.</p>
+                ${Components.PeriodChart(byMonth ? stats.months : stats.weeks, stats.targets.calories, periodLabel)}
+            </div>
+
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <h4>Daily calories</h4>
+                ${Components.DailyChart(stats)}
+            </div>
+
+            <div class="meal-list fade-in-up stagger-3">
+                ${[...stats.days].reverse().map(day => html`
+                    <div class="glass-card meal-item history-day ${day.meals === 0 ? 'history-empty' : ''}" data-key="day-${day.date}" ${on('click', 'goToDay', day.date)}>
+                        <div class="meal-info">
+                            <div class="meal-name">${Dates.label(day.date)} ${Components.ScoreBadge(day.nutrition_score)}</div>
+                            <div class="meal-time">${day.meals === 0 ? 'Nothing logged' : `${day.meals} item${day.meals === 1 ? '' : 's'} · P ${Math.round(day.protein)}g · C ${Math.round(day.carbs)}g · F ${Math.round(day.fat)}g`}</div>
+                        </div>
+                        <div class="meal-cal">${day.calories} cal</div>
+                        <div class="progress-bar-bg history-bar">
+                            <div class="progress-bar-fill" style="width: ${Math.min((day.calories / stats.targets.calories) * 100, 100)}%;"></div>
+                        </div>
+                    </div>
+                `)}
+            </div>`}
+        </div>`;
+
+        const statsPanel = stats ? html`
+        <div class="stats-panel">
+            <h3 class="stats-panel-title">Averages</h3>
+            <div class="glass-card" style="padding: 20px;">
+                <div class="target-row"><span>Days logged</span><strong>${stats.average.days_logged} / ${stats.range.days}</strong></div>
+                <div class="target-row"><span>Calories</span><strong>${stats.average.calories ?? '–'} kcal</strong></div>
+                <div class="target-row"><span>Protein</span><strong>${stats.average.protein ?? '–'} g</strong></div>
+                <div class="target-row"><span>Carbs</span><strong>${stats.average.carbs ?? '–'} g</strong></div>
+                <div class="target-row"><span>Fat</span><strong>${stats.average.fat ?? '–'} g</strong></div>
+                <div class="target-row"><span>Nutrition score</span><strong>${stats.average.nutrition_score ?? '–'}</strong></div>
+            </div>
+            <div class="glass-card" style="padding: 20px; margin-top: 20px;">
+                <h4>Macro split</h4>
+                ${Components.MacroDonut(stats.macro_split)}
+            </div>
+        </div>` : '';
+
+        return html`
+            ${Components.Sidebar(state)}
+            ${mainContent}
+            ${statsPanel}
+            ${Components.Dock(state)}
+        `;
+    },
+
+    // Scale readings as dots and the smoothed trend as a line, over the last WEIGHT_DAYS days
+    WeightChart: (points, unit) => {
+        const width = 600, height = 200, pad = 24;
+        const convert = (kg) => kg * WEIGHT_UNITS[unit].perKg;
+        const values = points.flatMap(p => [convert(p.weight_kg), convert(p.trend_kg)]);
+        const low = Math.floor(Math.min(...values) - 1), high = Math.ceil(Math.max(...values) + 1);
+        const first = Dates.parse(points[0].date).getTime();
+        const span = Math.max(Dates.parse(points[points.length - 1].date).getTime() - first, 1);
+        const x = (date) => pad + (width - 2 * pad) * ((Dates.parse(date).getTime() - first) / span);
+        const y = (kg) => pad + (height - 2 * pad) * (1 - (convert(kg) - low) / (high - low));
+        return html`
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Weight and trend">
+            <text class="chart-label" x="${pad}" y="${pad - 8}">${high} ${unit}</text>
+            <text class="chart-label" x="${pad}" y="${height - 6}">${low} ${unit}</text>
+            ${points.map(p => html`<circle class="chart-dot" cx="${x(p.date)}" cy="${y(p.weight_kg)}" r="3"><title>${Dates.label(p.date)}: ${convert(p.weight_kg).toFixed(1)} ${unit}</title></circle>`)}
+            ${points.length > 1 ? html`<polyline class="chart-rolling" points="${points.map(p => `${x(p.date)},${y(p.trend_kg)}`).join(' ')}"></polyline>` : ''}
+        </svg>
+        <div class="chart-legend">
+            <span><i class="legend-swatch chart-dot"></i>Scale</span>
+            <span><i class="legend-line chart-rolling"></i>Trend</span>
+        </div>
+    `},
+
+    // Weight: log weigh-ins, see the smoothed trend and the TDEE it implies
+    WeightView: (state) => {
+        const unit = state.profile?.weight_unit || 'kg';
+        const { perKg, waist, perCm } = WEIGHT_UNITS[unit];
+        const trend = state.weightTrend;
+        const estimate = trend?.tdee_estimate;
+        const show = (kg, digits = 1) => `${(kg * perKg).toFixed(digits)} ${unit}`;
+
+        const mainContent = html`
+        <div class="main-content">
+            <div class="fade-in-up flex-between mb-20">
+                <div class="user-welcome">
+                    <p class="subtitle">Outcome</p>
+                    <h2>Weight</h2>
+                </div>
+                <div class="range-tabs">
+                    ${Object.keys(WEIGHT_UNITS).map(u => html`<button class="range-tab ${u === unit ? 'active' : ''}" ${on('click', 'setWeightUnit', u)}>${u}</button>`)}
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-1 mb-20 settings-card">
+                <h4>Log a weigh-in</h4>
+                <div class="settings-grid">
+                    <label>Weight (${unit})<input id="weightValue" type="number" class="input-field" step="0.1" min="0" placeholder="${trend?.current ? (trend.current.weight_kg * perKg).toFixed(1) : ''}"></label>
+                    <label>Date<input id="weightDate" type="date" class="input-field" value="${Dates.today()}" max="${Dates.today()}"></label>
+                    <label>Waist (${waist}, optional)<input id="weightWaist" type="number" class="input-field" step="0.5" min="0"></label>
+                    <label>Body fat (%, optional)<input id="weightBodyFat" type="number" class="input-field" step="0.1" min="2" max="75"></label>
+                </div>
+                <button class="btn-primary" ${on('click', 'logWeight')}>Save weigh-in</button>
+            </div>
+
+            ${!trend ? html`<div class="glass-card text-center" style="padding: 40px;">Loading your weigh-ins...</div>` : html`
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <h4>Trend</h4>
+                <p class="subtitle">Daily readings swing with water and food; the smoothed trend shows where you are heading.</p>
+                ${trend.points.length ? Components.WeightChart(trend.points, unit) : html`<div class="text-center" style="padding: 20px; color: var(--text-muted);">No weigh-ins in the last ${WEIGHT_DAYS} days.</div>`}
+            </div>
+
+            <div class="meal-list fade-in-up stagger-3">
+                ${state.weights.map(entry => html`
+                    <div class="glass-card meal-item" data-key="weight-${entry.id}">
+                        <div class="meal-icon">⚖️</div>
+                        <div class="meal-info">
+                            <div class="meal-name">${show(entry.weight_kg)}</div>
+                            <div class="meal-time">${Dates.label(Dates.key(new Date(entry.measured_at)))}${entry.waist_cm ? ` · waist ${(entry.waist_cm * perCm).toFixed(1)} ${waist}` : ''}${entry.body_fat_pct ? ` · ${entry.body_fat_pct}% body fat` : ''}</div>
+                        </div>
+                        <div class="meal-actions">
+                            <button class="btn-icon-small" ${on('click', 'deleteWeight', entry.id)} title="Delete weigh-in">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `)}
+            </div>`}
+        </div>`;
+
+        const trendPanel = trend ? html`
+        <div class="stats-panel">
+            <h3 class="stats-panel-title">Progress</h3>
+            <div class="glass-card" style="padding: 20px;">
+                ${trend.current ? html`
+                    <div class="target-row"><span>Trend weight</span><strong>${show(trend.current.trend_kg)}</strong></div>
+                    <div class="target-row"><span>Last weigh-in</span><strong>${show(trend.current.weight_kg)}</strong></div>
+                    <div class="target-row"><span>Change per week</span><strong>${trend.current.weekly_change_kg === null ? '–' : `${trend.current.weekly_change_kg > 0 ? '+' : ''}${show(trend.current.weekly_change_kg, 2)}`}</strong></div>
+                ` : html`<p class="subtitle">Log your first weigh-in to start a trend.</p>`}
+            </div>
+            <div class="glass-card" style="padding: 20px; margin-top: 20px;">
+                <h4>Measured TDEE</h4>
+                ${estimate.tdee === null ? html`<p class="subtitle">${estimate.reason}.</p>` : html`
+                    <div class="target-row"><span>From intake and trend</span><strong>${estimate.tdee} kcal</strong></div>
+                    <div class="target-row"><span>Average intake</span><strong>${estimate.average_intake} kcal</strong></div>
+                    <p class="subtitle">Over the last ${estimate.window_days} days: ${estimate.logged_days} days logged, ${estimate.weigh_in_days} weigh-ins.</p>
+                `}
+                <label class="toggle-row">
+                    <input type="checkbox" ${state.profile?.use_measured_tdee ? 'checked' : ''} ${on('change', 'useMeasuredTdee')}>
+                    Base my calorie goal on it${state.targets.source?.tdee === 'measured' ? ` (now ${state.targets.calories} kcal)` : ''}
+                </label>
+            </div>
+        </div>` : '';
+
+        return html`
+            ${Components.Sidebar(state)}
+            ${mainContent}
+            ${trendPanel}
+            ${Components.Dock(state)}
+        `;
+    },
+
+    // Food Detail: a catalog food with its portions and nutrients, logged to the day on screen
+    FoodView: (state) => {
+        const food = state.food;
+        const mainContent = html`
+        <div class="main-content">
+            <div class="fade-in-up flex-between mb-20">
+                <div class="user-welcome">
+                    <p class="subtitle">${food?.category || 'Food'}</p>
+                    <h2>${food?.name || 'Loading...'}</h2>
+                </div>
+                <button class="btn-secondary" ${on('click', 'back')}>Back</button>
+            </div>
+
+            ${food ? html`
+            <div class="glass-card fade-in-up stagger-1 mb-20 settings-card">
+                <h4>Add to ${Dates.phrase(state.date)}</h4>
+                <div class="settings-grid">
+                    <label>Portion
+                        <select id="foodPortion" class="input-field">
+                            ${food.portions.map((p, i) => html`<option value="${i}">${p.label} (${p.size} ${p.unit}) · ${p.calories} cal</option>`)}
+                        </select>
+                    </label>
+                    <label>Servings
+                        <input id="foodServings" type="number" class="input-field" min="0.25" max="20" step="0.25" value="1">
+                    </label>
+                </div>
+                <button class="btn-primary" ${on('click', 'addFoodDetail')}>Log it</button>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <h4>Nutrition score</h4>
+                ${Components.ScoreBreakdown(food.nutrition_score)}
+            </div>
+
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <h4>Per 100 ${food.per_100.unit}</h4>
+                <div class="target-row"><span>Calories</span><strong>${food.per_100.calories} kcal</strong></div>
+                ${NUTRIENT_KEYS.filter(key => food.per_100.nutrients[key] != null).map(key => html`
+                    <div class="target-row"><span>${NUTRIENTS[key].label}</span><strong>${food.per_100.nutrients[key]} ${NUTRIENTS[key].unit}</strong></div>
+                `)}
+            </div>
+            ` : html`<div class="glass-card text-center" style="padding: 40px;">Loading food...</div>`}
+        </div>`;
+
+        return html`
+            ${Components.Sidebar(state)}
+            ${mainContent}
+            ${Components.Dock(state)}
+        `;
+    },
+
+    // Recipes: the user's saved recipes and custom foods, each loggable by the serving
+    RecipesView: (state) => {
+        const recipes = state.recipes;
+        const mainContent = html`
+        <div class="main-content">
+            <div class="fade-in-up flex-between mb-20">
+                <div class="user-welcome">
+                    <p class="subtitle">Home cooking</p>
+                    <h2>Recipes</h2>
+                </div>
+                <button class="btn-primary" style="width: auto;" ${on('click', 'go', '/recipes/new')}>New recipe</button>
+            </div>
+
+            ${!recipes ? html`<div class="glass-card text-center" style="padding: 40px;">Loading your recipes...</div>` : recipes.length === 0 ? html`
+            <div class="glass-card text-center" style="padding: 40px;">
+                <div style="font-size: 48px; margin-bottom: 15px;">📖</div>
+                <h4>No recipes yet</h4>
+                <p style="color: var(--text-muted);">Put a dish together from catalog ingredients and we work out its nutrients per serving. A recipe of one serving is a custom food.</p>
+            </div>` : html`
+            <div class="meal-list fade-in-up stagger-1">
+                ${recipes.map(recipe => html`
+                    <div class="glass-card meal-item" data-key="recipe-${recipe.id}">
+                        <div class="meal-icon">📖</div>
+                        <div class="meal-info">
+                            <div class="meal-name">${recipe.name} ${Components.ScoreBadge(recipe.nutrition_score)}</div>
+                            <div class="meal-time">${recipe.per_serving.label} (${recipe.per_serving.size} g) · ${recipe.ingredients.length} ingredient${recipe.ingredients.length === 1 ? '' : 's'}${recipe.servings !== 1 ? ` · makes ${recipe.servings}` : ''}</div>
+                        </div>
+                        <div class="meal-cal">${recipe.per_serving.calories} cal</div>
+                        <div class="meal-actions">
+                            <button class="btn-icon-small" ${on('click', 'logRecipe', recipe.id)} title="Log a serving to ${Dates.phrase(state.date)}">
+                                <i class="fas fa-plus"></i>
+                            </button>
+                            <button class="btn-icon-small" ${on('click', 'go', `/recipes/${encodeURIComponent(recipe.id)}`)} title="Edit recipe">
+                                <i class="fas fa-pen"></i>
+                            </button>
+                            <button class="btn-icon-small" ${on('click', 'deleteRecipe', recipe.id)} title="Delete recipe">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `)}
+            </div>`}
+        </div>`;
+
+        return html`
+            ${Components.Sidebar(state)}
+            ${mainContent}
+            ${Components.Dock(state)}
+        `;
+    },
+
+    // Recipe editor. Calories are previewed from the catalog's per-100 values; the server
+    // works out every nutrient when the recipe is saved.
+    RecipeView: (state) => {
+        const draft = state.recipeDraft;
+        const total = draft ? draft.ingredients.reduce((sum, item) => sum + (item.per_100_calories * item.size) / 100, 0) : 0;
+        const mainContent = html`
+        <div class="main-content">
+            <div class="fade-in-up flex-between mb-20">
+                <div class="user-welcome">
+                    <p class="subtitle">${draft?.id ? 'Edit recipe' : 'New recipe'}</p>
+                    <h2>${draft?.name || 'Untitled'}</h2>
+                </div>
+                <button class="btn-secondary" ${on('click', 'go', '/recipes')}>Back</button>
+            </div>
+
+            ${!draft ? html`<div class="glass-card text-center" style="padding: 40px;">Loading recipe...</div>` : html`
+            <div class="glass-card fade-in-up stagger-1 mb-20 settings-card">
+                <h4>Recipe</h4>
+                <div class="settings-grid">
+                    <label>Name<input id="recipeName" class="input-field" maxlength="120" value="${draft.name}" ${on('change', 'setRecipeField', 'name')}></label>
+                    <label>Servings it makes<input id="recipeServings" type="number" class="input-field" min="1" max="100" step="1" value="${draft.servings}" ${on('change', 'setRecipeField', 'servings')}></label>
+                    <label>One serving is (optional)<input id="recipeServingLabel" class="input-field" maxlength="60" placeholder="1 bowl" value="${draft.serving_label || ''}" ${on('change', 'setRecipeField', 'serving_label')}></label>
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-2 mb-20">
+                <div class="flex-between">
+                    <h4>Ingredients</h4>
+                    <button class="btn-primary" style="width: auto;" ${on('click', 'pickIngredient')}><i class="fas fa-plus"></i> Add ingredient</button>
+                </div>
+                ${draft.ingredients.length === 0 ? html`<p class="subtitle">Search the food catalog for each ingredient and enter how much goes in.</p>` : ''}
+                ${draft.ingredients.map((item, index) => html`
+                    <div class="review-item">
+                        <div class="meal-info">
+                            <div class="meal-name">${item.name}</div>
+                            <div class="meal-time">${Math.round((item.per_100_calories * item.size) / 100)} cal</div>
+                        </div>
+                        <input type="number" class="input-field review-size" min="1" step="1" value="${item.size}" ${on('change', 'setIngredientSize', index)} title="Amount">
+                        <span class="review-unit">${item.unit}</span>
+                        <button class="btn-icon-small" ${on('click', 'removeIngredient', index)} title="Remove ingredient">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `)}
+                <div class="target-row" style="margin-top: 10px;"><span>Whole recipe</span><strong>${Math.round(total)} cal</strong></div>
+                <div class="target-row"><span>Per serving</span><strong>${Math.round(total / draft.servings)} cal</strong></div>
+            </div>
+
+            <button class="btn-primary w-full" ${state.isSavingRecipe || !draft.ingredients.length ? 'disabled' : ''} ${on('click', 'saveRecipe')}>
+                ${state.isSavingRecipe ? 'Saving...' : 'Save recipe'}
+            </button>`}
+        </div>`;
+
+        return html`
+            ${Components.Sidebar(state)}
+            ${mainContent}
+            ${Components.Dock(state)}
+        `;
+    },
+
+    // Analysis Review: the itemized draft from /api/v1/analyze, edited before it becomes a meal
+    AnalysisReviewView: (state) => {
+        const analysis = state.analysis;
+        return html`
+        <div class="review-wrapper">
+            <div class="glass-card review-card fade-in-up">
+                <div class="flex-between mb-20">
+                    <div>
+                        <h2>Review your plate</h2>
+                        <p class="subtitle">Adjust portions, swap or remove anything we got wrong.</p>
+                    </div>
+                    <div class="review-total">${analysis.calories} cal</div>
+                </div>
+
+                ${analysis.items.length === 0 ? html`
+                    <div class="text-center" style="padding: 30px; color: var(--text-muted);">
+                        No food left on this plate. Add something with Food Search or discard the analysis.
+                    </div>
+                ` : analysis.items.map(item => html`
+                    <div class="review-item ${item.needs_confirmation ? 'needs-check' : ''}" data-key="item-${item.id}">
+                        <div class="meal-info">
+                            <div class="meal-name">${item.food_name || item.name}</div>
+                            <div class="meal-time">
+                                ${item.food_name && item.food_name.toLowerCase() !== item.name.toLowerCase() ? `Seen as "${item.name}" · ` : ''}
+                                <span class="confidence-badge">${item.needs_confirmation ? '⚠️ ' : ''}${Math.round(item.confidence * 100)}% sure</span>
+                                ${macroLine(item.nutrients) && `· ${macroLine(item.nutrients)}`}
+                            </div>
+                        </div>
+                        <input type="number" class="input-field review-size" min="1" max="5000" value="${item.portion.size}"
+                            title="${item.portion.label}" ${on('change', 'resizeAnalysisItem', item.id)}>
+                        <span class="review-unit">${item.portion.unit}</span>
+                        <div class="meal-cal">${item.calories} cal</div>
+                        <button class="btn-icon-small" ${on('click', 'swapAnalysisItem', item.id)} title="Swap for a search match">
+                            <i class="fas fa-exchange-alt"></i>
+                        </button>
+                        <button class="btn-icon-small" ${on('click', 'removeAnalysisItem', item.id)} title="Remove">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `)}
+
+                <div class="flex-between" style="margin-top: 20px;">
+                    <button class="link-btn" ${on('click', 'swapAnalysisItem', null)}><i class="fas fa-plus"></i> Add missing food</button>
+                    <div class="flex-gap-10">
+                        <button class="btn-primary btn-secondary" style="width: auto;" ${on('click', 'discardAnalysis')}>Discard</button>
+                        <button class="btn-primary" style="width: auto;" ${on('click', 'confirmAnalysis')} ${analysis.items.length === 0 ? 'disabled' : ''}>Log meal</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `},
+
+    // Settings: body and goal profile. Targets are recomputed by the server on save.
+    SettingsView: (state) => {
+        const profile = state.profile || {};
+        const overrides = profile.overrides || {};
+        const targets = state.targets;
+        const option = (value, label, current) => html`<option value="${value}" ${String(current) === String(value) ? 'selected' : ''}>${label}</option>`;
+        const marker = (key) => targets.source?.[key] === 'override' ? html` <span class="confidence-badge">set by you</span>` : '';
+        const drinkTargets = state.beverageDay?.targets;
+        const drinkMarker = (key) => drinkTargets?.source[key] === 'override' ? html` <span class="confidence-badge">set by you</span>` : '';
+        const volumeUnit = Volumes.unit(state);
+
+        const mainContent = html`
+        <div class="main-content">
+            <div class="fade-in-up flex-between mb-20">
+                <div class="user-welcome">
+                    <p class="subtitle">Settings</p>
+                    <h2>Profile & Targets</h2>
+                </div>
+                <button class="btn-secondary" ${on('click', 'nav', 'dashboard')}>Back</button>
+            </div>
+
+            ${state.profile ? html`
+            <div class="glass-card fade-in-up stagger-1 mb-20 settings-card">
+                <h4>About you</h4>
+                <div class="settings-grid">
+                    <label>Sex
+                        <select id="profileSex" class="input-field">
+                            ${option('', 'Not set', profile.sex ?? '')}
+                            ${option('female', 'Female', profile.sex)}${option('male', 'Male', profile.sex)}${option('other', 'Other / prefer not to say', profile.sex)}
+                        </select>
+                    </label>
+                    <label>Age
+                        <input id="profileAge" type="number" class="input-field" min="13" max="120" value="${profile.age ?? ''}">
+                    </label>
+                    <label>Height (cm)
+                        <input id="profileHeight" type="number" class="input-field" min="100" max="250" step="0.5" value="${profile.height_cm ?? ''}">
+                    </label>
+                    <label>Weight (kg)
+                        <input id="profileWeight" type="number" class="input-field" min="30" max="400" step="0.1" value="${profile.weight_kg ?? ''}">
+                    </label>
+                    <label class="settings-wide">Activity level
+                        <select id="profileActivity" class="input-field">
+                            ${Object.entries(ACTIVITY_LEVELS).map(([value, label]) => option(value, label, profile.activity_level))}
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-2 mb-20 settings-card">
+                <h4>Goal</h4>
+                <div class="settings-grid">
+                    <label>Goal
+                        <select id="profileGoal" class="input-field">
+                            ${option('lose', 'Lose weight', profile.goal)}${option('maintain', 'Maintain weight', profile.goal)}${option('gain', 'Gain weight', profile.goal)}
+                        </select>
+                    </label>
+                    <label>Rate
+                        <select id="profileRate" class="input-field">
+                            ${GOAL_RATES.map(rate => option(rate, `${rate} kg per week`, profile.rate_kg_per_week))}
+                        </select>
+                    </label>
+                    <label class="settings-wide">Macro split (protein / carbs / fat)
+                        <select id="profileMacros" class="input-field">
+                            ${Object.entries(MACRO_PRESETS).map(([value, label]) => option(value, label, profile.macro_preset))}
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-3 mb-20 settings-card">
+                <h4>Manual targets</h4>
+                <p class="subtitle">Leave a field empty to use the calculated value.</p>
+                <div class="settings-grid">
+                    <label>Calories (kcal)<input id="overrideCalories" type="number" class="input-field" min="800" max="10000" value="${overrides.calories ?? ''}" placeholder="${targets.calories}"></label>
+                    <label>Protein (g)<input id="overrideProtein" type="number" class="input-field" min="0" max="1000" value="${overrides.protein ?? ''}" placeholder="${targets.protein}"></label>
+                    <label>Carbs (g)<input id="overrideCarbs" type="number" class="input-field" min="0" max="1000" value="${overrides.carbs ?? ''}" placeholder="${targets.carbs}"></label>
+                    <label>Fat (g)<input id="overrideFat" type="number" class="input-field" min="0" max="1000" value="${overrides.fat ?? ''}" placeholder="${targets.fat}"></label>
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-3 mb-20 settings-card">
+                <div class="flex-between">
+                    <h4>Meal slots</h4>
+                    <button class="btn-secondary" ${on('click', 'addSlotRow')} ${(state.slotDraft || profile.meal_slots).length >= MAX_MEAL_SLOTS ? 'disabled' : ''}>Add slot</button>
+                </div>
+                <p class="subtitle">Your day's log is grouped into these. Entries fall in the slot that has started by the time they are eaten.</p>
+                ${(state.slotDraft || profile.meal_slots).map((slot, index) => html`
+                    <div class="slot-row">
+                        <input id="slotName${index}" class="input-field" maxlength="40" placeholder="Name" value="${slot.name}">
+                        <input id="slotStart${index}" type="time" class="input-field" value="${slot.start}" title="Starts at">
+                        <button class="btn-icon-small" ${on('click', 'removeSlotRow', index)} title="Remove slot" ${(state.slotDraft || profile.meal_slots).length === 1 ? 'disabled' : ''}>
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `)}
+            </div>
+
+            <div class="glass-card fade-in-up stagger-3 mb-20 settings-card">
+                <h4>Drinks</h4>
+                <p class="subtitle">Leave a field empty to use the default. Drinks with alcohol do not count towards hydration.</p>
+                <div class="settings-grid">
+                    <label>Volume unit
+                        <select id="profileVolumeUnit" class="input-field">
+                            ${Object.entries(VOLUME_UNITS).map(([value, { label }]) => option(value, label, volumeUnit))}
+                        </select>
+                    </label>
+                    <label>Hydration target (${VOLUME_UNITS[volumeUnit].label})
+                        <input id="profileWaterTarget" type="number" class="input-field" min="${Volumes.amount(500, volumeUnit)}" max="${Volumes.amount(6000, volumeUnit)}"
+                            value="${profile.water_target_ml != null ? Volumes.amount(profile.water_target_ml, volumeUnit) : ''}"
+                            placeholder="${drinkTargets ? Volumes.amount(drinkTargets.water_ml, volumeUnit) : ''}">
+                    </label>
+                    <label>Caffeine limit (mg)
+                        <input id="profileCaffeineLimit" type="number" class="input-field" min="0" max="2000" value="${profile.caffeine_limit_mg ?? ''}" placeholder="${drinkTargets?.caffeine_mg ?? ''}">
+                    </label>
+                    <label>Alcohol limit (standard drinks)
+                        <input id="profileAlcoholLimit" type="number" class="input-field" min="0" max="20" step="0.5" value="${profile.alcohol_limit_drinks ?? ''}" placeholder="${drinkTargets?.alcohol_drinks ?? ''}">
+                    </label>
+                </div>
+            </div>
+
+            <div class="glass-card fade-in-up stagger-3 mb-20 settings-card">
+                <h4>Time zone & quiet hours</h4>
+                <p class="subtitle">Your days start at midnight on this clock, and reminders follow it; meals already logged keep their day. Reminders stay silent in quiet hours: set both times the same to turn them off.</p>
+                <div class="settings-grid">
+                    <label class="settings-wide">Time zone
+                        <input id="profileTimeZone" class="input-field" maxlength="64" value="${profile.time_zone ?? ''}" placeholder="${TIME_ZONE}">
+                    </label>
+                    <label>Quiet from
+                        <input id="profileQuietStart" type="time" class="input-field" value="${profile.quiet_hours?.start ?? ''}">
+                    </label>
+                    <label>Quiet until
+                        <input id="profileQuietEnd" type="time" class="input-field" value="${profile.quiet_hours?.end ?? ''}">
+                    </label>
+                </div>
+            </div>
+
+            <button class="btn-primary mb-20" ${on('click', 'saveProfile')} ${state.isSavingProfile ? 'disabled' : ''}>
+                ${state.isSavingProfile ? 'Saving...' : 'Save profile'}
+            </button>
+
+            ${Components.RemindersCard(state)}
+            ${Components.DataCard(state)}
+            ` : html`<div class="glass-card text-center" style="padding: 40px;">Loading your profile...</div>`}
+        </div>`;
+
+        const targetsPanel = html`
+        <div class="stats-panel">
+            <h3 class="stats-panel-title">Your Targets</h3>
+            <div class="glass-card" style="padding: 20px;">
+                ${targets.complete ? html`<div class="target-row"><span>Resting energy (BMR)</span><strong>${targets.bmr} kcal</strong></div>` : ''}
+                ${targets.tdee != null ? html`
+                    <div class="target-row"><span>Daily burn (TDEE)${targets.source?.tdee === 'measured' ? html` <span class="confidence-badge">measured</span>` : ''}</span><strong>${targets.tdee} kcal</strong></div>
+                ` : html`<p class="subtitle">Add sex, age, height and weight to get personal targets. Until then we use 2000 kcal.</p>`}
+                <div class="target-row"><span>Calories${marker('calories')}</span><strong>${targets.calories} kcal</strong></div>
+                <div class="target-row"><span>Protein${marker('protein')}</span><strong>${targets.protein} g</strong></div>
+                <div class="target-row"><span>Carbs${marker('carbs')}</span><strong>${targets.carbs} g</strong></div>
+                <div class="target-row"><span>Fat${marker('fat')}</span><strong>${targets.fat} g</strong></div>
+                <div class="target-row"><span>Fiber</span><strong>${targets.fiber} g</strong></div>
+                ${drinkTargets ? html`
+                    <div class="target-row"><span>Water${drinkMarker('water_ml')}</span><strong>${Volumes.format(drinkTargets.water_ml, volumeUnit)}</strong></div>
+                    <div class="target-row"><span>Caffeine (max)${drinkMarker('caffeine_mg')}</span><strong>${drinkTargets.caffeine_mg} mg</strong></div>
+                    <div class="target-row"><span>Alcohol (max)${drinkMarker('alcohol_drinks')}</span><strong>${drinkTargets.alcohol_drinks} drinks</strong></div>
+                ` : ''}
+                ${targets.floored ? html`<p class="subtitle" style="margin-top: 10px;">⚠️ Your goal rate would go below the minimum safe intake, so calories are capped at ${targets.calories} kcal.</p>` : ''}
+            </div>
+        </div>`;
+
+        return html`
+            ${Components.Sidebar(state)}
+            ${mainContent}
+            ${targetsPanel}
+            ${Components.Dock(state)}
+        `;
+    },
+
+    // Settings > Reminders: the rules, a form for a new one, and push on this device.
+    RemindersCard: (state) => {
+        const slots = state.profile.meal_slots;
+        const slotName = (id) => slots.find(slot => slot.id === id)?.name || id;
+        const describe = (rule) => ({
+            meal_slot: `${slotName(rule.slot)} still empty at ${rule.time || 'an hour in'}`,
+            inactivity: `No entry for ${rule.hours} hours`,
+            calorie_goal: `At ${Math.round(rule.near_share * 100)}% of the calorie goal, and when over it`,
+            hydration: `Every ${rule.every_hours} h from ${rule.from} to ${rule.until} while water is behind pace`
+        })[rule.type];
+        const type = state.reminderType;
+        const pushable = 'PushManager' in window && 'serviceWorker' in navigator;
+
+        return html`
+        <div class="glass-card fade-in-up stagger-3 mb-20 settings-card">
+            <h4>Reminders</h4>
+            ${!state.reminders ? html`<p class="subtitle">Loading...</p>`
+                : !state.reminders.length ? html`<p class="subtitle">No reminders yet. They show up under 🔔 on the dashboard, and on this device with push on.</p>`
+                : state.reminders.map(rule => html`
+                    <div class="reminder-row ${rule.enabled ? '' : 'disabled'}" data-key="${rule.id}">
+                        <label class="toggle-row">
+                            <input type="checkbox" ${rule.enabled ? 'checked' : ''} ${on('change', 'toggleReminder', rule.id)}>
+                            ${REMINDER_TYPES[rule.type].icon} ${describe(rule)}${rule.push ? '' : html` <span class="confidence-badge">in app only</span>`}
+                        </label>
+                        <button class="btn-icon-small" ${on('click', 'deleteReminder', rule.id)} title="Delete reminder"><i class="fas fa-trash"></i></button>
+                    </div>`)}
+            <div class="reminder-form">
+                <select id="reminderType" class="input-field" ${on('change', 'setReminderType')}>
+                    ${Object.entries(REMINDER_TYPES).map(([value, { icon, label }]) => html`<option value="${value}" ${value === type ? 'selected' : ''}>${icon} ${label}</option>`)}
+                </select>
+                <div class="settings-grid">
+                    ${type === 'meal_slot' ? html`
+                        <label>Slot
+                            <select id="reminderSlot" class="input-field">${slots.map(slot => html`<option value="${slot.id}">${slot.name}</option>`)}</select>
+                        </label>
+                        <label>At (empty: an hour in)<input id="reminderTime" type="time" class="input-field"></label>` : ''}
+                    ${type === 'inactivity' ? html`
+                        <label>Hours without an entry<input id="reminderHours" type="number" class="input-field" min="1" max="24" value="5"></label>` : ''}
+                    ${type === 'calorie_goal' ? html`
+                        <label>Warn at (% of goal)<input id="reminderNearShare" type="number" class="input-field" min="50" max="100" value="90"></label>` : ''}
+                    ${type === 'hydration' ? html`
+                        <label>Every (hours)<input id="reminderEvery" type="number" class="input-field" min="1" max="12" value="2"></label>
+                        <label>From<input id="reminderFrom" type="time" class="input-field" value="09:00"></label>
+                        <label>Until<input id="reminderUntil" type="time" class="input-field" value="21:00"></label>` : ''}
+                </div>
+                <label class="toggle-row"><input id="reminderPush" type="checkbox" checked> Also push to my devices</label>
+                <button class="btn-primary" ${on('click', 'addReminder')}>Add reminder</button>
+            </div>
+            <div class="data-actions">
+                ${!pushable ? html`<p class="subtitle">This browser cannot get push notifications; reminders still show up under 🔔.</p>`
+                    : state.pushDevice ? html`
+                        <button class="btn-secondary" ${on('click', 'disablePush')}>Turn off push on this device</button>
+                        <button class="btn-secondary" ${on('click', 'testPush')}>Send a test</button>`
+                    : html`<button class="btn-secondary" ${on('click', 'enablePush')}>Turn on push on this device</button>`}
+            </div>
+        </div>`;
+    },
+
+    // Settings > Your data: downloads, and imports checked with a dry run before anything is saved.
+    DataCard: (state) => {
+        const pending = state.dataImport;
+        const select = (id, choices, current) => html`
+            <select id="${id}" class="input-field">
+                ${choices.map(([value, label]) => html`<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`)}
+            </select>`;
+        const counts = (name, label) => {
+            const c = pending.report?.[name];
+            if (!c) return '';
+            const skipped = [c.duplicates && `${c.duplicates} already there`, c.invalid && `${c.invalid} invalid`].filter(Boolean).join(', ');
+            return html`<div class="target-row"><span>${label}</span><strong>${pending.report.dry_run ? c.new : c.imported} ${pending.report.dry_run ? 'new' : 'imported'}${skipped ? html` <span class="subtitle">(${skipped})</span>` : ''}</strong></div>`;
+        };
+
+        return html`
+        <div class="glass-card fade-in-up mb-20 settings-card">
+            <h4>Your data</h4>
+            <p class="subtitle">Download your log, or bring in a backup or a CSV from another app. Entries you already have are skipped.</p>
+            <div class="data-actions">
+                ${Object.entries(EXPORTS).map(([file, label]) => html`<button class="btn-secondary" ${on('click', 'exportData', file)}>${label}</button>`)}
+                <label class="btn-secondary">
+                    <i class="fas fa-file-import"></i> Import a file
+                    <input type="file" accept=".json,.csv,application/json,text/csv" hidden ${on('change', 'pickImportFile')}>
+                </label>
+            </div>
+            ${pending ? html`
+            <div class="data-import">
+                <p><strong>${pending.name}</strong> ${pending.kind === 'backup' ? '(backup)' : '(CSV)'}</p>
+                ${pending.kind === 'csv' ? html`
+                <p class="subtitle">Pick the column that holds each field.</p>
+                <div class="settings-grid">
+                    ${Object.entries(CSV_IMPORT_FIELDS).map(([field, label]) => html`
+                        <label>${label}${['name', 'calories', 'date'].includes(field) ? ' *' : ''}
+                            ${select(`csvMap_${field}`, [['', '—'], ...pending.columns.map(column => [column, column])], pending.options.mapping[field] || '')}
+                        </label>`)}
+                    <label>Date format ${select('csvDateFormat', CSV_DATE_FORMATS.map(format => [format, format]), pending.options.date_format)}</label>
+                    <label>Decimal mark ${select('csvDecimal', [['.', 'Point (1.5)'], [',', 'Comma (1,5)']], pending.options.decimal)}</label>
+                </div>` : ''}
+                ${pending.report ? html`
+                    ${counts('meals', 'Meals')}${counts('weights', 'Weigh-ins')}${counts('recipes', 'Recipes')}${counts('templates', 'Templates')}
+                    ${pending.report.errors.length ? html`
+                    <ul class="data-import-errors">
+                        ${pending.report.errors.slice(0, 5).map(e => html`<li>${e.row ? `Line ${e.row}` : `${e.collection} #${e.index + 1}`}: ${`${e.path.replace(/^\./, '')} ${e.message}`.trim()}</li>`)}
+                        ${pending.report.errors.length > 5 ? html`<li>...and ${pending.report.errors.length - 5} more</li>` : ''}
+                    </ul>` : ''}
+                ` : ''}
+                <div class="data-actions">
+                    ${pending.report?.dry_run === false
+                        ? html`<button class="btn-primary" ${on('click', 'cancelImport')}>Done</button>`
+                        : html`
+                        ${pending.kind === 'csv' ? html`<button class="btn-secondary" ${on('click', 'checkImport')} ${pending.isImporting ? 'disabled' : ''}>Check file</button>` : ''}
+                        ${pending.report ? html`<button class="btn-primary" ${on('click', 'runImport')} ${pending.isImporting ? 'disabled' : ''}>${pending.isImporting ? 'Importing...' : 'Import'}</button>` : ''}
+                        <button class="btn-secondary" ${on('click', 'cancelImport')}>Cancel</button>`}
+                </div>
+            </div>` : ''}
+        </div>`;
+    },
+
+    // Shown when a photo is refused (size, format, rate limit) or its analysis fails; the message comes from the API.
+    UploadErrorBanner: (state) => html`
+        <div class="upload-error" role="alert">
+            <div>
+                <strong>${state.uploadError.title}</strong>
+                <p>${state.uploadError.message}</p>
+            </div>
+            <button class="btn-icon-small" ${on('click', 'dismissUploadError')} title="Dismiss">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `,
+
+    // Loading Overlay - follows the analysis job's real stages as the server reports them
+    LoadingOverlay: (state) => {
+        const job = state.analysisJob;
+        const queued = job?.queue_position ? ` (${job.queue_position} ahead in line)` : '';
+        const steps = [
+            { stage: 'uploading', text: 'Uploading image...' },
+            { stage: 'received', text: `Waiting for the analyzer...${queued}` },
+            { stage: 'preprocessing', text: 'Preparing the photo...' },
+            { stage: 'inference', text: 'Identifying food...' },
+            { stage: 'nutrient_lookup', text: 'Looking up nutrients...' }
+        ];
+        const current = job?.stage === 'done' ? steps.length : Math.max(0, steps.findIndex(step => step.stage === job?.stage));
+
+        return html`
+        <div class="loading-overlay">
+            <div class="loading-emoji">🥑</div>
+            <h2>Analyzing...</h2>
+            <div class="loading-steps">
+                ${steps.map((step, i) => html`
+                    <div class="step-item ${i <= current ? 'active' : ''} ${i < current ? 'done' : ''}">
+                        <div class="step-icon">
+                            ${i === current ? html`<div class="step-spinner"></div>` : (i < current ? '✅' : '⚪')}
+                        </div>
+                        <div class="step-text">${step.text}</div>
+                    </div>
+                `)}
+            </div>
+        </div>
+    `},
+};
+
+// --- 7. ACTIONS (The Logic) ---
+const Actions = {
+    async init() {
+        // The app shell (pro.html, this script, styles, Font Awesome) is cached by sw.js.
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js', { scope: '/pro.html' }).catch(e => console.error('Service worker not registered', e));
+        }
+        window.addEventListener('online', () => {
+            Store.setOnline(true);
+            Actions.sync();
+        });
+        window.addEventListener('offline', () => Store.setOnline(false));
+        // sw.js tells open pages about each push message, so the bell updates at once.
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'notification') Actions.loadNotifications();
+        });
+        setInterval(() => Actions.loadNotifications(), NOTIFICATION_POLL_MS);
+        // Past midnight (in the profile's zone), a dashboard left on "today" moves on to the new day.
+        let today = Dates.today();
+        setInterval(() => {
+            const now = Dates.today();
+            if (now === today) return;
+            if (Store.state.view === 'dashboard' && Store.state.date === today) Actions.goToDay(now);
+            today = now;
+        }, ROLLOVER_CHECK_MS);
+
+        // Check for saved user
+        try {
+            const savedUser = localStorage.getItem('calcatcher_user');
+            if (savedUser) {
                 Store.state.user = JSON.parse(savedUser);
-                // Optional: Auto-login if you want, but for now let's stick to manual
-                // Store.state.view = 'dashboard'; 
+                Store.state.token = localStorage.getItem('calcatcher_token');
+                Store.state.pushDevice = localStorage.getItem('calcatcher_push');
             }
         } catch(e) {}
 
         Store.subscribe(Render);
-        Render(Store.state);
+
+        // A saved session is checked before any view is shown; a 401 clears it.
+        if (Store.state.token) {
+            try {
+                const { data: user } = await Api.get('/auth/me');
+                Store.setUser(user);
+            } catch (e) {
+                if (e.status !== 401 && !e.offline) console.error('Could not check the saved session', e);
+            }
+        }
+        if (Store.state.token) {
+            await LocalDb.claim(Store.state.user.id);
+            await Store.hydrate();
+        }
+        Router.start();
+        if (!Store.state.token) return;
+        Actions.loadProfile();
+        Actions.loadNotifications();
+        Actions.sync();
+
+        // A photo was still being analyzed when the page was closed or refreshed: pick it back up.
+        let pendingJob = null;
+        try { pendingJob = localStorage.getItem('calcatcher_job'); } catch(e) {}
+        if (pendingJob) Actions.followAnalysisJob(pendingJob);
+    },
+
+    login() {
+        return Actions.authenticate('/auth/login');
+    },
+
+    register() {
+        return Actions.authenticate('/auth/register');
+    },
+
+    async authenticate(endpoint) {
+        const username = document.getElementById('username')?.value.trim();
+        const password = document.getElementById('password')?.value;
+
+        if (!username || !password) {
+            alert('Please enter a username and password');
+            return;
+        }
+
+        try {
+            const { data: session } = await Api.post(endpoint, { username, password });
+            await LocalDb.claim(session.user.id);
+            await Store.hydrate();
+            Store.setSession(session.user, session.token);
+        } catch (e) {
+            alert("Login Error: " + e.message);
+            return;
+        }
+        Router.go(Router.home(), { replace: true });
+        await Promise.all([Actions.loadProfile(), Actions.loadNotifications(), Actions.sync()]);
+    },
+
+    dismissSyncNotes() {
+        Store.setSyncing(false, []);
+    },
+
+    // Replays the outbox in order. It stops at the first entry the server cannot take right now
+    // (offline again, rate limited, server error) and retries on the next reconnect; an entry it
+    // refuses outright is dropped with a note. Photos come back as analysis jobs to review.
+    async sync() {
+        if (Store.state.isSyncing || !Store.state.token) return;
+        const entries = await Outbox.entries();
+        if (!entries.length) return;
+        Store.setSyncing(true);
+        const notes = [...Store.state.syncNotes];
+        const jobs = [...Store.state.photoJobs];
+        for (const entry of entries) {
+            try {
+                const { note, job } = await Outbox.replay(entry);
+                if (note) notes.push(note);
+                if (job) jobs.push(job);
+            } catch (e) {
+                if (e.offline || e.status === 401 || e.status === 429 || !(e.status < 500)) break;
+                notes.push(`${Outbox.describe(entry)} was not accepted by the server: ${e.message}`);
+            }
+            await Outbox.done(entry.seq);
+        }
+        Store.setPhotoJobs(jobs);
+        Store.setSyncing(false, notes);
+        if (Store.state.view === 'dashboard') await Promise.all([Actions.loadMeals(), Actions.loadDaySummary()]);
+    },
+
+    // The copy kept on this device shows at once; the server's list then replaces it, with
+    // changes not synced yet laid over it.
+    async loadMeals(date = Store.state.date) {
+        const cached = await LocalDb.mealsOn(date);
+        if (date === Store.state.date && cached.length) Store.setMeals(cached);
+        try {
+            const data = await Api.get(`/meals?date=${date}&tz=${encodeURIComponent(Dates.timeZone)}`);
+            const meals = await Outbox.overlay(date, data.data);
+            // The user may have moved to another day while this one was loading.
+            if (date === Store.state.date) Store.setMeals(meals);
+        } catch (e) {
+            if (!e.offline) {
+                console.error(e);
+                alert('Could not load your meals: ' + e.message);
+            }
+        }
+        await Promise.all([
+            Actions.loadDaySummary(date),
+            Actions.loadBeverages(date),
+            Store.state.templates ? null : Actions.loadTemplates()
+        ]);
+    },
+
+    // The day's drinks with their totals, targets and limit warnings, worked out on the server.
+    async loadBeverages(date = Store.state.date) {
+        try {
+            const { data: day } = await Api.get(`/beverages/day?date=${date}&tz=${encodeURIComponent(Dates.timeZone)}`);
+            if (date === Store.state.date) Store.setBeverageDay(day);
+        } catch (e) {
+            // Offline, the last copy seen for the day stands in; drinks logged since wait in the outbox.
+            const day = e.offline ? await LocalDb.get('state', `drinks:${date}`) : null;
+            if (day && date === Store.state.date) Store.setBeverageDay(day);
+            else if (!e.offline) console.error('Could not load the drinks', e);
+        }
+    },
+
+    // Logs a drink on the day on screen. Without a volume the server pours a typical glass of the kind.
+    async logDrink(kind, volumeMl = null) {
+        const { eaten_at } = Actions.eatenAt();
+        const body = { kind, ...(volumeMl && { volume: volumeMl, unit: 'ml' }), ...(eaten_at && { drunk_at: eaten_at }) };
+        try {
+            await Api.post('/beverages', body);
+        } catch (e) {
+            if (e.offline && await Outbox.add({ type: 'drink', body: { ...body, client_id: localId() } })) return;
+            return alert('Could not log the drink: ' + e.message);
+        }
+        await Actions.loadBeverages();
+    },
+
+    // The drink form under the widgets; its volume is in the profile's unit.
+    logCustomDrink() {
+        const kind = document.getElementById('drinkKind')?.value || 'water';
+        const input = document.getElementById('drinkVolume');
+        const amount = Number(input?.value);
+        if (!(amount > 0)) return alert(`Enter how much you drank, in ${VOLUME_UNITS[Volumes.unit()].label}`);
+        input.value = '';
+        return Actions.logDrink(kind, Volumes.toMl(amount, Volumes.unit()));
+    },
+
+    async deleteDrink(id) {
+        const drink = Store.state.beverageDay?.beverages.find(b => b.id === id);
+        if (!drink || !confirm(`Remove this ${(drink.name || BEVERAGE_KINDS[drink.kind]?.label || 'drink').toLowerCase()}?`)) return;
+        try {
+            await Api.delete(`/beverages/${encodeURIComponent(id)}`);
+        } catch (e) {
+            return alert(e.offline ? 'Drinks can be removed once you are back online.' : 'Could not remove the drink: ' + e.message);
+        }
+        await Actions.loadBeverages();
+    },
+
+    // The day's nutrition score and slot subtotals are worked out on the server; reloaded after every change to the log.
+    async loadDaySummary(date = Store.state.date) {
+        try {
+            const { data: day } = await Api.get(`/stats/day?date=${date}&tz=${encodeURIComponent(Dates.timeZone)}`);
+            if (date === Store.state.date) Store.setDaySummary(day);
+        } catch (e) {
+            // Offline, the last summary seen for the day stands in (entries logged since are listed above the slots).
+            const day = e.offline ? await LocalDb.get('state', `day:${date}`) : null;
+            if (day && date === Store.state.date) Store.setDaySummary(day);
+            else if (!e.offline) console.error('Could not load the day summary', e);
+        }
+        await Actions.loadFrequentFoods();
+    },
+
+    // The slot of the current time of day, once the day's slots are known.
+    currentSlot() {
+        const slots = Store.state.daySlots;
+        if (!slots?.length) return null;
+        const now = new Date().toTimeString().slice(0, 5);
+        return [...slots].reverse().find(slot => slot.start <= now) || slots[slots.length - 1];
+    },
+
+    // Quick-add learns from the log: the most frequent foods, those of the current slot first.
+    async loadFrequentFoods() {
+        const slot = Store.state.date === Dates.today() ? Actions.currentSlot() : null;
+        try {
+            const { data } = await Api.get(`/meals/frequent?limit=${QUICK_ADD_FOODS}&tz=${encodeURIComponent(Dates.timeZone)}${slot ? `&slot=${slot.id}` : ''}`);
+            Store.setFrequentFoods(data);
+        } catch (e) {
+            if (!e.offline) console.error('Could not load quick-add foods', e);
+        }
+    },
+
+    // Route loader for #/day/:date
+    openDay(date) {
+        Store.setDate(date);
+        return Actions.loadMeals(date);
+    },
+
+    goToDay(date = Dates.today()) {
+        if (!date) return;
+        Router.go(`/day/${date}`);
+    },
+
+    shiftDay(days) {
+        const date = Dates.shift(Store.state.date, days);
+        if (date <= Dates.today()) Actions.goToDay(date);
+    },
+
+    // Entries added while an earlier day is on screen are dated that day, at the current time
+    // or at the start of the slot they are added to.
+    eatenAt(slot = null) {
+        if (Store.state.date === Dates.today()) return {};
+        const time = slot ? slot.start : Dates.local(new Date()).slice(11);
+        return { eaten_at: Dates.at(Store.state.date, time).toISOString() };
+    },
+
+    // Route loader for #/history/:days. Days are counted in the profile's time zone.
+    async loadHistory(days = 30) {
+        const to = Dates.today();
+        const from = Dates.shift(to, -(days - 1));
+        if (days !== Store.state.historyDays) Store.setHistory(null, days);
+        try {
+            const { data: stats } = await Api.get(`/stats?from=${from}&to=${to}&tz=${encodeURIComponent(Dates.timeZone)}`);
+            if (days === Store.state.historyDays) Store.setHistory(stats, days);
+        } catch (e) {
+            console.error(e);
+            alert('Could not load your history: ' + e.message);
+        }
+    },
+
+    // Route loader for #/weight
+    async loadWeights() {
+        const from = Dates.range(Dates.shift(Dates.today(), -(WEIGHT_DAYS - 1))).from;
+        try {
+            const [{ data: weights }, { data: trend }] = await Promise.all([
+                Api.get(`/weights?from=${encodeURIComponent(from)}`),
+                Api.get(`/weights/trend?days=${WEIGHT_DAYS}&tz=${encodeURIComponent(Dates.timeZone)}`)
+            ]);
+            Store.setWeights(weights, trend);
+        } catch (e) {
+            console.error(e);
+            alert('Could not load your weigh-ins: ' + e.message);
+        }
+    },
+
+    // Weigh-ins change the profile weight (and with it the targets), so both are reloaded.
+    async logWeight() {
+        const number = (id) => { const value = document.getElementById(id)?.value; return value ? Number(value) : undefined; };
+        const unit = Store.state.profile?.weight_unit || 'kg';
+        const weight = number('weightValue');
+        if (!weight) return alert('Enter your weight first.');
+        const date = document.getElementById('weightDate')?.value || Dates.today();
+        // Earlier days are dated 8:00 local time, around when most people weigh in.
+        const measuredAt = date === Dates.today() ? new Date() : Dates.at(date, '08:00');
+        try {
+            await Api.post('/weights', {
+                weight, unit,
+                waist: number('weightWaist'), waist_unit: WEIGHT_UNITS[unit].waist,
+                body_fat_pct: number('weightBodyFat'),
+                measured_at: measuredAt.toISOString()
+            });
+        } catch (e) {
+            return alert('Could not save weigh-in: ' + e.message);
+        }
+        await Promise.all([Actions.loadWeights(), Actions.loadProfile()]);
+    },
+
+    async deleteWeight(id) {
+        if (!confirm('Delete this weigh-in?')) return;
+        try {
+            await Api.delete(`/weights/${encodeURIComponent(id)}`);
+        } catch (e) {
+            return alert('Could not delete weigh-in: ' + e.message);
+        }
+        await Promise.all([Actions.loadWeights(), Actions.loadProfile()]);
+    },
+
+    async setWeightUnit(unit) {
+        try {
+            const { data } = await Api.patch('/profile', { weight_unit: unit });
+            Store.setProfile(data);
+        } catch (e) {
+            alert('Could not change the unit: ' + e.message);
+        }
+    },
+
+    async useMeasuredTdee(enabled) {
+        try {
+            const { data } = await Api.patch('/profile', { use_measured_tdee: enabled });
+            Store.setProfile(data);
+        } catch (e) {
+            alert('Could not update your goal: ' + e.message);
+        }
+    },
+
+    // Route loader for #/foods/:id
+    async openFood(id) {
+        if (Store.state.food?.id === id) return;
+        Store.setFood(null);
+        try {
+            const { data: food } = await Api.get(`/foods/${encodeURIComponent(id)}`);
+            Store.setFood(food);
+        } catch (e) {
+            alert(e.code === 'FOOD_NOT_FOUND' ? 'That food is no longer in the catalog.' : 'Could not load the food: ' + e.message);
+            Router.go(`/day/${Store.state.date}`, { replace: true });
+        }
+    },
+
+    openFoodDetail(index) {
+        const food = Store.state.searchResults[index];
+        Store.toggleSearch();
+        Router.go(`/foods/${encodeURIComponent(food.id)}`);
+    },
+
+    // Logs the food detail's chosen portion, scaled from the per-100 values.
+    async addFoodDetail() {
+        const food = Store.state.food;
+        const portion = food.portions[Number(document.getElementById('foodPortion')?.value) || 0];
+        const servings = Number(document.getElementById('foodServings')?.value) || 1;
+        const size = portion.size * servings;
+        const scale = (value) => Math.round((value * size) / 10) / 10; // per 100 -> this amount, 1 decimal
+        await Actions.logMeal({
+            name: food.name,
+            calories: Math.round((food.per_100.calories * size) / 100),
+            nutrients: Object.fromEntries(NUTRIENT_KEYS.map(key => [key, food.per_100.nutrients[key] == null ? null : scale(food.per_100.nutrients[key])])),
+            serving: {
+                size: Math.round(size * 10) / 10,
+                unit: portion.unit,
+                label: servings === 1 ? portion.label : `${servings} × ${portion.label}`
+            },
+            icon: food.source === 'recipe' ? '📖' : '🔍',
+            source: food.source === 'recipe' ? 'recipe' : 'search',
+            processing: food.nutrition_score.processing.level
+        });
+        Router.go(`/day/${Store.state.date}`);
+    },
+
+    // Persists a new entry, then shows it. Nothing is added locally if the server rejects it;
+    // offline, it is kept on this device and queued for the server.
+    // After a slot's "+" button, the entry goes into that slot.
+    async logMeal(meal) {
+        const slot = Store.state.daySlots?.find(s => s.id === Store.state.logSlot) || null;
+        Store.state.logSlot = null;
+        const body = { ...Actions.eatenAt(slot), ...(slot && { slot: slot.id }), ...meal };
+        try {
+            const { data: saved } = await Api.post('/meals', body);
+            Store.addMeal(saved);
+        } catch (e) {
+            const queued = e.offline ? await Outbox.queueMeal(body) : null;
+            if (queued) return Store.addMeal(queued);
+            console.error(e);
+            return alert('Could not save meal: ' + e.message);
+        }
+        await Actions.loadDaySummary();
+    },
+
+    async logout() {
+        const waiting = Store.state.outbox.meals + Store.state.outbox.photos;
+        if (waiting && !confirm(`${waiting} change${waiting > 1 ? 's have' : ' has'} not reached the server yet and will be lost. Sign out anyway?`)) return;
+        // This device stops getting the user's pushes before the session ends.
+        if (Store.state.pushDevice) await Actions.disablePush().catch(() => {});
+        try { await Api.post('/auth/logout'); } catch (e) {}
+        await LocalDb.clear();
+        try { localStorage.removeItem('calcatcher_route'); } catch(e) {}
+        Store.clearSession();
+        Router.go('/login');
+    },
+
+    async handleUpload(input) {
+        if (input.files && input.files[0]) {
+            Store.setUploadError(null);
+            Store.setAnalyzing(true);
+
+            const formData = new FormData();
+            formData.append('image', input.files[0]);
+            input.value = '';
+
+            let job;
+            try {
+                ({ data: job } = await Api.post('/analyze', formData));
+            } catch (e) {
+                Store.setAnalyzing(false);
+                if (e.offline) {
+                    const queued = await Outbox.add({ type: 'photo', photo: formData.get('image'), name: formData.get('image').name });
+                    Store.setUploadError(queued
+                        ? { title: 'Photo saved for later', message: 'You are offline. It will be analyzed when you are back online, and you can review it then.' }
+                        : { title: 'You are offline', message: 'Try the photo again once you are back online.' });
+                    return;
+                }
+                console.error(e);
+                if (e.status === 413) {
+                    Store.setUploadError({ title: 'Photo too large', message: `${e.message}. Try a smaller photo or a screenshot of it.` });
+                } else if (e.status === 415) {
+                    Store.setUploadError({ title: 'Unsupported photo', message: e.message });
+                } else if (e.status === 429) {
+                    Store.setUploadError({ title: 'Photo limit reached', message: e.message });
+                } else {
+                    alert(`Connection Error: ${e.message}\n\nCheck console for details.`);
+                }
+                return;
+            }
+            await Actions.followAnalysisJob(job.id, job);
+        }
+    },
+
+    // The camera buttons open the Dock's hidden photo input; handleUpload takes it from there.
+    takePhoto() {
+        document.getElementById('fileInput')?.click();
+    },
+
+    dismissUploadError() {
+        Store.setUploadError(null);
+    },
+
+    // Opens the oldest photo analyzed since it was taken offline.
+    reviewPhoto() {
+        const [job, ...rest] = Store.state.photoJobs;
+        if (!job) return;
+        Store.setPhotoJobs(rest);
+        return Actions.followAnalysisJob(job);
+    },
+
+    // Follows a queued analysis over its event stream until it is done or failed, then opens
+    // the review screen. A dropped stream is resumed a few times before giving up.
+    async followAnalysisJob(id, snapshot = { id, stage: 'received' }) {
+        Store.setAnalyzing(true);
+        Store.setAnalysisJob(snapshot);
+
+        let job = snapshot;
+        for (let attempt = 0; attempt < 5 && !['done', 'failed'].includes(job.stage); attempt++) {
+            try {
+                await Api.stream(`/analysis-jobs/${encodeURIComponent(id)}/events`, (update) => {
+                    job = update;
+                    Store.setAnalysisJob(update);
+                });
+            } catch (e) {
+                if (e.code === 'JOB_NOT_FOUND' || e.status === 401) {
+                    // Expired, or lost in a server restart: nothing left to wait for.
+                    Store.setAnalysisJob(null);
+                    Store.setAnalyzing(false);
+                    if (e.code === 'JOB_NOT_FOUND') Store.setUploadError({ title: 'Analysis lost', message: 'That photo is no longer being analyzed. Please upload it again.' });
+                    return;
+                }
+                await new Promise(r => setTimeout(r, 2000));
+            }
+        }
+
+        Store.setAnalysisJob(null);
+        Store.setAnalyzing(false);
+        if (job.stage === 'done') {
+            try {
+                // Nothing is logged yet: hand the draft to the review screen.
+                const { data: analysis } = await Api.get(`/analyses/${encodeURIComponent(job.result.analysis_id)}`);
+                Store.setAnalysis(analysis);
+                Router.go(`/analysis/${encodeURIComponent(analysis.id)}`);
+            } catch (e) {
+                alert('Could not open the analysis: ' + e.message);
+            }
+        } else if (job.stage === 'failed') {
+            Store.setUploadError({ title: 'Analysis failed', message: job.error.message });
+        } else {
+            Store.setUploadError({ title: 'Analysis interrupted', message: 'We lost track of this photo. Please try again.' });
+        }
     },
 
-    login() {
+    // Review edits are sent as the full item list; the server re-prices and returns the draft.
+    async editAnalysis(items) {
+        const analysis = Store.state.analysis;
         try {
-            const userField = document.getElementById('username');
-            const user = userField ? userField.value : 'Guest';
-            
-            if(!user) {
-                alert('Please enter a username');
-                return;
-            }
-            
-            // Force update
-            this.state = Store.state; // Sync
-            Store.setUser({ username: user });
-            Store.setView('dashboard');
-            
+            const { data: updated } = await Api.patch(`/analyses/${encodeURIComponent(analysis.id)}`, { items });
+            Store.setAnalysis(updated);
         } catch (e) {
-            alert("Login Error: " + e.message);
+            alert('Could not update the analysis: ' + e.message);
+            if (e.code === 'ANALYSIS_NOT_FOUND' || e.code === 'ANALYSIS_CLOSED') Actions.closeAnalysis();
         }
     },
 
-    async handleUpload(input) {
-        if (input.files && input.files[0]) {
-            Store.setAnalyzing(true);
-            
-            // Step 1: Uploading
-            Store.setLoadingStep(0);
-            
-            const formData = new FormData();
-            formData.append('image', input.files[0]);
+    analysisEdits() {
+        return Store.state.analysis.items.map(item => ({ id: item.id }));
+    },
 
-            try {
-                // Fake delay for "Scanning"
-                setTimeout(() => Store.setLoadingStep(1), 800);
-                
-                // Fake delay for "Identifying"
-                setTimeout(() => Store.setLoadingStep(2), 1800);
+    resizeAnalysisItem(id, value) {
+        const size = Number(value);
+        if (!(size > 0)) return Render(Store.state);
+        return Actions.editAnalysis(Actions.analysisEdits().map(edit => edit.id === id ? { ...edit, size } : edit));
+    },
 
-                // Use relative path for deployment
-                const response = await fetch('/api/analyze', {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                // Fake delay for "Calculating"
-                Store.setLoadingStep(3);
-                
-                const data = await response.json();
-                
-                // Small delay to show the final checkmark
-                await new Promise(r => setTimeout(r, 500));
-
-                if (data.success) {
-                    Store.addMeal({
-                        name: data.analysis.foodName,
-                        calories: data.analysis.calories,
-                        time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                        icon: '📸'
-                    });
-                } else {
-                    alert('AI Analysis failed: ' + (data.message || 'Unknown error'));
-                }
-            } catch (e) {
-                console.error(e);
-                alert(`Connection Error: ${e.message}\n\nCheck console for details.`);
-            } finally {
-                Store.setAnalyzing(false);
-                // Reset input
-                input.value = '';
-            }
+    removeAnalysisItem(id) {
+        return Actions.editAnalysis(Actions.analysisEdits().filter(edit => edit.id !== id));
+    },
+
+    // Opens Food Search; the picked food replaces item `id` (or is added when id is null).
+    swapAnalysisItem(id) {
+        Store.state.swapItemId = id === null ? 'new' : id;
+        Store.toggleSearch();
+    },
+
+    async confirmAnalysis() {
+        const analysis = Store.state.analysis;
+        try {
+            const { data: meal } = await Api.post(`/analyses/${encodeURIComponent(analysis.id)}/confirm`, Actions.eatenAt());
+            Actions.closeAnalysis();
+            Store.addMeal(meal);
+        } catch (e) {
+            return alert('Could not save meal: ' + e.message);
+        }
+        await Actions.loadDaySummary();
+    },
+
+    async discardAnalysis() {
+        const analysis = Store.state.analysis;
+        try { await Api.delete(`/analyses/${encodeURIComponent(analysis.id)}`); } catch (e) {}
+        Actions.closeAnalysis();
+    },
+
+    // Route loader for #/analysis/:id. Only pending drafts can be reviewed.
+    async openAnalysis(id) {
+        if (Store.state.analysis?.id === id) return;
+        Store.setAnalysis(null);
+        try {
+            const { data: analysis } = await Api.get(`/analyses/${encodeURIComponent(id)}`);
+            if (analysis.status !== 'pending') throw Object.assign(new Error(`This analysis was already ${analysis.status}.`), { code: 'ANALYSIS_CLOSED' });
+            Store.setAnalysis(analysis);
+        } catch (e) {
+            alert('Could not open the analysis: ' + e.message);
+            Actions.closeAnalysis();
         }
     },
 
+    // Replaces the review's history entry, so Back does not return to a closed draft.
+    closeAnalysis() {
+        Store.state.analysis = null;
+        Router.go(`/day/${Store.state.date}`, { replace: true });
+    },
+
     async searchFood() {
         const query = document.getElementById('searchInput').value;
         if (!query) return;
         
         Store.setSearching(true);
         try {
-            const response = await fetch(`/api/foods/search?q=${encodeURIComponent(query)}`);
-            const data = await response.json();
+            const data = await Api.get(`/foods/search?q=${encodeURIComponent(query)}`);
             if (data.success) {
                 Store.setSearchResults(data.data);
             }
@@ -467,76 +2799,772 @@ const Actions = {
             alert('Search failed. Is the backend running?');
         } finally {
             Store.setSearching(false);
-            // Keep focus on input
-            setTimeout(() => document.getElementById('searchInput')?.focus(), 100);
         }
     },
     
     toggleSearch() {
+        Store.state.logSlot = null;
+        Store.toggleSearch();
+    },
+
+    addToSlot(slotId) {
+        Store.state.logSlot = slotId;
         Store.toggleSearch();
     },
+
+    // Logs again what was eaten the day before the one on screen, or in one of its slots.
+    async copyDay(slotId = null) {
+        try {
+            await Api.post('/meals/copy', {
+                from: Dates.shift(Store.state.date, -1),
+                to: Store.state.date,
+                ...(slotId && { slot: slotId }),
+                tz: Dates.timeZone
+            });
+        } catch (e) {
+            return alert(e.code === 'NOTHING_LOGGED' ? e.message + '.' : 'Could not copy: ' + e.message);
+        }
+        await Actions.loadMeals();
+    },
+
+    async loadTemplates() {
+        try {
+            const { data } = await Api.get('/templates');
+            Store.setTemplates(data);
+        } catch (e) {
+            if (!e.offline) console.error('Could not load templates', e);
+        }
+    },
+
+    // Saves the day on screen, or one of its slots, as a template.
+    async saveTemplate(slotId = null) {
+        const slot = Store.state.daySlots?.find(s => s.id === slotId);
+        const name = prompt('Name this template:', slot ? `My ${slot.name.toLowerCase()}` : `My ${Dates.parse(Store.state.date).toLocaleDateString([], { weekday: 'long', timeZone: 'UTC' })}`);
+        if (!name?.trim()) return;
+        try {
+            await Api.post('/templates', { name: name.trim().slice(0, 80), date: Store.state.date, ...(slotId && { slot: slotId }), tz: Dates.timeZone });
+        } catch (e) {
+            return alert('Could not save the template: ' + e.message);
+        }
+        await Actions.loadTemplates();
+    },
+
+    async applyTemplate(id) {
+        try {
+            await Api.post(`/templates/${encodeURIComponent(id)}/apply`, { date: Store.state.date, tz: Dates.timeZone });
+        } catch (e) {
+            return alert('Could not log the template: ' + e.message);
+        }
+        await Actions.loadMeals();
+    },
+
+    async deleteTemplate(id) {
+        const template = Store.state.templates.find(t => t.id === id);
+        if (!confirm(`Delete the template "${template.name}"?`)) return;
+        try {
+            await Api.delete(`/templates/${encodeURIComponent(id)}`);
+            Store.setTemplates(Store.state.templates.filter(t => t.id !== id));
+        } catch (e) {
+            alert('Could not delete the template: ' + e.message);
+        }
+    },
     
-    addFoodFromSearch(name, calories) {
-        Store.addMeal({
-            name: name,
-            calories: calories,
-            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-            icon: '🔍'
+    async addFoodFromSearch(index) {
+        const food = Store.state.searchResults[index];
+        const { swapItemId, pickIngredient } = Store.state;
+        Store.toggleSearch();
+        if (pickIngredient) return Actions.addIngredient(food);
+        if (swapItemId) {
+            const edits = Actions.analysisEdits();
+            return Actions.editAnalysis(swapItemId === 'new'
+                ? [...edits, { food_id: food.id }]
+                : edits.map(edit => edit.id === swapItemId ? { id: edit.id, food_id: food.id } : edit));
+        }
+        await Actions.logMeal({
+            name: food.name,
+            calories: food.calories,
+            nutrients: food.nutrients,
+            serving: food.serving,
+            icon: food.source === 'recipe' ? '📖' : '🔍',
+            source: food.source === 'recipe' ? 'recipe' : 'search',
+            processing: food.nutrition_score.processing.level
         });
+    },
+
+    // Route loader for #/recipes
+    async loadRecipes() {
+        try {
+            const { data } = await Api.get('/recipes');
+            Store.setRecipes(data);
+        } catch (e) {
+            // Offline, the recipes kept on this device stay on screen.
+            if (e.offline && Store.state.recipes) return;
+            console.error(e);
+            alert('Could not load your recipes: ' + e.message);
+        }
+    },
+
+    // Route loader for #/recipes/:id; "new" starts an empty draft.
+    async openRecipe(id) {
+        if (id === 'new') return Store.setRecipeDraft({ id: null, name: '', servings: 1, serving_label: '', ingredients: [] });
+        if (Store.state.recipeDraft?.id === id) return;
+        Store.setRecipeDraft(null);
+        try {
+            const { data: recipe } = await Api.get(`/recipes/${encodeURIComponent(id)}`);
+            Store.setRecipeDraft({
+                id: recipe.id,
+                name: recipe.name,
+                servings: recipe.servings,
+                serving_label: recipe.serving_label || '',
+                ingredients: recipe.ingredients.map(item => ({
+                    food_id: item.food_id,
+                    name: item.name,
+                    size: item.size,
+                    unit: item.unit,
+                    per_100_calories: item.size ? (item.calories * 100) / item.size : 0
+                }))
+            });
+        } catch (e) {
+            alert(e.code === 'RECIPE_NOT_FOUND' ? 'That recipe no longer exists.' : 'Could not load the recipe: ' + e.message);
+            Router.go('/recipes', { replace: true });
+        }
+    },
+
+    setRecipeField(field, value) {
+        if (field === 'servings') value = Number(value) || 1;
+        Store.setRecipeDraft({ ...Store.state.recipeDraft, [field]: value });
+    },
+
+    pickIngredient() {
+        Store.state.pickIngredient = true;
         Store.toggleSearch();
     },
 
-    quickAdd(name, calories) {
-        Store.addMeal({
-            name: name,
-            calories: calories,
-            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-            icon: name === 'Water' ? '💧' : name === 'Coffee' ? '☕' : name === 'Apple' ? '🍎' : '🍌'
+    // A search pick goes in at its default serving; the amount can be changed in the editor.
+    addIngredient(food) {
+        const draft = Store.state.recipeDraft;
+        Store.setRecipeDraft({
+            ...draft,
+            ingredients: [...draft.ingredients, {
+                food_id: food.id,
+                name: food.name,
+                size: food.serving.size,
+                unit: food.serving.unit,
+                per_100_calories: food.per_100.calories
+            }]
+        });
+    },
+
+    setIngredientSize(index, value) {
+        const size = Number(value);
+        if (!(size > 0)) return Store.notify();
+        const draft = Store.state.recipeDraft;
+        Store.setRecipeDraft({ ...draft, ingredients: draft.ingredients.map((item, i) => (i === index ? { ...item, size } : item)) });
+    },
+
+    removeIngredient(index) {
+        const draft = Store.state.recipeDraft;
+        Store.setRecipeDraft({ ...draft, ingredients: draft.ingredients.filter((_, i) => i !== index) });
+    },
+
+    // The server prices the ingredients; only ids and amounts are sent.
+    async saveRecipe() {
+        const draft = Store.state.recipeDraft;
+        if (!draft.name.trim()) return alert('Give the recipe a name.');
+        const body = {
+            name: draft.name,
+            servings: draft.servings,
+            serving_label: draft.serving_label.trim() || null,
+            ingredients: draft.ingredients.map(({ food_id, size }) => ({ food_id, size }))
+        };
+        Store.setSavingRecipe(true);
+        try {
+            if (draft.id) {
+                await Api.patch(`/recipes/${encodeURIComponent(draft.id)}`, body);
+            } else {
+                await Api.post('/recipes', body);
+            }
+        } catch (e) {
+            Store.setSavingRecipe(false);
+            return alert('Could not save the recipe: ' + e.message);
+        }
+        Store.setRecipeDraft(null);
+        Router.go('/recipes');
+    },
+
+    async deleteRecipe(id) {
+        const recipe = Store.state.recipes.find(r => r.id === id);
+        if (!confirm(`Delete the recipe "${recipe.name}"? Meals already logged from it are kept.`)) return;
+        try {
+            await Api.delete(`/recipes/${encodeURIComponent(id)}`);
+            Store.setRecipes(Store.state.recipes.filter(r => r.id !== id));
+        } catch (e) {
+            alert('Could not delete the recipe: ' + e.message);
+        }
+    },
+
+    // One serving of a recipe, logged to the selected day.
+    async logRecipe(id) {
+        const recipe = Store.state.recipes.find(r => r.id === id);
+        await Actions.logMeal({
+            name: recipe.name,
+            calories: recipe.per_serving.calories,
+            nutrients: recipe.per_serving.nutrients,
+            serving: { size: recipe.per_serving.size, unit: recipe.per_serving.unit, label: recipe.per_serving.label },
+            icon: '📖',
+            source: 'recipe',
+            processing: recipe.nutrition_score.processing.level
+        });
+        Router.go(`/day/${Store.state.date}`);
+    },
+
+    toggleBarcode() {
+        Actions.stopBarcodeCamera();
+        Store.toggleBarcode();
+    },
+
+    async lookupBarcode(code = document.getElementById('barcodeInput')?.value.trim()) {
+        if (!code) return;
+        Store.setLookingUp(code);
+        try {
+            const { data: product } = await Api.get(`/foods/barcode/${encodeURIComponent(code)}`);
+            Store.setBarcodeResult(product);
+        } catch (e) {
+            Store.setBarcodeResult(null, e.code === 'PRODUCT_NOT_FOUND' ? 'No product found for this barcode.' : e.message);
+        }
+    },
+
+    // Logs the looked-up product; servings scale the per-serving values from the server.
+    async addScannedProduct() {
+        const product = Store.state.barcodeProduct;
+        const servings = Number(document.getElementById('barcodeServings')?.value) || 1;
+        const scale = (value) => Math.round(value * servings * 10) / 10;
+        Actions.toggleBarcode();
+        await Actions.logMeal({
+            name: product.brand && !product.name.includes(product.brand) ? `${product.name} (${product.brand})` : product.name,
+            calories: Math.round(product.calories * servings),
+            nutrients: Object.fromEntries(NUTRIENT_KEYS.map(key => [key, product.nutrients[key] == null ? null : scale(product.nutrients[key])])),
+            serving: {
+                size: scale(product.serving.size),
+                unit: product.serving.unit,
+                label: servings === 1 ? product.serving.label : `${servings} × ${product.serving.label}`
+            },
+            icon: '🏷️',
+            source: 'barcode',
+            processing: product.nutrition_score.processing.level
         });
     },
 
-    editMeal(index) {
+    // Camera scanning. The <video> is re-created on every render, so the loop re-attaches the stream.
+    barcodeStream: null,
+
+    async startBarcodeCamera() {
+        try {
+            const detector = new BarcodeDetector({ formats: ['ean_13', 'upc_a'] });
+            Actions.barcodeStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            Store.setBarcodeCamera(true);
+
+            const scan = async () => {
+                if (!Actions.barcodeStream) return;
+                const video = document.getElementById('barcodeVideo');
+                if (video && video.srcObject !== Actions.barcodeStream) video.srcObject = Actions.barcodeStream;
+                try {
+                    const found = video && video.readyState >= 2 ? await detector.detect(video) : [];
+                    if (found.length) {
+                        Actions.stopBarcodeCamera();
+                        return Actions.lookupBarcode(found[0].rawValue);
+                    }
+                } catch (e) {}
+                requestAnimationFrame(scan);
+            };
+            scan();
+        } catch (e) {
+            Actions.stopBarcodeCamera();
+            alert('Camera unavailable: ' + e.message);
+        }
+    },
+
+    stopBarcodeCamera() {
+        if (!Actions.barcodeStream) return;
+        Actions.barcodeStream.getTracks().forEach(track => track.stop());
+        Actions.barcodeStream = null;
+        Store.setBarcodeCamera(false);
+    },
+
+    // Logs a learned quick-add food again with the values of its latest entry.
+    quickAdd(index) {
+        const { name, calories, nutrients, serving, icon, processing } = Store.state.frequentFoods[index];
+        return Actions.logMeal({ name, calories, nutrients, serving, icon, processing, source: 'quick_add' });
+    },
+
+    async editMeal(index) {
         const meal = Store.state.meals[index];
         const newName = prompt("Edit Food Name:", meal.name);
         if (newName) {
             const newCals = prompt("Edit Calories:", meal.calories);
             if (newCals && !isNaN(newCals)) {
-                Store.updateMeal(index, newName, newCals);
+                const changes = { name: newName, calories: Number(newCals) };
+                try {
+                    if (meal.id.startsWith('local-')) throw Object.assign(new Error('Not synced yet'), { offline: true });
+                    const { data: saved } = await Api.patch(`/meals/${encodeURIComponent(meal.id)}`, changes);
+                    Store.updateMeal(index, saved);
+                } catch (e) {
+                    const edited = e.offline ? await Outbox.queueEdit(meal, changes) : null;
+                    if (edited) return Store.updateMeal(index, edited);
+                    return alert('Could not update meal: ' + e.message);
+                }
+                await Actions.loadDaySummary();
+            }
+        }
+    },
+
+    async deleteMeal(index) {
+        const meal = Store.state.meals[index];
+        if (!confirm(`Remove "${meal.name}" from ${Dates.phrase(Store.state.date)}?`)) return;
+        try {
+            if (meal.id.startsWith('local-')) throw Object.assign(new Error('Not synced yet'), { offline: true });
+            await Api.delete(`/meals/${encodeURIComponent(meal.id)}`);
+            Store.removeMeal(index);
+        } catch (e) {
+            if (e.offline && await Outbox.queueDelete(meal)) return Store.removeMeal(index);
+            return alert('Could not delete meal: ' + e.message);
+        }
+        await Actions.loadDaySummary();
+    },
+
+    go(path) {
+        Router.go(path);
+    },
+
+    back() {
+        history.back();
+    },
+
+    nav(page, days) {
+        if (page === 'settings' || page === 'profile') {
+            Router.go('/settings');
+        } else if (page === 'weight') {
+            Router.go('/weight');
+        } else if (page === 'recipes') {
+            Router.go('/recipes');
+        } else if (page === 'history') {
+            Router.go(days ? `/history/${days}` : '/history');
+        } else {
+            Actions.goToDay();
+        }
+    },
+
+    // A profile without a time zone gets this browser's, so reminders follow the user's clock.
+    async loadProfile() {
+        try {
+            let { data } = await Api.get('/profile');
+            if (!data.profile.time_zone) ({ data } = await Api.patch('/profile', { time_zone: TIME_ZONE }));
+            Store.setProfile(data);
+        } catch (e) {
+            if (!e.offline) console.error('Could not load profile', e);
+        }
+    },
+
+    // The meal slot rows as currently typed; rows added here have no id yet.
+    slotRows() {
+        return (Store.state.slotDraft || Store.state.profile.meal_slots).map((slot, index) => ({
+            id: slot.id,
+            name: document.getElementById(`slotName${index}`)?.value.trim() ?? slot.name,
+            start: document.getElementById(`slotStart${index}`)?.value || slot.start
+        }));
+    },
+
+    // New slots get an id from their name, kept unique.
+    withSlotIds(rows) {
+        const taken = new Set(rows.map(row => row.id).filter(Boolean));
+        return rows.map(row => {
+            if (row.id) return row;
+            const base = row.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 28) || 'slot';
+            let id = base;
+            for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+            taken.add(id);
+            return { ...row, id };
+        });
+    },
+
+    addSlotRow() {
+        Store.setSlotDraft([...Actions.slotRows(), { id: null, name: '', start: '20:00' }]);
+    },
+
+    removeSlotRow(index) {
+        Store.setSlotDraft(Actions.slotRows().filter((_, i) => i !== index));
+    },
+
+    // Empty inputs clear the field (null), so the server falls back to its computed value.
+    async saveProfile() {
+        const value = (id) => document.getElementById(id)?.value.trim() ?? '';
+        const numberOrNull = (id) => (value(id) === '' ? null : Number(value(id)));
+        const patch = {
+            sex: value('profileSex') || null,
+            age: numberOrNull('profileAge'),
+            height_cm: numberOrNull('profileHeight'),
+            weight_kg: numberOrNull('profileWeight'),
+            activity_level: value('profileActivity'),
+            goal: value('profileGoal'),
+            rate_kg_per_week: Number(value('profileRate')),
+            macro_preset: value('profileMacros'),
+            meal_slots: Actions.withSlotIds(Actions.slotRows()),
+            volume_unit: value('profileVolumeUnit') || 'ml',
+            // The target is typed in the unit shown next to it, which is the one saved before.
+            water_target_ml: value('profileWaterTarget') === '' ? null : Volumes.toMl(Number(value('profileWaterTarget')), Volumes.unit()),
+            caffeine_limit_mg: numberOrNull('profileCaffeineLimit'),
+            alcohol_limit_drinks: numberOrNull('profileAlcoholLimit'),
+            time_zone: value('profileTimeZone') || TIME_ZONE,
+            // Both times or neither (back to the default quiet hours).
+            quiet_hours: value('profileQuietStart') && value('profileQuietEnd') ? { start: value('profileQuietStart'), end: value('profileQuietEnd') } : null,
+            overrides: {
+                calories: numberOrNull('overrideCalories'),
+                protein: numberOrNull('overrideProtein'),
+                carbs: numberOrNull('overrideCarbs'),
+                fat: numberOrNull('overrideFat')
+            }
+        };
+
+        Store.setSavingProfile(true);
+        try {
+            const { data } = await Api.patch('/profile', patch);
+            Store.setProfile(data);
+        } catch (e) {
+            Store.setSavingProfile(false);
+            const details = e.details?.map(d => `${d.path.replace('body.', '')} ${d.message}`).join('\n');
+            return alert('Could not save profile: ' + (details || e.message));
+        }
+        // The hydration target and the limits come with the day's drinks.
+        await Actions.loadBeverages();
+    },
+
+    async loadNotifications() {
+        if (!Store.state.token) return;
+        try {
+            const { data, meta } = await Api.get('/notifications');
+            Store.setNotifications(data, meta.unread);
+        } catch (e) {
+            if (!e.offline) console.error('Could not load notifications', e);
+        }
+    },
+
+    toggleNotifications() {
+        Store.toggleNotifications();
+        if (Store.state.showNotifications) Actions.loadNotifications();
+    },
+
+    // Marks it read and goes where it points (its day on the dashboard).
+    async openNotification(id) {
+        const notification = Store.state.notifications?.find(n => n.id === id);
+        if (!notification) return;
+        Store.toggleNotifications();
+        if (!notification.read_at) {
+            try { await Api.post(`/notifications/${encodeURIComponent(id)}/read`); } catch (e) {}
+            Actions.loadNotifications();
+        }
+        const [, path] = notification.url.split('#');
+        if (path) Router.go(path);
+    },
+
+    async markAllNotificationsRead() {
+        try {
+            await Api.post('/notifications/read-all');
+        } catch (e) {
+            return alert('Could not mark the notifications read: ' + e.message);
+        }
+        await Actions.loadNotifications();
+    },
+
+    async loadReminders() {
+        try {
+            const { data } = await Api.get('/reminders');
+            Store.setReminders(data);
+        } catch (e) {
+            if (!e.offline) console.error('Could not load reminders', e);
+        }
+    },
+
+    setReminderType(type) {
+        Store.setReminderType(type);
+    },
+
+    // The add form only shows the inputs of the picked type; empty ones take the server's defaults.
+    async addReminder() {
+        const value = (id) => document.getElementById(id)?.value.trim() ?? '';
+        const type = Store.state.reminderType;
+        const settings = {
+            meal_slot: { slot: value('reminderSlot'), time: value('reminderTime') },
+            inactivity: { hours: value('reminderHours') && Number(value('reminderHours')) },
+            calorie_goal: { near_share: value('reminderNearShare') && Number(value('reminderNearShare')) / 100 },
+            hydration: { every_hours: value('reminderEvery') && Number(value('reminderEvery')), from: value('reminderFrom'), until: value('reminderUntil') }
+        }[type];
+        const body = { type, push: document.getElementById('reminderPush')?.checked ?? true };
+        Object.entries(settings).forEach(([key, setting]) => { if (setting !== '') body[key] = setting; });
+        try {
+            await Api.post('/reminders', body);
+        } catch (e) {
+            const details = e.details?.map(d => `${d.path.replace('body.', '')} ${d.message}`).join('\n');
+            return alert('Could not add the reminder: ' + (details || e.message));
+        }
+        await Actions.loadReminders();
+    },
+
+    async toggleReminder(id, enabled) {
+        try {
+            await Api.patch(`/reminders/${encodeURIComponent(id)}`, { enabled });
+        } catch (e) {
+            alert('Could not change the reminder: ' + e.message);
+        }
+        await Actions.loadReminders();
+    },
+
+    async deleteReminder(id) {
+        if (!confirm('Delete this reminder?')) return;
+        try {
+            await Api.delete(`/reminders/${encodeURIComponent(id)}`);
+        } catch (e) {
+            return alert('Could not delete the reminder: ' + e.message);
+        }
+        await Actions.loadReminders();
+    },
+
+    // Subscribes this browser with the server's VAPID key and hands the subscription over.
+    async enablePush() {
+        if (await Notification.requestPermission() !== 'granted') {
+            return alert('Notifications are blocked for this site. Allow them in the browser settings to get reminders here.');
+        }
+        try {
+            const { data: { public_key } } = await Api.get('/push/key');
+            const key = Uint8Array.from(atob(public_key.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+            const { data } = await Api.post('/push/subscriptions', subscription.toJSON());
+            Store.setPushDevice(data.id);
+        } catch (e) {
+            alert('Could not turn on push: ' + e.message);
+        }
+    },
+
+    async disablePush() {
+        const id = Store.state.pushDevice;
+        Store.setPushDevice(null);
+        const registration = await navigator.serviceWorker?.getRegistration('/pro.html');
+        await (await registration?.pushManager.getSubscription())?.unsubscribe();
+        await Api.delete(`/push/subscriptions/${encodeURIComponent(id)}`).catch(e => { if (e.status !== 404) console.error('Could not turn off push', e); });
+    },
+
+    async testPush() {
+        try {
+            const { data } = await Api.post('/push/test');
+            if (!data.push?.sent) alert('The test is in your notifications, but no device got it as a push message. Try turning push off and on again.');
+        } catch (e) {
+            return alert('Could not send a test: ' + e.message);
+        }
+        await Actions.loadNotifications();
+    },
+
+    // Downloads one of EXPORTS through a temporary link, since the request needs the token.
+    async exportData(file) {
+        try {
+            const { blob, filename } = await Api.download(`/export/${file}${file === 'backup.json' ? '' : `?tz=${encodeURIComponent(Dates.timeZone)}`}`);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (e) {
+            alert('Could not export your data: ' + e.message);
+        }
+    },
+
+    // A .json file is taken as a backup and checked at once; a CSV first needs its columns mapped.
+    async pickImportFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+        const text = await file.text();
+        if (/\.json$/i.test(file.name) || text.trimStart().startsWith('{')) {
+            Store.setDataImport({ kind: 'backup', name: file.name, text });
+            return Actions.checkImport();
+        }
+        // Header cells, split on whichever delimiter gives the most of them.
+        const header = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best));
+        const columns = header.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '').replace(/""/g, '"'));
+        // Columns named like the field or its label, or like our own export (protein_g), are picked up front.
+        const guess = (field) => columns.find(column => {
+            const name = column.toLowerCase();
+            return [field, CSV_IMPORT_FIELDS[field].toLowerCase(), NUTRIENTS[field]?.label.toLowerCase()].includes(name) || name.startsWith(`${field}_`) || name.startsWith(`${field} (`);
+        });
+        const mapping = Object.fromEntries(Object.keys(CSV_IMPORT_FIELDS).map(field => [field, guess(field)]).filter(([, column]) => column));
+        Store.setDataImport({ kind: 'csv', name: file.name, text, columns, options: { mapping, date_format: CSV_DATE_FORMATS[0], decimal: '.' } });
+    },
+
+    cancelImport() {
+        Store.setDataImport(null);
+    },
+
+    // The CSV options as currently picked in the form.
+    csvImportOptions() {
+        const value = (id) => document.getElementById(id)?.value;
+        const mapping = Object.fromEntries(Object.keys(CSV_IMPORT_FIELDS).map(field => [field, value(`csvMap_${field}`)]).filter(([, column]) => column));
+        return { mapping, date_format: value('csvDateFormat'), decimal: value('csvDecimal') };
+    },
+
+    // Sends the file with ?dry_run=true (checkImport) or for real (runImport) and shows the report.
+    async sendImport(dryRun) {
+        const pending = Store.state.dataImport;
+        const options = pending.kind === 'csv' ? Actions.csvImportOptions() : null;
+        Store.setDataImport({ ...pending, ...(options && { options }), isImporting: true });
+        try {
+            const body = options ? { csv: pending.text, ...options, tz: Dates.timeZone } : JSON.parse(pending.text);
+            const { data: report } = await Api.post(`/import/${pending.kind}?dry_run=${dryRun}`, body);
+            Store.setDataImport({ ...Store.state.dataImport, report, isImporting: false });
+        } catch (e) {
+            Store.setDataImport({ ...Store.state.dataImport, report: null, isImporting: false });
+            const details = e.details?.map(d => `${d.path.replace('body.', '')} ${d.message}`).join('\n');
+            return alert('Could not read the file: ' + (e instanceof SyntaxError ? 'it is not valid JSON' : details || e.message));
+        }
+        // Recipes reload when their view opens; the rest is reloaded here.
+        if (!dryRun) await Promise.all([Actions.loadProfile(), Actions.loadMeals(), Actions.loadTemplates()]);
+    },
+
+    checkImport() { return Actions.sendImport(true); },
+    runImport() { return Actions.sendImport(false); }
+};
+
+// --- 8. RENDERER (The Engine) ---
+
+// Patches #app to match the freshly rendered markup instead of replacing it, so focus, the
+// caret, scroll positions and half-typed inputs survive a re-render. Children are matched by
+// key (`data-key`, else `id`), otherwise by position and tag.
+const Dom = {
+    key(node) {
+        return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') ?? (node.id || null) : null;
+    },
+
+    patchChildren(parent, next) {
+        const keyed = new Map();
+        parent.childNodes.forEach(child => { if (this.key(child) !== null) keyed.set(this.key(child), child); });
+        let current = parent.firstChild;
+        [...next.childNodes].forEach(child => {
+            const key = this.key(child);
+            let match = null;
+            if (key !== null) {
+                match = keyed.get(key)?.nodeName === child.nodeName ? keyed.get(key) : null;
+                keyed.delete(key);
+            } else if (current && current.nodeName === child.nodeName && this.key(current) === null) {
+                match = current;
             }
+            if (!match) return parent.insertBefore(child, current);
+            if (match === current) current = current.nextSibling;
+            else parent.insertBefore(match, current);
+            this.patch(match, child);
+        });
+        while (current) {
+            const stale = current;
+            current = current.nextSibling;
+            stale.remove();
+        }
+    },
+
+    patch(node, next) {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            if (node.nodeValue !== next.nodeValue) node.nodeValue = next.nodeValue;
+            return;
         }
+        [...node.attributes].forEach(({ name }) => {
+            if (next.hasAttribute(name)) return;
+            node.removeAttribute(name);
+            this.sync(node, name, null);
+        });
+        [...next.attributes].forEach(({ name, value }) => {
+            if (node.getAttribute(name) === value) return;
+            node.setAttribute(name, value);
+            this.sync(node, name, value);
+        });
+        this.patchChildren(node, next);
     },
 
-    nav(page) {
-        console.log('Navigating to', page);
-        // Implement nav logic here
+    // Form fields keep what the user typed or picked until the state behind them changes,
+    // i.e. until their value/checked/selected attribute does.
+    sync(node, name, value) {
+        if (name === 'value' && 'value' in node && node.type !== 'file') node.value = value ?? '';
+        else if (name === 'checked' && 'checked' in node) node.checked = value !== null;
+        else if (name === 'selected' && 'selected' in node) node.selected = value !== null;
+    }
+};
+
+// One listener per event type on the document dispatches to the Actions named by `data-on-*`
+// attributes (see `on`). The innermost element with a handler wins, so a button inside a
+// clickable row does not also trigger the row. `data-self` only reacts to clicks on the
+// element itself, not inside it (modal backdrops).
+const Events = {
+    types: { click: 'click', change: 'change', submit: 'submit', keydown: 'enter' },
+
+    listen(root) {
+        Object.entries(this.types).forEach(([type, name]) => root.addEventListener(type, (event) => this.dispatch(event, name)));
     },
 
-    // DEBUG: Force Dashboard
-    forceDashboard() {
-        Store.setUser({ username: 'DebugUser' });
-        Store.setView('dashboard');
+    dispatch(event, name) {
+        if (name === 'enter' && event.key !== 'Enter') return;
+        const target = event.target.closest?.(`[data-on-${name}]`);
+        if (!target || (target.hasAttribute('data-self') && event.target !== target)) return;
+        if (name === 'submit' || name === 'enter') event.preventDefault();
+        const [action, ...args] = JSON.parse(target.getAttribute(`data-on-${name}`));
+        if (name === 'change') args.push(target.type === 'checkbox' ? target.checked : target.type === 'file' ? target : target.value);
+        Actions[action](...args);
     }
 };
 
-// --- 4. RENDERER (The Engine) ---
 function Render(state) {
     try {
         const app = document.getElementById('app');
         if (!app) return;
         
-        let content = Components.MeshBackground();
+        const content = [Components.MeshBackground()];
         
         if (state.view === 'login') {
-            content += Components.LoginView();
+            content.push(Components.LoginView());
         } else if (state.view === 'dashboard') {
-            content += Components.DashboardView(state);
+            content.push(Components.DashboardView(state));
+        } else if (state.view === 'history') {
+            content.push(Components.HistoryView(state));
+        } else if (state.view === 'food') {
+            content.push(Components.FoodView(state));
+        } else if (state.view === 'analysis') {
+            content.push(state.analysis
+                ? Components.AnalysisReviewView(state)
+                : html`<div class="review-wrapper"><div class="glass-card review-card text-center">Loading analysis...</div></div>`);
+        } else if (state.view === 'recipes') {
+            content.push(Components.RecipesView(state));
+        } else if (state.view === 'recipe') {
+            content.push(Components.RecipeView(state));
+        } else if (state.view === 'weight') {
+            content.push(Components.WeightView(state));
+        } else if (state.view === 'settings') {
+            content.push(Components.SettingsView(state));
+        }
+
+        // Modals open over whichever signed-in view is showing
+        if (state.view !== 'login') {
+            if (state.showSearch) content.push(Components.SearchModal(state));
+            if (state.showBarcode) content.push(Components.BarcodeModal(state));
+            if (state.showNotifications) content.push(Components.NotificationPanel(state));
+        }
+
+        if (state.uploadError) {
+            content.push(Components.UploadErrorBanner(state));
         }
 
         if (state.isAnalyzing) {
-            content += Components.LoadingOverlay(state);
+            content.push(Components.LoadingOverlay(state));
         }
 
-        app.innerHTML = content;
+        const template = document.createElement('template');
+        template.innerHTML = fragment(content);
+        Dom.patchChildren(app, template.content);
     } catch (e) {
         console.error("Render Error:", e);
         alert("Render Error: " + e.message);
@@ -544,5 +3572,5 @@ function Render(state) {
 }
 
 // Start the Engine
+Events.listen(document);
 document.addEventListener('DOMContentLoaded', Actions.init);
-window.Actions = Actions; // Expose for HTML onclicks
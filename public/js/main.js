@@ -1,9 +1,12 @@
 const app = {
     state: {
         user: null,
+        token: null,
         calories: 0,
-        healthScore: 85,
-        meals: []
+        score: null,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, // the profile's once loaded
+        meals: [],
+        searchResults: []
     },
 
     init: () => {
@@ -15,7 +18,18 @@ const app = {
             loginForm.addEventListener('submit', (e) => {
                 e.preventDefault();
                 const username = document.getElementById('username').value;
-                if(username) app.login(username);
+                const password = document.getElementById('password').value;
+                if(username && password) app.login(username, password);
+            });
+        }
+
+        const registerBtn = document.getElementById('registerBtn');
+        if(registerBtn) {
+            registerBtn.addEventListener('click', () => {
+                const username = document.getElementById('username').value;
+                const password = document.getElementById('password').value;
+                if(username && password) app.login(username, password, '/auth/register');
+                else alert("Choose a username and password first");
             });
         }
 
@@ -30,54 +44,155 @@ const app = {
         if(searchInput) {
             searchInput.addEventListener('keyup', (e) => app.search(e.target.value));
         }
+
+        // One listener for every search result (they are re-rendered on each keystroke)
+        const searchResults = document.getElementById('searchResults');
+        if(searchResults) {
+            searchResults.addEventListener('click', (e) => {
+                const item = e.target.closest('.search-item');
+                if(item) app.pickResult(Number(item.dataset.index));
+            });
+        }
+    },
+
+    // Food names, labels and messages come from users and the server: escape them before
+    // they go into markup.
+    escape: (value) => String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]),
+
+    // fetch() wrapper for /api/v1: sends the session token, resolves with the response
+    // envelope ({ success, data, meta }) and throws the server's error message otherwise
+    api: async (path, options = {}) => {
+        const headers = { ...(options.headers || {}) };
+        if (app.state.token) headers.Authorization = `Bearer ${app.state.token}`;
+        const res = await fetch(`/api/v1${path}`, { ...options, headers });
+        const data = res.status === 204 ? {} : await res.json().catch(() => ({}));
+        if (!res.ok || data.success === false) throw new Error(data.error?.message || `Request failed (${res.status})`);
+        return data;
     },
 
-    login: (username) => {
+    login: async (username, password, endpoint = '/auth/login') => {
         console.log("Logging in as", username);
-        app.state.user = username;
-        document.getElementById('user-display').innerText = username;
-        
-        // Pre-populate if empty (The "Lived In" Feel)
-        if(app.state.meals.length === 0) {
-            app.addMeal("Oatmeal & Berries", 350, '<i class="fa-solid fa-check-circle"></i> Good start!', 5);
-            app.addMeal("Black Coffee", 5, '<i class="fa-solid fa-mug-hot"></i> Antioxidants', 0);
+        let session;
+        try {
+            ({ data: session } = await app.api(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            }));
+        } catch (err) {
+            alert(err.message);
+            return;
         }
+        app.state.user = session.user.username;
+        app.state.token = session.token;
+        document.getElementById('user-display').innerText = app.state.user;
+        
+        // The profile says which day "today" is, so it is loaded first.
+        await app.loadTargets();
+        await app.loadMeals();
 
         // Switch Views
         document.getElementById('view-login').classList.remove('active');
         document.getElementById('view-dashboard').classList.add('active');
     },
 
-    logout: () => {
+    logout: async () => {
+        try { await app.api('/auth/logout', { method: 'POST' }); } catch (e) {}
         location.reload();
     },
 
-    addMeal: (name, cals, insight = '', scoreDelta = 0) => {
-        app.state.meals.push({ name, cals, insight });
-        app.state.calories += cals;
-        app.state.healthScore += scoreDelta;
-        
-        // Clamp Score
-        if(app.state.healthScore > 100) app.state.healthScore = 100;
-        if(app.state.healthScore < 0) app.state.healthScore = 0;
+    // Daily calorie target from the profile (set up in the Pro dashboard's settings). A profile
+    // without a time zone is given the browser's, so days start at the user's midnight.
+    loadTargets: async () => {
+        try {
+            let { data } = await app.api('/profile');
+            if (!data.profile.time_zone) {
+                ({ data } = await app.api('/profile', {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ time_zone: app.state.timeZone })
+                }));
+            }
+            app.state.timeZone = data.profile.time_zone;
+            document.getElementById('goal-cals').innerText = data.targets.calories;
+        } catch (err) {
+            console.error("Could not load targets:", err);
+        }
+    },
 
-        // Update UI
-        document.getElementById('total-cals').innerText = app.state.calories;
+    // Hydrates today's log from the server (oldest first, since addMeal prepends). The server
+    // dates each meal in the profile's time zone; sv-SE writes today the same way (YYYY-MM-DD).
+    loadMeals: async () => {
+        const today = new Intl.DateTimeFormat('sv-SE', { timeZone: app.state.timeZone }).format(new Date());
+        try {
+            const data = await app.api(`/meals?date=${today}`);
+            data.data.reverse().forEach(m => app.addMeal(m, 'Logged'));
+            await app.loadScore();
+        } catch (err) {
+            console.error(err);
+        }
+    },
+
+    // Grade colours, shared with the Pro dashboard so a grade reads the same in both.
+    gradeColors: { A: '#10B981', B: '#84CC16', C: '#F59E0B', D: '#F97316', E: '#EF4444' },
+
+    // Today's nutrition score, computed by the server from the day's totals (GET /stats/day, in the profile's time zone)
+    loadScore: async () => {
+        try {
+            const { data } = await app.api('/stats/day');
+            app.state.score = data.nutrition_score;
+        } catch (err) {
+            console.error("Could not load score:", err);
+            return;
+        }
+        const rating = app.state.score;
         const scoreEl = document.getElementById('health-score');
-        if(scoreEl) {
-            scoreEl.innerText = app.state.healthScore;
-            scoreEl.style.color = app.state.healthScore > 70 ? '#10B981' : (app.state.healthScore > 40 ? '#F59E0B' : '#EF4444');
+        scoreEl.innerText = rating?.score ?? '–';
+        scoreEl.style.color = app.gradeColors[rating?.grade] || '#9CA3AF';
+
+        const list = document.getElementById('score-breakdown');
+        list.classList.toggle('hidden', !rating?.breakdown?.length);
+        list.innerHTML = (rating?.breakdown || []).map(row => `
+            <div class="score-row">
+                <span>${app.escape(row.label)}${row.value !== null ? ` <small>${app.escape(row.value)} ${app.escape(row.unit)}</small>` : ''}</span>
+                <strong class="${row.points < 0 ? 'negative' : ''}">${row.points > 0 ? '+' : ''}${row.points}</strong>
+            </div>
+        `).join('');
+    },
+
+    // Saves a food picked from the search results, then shows it
+    logFood: async (index) => {
+        const { name, calories, nutrients, serving, nutrition_score } = app.state.searchResults[index];
+        try {
+            const { data: meal } = await app.api('/meals', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, calories, nutrients, serving, processing: nutrition_score.processing.level, source: 'search' })
+            });
+            app.addMeal(meal, 'Manual Entry');
+            await app.loadScore();
+        } catch (err) {
+            alert("Could not save meal: " + err.message);
         }
-        
+    },
+
+    // Shows a saved meal; `insight` says where it came from. The day's score is reloaded separately.
+    addMeal: (meal, insight = '') => {
+        app.state.meals.push(meal);
+        app.state.calories += meal.calories;
+        document.getElementById('total-cals').innerText = app.state.calories;
+
+        const { score, grade } = meal.nutrition_score || {};
+        const color = app.gradeColors[grade] || '#9CA3AF';
         const div = document.createElement('div');
         div.className = 'meal-item';
         div.innerHTML = `
-            <div class="meal-icon">${scoreDelta >= 0 ? '<i class="fa-solid fa-bowl-food" style="color:var(--primary)"></i>' : '<i class="fa-solid fa-burger" style="color:#EF4444"></i>'}</div>
+            <div class="meal-icon">${grade === 'D' || grade === 'E' ? '<i class="fa-solid fa-burger"' : '<i class="fa-solid fa-bowl-food"'} style="color:${color}"></i></div>
             <div class="meal-info">
-                <div class="meal-name">${name}</div>
-                <div class="meal-insight">${insight}</div>
+                <div class="meal-name">${app.escape(meal.name)}</div>
+                <div class="meal-insight">${app.escape(insight)}${grade ? ` · <span style="color:${color}">Score ${score} (${grade})</span>` : ''}</div>
             </div>
-            <div class="meal-cals">${cals} kcal</div>
+            <div class="meal-cals">${meal.calories} kcal</div>
         `;
         document.getElementById('meal-list').prepend(div);
     },
@@ -90,30 +205,70 @@ const app = {
         const overlay = document.getElementById('loading-overlay');
         const text = document.getElementById('loading-text');
         overlay.classList.remove('hidden');
-        
-        // Fake Steps
         text.innerText = "Uploading...";
-        await new Promise(r => setTimeout(r, 800));
-        text.innerText = "Scanning pixels...";
-        await new Promise(r => setTimeout(r, 800));
-        text.innerText = "Identifying food...";
 
-        // Real Upload
         const formData = new FormData();
         formData.append('image', file);
 
         try {
-            const res = await fetch('/api/analyze', { method: 'POST', body: formData });
-            const data = await res.json();
-            
-            app.addMeal(data.name, data.calories, data.insight, data.score);
+            // The upload only queues the photo; poll the job until the analysis is stored.
+            let { data: job } = await app.api('/analyze', { method: 'POST', body: formData });
+            while (job.stage !== 'done' && job.stage !== 'failed') {
+                text.innerText = app.stageText[job.stage] || "Analyzing...";
+                await new Promise(r => setTimeout(r, 1000));
+                ({ data: job } = await app.api(`/analysis-jobs/${encodeURIComponent(job.id)}`));
+            }
+            if (job.stage === 'failed') throw new Error(job.error.message);
+
+            const { data: analysis } = await app.api(`/analyses/${encodeURIComponent(job.result.analysis_id)}`);
             overlay.classList.add('hidden');
+            await app.confirmAnalysis(analysis);
         } catch (err) {
-            alert("Error analyzing image");
+            alert("Error analyzing image: " + err.message);
             overlay.classList.add('hidden');
         }
     },
 
+    stageText: {
+        received: "Waiting in line...",
+        preprocessing: "Preparing photo...",
+        inference: "Identifying food...",
+        nutrient_lookup: "Looking up nutrients..."
+    },
+
+    describeItems: (items) => items
+        .map(item => `${item.needs_confirmation ? '⚠️ ' : ''}${item.food_name || item.name} · ${item.portion.label} · ${item.calories} kcal (${Math.round(item.confidence * 100)}% sure)`)
+        .join('\n'),
+
+    // The analysis is a pending draft: log it as-is or discard it.
+    // (Per-item editing lives in the Pro dashboard's review screen.)
+    confirmAnalysis: async (analysis) => {
+        const url = `/analyses/${encodeURIComponent(analysis.id)}`;
+        if (analysis.items.length === 0) {
+            alert("We couldn't spot any food in that photo. Try searching instead.");
+            await app.api(url, { method: 'DELETE' }).catch(() => {});
+            return;
+        }
+        if (!confirm(`Here's what we found:\n\n${app.describeItems(analysis.items)}\n\nLog ${analysis.calories} kcal?`)) {
+            await app.api(url, { method: 'DELETE' }).catch(() => {});
+            return;
+        }
+        try {
+            const { data: meal } = await app.api(`${url}/confirm`, { method: 'POST' });
+            app.addMeal(meal, `${analysis.items.length} item(s) from your photo`);
+            await app.loadScore();
+        } catch (err) {
+            alert("Could not save meal: " + err.message);
+        }
+    },
+
+    // Logs the clicked search result and closes the list
+    pickResult: (index) => {
+        app.logFood(index);
+        document.getElementById('searchInput').value = '';
+        document.getElementById('searchResults').classList.remove('active');
+    },
+
     search: async (query) => {
         const container = document.getElementById('searchResults');
         
@@ -123,18 +278,18 @@ const app = {
         }
 
         try {
-            const res = await fetch(`/api/foods/search?q=${query}`);
-            const data = await res.json();
+            const data = await app.api(`/foods/search?q=${encodeURIComponent(query)}`);
             
+            app.state.searchResults = data.data;
             if (data.data.length > 0) {
                 container.classList.add('active');
-                container.innerHTML = data.data.map(item => `
-                    <div class="search-item" onclick="app.addMeal('${item.name}', ${item.calories}, 'Manual Entry', 0); document.getElementById('searchInput').value = ''; document.getElementById('searchResults').classList.remove('active');">
+                container.innerHTML = data.data.map((item, index) => `
+                    <div class="search-item" data-index="${index}">
                         <div class="search-item-left">
                             <i class="fas fa-utensils search-icon"></i>
                             <div>
-                                <div style="font-weight: 600;">${item.name}</div>
-                                <div style="font-size: 12px; color: #6B7280;">${item.calories} kcal</div>
+                                <div style="font-weight: 600;">${app.escape(item.name)}</div>
+                                <div style="font-size: 12px; color: #6B7280;">${item.calories} kcal · P ${item.nutrients.protein ?? '?'}g · C ${item.nutrients.carbs ?? '?'}g · F ${item.nutrients.fat ?? '?'}g${item.nutrition_score.grade ? ` · <span style="color:${app.gradeColors[item.nutrition_score.grade]}">Score ${item.nutrition_score.score} (${item.nutrition_score.grade})</span>` : ''}</div>
                             </div>
                         </div>
                         <div class="search-add-btn">
@@ -0,0 +1,120 @@
+/*
+ * CalCatcher Pro service worker: keeps the app shell and its icons in a cache so the Pro
+ * dashboard (pro.html) opens without a network. It is registered with the pro.html scope
+ * by Actions.init, so the simple app at / is left alone.
+ *
+ * The API is never cached here. Offline reads and writes are the page's job: it keeps a
+ * copy of its data in IndexedDB and queues changes in an outbox (see Frontend-Pro.js).
+ *
+ * It also shows reminders pushed by the server (lib/push.js) while no page is open, and
+ * tells open pages about them so their notification bell updates.
+ *
+ * Bump CACHE_VERSION when the shell list changes; older caches are dropped on activate.
+ */
+
+const CACHE_VERSION = 3;
+const CACHE = `calcatcher-pro-v${CACHE_VERSION}`;
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0';
+
+const SHELL = [
+    '/pro.html',
+    '/js/Frontend-Pro.js',
+    '/js/zoned-time.js',
+    '/css/enhanced-styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png'
+];
+
+// Font Awesome comes from a CDN, so it is cached one file at a time and a failure is only
+// logged: addAll() would fail the whole install whenever the CDN is unreachable. Files
+// missed here are cached on the first online visit (see remember below).
+const CDN_ASSETS = [
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`
+];
+
+const cacheBestEffort = (cache, urls) => Promise.all(urls.map(url =>
+    cache.add(url).catch(error => console.warn(`Not cached for offline use: ${url}`, error))
+));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(SHELL).then(() => cacheBestEffort(cache, CDN_ASSETS)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('calcatcher-pro-') && key !== CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Stores successful (or opaque cross-origin) responses for next time.
+const remember = async (request, response) => {
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || (url.origin === self.location.origin && url.pathname.startsWith('/api/'))) return;
+
+    // Pages: the network first so a new deploy shows up at once, the cached shell offline.
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => remember(request, response))
+                .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || caches.match('/pro.html')))
+        );
+        return;
+    }
+
+    // Scripts, styles, icons and fonts: the cached copy at once, refreshed in the background
+    // (stale-while-revalidate). Changes therefore show up on the next visit.
+    event.respondWith(
+        caches.match(request).then(cached => {
+            const refresh = fetch(request).then(response => remember(request, response));
+            if (!cached) return refresh;
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        })
+    );
+});
+
+// A push message is the JSON { title, body, url, tag, notification_id } from lib/push.js.
+self.addEventListener('push', (event) => {
+    const message = event.data?.json() ?? {};
+    event.waitUntil(Promise.all([
+        self.registration.showNotification(message.title || 'CalCatcher', {
+            body: message.body,
+            icon: '/icons/icon-192.png',
+            badge: '/icons/icon-192.png',
+            tag: message.tag,
+            data: { url: message.url || '/pro.html' }
+        }),
+        self.clients.matchAll({ type: 'window' }).then(clients => clients.forEach(client => client.postMessage({ type: 'notification', id: message.notification_id })))
+    ]));
+});
+
+// Tapping a notification focuses an open dashboard on its link, or opens one.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/pro.html', self.location.origin).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const open = clients.find(client => new URL(client.url).pathname === '/pro.html');
+            return open ? open.navigate(url).then(client => (client || open).focus()) : self.clients.openWindow(url);
+        })
+    );
+});
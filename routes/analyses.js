@@ -0,0 +1,27 @@
+import express from 'express';
+import { AnalysisService } from '../lib/analyses.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { AnalysisConfirm, AnalysisEdit, IdParams } from '../lib/schemas.js';
+
+// Pending photo analyses (created by POST /api/v1/analyze), reviewed before anything is logged.
+export const analysisRoutes = express.Router();
+
+analysisRoutes.get('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    send(res, await AnalysisService.get(req.user.id, req.params.id));
+}));
+
+// Body: { items: [{ id, size? } | { food_id, size?, id? }] } -- see AnalysisService.
+analysisRoutes.patch('/:id', validate({ params: IdParams, body: AnalysisEdit }), asyncRoute(async (req, res) => {
+    send(res, await AnalysisService.update(req.user.id, req.params.id, req.body));
+}));
+
+// Body (optional): { items, name, eaten_at }. Responds with the logged meal.
+analysisRoutes.post('/:id/confirm', validate({ params: IdParams, body: AnalysisConfirm }), asyncRoute(async (req, res) => {
+    send(res, await AnalysisService.confirm(req.user.id, req.params.id, req.body), { status: 201 });
+}));
+
+analysisRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await AnalysisService.discard(req.user.id, req.params.id);
+    res.status(204).end();
+}));
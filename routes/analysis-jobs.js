@@ -0,0 +1,46 @@
+import express from 'express';
+import { AnalysisJobs } from '../lib/analysis-jobs.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams } from '../lib/schemas.js';
+
+const HEARTBEAT_MS = 15000;
+
+// Photo analysis jobs queued by POST /api/v1/analyze. Clients follow a job over
+// Server-Sent Events, or poll its snapshot; both work again after a page reload.
+export const analysisJobRoutes = express.Router();
+
+analysisJobRoutes.get('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    send(res, AnalysisJobs.get(req.user.id, req.params.id));
+}));
+
+// text/event-stream: one `job` event per snapshot of the job, starting with the current one.
+// The stream ends after the job reaches "done" or "failed".
+analysisJobRoutes.get('/:id/events', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    const current = AnalysisJobs.get(req.user.id, req.params.id);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 2000\n\n');
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    const write = (job) => {
+        res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+        if (AnalysisJobs.isFinished(job)) close();
+    };
+
+    req.on('close', close);
+    write(current);
+    if (!AnalysisJobs.isFinished(current)) unsubscribe = AnalysisJobs.subscribe(req.user.id, current.id, write);
+}));
@@ -0,0 +1,26 @@
+import express from 'express';
+import { AuthService, authenticate } from '../lib/auth.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { Credentials, Registration } from '../lib/schemas.js';
+
+export const authRoutes = express.Router();
+
+authRoutes.post('/register', validate({ body: Registration }), asyncRoute(async (req, res) => {
+    const { username, password } = req.body;
+    send(res, await AuthService.register(username, password), { status: 201 });
+}));
+
+authRoutes.post('/login', validate({ body: Credentials }), asyncRoute(async (req, res) => {
+    const { username, password } = req.body;
+    send(res, await AuthService.login(username, password));
+}));
+
+authRoutes.post('/logout', authenticate, asyncRoute(async (req, res) => {
+    await AuthService.logout(req.session.id);
+    res.status(204).end();
+}));
+
+authRoutes.get('/me', authenticate, (req, res) => {
+    send(res, req.user);
+});
@@ -0,0 +1,38 @@
+import express from 'express';
+import { BeverageService } from '../lib/beverages.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { BeverageDayQuery, BeverageInput, BeverageListQuery, BeveragePatch, BeverageStatsQuery, IdParams } from '../lib/schemas.js';
+
+// Drinks: water, caffeine and alcohol, tracked apart from meals. Volumes may be sent in ml or
+// fl oz and always come back in ml.
+export const beverageRoutes = express.Router();
+
+beverageRoutes.get('/', validate({ query: BeverageListQuery }), asyncRoute(async (req, res) => {
+    send(res, await BeverageService.list(req.user.id, req.query));
+}));
+
+// GET /api/v1/beverages/day?date=2026-09-14&tz=Europe/Berlin -> totals, targets and warnings
+beverageRoutes.get('/day', validate({ query: BeverageDayQuery }), asyncRoute(async (req, res) => {
+    const { date, tz } = req.query;
+    send(res, await BeverageService.day(req.user.id, { date, timeZone: tz }));
+}));
+
+// GET /api/v1/beverages/stats?from=2026-09-01&to=2026-09-30&tz=Europe/Berlin
+beverageRoutes.get('/stats', validate({ query: BeverageStatsQuery }), asyncRoute(async (req, res) => {
+    const { from, to, tz } = req.query;
+    send(res, await BeverageService.stats(req.user.id, { from, to, timeZone: tz }));
+}));
+
+beverageRoutes.post('/', validate({ body: BeverageInput }), asyncRoute(async (req, res) => {
+    send(res, await BeverageService.create(req.user.id, req.body), { status: 201 });
+}));
+
+beverageRoutes.patch('/:id', validate({ params: IdParams, body: BeveragePatch }), asyncRoute(async (req, res) => {
+    send(res, await BeverageService.update(req.user.id, req.params.id, req.body));
+}));
+
+beverageRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await BeverageService.remove(req.user.id, req.params.id);
+    res.status(204).end();
+}));
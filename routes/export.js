@@ -0,0 +1,30 @@
+import express from 'express';
+import { ExportService } from '../lib/export.js';
+import { asyncRoute } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { ExportQuery } from '../lib/schemas.js';
+
+// Downloads of the signed-in user's data. These respond with the file itself, not the
+// { success, data } envelope, so a browser or spreadsheet can open them directly.
+export const exportRoutes = express.Router();
+
+// e.g. calcatcher-meals-2025-01-31.csv
+const attachment = (res, name, extension) => res.attachment(`calcatcher-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`);
+
+// GET /api/v1/export/meals.csv?from=2025-01-01&to=2025-01-31&tz=Europe/Berlin
+exportRoutes.get('/meals.csv', validate({ query: ExportQuery }), asyncRoute(async (req, res) => {
+    const { from, to, tz } = req.query;
+    const csv = await ExportService.mealsCsv(req.user.id, { from, to, timeZone: tz });
+    attachment(res, 'meals', 'csv').type('text/csv; charset=utf-8').send(csv);
+}));
+
+exportRoutes.get('/backup.json', asyncRoute(async (req, res) => {
+    const backup = await ExportService.backup(req.user.id);
+    attachment(res, 'backup', 'json').type('application/json').send(JSON.stringify(backup, null, 2));
+}));
+
+exportRoutes.get('/fhir', validate({ query: ExportQuery }), asyncRoute(async (req, res) => {
+    const { from, to, tz } = req.query;
+    const bundle = await ExportService.fhir(req.user.id, { from, to, timeZone: tz });
+    res.type('application/fhir+json').send(JSON.stringify(bundle));
+}));
@@ -0,0 +1,31 @@
+import express from 'express';
+import { FoodCatalog, presentFood } from '../lib/foods/catalog.js';
+import { ProductTable } from '../lib/foods/products.js';
+import { RecipeService } from '../lib/recipes.js';
+import { HttpError, asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { BarcodeParams, FoodSearchQuery, IdParams } from '../lib/schemas.js';
+
+export const foodRoutes = express.Router();
+
+// GET /api/v1/foods/search?q=chiken&page=1&limit=20 -> data: [foods], meta: { page, limit, total }
+// The user's own recipes are ranked in with the catalog.
+foodRoutes.get('/search', validate({ query: FoodSearchQuery }), asyncRoute(async (req, res) => {
+    const { q = '', page, limit } = req.query;
+    const { data, ...meta } = await RecipeService.search(req.user.id, q, { page, limit });
+    send(res, data, { meta });
+}));
+
+// GET /api/v1/foods/barcode/5449000000996 -> product with per-serving nutrients.
+// 400 for a malformed code or bad check digit, 404 when the code is valid but unknown.
+foodRoutes.get('/barcode/:code', validate({ params: BarcodeParams }), asyncRoute(async (req, res) => {
+    send(res, ProductTable.lookup(req.params.code));
+}));
+
+foodRoutes.get('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    const recipe = await RecipeService.food(req.user.id, req.params.id);
+    if (recipe) return send(res, recipe);
+    const food = FoodCatalog.get(req.params.id);
+    if (!food) throw new HttpError(404, 'Food not found', 'FOOD_NOT_FOUND');
+    send(res, presentFood(food));
+}));
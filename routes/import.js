@@ -0,0 +1,19 @@
+import express from 'express';
+import { ImportService } from '../lib/import.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { BackupImport, CsvImport, ImportQuery } from '../lib/schemas.js';
+
+// Imports into the signed-in user's account. Both respond with a report of what was (or,
+// with ?dry_run=true, would be) imported and why records were skipped.
+export const importRoutes = express.Router();
+
+// Body: a file from GET /export/backup.json.
+importRoutes.post('/backup', validate({ query: ImportQuery, body: BackupImport }), asyncRoute(async (req, res) => {
+    send(res, await ImportService.backup(req.user.id, req.body, { dryRun: req.query.dry_run === true }));
+}));
+
+// { csv, mapping?, date_format?, decimal?, delimiter?, tz? }: meals from another app's CSV.
+importRoutes.post('/csv', validate({ query: ImportQuery, body: CsvImport }), asyncRoute(async (req, res) => {
+    send(res, await ImportService.csv(req.user.id, req.body, { dryRun: req.query.dry_run === true }));
+}));
@@ -0,0 +1,40 @@
+import express from 'express';
+import { MealService } from '../lib/meals.js';
+import { TemplateService } from '../lib/templates.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, MealCopy, MealFrequentQuery, MealInput, MealListQuery, MealPatch } from '../lib/schemas.js';
+
+export const mealRoutes = express.Router();
+
+mealRoutes.get('/', validate({ query: MealListQuery }), asyncRoute(async (req, res) => {
+    send(res, await MealService.list(req.user.id, req.query));
+}));
+
+// GET /api/v1/meals/frequent?slot=breakfast&tz=Europe/Berlin: learned quick-add foods
+mealRoutes.get('/frequent', validate({ query: MealFrequentQuery }), asyncRoute(async (req, res) => {
+    const { days, limit, slot, tz } = req.query;
+    send(res, await MealService.frequent(req.user.id, { days, limit, slot, timeZone: tz }));
+}));
+
+mealRoutes.post('/', validate({ body: MealInput }), asyncRoute(async (req, res) => {
+    send(res, await MealService.create(req.user.id, req.body), { status: 201 });
+}));
+
+// { from, to?, slot?, to_slot?, tz? }: logs a previous day, or one slot of it, again.
+mealRoutes.post('/copy', validate({ body: MealCopy }), asyncRoute(async (req, res) => {
+    send(res, await TemplateService.copy(req.user.id, req.body), { status: 201 });
+}));
+
+mealRoutes.get('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    send(res, await MealService.get(req.user.id, req.params.id));
+}));
+
+mealRoutes.patch('/:id', validate({ params: IdParams, body: MealPatch }), asyncRoute(async (req, res) => {
+    send(res, await MealService.update(req.user.id, req.params.id, req.body));
+}));
+
+mealRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await MealService.remove(req.user.id, req.params.id);
+    res.status(204).end();
+}));
@@ -0,0 +1,22 @@
+import express from 'express';
+import { NotificationService } from '../lib/notifications.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, NotificationListQuery } from '../lib/schemas.js';
+
+// The in-app inbox of reminders.
+export const notificationRoutes = express.Router();
+
+// GET /api/v1/notifications?unread=true -> data: [notifications], meta: { unread }
+notificationRoutes.get('/', validate({ query: NotificationListQuery }), asyncRoute(async (req, res) => {
+    const { notifications, unread } = await NotificationService.list(req.user.id, req.query);
+    send(res, notifications, { meta: { unread } });
+}));
+
+notificationRoutes.post('/read-all', asyncRoute(async (req, res) => {
+    send(res, { marked: await NotificationService.markAllRead(req.user.id) });
+}));
+
+notificationRoutes.post('/:id/read', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    send(res, await NotificationService.markRead(req.user.id, req.params.id));
+}));
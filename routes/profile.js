@@ -0,0 +1,17 @@
+import express from 'express';
+import { ProfileService } from '../lib/profiles.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { ProfilePatch } from '../lib/schemas.js';
+
+// The signed-in user's body and goal settings, with the daily targets computed from them.
+export const profileRoutes = express.Router();
+
+profileRoutes.get('/', asyncRoute(async (req, res) => {
+    send(res, await ProfileService.get(req.user.id));
+}));
+
+// Partial update; responds with the new profile and targets.
+profileRoutes.patch('/', validate({ body: ProfilePatch }), asyncRoute(async (req, res) => {
+    send(res, await ProfileService.update(req.user.id, req.body));
+}));
@@ -0,0 +1,39 @@
+import express from 'express';
+import { NotificationService } from '../lib/notifications.js';
+import { PushService } from '../lib/push.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, PushSubscriptionInput } from '../lib/schemas.js';
+
+// Web Push devices of the signed-in user. The browser subscribes with the server's VAPID
+// public key and posts the subscription it gets back here.
+export const pushRoutes = express.Router();
+
+pushRoutes.get('/key', (req, res) => {
+    send(res, { public_key: PushService.publicKey() });
+});
+
+pushRoutes.get('/subscriptions', asyncRoute(async (req, res) => {
+    send(res, await PushService.list(req.user.id));
+}));
+
+// The body is PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }.
+pushRoutes.post('/subscriptions', validate({ body: PushSubscriptionInput }), asyncRoute(async (req, res) => {
+    send(res, await PushService.subscribe(req.user.id, req.body), { status: 201 });
+}));
+
+pushRoutes.delete('/subscriptions/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await PushService.unsubscribe(req.user.id, req.params.id);
+    res.status(204).end();
+}));
+
+// Sends a test notification to every device; responds with it, including the push result.
+pushRoutes.post('/test', asyncRoute(async (req, res) => {
+    const notification = await NotificationService.send(req.user.id, {
+        key: `test:${Date.now()}`,
+        type: 'test',
+        title: 'Notifications are on',
+        body: 'Reminders will show up here.'
+    });
+    send(res, notification, { status: 201 });
+}));
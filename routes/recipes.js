@@ -0,0 +1,31 @@
+import express from 'express';
+import { RecipeService } from '../lib/recipes.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, RecipeInput, RecipePatch } from '../lib/schemas.js';
+
+// Recipes and custom foods of the signed-in user. Nutrients are worked out from the
+// ingredients; log a serving through /foods (search or GET /foods/recipe-<id>).
+export const recipeRoutes = express.Router();
+
+recipeRoutes.get('/', asyncRoute(async (req, res) => {
+    send(res, await RecipeService.list(req.user.id));
+}));
+
+recipeRoutes.get('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    send(res, await RecipeService.get(req.user.id, req.params.id));
+}));
+
+recipeRoutes.post('/', validate({ body: RecipeInput }), asyncRoute(async (req, res) => {
+    send(res, await RecipeService.create(req.user.id, req.body), { status: 201 });
+}));
+
+// `ingredients`, when sent, replaces the whole list.
+recipeRoutes.patch('/:id', validate({ params: IdParams, body: RecipePatch }), asyncRoute(async (req, res) => {
+    send(res, await RecipeService.update(req.user.id, req.params.id, req.body));
+}));
+
+recipeRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await RecipeService.remove(req.user.id, req.params.id);
+    res.status(204).end();
+}));
@@ -0,0 +1,31 @@
+import express from 'express';
+import { ReminderService } from '../lib/reminders.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, ReminderInput, ReminderPatch } from '../lib/schemas.js';
+
+// Reminder rules of the signed-in user. The scheduler checks them every minute on its own;
+// POST /check runs that check at once.
+export const reminderRoutes = express.Router();
+
+reminderRoutes.get('/', asyncRoute(async (req, res) => {
+    send(res, await ReminderService.list(req.user.id));
+}));
+
+reminderRoutes.post('/', validate({ body: ReminderInput }), asyncRoute(async (req, res) => {
+    send(res, await ReminderService.create(req.user.id, req.body), { status: 201 });
+}));
+
+// Responds with the notifications it sent (usually none).
+reminderRoutes.post('/check', asyncRoute(async (req, res) => {
+    send(res, await ReminderService.check(req.user.id));
+}));
+
+reminderRoutes.patch('/:id', validate({ params: IdParams, body: ReminderPatch }), asyncRoute(async (req, res) => {
+    send(res, await ReminderService.update(req.user.id, req.params.id, req.body));
+}));
+
+reminderRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await ReminderService.remove(req.user.id, req.params.id);
+    res.status(204).end();
+}));
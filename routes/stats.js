@@ -0,0 +1,20 @@
+import express from 'express';
+import { StatsService } from '../lib/stats.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { StatsDayQuery, StatsQuery } from '../lib/schemas.js';
+
+// Intake statistics for the signed-in user.
+export const statsRoutes = express.Router();
+
+// GET /api/v1/stats?from=2026-09-01&to=2026-09-30&tz=Europe/Berlin
+statsRoutes.get('/', validate({ query: StatsQuery }), asyncRoute(async (req, res) => {
+    const { from, to, tz } = req.query;
+    send(res, await StatsService.summary(req.user.id, { from, to, timeZone: tz }));
+}));
+
+// GET /api/v1/stats/day?date=2026-09-14&tz=Europe/Berlin
+statsRoutes.get('/day', validate({ query: StatsDayQuery }), asyncRoute(async (req, res) => {
+    const { date, tz } = req.query;
+    send(res, await StatsService.day(req.user.id, { date, timeZone: tz }));
+}));
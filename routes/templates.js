@@ -0,0 +1,27 @@
+import express from 'express';
+import { TemplateService } from '../lib/templates.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, TemplateApply, TemplateInput } from '../lib/schemas.js';
+
+// Saved slots and days of the signed-in user, logged again in one request.
+export const templateRoutes = express.Router();
+
+templateRoutes.get('/', asyncRoute(async (req, res) => {
+    send(res, await TemplateService.list(req.user.id));
+}));
+
+// { name, date?, slot?, tz? }: saves what was logged that day, or in that slot.
+templateRoutes.post('/', validate({ body: TemplateInput }), asyncRoute(async (req, res) => {
+    send(res, await TemplateService.create(req.user.id, req.body), { status: 201 });
+}));
+
+// Responds with the meals it logged.
+templateRoutes.post('/:id/apply', validate({ params: IdParams, body: TemplateApply }), asyncRoute(async (req, res) => {
+    send(res, await TemplateService.apply(req.user.id, req.params.id, req.body), { status: 201 });
+}));
+
+templateRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await TemplateService.remove(req.user.id, req.params.id);
+    res.status(204).end();
+}));
@@ -0,0 +1,38 @@
+import express from 'express';
+import { WeightService } from '../lib/weights.js';
+import { ProfileService } from '../lib/profiles.js';
+import { asyncRoute, send } from '../lib/http.js';
+import { validate } from '../lib/validate.js';
+import { IdParams, WeightInput, WeightListQuery, WeightPatch, WeightTrendQuery } from '../lib/schemas.js';
+
+// Weigh-ins and body measurements. Entries may be sent in kg or lb (cm or in for the waist)
+// and always come back in metric.
+export const weightRoutes = express.Router();
+
+weightRoutes.get('/', validate({ query: WeightListQuery }), asyncRoute(async (req, res) => {
+    send(res, await WeightService.list(req.user.id, req.query));
+}));
+
+// GET /api/v1/weights/trend?days=90&tz=Europe/Berlin -> smoothed trend and TDEE estimate
+weightRoutes.get('/trend', validate({ query: WeightTrendQuery }), asyncRoute(async (req, res) => {
+    const { days, tz } = req.query;
+    send(res, await WeightService.trend(req.user.id, { days, timeZone: tz }));
+}));
+
+weightRoutes.post('/', validate({ body: WeightInput }), asyncRoute(async (req, res) => {
+    const entry = await WeightService.create(req.user.id, req.body);
+    await ProfileService.syncWeight(req.user.id);
+    send(res, entry, { status: 201 });
+}));
+
+weightRoutes.patch('/:id', validate({ params: IdParams, body: WeightPatch }), asyncRoute(async (req, res) => {
+    const entry = await WeightService.update(req.user.id, req.params.id, req.body);
+    await ProfileService.syncWeight(req.user.id);
+    send(res, entry);
+}));
+
+weightRoutes.delete('/:id', validate({ params: IdParams }), asyncRoute(async (req, res) => {
+    await WeightService.remove(req.user.id, req.params.id);
+    await ProfileService.syncWeight(req.user.id);
+    res.status(204).end();
+}));
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Builds data/fdc-foods.json from a USDA FoodData Central download.
+//
+//   npm run import:foods -- <FoodData_Central_*.json | csv dump directory> [--out file] [--types a,b]
+//
+// --types takes FDC data types: foundation_food, sr_legacy_food, survey_fndds_food (default: all three).
+// The server indexes the output on its next start (see FOOD_CATALOGS).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_TYPES, importFdcCsv, importFdcJson } from '../lib/foods/fdc.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const parseArgs = (argv) => {
+    const args = { input: null, out: path.join(ROOT, 'data', 'fdc-foods.json'), types: Object.keys(DATA_TYPES) };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+        else if (argv[i] === '--types') args.types = argv[++i].split(',').map(t => t.trim());
+        else args.input = path.resolve(argv[i]);
+    }
+    return args;
+};
+
+const main = async () => {
+    const { input, out, types } = parseArgs(process.argv.slice(2));
+    if (!input || !fs.existsSync(input)) {
+        console.error('Usage: npm run import:foods -- <FoodData Central JSON file or CSV directory> [--out file] [--types a,b]');
+        process.exit(1);
+    }
+    const unknown = types.filter(t => !DATA_TYPES[t]);
+    if (unknown.length) {
+        console.error(`Unknown data type(s): ${unknown.join(', ')}. Use: ${Object.keys(DATA_TYPES).join(', ')}`);
+        process.exit(1);
+    }
+
+    console.log(`📥 Importing ${input}`);
+    const foods = fs.statSync(input).isDirectory()
+        ? await importFdcCsv(input, { dataTypes: types })
+        : importFdcJson(input).filter(f => types.includes(f.source.replace('fdc:', '')));
+
+    const catalog = {
+        _meta: {
+            format: 'calcatcher-food-catalog',
+            version: 1,
+            basis: 'per 100 g',
+            source: `USDA FoodData Central import of ${path.basename(input)}`,
+            imported_at: new Date().toISOString()
+        },
+        foods
+    };
+    fs.writeFileSync(out, JSON.stringify(catalog));
+    console.log(`✅ Wrote ${foods.length} foods to ${out}`);
+};
+
+main().catch(err => {
+    console.error(`💥 Import failed: ${err.message}`);
+    process.exit(1);
+});
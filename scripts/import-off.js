@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Builds data/off-products.json from an Open Food Facts dump, for barcode lookups.
+//
+//   npm run import:products -- <openfoodfacts-products.jsonl[.gz] | en.openfoodfacts.org.products.csv[.gz]> [--out file] [--country en:united-states]
+//
+// The full dump has millions of products and the table is held in memory, so a
+// --country filter is recommended. Rows without a valid barcode, a name or energy are skipped.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { productFromOff, readOffDump, soldIn } from '../lib/foods/off.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const parseArgs = (argv) => {
+    const args = { input: null, out: path.join(ROOT, 'data', 'off-products.json'), country: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+        else if (argv[i] === '--country') args.country = argv[++i];
+        else args.input = path.resolve(argv[i]);
+    }
+    return args;
+};
+
+const main = async () => {
+    const { input, out, country } = parseArgs(process.argv.slice(2));
+    if (!input || !fs.existsSync(input) || fs.statSync(input).isDirectory()) {
+        console.error('Usage: npm run import:products -- <Open Food Facts JSONL or CSV dump> [--out file] [--country en:united-states]');
+        process.exit(1);
+    }
+
+    console.log(`📥 Importing ${input}${country ? ` (sold in ${country})` : ''}`);
+    const products = new Map();
+    let scanned = 0;
+    for await (const raw of readOffDump(input)) {
+        scanned++;
+        if (country && !soldIn(raw, country)) continue;
+        const product = productFromOff(raw);
+        if (product) products.set(product.code, product);
+    }
+
+    const table = {
+        _meta: {
+            format: 'calcatcher-product-table',
+            version: 1,
+            basis: 'per 100 g (or 100 ml for base_unit "ml")',
+            key: 'GTIN-13 (UPC-A codes carry a leading 0)',
+            source: `Open Food Facts import of ${path.basename(input)} (ODbL)`,
+            imported_at: new Date().toISOString()
+        },
+        products: [...products.values()]
+    };
+    fs.writeFileSync(out, JSON.stringify(table));
+    console.log(`✅ Wrote ${products.size} of ${scanned} products to ${out}`);
+};
+
+main().catch(err => {
+    console.error(`💥 Import failed: ${err.message}`);
+    process.exit(1);
+});
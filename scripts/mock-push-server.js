@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// A stand-in push service for trying reminders without a browser.
+//
+//   npm run push:mock -- [--port 4010]
+//
+// POST /subscriptions     makes a subscription as a browser would: { endpoint, keys }.
+//                         Post it to /api/v1/push/subscriptions (the server needs PUSH_ALLOW_HTTP=true).
+// POST /push/:id          where the server sends; checks the VAPID token, decrypts and keeps the message.
+//                         Answers 201, or 410 for an unknown subscription like a real push service.
+// GET  /messages          what arrived, oldest first.
+// DELETE /subscriptions/:id   forgets a subscription, so the next message gets a 410.
+import crypto from 'crypto';
+import http from 'http';
+import { createKeyPair, decryptPayload, verifyVapid } from '../lib/webpush.js';
+
+const parseArgs = (argv) => {
+    const args = { port: 4010 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+    }
+    return args;
+};
+
+const { port } = parseArgs(process.argv.slice(2));
+const origin = `http://localhost:${port}`;
+const subscriptions = new Map();
+const messages = [];
+
+const reply = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const receive = async (req, res, id) => {
+    const subscription = subscriptions.get(id);
+    const body = await readBody(req);
+    if (!subscription) return reply(res, 410, { error: 'Subscription is gone' });
+    const claims = verifyVapid(req.headers.authorization, origin);
+    if (!claims) return reply(res, 403, { error: 'Bad VAPID token' });
+    if (req.headers['content-encoding'] !== 'aes128gcm') return reply(res, 415, { error: 'Expected aes128gcm' });
+    let payload;
+    try {
+        payload = JSON.parse(decryptPayload(body, subscription.secrets));
+    } catch (e) {
+        return reply(res, 400, { error: `Could not decrypt: ${e.message}` });
+    }
+    const message = { subscription: id, ttl: Number(req.headers.ttl), subject: claims.sub, payload, received_at: new Date().toISOString() };
+    messages.push(message);
+    console.log(`📨 ${id}: ${payload.title}`);
+    reply(res, 201);
+};
+
+const server = http.createServer((req, res) => {
+    const [, resource, id] = req.url.split('?')[0].split('/');
+    if (req.method === 'POST' && resource === 'subscriptions' && !id) {
+        const id = crypto.randomUUID();
+        const { publicKey, privateKey } = createKeyPair();
+        const auth = crypto.randomBytes(16).toString('base64url');
+        subscriptions.set(id, { secrets: { publicKey, privateKey, auth } });
+        return reply(res, 201, { endpoint: `${origin}/push/${id}`, expirationTime: null, keys: { p256dh: publicKey, auth } });
+    }
+    if (req.method === 'DELETE' && resource === 'subscriptions' && id) {
+        subscriptions.delete(id);
+        return reply(res, 204);
+    }
+    if (req.method === 'POST' && resource === 'push' && id) {
+        return receive(req, res, id).catch(e => reply(res, 500, { error: e.message }));
+    }
+    if (req.method === 'GET' && resource === 'messages') return reply(res, 200, messages);
+    reply(res, 404, { error: 'Not found' });
+});
+
+server.listen(port, () => console.log(`📮 Mock push service on ${origin}`));
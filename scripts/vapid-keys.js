@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Prints a new VAPID key pair for Web Push, ready to paste into .env.
+//
+//   npm run push:keys
+//
+// Keep the pair once push is in use: browsers subscribed with the old public key stop
+// getting messages when it changes.
+import { createKeyPair } from '../lib/webpush.js';
+
+const { publicKey, privateKey } = createKeyPair();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
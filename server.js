@@ -1,124 +1,119 @@
 import express from 'express';
 import cors from 'cors';
-import multer from 'multer';
 import path from 'path';
-import fs from 'fs'; // Use File System instead of SQLite
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { createRequire } from 'module';
+import { config } from './lib/config.js';
+import { db } from './lib/db.js';
+import { AnalysisJobs } from './lib/analysis-jobs.js';
+import { authenticate } from './lib/auth.js';
+import { HttpError, asyncRoute, errorHandler, notFound, send } from './lib/http.js';
+import { buildOpenApi } from './lib/openapi.js';
+import { startReminderScheduler } from './lib/reminders.js';
+import { rateLimit } from './lib/rate-limit.js';
+import { imageUpload } from './lib/uploads.js';
+import { VisionService } from './lib/vision.js';
+import { authRoutes } from './routes/auth.js';
+import { mealRoutes } from './routes/meals.js';
+import { foodRoutes } from './routes/foods.js';
+import { profileRoutes } from './routes/profile.js';
+import { statsRoutes } from './routes/stats.js';
+import { weightRoutes } from './routes/weights.js';
+import { beverageRoutes } from './routes/beverages.js';
+import { reminderRoutes } from './routes/reminders.js';
+import { notificationRoutes } from './routes/notifications.js';
+import { pushRoutes } from './routes/push.js';
+import { recipeRoutes } from './routes/recipes.js';
+import { templateRoutes } from './routes/templates.js';
+import { exportRoutes } from './routes/export.js';
+import { importRoutes } from './routes/import.js';
+import { analysisRoutes } from './routes/analyses.js';
+import { analysisJobRoutes } from './routes/analysis-jobs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const pkg = createRequire(import.meta.url)('./package.json');
+
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
 // --- 1. INFRASTRUCTURE SETUP ---
 
-// CUSTOM JSON DATABASE ENGINE (Pure JS - No Compilation Needed)
-const DB_FILE = path.join(__dirname, 'nutrition_data.json');
-
-// Initialize DB File if not exists
-if (!fs.existsSync(DB_FILE)) {
-    fs.writeFileSync(DB_FILE, JSON.stringify({ meals: [] }, null, 2));
-}
-
-const db = {
-    read: () => {
-        try {
-            return JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
-        } catch (e) { return { meals: [] }; }
-    },
-    write: (data) => {
-        fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
-    },
-    insert: (meal) => {
-        const data = db.read();
-        meal.id = Date.now();
-        meal.created_at = new Date().toISOString();
-        data.meals.push(meal);
-        db.write(data);
-        return meal;
-    }
-};
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'dummy-key', 
-  dangerouslyAllowBrowser: true
-});
+app.set('trust proxy', config.trustProxy);
 
-app.use(cors());
+// Cross-origin callers must be on the CORS_ORIGINS allowlist; the bundled UI is same-origin.
+const allowedOrigin = (origin) => !origin || config.cors.origins.includes('*') || config.cors.origins.includes(origin);
+app.use(cors({
+    origin: (origin, callback) => callback(null, allowedOrigin(origin)),
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
+// Imports carry whole files, so they get a larger body limit than the rest of the API.
+app.use('/api/v1/import', express.json({ limit: config.imports.maxBytes }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
-
-// --- 2. SERVICE LAYER ---
-
-const FoodService = {
-  search: (query) => {
-    const mockDb = [
-        { name: "Burger", calories: 550 },
-        { name: "Pizza Slice", calories: 285 },
-        { name: "Apple", calories: 95 },
-        { name: "Banana", calories: 105 },
-        { name: "Rice Bowl", calories: 400 },
-        { name: "Chicken Salad", calories: 350 },
-        { name: "Sushi Roll", calories: 300 },
-        { name: "Avocado Toast", calories: 250 },
-        { name: "Steak", calories: 600 },
-        { name: "Salmon", calories: 450 },
-        { name: "Cola", calories: 140 },
-        { name: "Green Smoothie", calories: 120 }
-    ];
-    return mockDb.filter(f => f.name.toLowerCase().includes(query.toLowerCase()));
-  },
-
-  analyzeImage: async (filename) => {
-    console.log(`🧠 AI Processing: ${filename}`);
-    try {
-      if (!process.env.OPENAI_API_KEY) throw new Error("No API Key");
-      throw new Error("Switching to Local Inference");
-    } catch (error) {
-      console.log(`⚠️ Cloud Inference failed. Switching to Local Heuristics.`);
-      return FoodService.localHeuristics(filename);
-    }
-  },
-
-  localHeuristics: (filename) => {
-    const fname = filename.toLowerCase();
-    if (fname.includes('burger')) return { name: "Double Cheeseburger", calories: 850, insight: "⚠️ High Sodium Warning", score: -15 };
-    if (fname.includes('pizza')) return { name: "Pepperoni Pizza", calories: 300, insight: "💡 Tip: Add veggies next time", score: -5 };
-    if (fname.includes('apple')) return { name: "Red Apple", calories: 95, insight: "✅ Great source of fiber!", score: 10 };
-    return { name: "Grilled Chicken Plate", calories: 450, insight: "✅ Balanced Protein/Carbs", score: 10 };
-  },
-
-  saveMeal: (meal) => {
-    db.insert(meal);
-    console.log("💾 Saved to JSON Database");
-  }
-};
-
-// --- 3. API ROUTES ---
-
-app.get('/api/foods/search', (req, res) => {
-    const results = FoodService.search(req.query.q || '');
-    res.json({ data: results });
+// The dashboard settles DST changes with the server's own code rather than a copy of it.
+app.get('/js/zoned-time.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'zoned-time.js')));
+
+// --- 2. API ROUTES ---
+
+// Everything lives under /api/v1 and answers with the envelope from lib/http.js.
+const api = express.Router();
+const openApiDocument = buildOpenApi({ version: pkg.version });
+
+const limits = config.rateLimit;
+const perClient = rateLimit({ name: 'ip', windowMs: limits.windowMs, max: limits.maxRequests, key: (req) => req.ip });
+const perUser = rateLimit({ name: 'user', windowMs: limits.windowMs, max: limits.maxUserRequests, key: (req) => req.user?.id });
+const analyzeLimit = rateLimit({
+    name: 'analyze',
+    windowMs: limits.analyze.windowMs,
+    max: limits.analyze.max,
+    key: (req) => req.user.id,
+    message: 'Too many photo analyses'
 });
 
-const upload = multer({ storage: multer.memoryStorage() });
-
-app.post('/api/analyze', upload.single('image'), async (req, res) => {
-    const filename = req.file ? req.file.originalname : 'unknown.jpg';
-    setTimeout(async () => {
-        const result = await FoodService.analyzeImage(filename);
-        FoodService.saveMeal(result);
-        res.json(result);
-    }, 2000);
-});
+api.use(perClient);
+api.get('/openapi.json', (req, res) => res.json(openApiDocument));
+
+// Register/login are public; everything else needs a signed-in user.
+api.use('/auth', authRoutes);
+api.use(authenticate);
+api.use(perUser);
+api.use('/meals', mealRoutes);
+api.use('/profile', profileRoutes);
+api.use('/stats', statsRoutes);
+api.use('/weights', weightRoutes);
+api.use('/beverages', beverageRoutes);
+api.use('/reminders', reminderRoutes);
+api.use('/notifications', notificationRoutes);
+api.use('/push', pushRoutes);
+api.use('/foods', foodRoutes);
+api.use('/recipes', recipeRoutes);
+api.use('/templates', templateRoutes);
+api.use('/export', exportRoutes);
+api.use('/import', importRoutes);
+api.use('/analyses', analysisRoutes);
+api.use('/analysis-jobs', analysisJobRoutes);
+
+// Queues the photo and answers 202 with the job; its result names the pending draft to
+// review through /api/v1/analyses/:id. Size and type are checked here (lib/uploads.js).
+api.post('/analyze', analyzeLimit, imageUpload('image'), asyncRoute(async (req, res) => {
+    if (!req.file) throw new HttpError(400, 'Attach a photo as the "image" field', 'IMAGE_REQUIRED');
+    const job = AnalysisJobs.enqueue(req.user.id, req.file);
+    res.location(`${req.baseUrl}/analysis-jobs/${job.id}`);
+    send(res, job, { status: 202 });
+}));
+
+api.use(notFound());
+
+app.use('/api/v1', api);
+app.use('/api', notFound('Unknown API route. The API is served under /api/v1'));
+
+app.use(errorHandler);
 
 app.listen(PORT, () => {
     console.log(`✅ Server running on http://localhost:${PORT}`);
-    console.log(`💽 Database connected: JSON Storage`);
+    console.log(`💽 Database connected: ${db.name}`);
+    console.log(`🧠 Vision provider: ${VisionService.providers.join(' → ')}`);
+    if (startReminderScheduler()) console.log(`⏰ Reminders checked every ${config.reminders.intervalMs / 1000}s`);
 });
@@ -0,0 +1,34 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// Confirming a photo analysis twice (a double tap, a retry) must log its meal once.
+
+const { db } = await useScratchDb('analyses');
+const { AnalysisService } = await import('../lib/analyses.js');
+const { normalizeNutrients } = await import('../lib/nutrients.js');
+
+const PLATE = {
+    provider: 'mock',
+    model: 'test',
+    confidence_threshold: 0.5,
+    items: [
+        { name: 'Apple', confidence: 0.9, needs_confirmation: false, portion: { size: 180, unit: 'g', label: '1 medium' }, calories: 95, nutrients: normalizeNutrients({ protein: 0.5, fiber: 4.4 }) }
+    ]
+};
+
+describe('confirming an analysis', () => {
+    test('logs one meal when two confirms arrive together', async () => {
+        const analysis = await AnalysisService.create('ada', PLATE);
+        const [first, second] = await Promise.all([AnalysisService.confirm('ada', analysis.id), AnalysisService.confirm('ada', analysis.id)]);
+        assert.equal(second.id, first.id);
+        assert.equal((await db.query('meals', { user_id: 'ada' })).length, 1);
+    });
+
+    test('returns the logged meal when confirmed again', async () => {
+        const analysis = await AnalysisService.create('grace', PLATE);
+        const meal = await AnalysisService.confirm('grace', analysis.id);
+        assert.equal((await AnalysisService.confirm('grace', analysis.id)).id, meal.id);
+        assert.equal((await db.query('meals', { user_id: 'grace' })).length, 1);
+    });
+});
@@ -0,0 +1,85 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// A backup must import again as it was exported, into the same account or another one.
+
+const { db } = await useScratchDb('backup');
+const { AnalysisService } = await import('../lib/analyses.js');
+const { BeverageService } = await import('../lib/beverages.js');
+const { ExportService } = await import('../lib/export.js');
+const { ImportService } = await import('../lib/import.js');
+const { TemplateService } = await import('../lib/templates.js');
+const { normalizeNutrients } = await import('../lib/nutrients.js');
+
+// A soda (level 4) and an apple (level 1): (140 * 4 + 95 * 1) / 235 = 2.8 as a mean.
+const PLATE = {
+    provider: 'mock',
+    model: 'test',
+    confidence_threshold: 0.5,
+    items: [
+        { name: 'Cola', confidence: 0.9, needs_confirmation: false, portion: { size: 330, unit: 'ml', label: '1 can' }, calories: 140, nutrients: normalizeNutrients({ protein: 0, fiber: 0, sugar: 35 }) },
+        { name: 'Apple', confidence: 0.9, needs_confirmation: false, portion: { size: 180, unit: 'g', label: '1 medium' }, calories: 95, nutrients: normalizeNutrients({ protein: 0.5, fiber: 4.4, sugar: 19 }) }
+    ]
+};
+
+describe('backup round trip', () => {
+    let owner;
+    let meal;
+    let file;
+
+    before(async () => {
+        owner = await db.insert('users', { username: 'ada' });
+        const analysis = await AnalysisService.create(owner.id, PLATE);
+        meal = await AnalysisService.confirm(owner.id, analysis.id, { eaten_at: '2026-05-04T08:30:00Z' });
+        await TemplateService.create(owner.id, { name: 'Snack', date: '2026-05-04', tz: 'UTC' });
+        // Had while travelling: the morning of the 5th in Tokyo, still the 4th in UTC.
+        await BeverageService.create(owner.id, { kind: 'coffee', drunk_at: '2026-05-04T23:30:00Z', tz: 'Asia/Tokyo' });
+        file = JSON.parse(JSON.stringify(await ExportService.backup(owner.id)));
+    });
+
+    test('stores a photo meal with a whole processing level', () => {
+        assert.equal(meal.processing, 3);
+        assert.equal(file.templates[0].items[0].processing, 3);
+    });
+
+    test('imports a photo-confirmed meal and a template made from it into another account', async () => {
+        const other = await db.insert('users', { username: 'grace' });
+        const report = await ImportService.backup(other.id, file);
+        assert.deepEqual(report.errors, []);
+        assert.equal(report.meals.imported, 1);
+        assert.equal(report.templates.imported, 1);
+        const [copy] = await db.query('meals', { user_id: other.id });
+        assert.equal(copy.name, meal.name);
+        assert.equal(copy.processing, 3);
+        assert.equal(copy.eaten_at, meal.eaten_at);
+    });
+
+    test('keeps the zone and day of a drink had while travelling', async () => {
+        const other = await db.insert('users', { username: 'alan' });
+        const report = await ImportService.backup(other.id, file);
+        assert.equal(report.beverages.imported, 1);
+        const [copy] = await db.query('beverages', { user_id: other.id });
+        assert.deepEqual([copy.time_zone, copy.local_date], ['Asia/Tokyo', '2026-05-05']);
+    });
+
+    test('skips everything as a duplicate when imported into the same account again', async () => {
+        const report = await ImportService.backup(owner.id, file, { dryRun: true });
+        assert.deepEqual(report.errors, []);
+        assert.deepEqual([report.meals.duplicates, report.templates.duplicates], [1, 1]);
+    });
+
+    test('rounds the fractional level older backups carry', async () => {
+        const legacy = {
+            ...file,
+            meals: file.meals.map(entry => ({ ...entry, processing: 2.4, eaten_at: '2026-05-05T08:30:00Z' })),
+            templates: file.templates.map(template => ({ ...template, name: 'Old snack', items: template.items.map(item => ({ ...item, processing: 2.4 })) }))
+        };
+        const report = await ImportService.backup(owner.id, legacy);
+        assert.deepEqual(report.errors, []);
+        const [restored] = await db.query('meals', entry => entry.user_id === owner.id && entry.eaten_at === '2026-05-05T08:30:00.000Z');
+        assert.equal(restored.processing, 2);
+        const [template] = await db.query('templates', { user_id: owner.id, name: 'Old snack' });
+        assert.equal(template.items[0].processing, 2);
+    });
+});
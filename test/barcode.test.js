@@ -0,0 +1,32 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBarcode } from '../lib/foods/barcode.js';
+import { useScratchDb } from './helpers/db.js';
+
+// Codes are typed as printed under the bars, with spaces or dashes. The route schema only
+// screens out what cannot be a code; parseBarcode checks the digits.
+
+await useScratchDb('barcode');
+const { BarcodeParams } = await import('../lib/schemas.js');
+const { validateValue } = await import('../lib/validate.js');
+
+describe('barcodes', () => {
+    test('pass the route schema with spaces or dashes', () => {
+        for (const code of ['5449000000996', '5 449000 000996', '5449-0000-00996', '0 49000 02890 4']) {
+            assert.deepEqual(validateValue(BarcodeParams, { code }), [], code);
+        }
+        for (const code of ['54490abc00996', '1234567', '5449000000996/']) {
+            assert.equal(validateValue(BarcodeParams, { code }).length, 1, code);
+        }
+    });
+
+    test('come out of parseBarcode as GTIN-13', () => {
+        assert.equal(parseBarcode('5 449000 000996'), '5449000000996');
+        assert.equal(parseBarcode('0-49000-02890-4'), '0049000028904');
+    });
+
+    test('are refused by parseBarcode with a wrong check digit or length', () => {
+        assert.throws(() => parseBarcode('5 449000 000997'), { code: 'INVALID_BARCODE', message: /check digit \(expected 6\)/ });
+        assert.throws(() => parseBarcode('5449 0000'), { code: 'INVALID_BARCODE' });
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCatalog } from '../lib/foods/catalog.js';
+
+const catalog = createCatalog([
+    { id: 'cola', name: 'Cola', category: 'Beverages', popularity: 60 },
+    { id: 'soy-sauce', name: 'Soy sauce', category: 'Fats & Condiments', aliases: ['soya sauce'], popularity: 35 },
+    { id: 'bread', name: 'Bread, white', category: 'Baked Products', popularity: 70 },
+    { id: 'banana', name: 'Banana, raw', category: 'Fruits', popularity: 80 }
+]);
+
+const names = (query) => catalog.search(query).data.map(food => food.name);
+
+describe('food search', () => {
+    test('reads a word known through a synonym as that word, not as a typo', () => {
+        assert.deepEqual(names('soda'), ['Cola']);
+    });
+
+    test('still forgives typos in words it does not know', () => {
+        assert.deepEqual(names('bred'), ['Bread, white']);
+        assert.deepEqual(names('bananna'), ['Banana, raw']);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { localDate, localTime, zonedInstant } from '../lib/dates.js';
+
+const at = (key, time, timeZone) => zonedInstant(key, time, timeZone).toISOString();
+const day = (iso, timeZone) => localDate(new Date(iso), timeZone);
+
+// The last and first minute of each DST day, as UTC instants.
+const DST_DAYS = {
+    'Europe/Berlin spring-forward': ['Europe/Berlin', '2026-03-29', '2026-03-28T23:00:00Z', '2026-03-29T21:59:00Z'],
+    'Europe/Berlin fall-back': ['Europe/Berlin', '2026-10-25', '2026-10-24T22:00:00Z', '2026-10-25T22:59:00Z'],
+    'America/New_York spring-forward': ['America/New_York', '2026-03-08', '2026-03-08T05:00:00Z', '2026-03-09T03:59:00Z'],
+    'America/New_York fall-back': ['America/New_York', '2026-11-01', '2026-11-01T04:00:00Z', '2026-11-02T04:59:00Z']
+};
+const minute = (iso, minutes) => new Date(Date.parse(iso) + minutes * 60_000).toISOString();
+
+describe('localDate', () => {
+    for (const [name, [timeZone, key, first, last]] of Object.entries(DST_DAYS)) {
+        test(`starts and ends ${name} at local midnight`, () => {
+            assert.equal(day(minute(first, -1), timeZone) < key, true);
+            assert.equal(day(first, timeZone), key);
+            assert.equal(day(last, timeZone), key);
+            assert.equal(day(minute(last, 1), timeZone) > key, true);
+        });
+    }
+});
+
+describe('zonedInstant', () => {
+    test('finds the local midnights around each DST day', () => {
+        for (const [timeZone, key, first, last] of Object.values(DST_DAYS)) {
+            assert.equal(at(key, '00:00', timeZone), new Date(first).toISOString(), `${key} ${timeZone}`);
+            assert.equal(at(key, '23:59', timeZone), new Date(last).toISOString(), `${key} ${timeZone}`);
+        }
+    });
+
+    test('reads an ordinary time with the offset of the day', () => {
+        assert.equal(at('2026-01-15', '08:00', 'Europe/Berlin'), '2026-01-15T07:00:00.000Z');
+        assert.equal(at('2026-07-15', '08:00', 'America/New_York'), '2026-07-15T12:00:00.000Z');
+        assert.equal(at('2026-06-01', '12:00', 'Asia/Kolkata'), '2026-06-01T06:30:00.000Z');
+    });
+
+    test('moves a time skipped by spring-forward an hour later, east and west of UTC', () => {
+        assert.equal(at('2026-03-29', '02:30', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+        assert.equal(localTime(zonedInstant('2026-03-29', '02:30', 'Europe/Berlin'), 'Europe/Berlin'), '03:30');
+        assert.equal(at('2026-03-08', '02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+        assert.equal(localTime(zonedInstant('2026-03-08', '02:30', 'America/New_York'), 'America/New_York'), '03:30');
+    });
+
+    test('takes the first of a time repeated by fall-back', () => {
+        assert.equal(at('2026-10-25', '02:30', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+        assert.equal(at('2026-11-01', '01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+    });
+
+    test('keeps times either side of a change on their own offset', () => {
+        assert.equal(at('2026-03-29', '01:59', 'Europe/Berlin'), '2026-03-29T00:59:00.000Z');
+        assert.equal(at('2026-03-29', '03:00', 'Europe/Berlin'), '2026-03-29T01:00:00.000Z');
+        assert.equal(at('2026-11-01', '00:00', 'America/New_York'), '2026-11-01T04:00:00.000Z');
+        assert.equal(at('2026-11-01', '23:59', 'America/New_York'), '2026-11-02T04:59:00.000Z');
+    });
+});
@@ -0,0 +1,19 @@
+import { after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Points lib/db.js at a JSON store in a scratch directory, removed after the file's tests.
+// lib/db.js opens its store on import, so call this before anything that uses it is imported
+// (import those modules dynamically afterwards).
+export const useScratchDb = async (name) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `calcatcher-${name}-`));
+    process.env.DB_ADAPTER = 'json';
+    process.env.DB_FILE = path.join(dir, 'db.json');
+    const { db } = await import('../../lib/db.js');
+    after(async () => {
+        await db.flush();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { db, dir };
+};
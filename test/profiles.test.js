@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// A user has one profile record, however their first writes interleave, and its weight is
+// the newest weigh-in's.
+
+const { db } = await useScratchDb('profiles');
+const { ProfileService } = await import('../lib/profiles.js');
+const { WeightService } = await import('../lib/weights.js');
+
+describe('profile updates', () => {
+    test('share one record when the first writes arrive together', async () => {
+        await Promise.all([
+            ProfileService.update('ada', { sex: 'female', height_cm: 170 }),
+            ProfileService.update('ada', { weight_kg: 64 }),
+            ProfileService.update('ada', { time_zone: 'Europe/London' })
+        ]);
+        const records = await db.query('profiles', { user_id: 'ada' });
+        assert.equal(records.length, 1);
+        assert.deepEqual([records[0].sex, records[0].weight_kg, records[0].time_zone], ['female', 64, 'Europe/London']);
+    });
+});
+
+describe('profile weight', () => {
+    test('follows the newest weigh-in and is cleared with the last one', async () => {
+        const older = await WeightService.create('grace', { weight: 70, unit: 'kg', measured_at: '2026-05-01T07:00:00Z' });
+        const newer = await WeightService.create('grace', { weight: 69, unit: 'kg', measured_at: '2026-05-08T07:00:00Z' });
+        assert.equal((await ProfileService.syncWeight('grace')).profile.weight_kg, 69);
+
+        await WeightService.remove('grace', newer.id);
+        assert.equal((await ProfileService.syncWeight('grace')).profile.weight_kg, 70);
+
+        await WeightService.remove('grace', older.id);
+        const { profile } = await ProfileService.syncWeight('grace');
+        assert.equal(profile.weight_kg, undefined);
+        assert.equal((await ProfileService.get('grace')).profile.weight_kg, undefined);
+    });
+});
@@ -0,0 +1,70 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { useScratchDb } from './helpers/db.js';
+
+// The server POSTs to every stored endpoint, so only known push services may be subscribed.
+
+await useScratchDb('push');
+const { config } = await import('../lib/config.js');
+const { PushService } = await import('../lib/push.js');
+const { createKeyPair, b64 } = await import('../lib/webpush.js');
+
+const keys = { p256dh: createKeyPair().publicKey, auth: b64(crypto.randomBytes(16)) };
+const subscribe = (endpoint) => PushService.subscribe('ada', { endpoint, keys });
+
+describe('push subscriptions', () => {
+    test('accept endpoints on the browsers\' push services', async () => {
+        for (const endpoint of [
+            'https://fcm.googleapis.com/fcm/send/abc',
+            'https://updates.push.services.mozilla.com/wpush/v2/abc',
+            'https://web.push.apple.com/abc',
+            'https://wns2-par02p.notify.windows.com/w/?token=abc'
+        ]) {
+            assert.equal((await subscribe(endpoint)).endpoint, endpoint);
+        }
+    });
+
+    test('reject endpoints anywhere else', async () => {
+        for (const endpoint of [
+            'https://example.com/push',
+            'https://fcm.googleapis.com.example.com/push',
+            'https://evilfcm.googleapis.com.attacker.net/push',
+            'https://fcm.googleapis.com:8443/push',
+            'https://10.0.0.5/push',
+            'https://127.0.0.1/push',
+            'http://localhost:4010/push',
+            'http://fcm.googleapis.com/fcm/send/abc'
+        ]) {
+            await assert.rejects(subscribe(endpoint), { code: 'INVALID_SUBSCRIPTION' }, endpoint);
+        }
+    });
+});
+
+describe('push delivery', () => {
+    let server;
+    const hits = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            hits.push(req.url);
+            if (req.url === '/push') res.writeHead(302, { Location: '/elsewhere' });
+            else res.writeHead(201);
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        config.push.allowHttp = true;
+    });
+
+    after(() => {
+        config.push.allowHttp = false;
+        server.close();
+    });
+
+    test('does not follow a redirect from the push service', async () => {
+        await PushService.subscribe('grace', { endpoint: `http://127.0.0.1:${server.address().port}/push`, keys });
+        assert.deepEqual(await PushService.sendToUser('grace', { title: 'Hi' }), { sent: 0, failed: 1, removed: 0 });
+        assert.deepEqual(hits, ['/push']);
+    });
+});
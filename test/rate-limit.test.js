@@ -0,0 +1,131 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createMemoryStore, rateLimit } from '../lib/rate-limit.js';
+import { useScratchDb } from './helpers/db.js';
+
+// The limiters run on a clock the tests step by hand. The per-user limit needs real sessions.
+
+await useScratchDb('rate-limit');
+process.env.JWT_SECRET = 'rate-limit-tests-secret-of-at-least-32-chars';
+const { AuthService, authenticate } = await import('../lib/auth.js');
+const { errorHandler } = await import('../lib/http.js');
+
+const WINDOW_MS = 60_000;
+let clock = 0;
+const now = () => clock;
+
+describe('createMemoryStore', () => {
+    test('counts hits per key and starts a new window once the old one is over', () => {
+        const store = createMemoryStore({ now });
+        clock = 1_000;
+        assert.deepEqual(store.hit('a', WINDOW_MS), { count: 1, resetIn: 60_000 });
+        clock = 31_000;
+        assert.deepEqual(store.hit('a', WINDOW_MS), { count: 2, resetIn: 30_000 });
+        assert.deepEqual(store.hit('b', WINDOW_MS), { count: 1, resetIn: 60_000 });
+        clock = 61_000;
+        assert.deepEqual(store.hit('a', WINDOW_MS), { count: 1, resetIn: 60_000 });
+    });
+
+    test('forgets a key on reset', () => {
+        const store = createMemoryStore({ now });
+        store.hit('a', WINDOW_MS);
+        store.hit('a', WINDOW_MS);
+        store.reset('a');
+        assert.equal(store.hit('a', WINDOW_MS).count, 1);
+    });
+});
+
+describe('rateLimit', () => {
+    let server;
+    let base;
+    let tokens;
+
+    // The API's stack in server.js: per client, then sign-in, then per user. Clients are told
+    // apart by X-Forwarded-For.
+    const listen = () => {
+        const app = express();
+        app.set('trust proxy', true);
+        app.use(rateLimit({ name: 'ip', windowMs: WINDOW_MS, max: 5, key: (req) => req.ip, store: createMemoryStore({ now }) }));
+        app.use(authenticate);
+        app.use(rateLimit({ name: 'user', windowMs: WINDOW_MS, max: 3, key: (req) => req.user?.id, store: createMemoryStore({ now }) }));
+        app.get('/ping', (req, res) => res.json({ success: true }));
+        app.use(errorHandler);
+        return new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    };
+
+    const call = (token, client = '203.0.113.1') => fetch(`${base}/ping`, {
+        headers: { 'X-Forwarded-For': client, ...(token && { Authorization: `Bearer ${token}` }) }
+    });
+    const limitHeaders = (res) => Object.fromEntries(['Limit', 'Remaining', 'Reset', 'Policy'].map(name => [name, res.headers.get(`RateLimit-${name}`)]));
+
+    before(async () => {
+        await listen();
+        base = `http://127.0.0.1:${server.address().port}`;
+        tokens = {
+            alice: (await AuthService.register('alice', 'correct horse')).token,
+            bob: (await AuthService.register('bob', 'battery staple')).token
+        };
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // Each test starts in a window of its own.
+    beforeEach(() => { clock += 10 * WINDOW_MS; });
+
+    test('reports the tightest limit left on every response', async () => {
+        const first = await call(tokens.alice, '203.0.113.10');
+        assert.equal(first.status, 200);
+        assert.deepEqual(limitHeaders(first), { Limit: '3', Remaining: '2', Reset: '60', Policy: '3;w=60' });
+        assert.equal(first.headers.get('Retry-After'), null);
+
+        clock += 15_000;
+        const second = await call(tokens.alice, '203.0.113.10');
+        assert.deepEqual(limitHeaders(second), { Limit: '3', Remaining: '1', Reset: '45', Policy: '3;w=60' });
+    });
+
+    test('answers 429 with Retry-After once a user is over the limit', async () => {
+        for (let i = 0; i < 3; i++) assert.equal((await call(tokens.alice, '203.0.113.20')).status, 200);
+        clock += 20_500;
+        const refused = await call(tokens.alice, '203.0.113.20');
+        assert.equal(refused.status, 429);
+        assert.equal(refused.headers.get('Retry-After'), '40');
+        assert.deepEqual(limitHeaders(refused), { Limit: '3', Remaining: '0', Reset: '40', Policy: '3;w=60' });
+        const body = await refused.json();
+        assert.equal(body.error.code, 'RATE_LIMITED');
+        assert.match(body.error.message, /Try again in 40 seconds/);
+    });
+
+    test('lets the user in again when the window resets', async () => {
+        for (let i = 0; i < 4; i++) await call(tokens.alice, '203.0.113.30');
+        assert.equal((await call(tokens.alice, '203.0.113.30')).status, 429);
+        clock += WINDOW_MS;
+        const again = await call(tokens.alice, '203.0.113.30');
+        assert.equal(again.status, 200);
+        assert.equal(again.headers.get('RateLimit-Remaining'), '2');
+    });
+
+    test('keys the per-user limit off the token subject, across clients', async () => {
+        for (const client of ['203.0.113.40', '203.0.113.41', '203.0.113.42']) assert.equal((await call(tokens.alice, client)).status, 200);
+        assert.equal((await call(tokens.alice, '203.0.113.43')).status, 429);
+        assert.equal((await call(tokens.bob, '203.0.113.43')).status, 200);
+    });
+
+    test('keeps the per-client limit apart from the users behind it', async () => {
+        for (let i = 0; i < 3; i++) assert.equal((await call(tokens.alice, '203.0.113.50')).status, 200);
+        assert.equal((await call(tokens.bob, '203.0.113.50')).status, 200);
+        const last = await call(tokens.bob, '203.0.113.50');
+        assert.equal(last.status, 200);
+        assert.deepEqual(limitHeaders(last), { Limit: '5', Remaining: '0', Reset: '60', Policy: '5;w=60' });
+
+        const refused = await call(tokens.bob, '203.0.113.50');
+        assert.equal(refused.status, 429);
+        assert.equal(refused.headers.get('RateLimit-Limit'), '5');
+        // The refused request never reached the per-user limiter, so Bob has one left elsewhere.
+        const elsewhere = await call(tokens.bob, '203.0.113.51');
+        assert.equal(elsewhere.status, 200);
+        assert.deepEqual(limitHeaders(elsewhere), { Limit: '3', Remaining: '0', Reset: '60', Policy: '3;w=60' });
+    });
+});
@@ -0,0 +1,84 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// The scheduler's check, stepped through by hand at chosen instants.
+
+const { db } = await useScratchDb('reminders');
+const { ReminderService } = await import('../lib/reminders.js');
+const { MealService } = await import('../lib/meals.js');
+
+const SLOTS = [
+    { id: 'breakfast', name: 'Breakfast', start: '07:00' },
+    { id: 'dinner', name: 'Dinner', start: '18:00' },
+    { id: 'late', name: 'Late snack', start: '23:30' }
+];
+
+// Berlin is on CET (UTC+1) from 2026-10-25.
+const at = (iso) => new Date(iso);
+
+describe('ReminderService.check', () => {
+    const user = (id) => db.insert('profiles', { user_id: id, time_zone: 'Europe/Berlin', meal_slots: SLOTS, quiet_hours: { start: '00:00', end: '00:00' } });
+
+    before(async () => {
+        await user('owl');
+        await user('snacker');
+        await user('dieter');
+        await db.update('profiles', (await db.query('profiles', { user_id: 'dieter' }))[0].id, { overrides: { calories: 2000 } });
+    });
+
+    test('fires a slot reminder that runs past midnight on the next local day', async () => {
+        const rule = await ReminderService.create('owl', { type: 'meal_slot', slot: 'late', push: false });
+        // 23:45 on the 26th: the slot has begun, its reminder is not due before 00:30.
+        assert.deepEqual(await ReminderService.check('owl', at('2026-10-26T22:45:00Z')), []);
+
+        // 00:40 on the 27th: the 26th's late snack is overdue.
+        const [sent] = await ReminderService.check('owl', at('2026-10-26T23:40:00Z'));
+        assert.equal(sent.key, `${rule.id}:2026-10-26:late`);
+        assert.equal(sent.url, '/pro.html#/day/2026-10-26');
+        assert.match(sent.body, /yet yesterday/);
+        const [stored] = await db.query('reminders', { id: rule.id });
+        assert.equal(stored.last_fired_for, '2026-10-26:late');
+
+        // Too late by 03:00 on the 27th.
+        await db.delete('notifications', { user_id: 'owl' });
+        await db.update('reminders', rule.id, { last_fired_for: null });
+        assert.deepEqual(await ReminderService.check('owl', at('2026-10-27T02:00:00Z')), []);
+    });
+
+    test('does not fire again once the notification is gone', async () => {
+        const rule = await ReminderService.create('owl', { type: 'meal_slot', slot: 'dinner', push: false });
+        assert.equal((await ReminderService.check('owl', at('2026-10-28T18:05:00Z'))).length, 1);
+        await db.delete('notifications', { user_id: 'owl' });
+        assert.deepEqual(await ReminderService.check('owl', at('2026-10-28T18:10:00Z')), []);
+
+        // The next day is a new occasion.
+        const [next] = await ReminderService.check('owl', at('2026-10-29T18:05:00Z'));
+        assert.equal(next.key, `${rule.id}:2026-10-29:dinner`);
+    });
+
+    test('keeps last_fired_for when the rule is edited', async () => {
+        const [rule] = await db.query('reminders', { user_id: 'owl', slot: 'dinner' });
+        const updated = await ReminderService.update('owl', rule.id, { push: true });
+        assert.equal(updated.last_fired_for, '2026-10-29:dinner');
+    });
+
+    test('stays quiet when the slot was logged the evening before', async () => {
+        await ReminderService.create('snacker', { type: 'meal_slot', slot: 'late', push: false });
+        await MealService.create('snacker', { name: 'Crackers', calories: 120, slot: 'late', eaten_at: '2026-10-26T22:40:00Z' });
+        assert.deepEqual(await ReminderService.check('snacker', at('2026-10-26T23:40:00Z')), []);
+    });
+
+    test('does not send "close" after "over" on the same day', async () => {
+        const rule = await ReminderService.create('dieter', { type: 'calorie_goal', push: false });
+        const meal = await MealService.create('dieter', { name: 'Feast', calories: 1500, eaten_at: '2026-10-28T11:00:00Z' });
+        await MealService.create('dieter', { name: 'Dessert', calories: 1500, eaten_at: '2026-10-28T12:00:00Z' });
+        const [over] = await ReminderService.check('dieter', at('2026-10-28T12:05:00Z'));
+        assert.equal(over.key, `${rule.id}:2026-10-28:over`);
+
+        await db.delete('notifications', { user_id: 'dieter' });
+        // 1,900 of 2,000 kcal is "close" again, but "over" was already said today.
+        await MealService.update('dieter', meal.id, { calories: 400 });
+        assert.deepEqual(await ReminderService.check('dieter', at('2026-10-28T12:10:00Z')), []);
+    });
+});
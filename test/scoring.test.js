@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeNutrients, scaleNutrients, sumNutrients } from '../lib/nutrients.js';
+import { PROCESSING_LEVELS, mixedProcessingLevel, scoreMeal, scoreMeals } from '../lib/scoring.js';
+
+// A nutrient that is not known must never be read as 0.
+
+const pizza = { name: 'Pizza', calories: 300, nutrients: normalizeNutrients() };
+const salad = { name: 'Lentil salad', calories: 400, nutrients: normalizeNutrients({ protein: 25, fiber: 12, sodium: 300, sugar: 4 }) };
+
+describe('unknown nutrients', () => {
+    test('stay null through normalizing, scaling and summing', () => {
+        assert.equal(pizza.nutrients.fiber, null);
+        assert.equal(normalizeNutrients({ fiber: 0 }).fiber, 0);
+        assert.equal(scaleNutrients(pizza.nutrients, 2).protein, null);
+        assert.equal(scaleNutrients(salad.nutrients, 0.5).protein, 12.5);
+        assert.equal(sumNutrients([salad.nutrients, salad.nutrients]).fiber, 24);
+        assert.equal(sumNutrients([salad.nutrients, pizza.nutrients]).fiber, null);
+    });
+
+    test('leave a meal logged by calories alone unrated', () => {
+        const rating = scoreMeal(pizza);
+        assert.equal(rating.score, null);
+        assert.equal(rating.grade, null);
+        assert.equal(rating.note, 'Fiber and protein not known; not rated');
+    });
+
+    test('still rate a known 0 g of fiber', () => {
+        const soda = { name: 'Cola', calories: 140, nutrients: normalizeNutrients({ protein: 0, fiber: 0, sugar: 35, sodium: 45 }) };
+        assert.equal(scoreMeal(soda).grade, 'E');
+    });
+
+    test('take no points for unknown sodium or sugar', () => {
+        const bar = { name: 'Protein bar', calories: 200, processing: 4, nutrients: normalizeNutrients({ protein: 20, fiber: 5 }) };
+        const rows = Object.fromEntries(scoreMeal(bar).breakdown.map(row => [row.factor, row]));
+        assert.deepEqual([rows.sodium.value, rows.sodium.points], [null, 0]);
+        assert.deepEqual([rows.added_sugar.value, rows.added_sugar.points], [null, 0]);
+    });
+
+    test('leave such meals out of a day, with a note', () => {
+        const day = scoreMeals([salad, pizza]);
+        assert.equal(day.score, scoreMeals([salad]).score);
+        assert.equal(day.note, '1 of 2 meals left out: fiber or protein not known');
+        assert.equal(scoreMeals([pizza]).score, null);
+    });
+});
+
+describe('mixedProcessingLevel', () => {
+    test('rounds the calorie-weighted mean to a whole level', () => {
+        // (300 * 4 + 700 * 1) / 1000 = 1.9
+        assert.equal(mixedProcessingLevel([{ calories: 300, level: 4 }, { calories: 700, level: 1 }]), 2);
+        assert.equal(mixedProcessingLevel([{ calories: 200, level: 2 }, { calories: 300, level: 3 }]), 3);
+        assert.ok(PROCESSING_LEVELS[mixedProcessingLevel([{ calories: 120, level: 3 }, { calories: 80, level: 1 }])]);
+    });
+
+    test('counts a mix without calories as unprocessed', () => {
+        assert.equal(mixedProcessingLevel([{ calories: 0, level: 4 }]), 1);
+        assert.equal(mixedProcessingLevel([]), 1);
+    });
+});
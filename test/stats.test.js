@@ -0,0 +1,53 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// Nutrients a meal does not give are unknown, not 0: they must not drag totals and averages down.
+
+const { db } = await useScratchDb('stats');
+const { MealService } = await import('../lib/meals.js');
+const { StatsService } = await import('../lib/stats.js');
+
+const USER = 'stats-user';
+const log = (name, eaten_at, nutrients) => MealService.create(USER, { name, calories: 400, eaten_at, ...(nutrients && { nutrients }) });
+
+describe('unknown nutrients in the stats', () => {
+    before(async () => {
+        await db.insert('profiles', { user_id: USER, time_zone: 'UTC' });
+        // Monday: both meals give everything.
+        await log('Lentil salad', '2026-06-01T12:00:00Z', { protein: 25, carbs: 40, fat: 10, fiber: 12 });
+        await log('Omelette', '2026-06-01T19:00:00Z', { protein: 20, carbs: 2, fat: 18, fiber: 0 });
+        // Tuesday: the pizza was logged by its calories alone.
+        await log('Chicken and rice', '2026-06-02T12:00:00Z', { protein: 35, carbs: 60, fat: 8, fiber: 2 });
+        await log('Pizza', '2026-06-02T19:00:00Z');
+    });
+
+    test('leave a day\'s amount unknown unless every meal gives it', async () => {
+        const { days } = await StatsService.summary(USER, { from: '2026-06-01', to: '2026-06-02' });
+        assert.deepEqual(days.map(day => [day.protein, day.fiber]), [[45, 12], [null, null]]);
+        assert.deepEqual(days.map(day => day.calories), [800, 800]);
+    });
+
+    test('average a nutrient over the days it is known on, and say how many', async () => {
+        const { average, macro_split } = await StatsService.summary(USER, { from: '2026-06-01', to: '2026-06-02' });
+        assert.equal(average.days_logged, 2);
+        assert.equal(average.calories, 800);
+        assert.equal(average.protein, 45);
+        assert.equal(average.fiber, 12);
+        assert.deepEqual(average.days_known, { protein: 1, carbs: 1, fat: 1, fiber: 1 });
+        // Monday only: 45 g protein and 42 g carbs (180 + 168 kcal), 28 g fat (252 kcal).
+        assert.deepEqual(macro_split, { protein: 30, carbs: 28, fat: 42 });
+    });
+
+    test('leave the day\'s totals unknown and count the meals that give them', async () => {
+        const day = await StatsService.day(USER, { date: '2026-06-02' });
+        assert.equal(day.calories, 800);
+        assert.equal(day.nutrients.protein, null);
+        assert.equal(day.nutrients_known.protein, 1);
+        assert.equal(day.nutrients_known.sodium, 0);
+
+        const complete = await StatsService.day(USER, { date: '2026-06-01' });
+        assert.equal(complete.nutrients.protein, 45);
+        assert.equal(complete.nutrients_known.protein, 2);
+    });
+});
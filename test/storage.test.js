@@ -0,0 +1,163 @@
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { COMPACT_EVERY, createJsonFileStore } from '../lib/storage/json-file.js';
+import { createSqliteStore } from '../lib/storage/sqlite.js';
+
+// The same queries against every adapter: callers must not be able to tell them apart.
+
+const COLLECTIONS = ['meals'];
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+const ADAPTERS = {
+    json: { create: (dir) => createJsonFileStore({ file: path.join(dir, 'db.json'), collections: COLLECTIONS }) },
+    sqlite: { create: (dir) => createSqliteStore({ file: path.join(dir, 'db.sqlite'), collections: COLLECTIONS }), skip: !hasSqlite && 'node:sqlite needs Node.js 22.5+' }
+};
+
+const names = (records) => records.map(record => record.name).sort();
+
+for (const [adapter, { create, skip }] of Object.entries(ADAPTERS)) {
+    describe(`${adapter} adapter`, { skip }, () => {
+        let dir;
+        let db;
+
+        before(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), `calcatcher-${adapter}-`));
+            db = await create(dir);
+            await db.init();
+            await db.insert('meals', { name: 'with slot', slot: 'lunch', enabled: true });
+            await db.insert('meals', { name: 'null slot', slot: null, enabled: false });
+            await db.insert('meals', { name: 'no slot' });
+        });
+
+        after(async () => {
+            await db.flush();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('matches equal values', async () => {
+            assert.deepEqual(names(await db.query('meals', { slot: 'lunch' })), ['with slot']);
+            assert.deepEqual(names(await db.query('meals', { enabled: true })), ['with slot']);
+            assert.deepEqual(names(await db.query('meals', { enabled: false })), ['null slot']);
+        });
+
+        test('null matches a null or missing field', async () => {
+            assert.deepEqual(names(await db.query('meals', { slot: null })), ['no slot', 'null slot']);
+        });
+
+        test('undefined matches a null or missing field, like null', async () => {
+            assert.deepEqual(names(await db.query('meals', { slot: undefined })), ['no slot', 'null slot']);
+        });
+
+        test('predicates see every record', async () => {
+            assert.deepEqual(names(await db.query('meals', meal => !meal.slot)), ['no slot', 'null slot']);
+        });
+
+        test('insertOnce stores one record however many calls race', async () => {
+            const calls = [1, 2, 3].map(n => db.insertOnce('meals', { client_id: 'retry' }, { name: `attempt ${n}`, client_id: 'retry' }));
+            const stored = await Promise.all(calls);
+            assert.equal(new Set(stored.map(record => record.id)).size, 1);
+            assert.equal((await db.query('meals', { client_id: 'retry' })).length, 1);
+            await db.delete('meals', { client_id: 'retry' });
+        });
+
+        test('delete uses the same matching', async () => {
+            assert.equal(await db.delete('meals', { slot: undefined, enabled: false }), 1);
+            assert.deepEqual(names(await db.query('meals')), ['no slot', 'with slot']);
+        });
+    });
+}
+
+describe('json adapter crash recovery', () => {
+    let dir;
+    let file;
+
+    const open = async () => {
+        const store = createJsonFileStore({ file, collections: COLLECTIONS });
+        await store.init();
+        return store;
+    };
+    const journalLines = () => fs.readFileSync(`${file}.journal`, 'utf8').split('\n').filter(Boolean);
+    const snapshotNames = (target = file) => JSON.parse(fs.readFileSync(target, 'utf8')).meals.map(meal => meal.name).sort();
+    const corruptCopies = (prefix) => fs.readdirSync(dir).filter(name => name.startsWith(`${prefix}.corrupt-`));
+
+    // Each test starts from a store holding "kept" in its snapshot and "journaled" only in its
+    // journal, as if the process died before the next compaction.
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calcatcher-recovery-'));
+        file = path.join(dir, 'db.json');
+        const store = await open();
+        await store.insert('meals', { name: 'kept' });
+        await (await open()).flush();
+        const crashed = await open();
+        await crashed.insert('meals', { name: 'journaled' });
+        await crashed.flush();
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('journals a write before the snapshot holds it', () => {
+        assert.deepEqual(snapshotNames(), ['kept']);
+        assert.equal(journalLines().length, 1);
+        assert.equal(JSON.parse(journalLines()[0]).record.name, 'journaled');
+    });
+
+    test('replays the journal on open and compacts it into the snapshot', async () => {
+        const store = await open();
+        assert.deepEqual(names(await store.query('meals')), ['journaled', 'kept']);
+        assert.deepEqual(snapshotNames(), ['journaled', 'kept']);
+        assert.deepEqual(snapshotNames(`${file}.bak`), ['journaled', 'kept']);
+        assert.deepEqual(journalLines(), []);
+    });
+
+    test('skips journal entries the snapshot already holds', async () => {
+        const [entry] = journalLines();
+        await open();
+        fs.writeFileSync(`${file}.journal`, `${entry}\n`);
+        const store = await open();
+        assert.deepEqual(names(await store.query('meals')), ['journaled', 'kept']);
+    });
+
+    test('ignores a torn last journal line', async () => {
+        fs.appendFileSync(`${file}.journal`, '{"seq":99,"op":"insert","c":"meals","record":{"name":"torn"');
+        const store = await open();
+        assert.deepEqual(names(await store.query('meals')), ['journaled', 'kept']);
+        assert.deepEqual(corruptCopies('db.json.journal'), []);
+    });
+
+    test('stops replay at an unreadable entry in the middle and keeps a copy of the journal', async () => {
+        const [entry] = journalLines();
+        const later = { ...JSON.parse(entry), seq: JSON.parse(entry).seq + 1, record: { id: 'later', name: 'later' } };
+        fs.writeFileSync(`${file}.journal`, `not json\n${JSON.stringify(later)}\n`);
+        const store = await open();
+        assert.deepEqual(names(await store.query('meals')), ['kept']);
+        assert.equal(corruptCopies('db.json.journal').length, 1);
+    });
+
+    test('compacts after COMPACT_EVERY journaled writes', async () => {
+        const store = await open();
+        for (let i = 0; i < COMPACT_EVERY; i += 1) await store.update('meals', (await store.query('meals', { name: 'kept' }))[0].id, { calories: i });
+        assert.deepEqual(journalLines(), []);
+        const [kept] = JSON.parse(fs.readFileSync(file, 'utf8')).meals.filter(meal => meal.name === 'kept');
+        assert.equal(kept.calories, COMPACT_EVERY - 1);
+    });
+
+    test('quarantines a corrupt snapshot and recovers from the backup and the journal', async () => {
+        fs.writeFileSync(file, '{"meals": [');
+        const store = await open();
+        assert.deepEqual(names(await store.query('meals')), ['journaled', 'kept']);
+        const [copy] = corruptCopies('db.json');
+        assert.equal(fs.readFileSync(path.join(dir, copy), 'utf8'), '{"meals": [');
+        assert.deepEqual(snapshotNames(), ['journaled', 'kept']);
+    });
+
+    test('refuses to start empty when the snapshot and the backup are both unreadable', async () => {
+        fs.writeFileSync(file, '{"meals": [');
+        fs.writeFileSync(`${file}.bak`, '[]');
+        await assert.rejects(open(), /no readable backup/);
+        assert.equal(corruptCopies('db.json').length, 1);
+        assert.ok(!fs.existsSync(file));
+    });
+});
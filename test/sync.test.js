@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// The Pro dashboard's outbox retries a create whose response never arrived. With the same
+// client_id, the retry must return what the first attempt stored instead of logging it again.
+
+const { db } = await useScratchDb('sync');
+const { MealService } = await import('../lib/meals.js');
+const { BeverageService } = await import('../lib/beverages.js');
+
+describe('creates with a client_id', () => {
+    test('log a meal once however often they are sent', async () => {
+        const body = { name: 'Porridge', calories: 320, eaten_at: '2026-05-04T07:30:00Z', client_id: 'local-abc-123' };
+        const first = await MealService.create('ada', body);
+        const retry = await MealService.create('ada', body);
+        assert.equal(retry.id, first.id);
+        assert.equal(first.client_id, 'local-abc-123');
+        assert.equal((await db.query('meals', { user_id: 'ada' })).length, 1);
+    });
+
+    test('log a drink once however often they are sent', async () => {
+        const body = { kind: 'coffee', drunk_at: '2026-05-04T08:00:00Z', client_id: 'local-def-456' };
+        const first = await BeverageService.create('ada', body);
+        assert.equal((await BeverageService.create('ada', body)).id, first.id);
+        assert.equal((await db.query('beverages', { user_id: 'ada' })).length, 1);
+    });
+
+    test('log a meal once when retries arrive together', async () => {
+        const body = { name: 'Toast', calories: 180, client_id: 'local-ghi-789' };
+        const [first, second] = await Promise.all([MealService.create('ada', body), MealService.create('ada', body)]);
+        assert.equal(second.id, first.id);
+        assert.equal((await db.query('meals', { client_id: 'local-ghi-789' })).length, 1);
+    });
+
+    test('log a drink once when retries arrive together', async () => {
+        const body = { kind: 'water', client_id: 'local-jkl-012' };
+        const [first, second] = await Promise.all([BeverageService.create('ada', body), BeverageService.create('ada', body)]);
+        assert.equal(second.id, first.id);
+        assert.equal((await db.query('beverages', { client_id: 'local-jkl-012' })).length, 1);
+    });
+
+    test('are kept apart per user', async () => {
+        const body = { name: 'Porridge', calories: 320, client_id: 'local-abc-123' };
+        const other = await MealService.create('grace', body);
+        assert.equal(other.user_id, 'grace');
+        assert.equal((await db.query('meals', { client_id: 'local-abc-123' })).length, 2);
+    });
+
+    test('without one, every create logs a new meal', async () => {
+        const body = { name: 'Apple', calories: 95 };
+        await MealService.create('alan', body);
+        await MealService.create('alan', body);
+        assert.equal((await db.query('meals', { user_id: 'alan' })).length, 2);
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validateValue } from '../lib/validate.js';
+
+const run = (schemas, req) => new Promise(resolve => validate(schemas)(req, {}, resolve));
+
+describe('date formats', () => {
+    const date = { type: 'string', format: 'date' };
+    const dateTime = { type: 'string', format: 'date-time' };
+    const either = { type: 'string', format: 'date-or-date-time' };
+
+    test('accept real days, including leap days', () => {
+        for (const value of ['2026-02-28', '2028-02-29', '2026-12-31']) assert.deepEqual(validateValue(date, value), [], value);
+        assert.deepEqual(validateValue(dateTime, '2026-03-29T02:30:00+02:00'), []);
+        assert.deepEqual(validateValue(either, '2026-01-01'), []);
+    });
+
+    test('reject days that do not exist', () => {
+        for (const value of ['2026-02-30', '2026-02-29', '2026-13-01', '2026-00-10', '2026-04-31']) {
+            assert.equal(validateValue(date, value).length, 1, value);
+            assert.equal(validateValue(either, value).length, 1, value);
+        }
+        assert.equal(validateValue(dateTime, '2026-02-30T12:00:00Z').length, 1);
+        assert.equal(validateValue(either, '2026-13-01T12:00:00Z').length, 1);
+    });
+
+    test('answer a request with a 400 validation error', async () => {
+        const error = await run({ query: { type: 'object', properties: { date } } }, { query: { date: '2026-02-30' } });
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.match(error.message, /^query\.date /);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDetections } from '../lib/vision/prompt.js';
+import { VisionService } from '../lib/vision.js';
+
+// A macro the model leaves out is unknown, not 0: the totals built from it must say so.
+
+const price = (reply) => VisionService.price({ provider: 'test', model: 'test', detections: parseDetections(reply) });
+
+describe('vision model replies', () => {
+    test('keep macros the model leaves out unknown', () => {
+        const [detection] = parseDetections('{"items": [{"name": "Grandma\'s zzqx stew", "confidence": 0.9, "grams": 300, "calories": 420, "protein": null}]}');
+        assert.deepEqual(detection.estimate.nutrients, { protein: null, carbs: null, fat: null });
+    });
+
+    test('give unknown totals for a detection with no macros', () => {
+        const analysis = price('{"items": [{"name": "Grandma\'s zzqx stew", "confidence": 0.9, "grams": 300, "calories": 420}]}');
+        assert.equal(analysis.calories, 420);
+        assert.equal(analysis.items[0].nutrients.protein, null);
+        assert.deepEqual([analysis.nutrients.protein, analysis.nutrients.carbs, analysis.nutrients.fat], [null, null, null]);
+    });
+
+    test('keep a macro the model gives as 0', () => {
+        const analysis = price('{"items": [{"name": "Grandma\'s zzqx stew", "confidence": 0.9, "grams": 300, "calories": 420, "protein": 0, "carbs": 30, "fat": 12}]}');
+        assert.deepEqual([analysis.nutrients.protein, analysis.nutrients.carbs, analysis.nutrients.fat], [0, 30, 12]);
+    });
+});
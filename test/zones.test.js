@@ -0,0 +1,142 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDb } from './helpers/db.js';
+
+// Local days across DST changes in Berlin and New York: list filters, the stats day buckets
+// and the local_date stored with a meal.
+
+const { db } = await useScratchDb('zones');
+const { rangeFilter } = await import('../lib/zones.js');
+const { MealService } = await import('../lib/meals.js');
+const { StatsService } = await import('../lib/stats.js');
+const { WeightService } = await import('../lib/weights.js');
+
+const names = (entries, filter) => entries.filter(filter).map(entry => entry.name);
+
+describe('rangeFilter', () => {
+    // Legacy entries without a stored local date, dated in the zone asked about.
+    const berlin = [
+        { name: 'sat 23:59', eaten_at: '2026-03-28T22:59:00Z' },
+        { name: 'sun 00:00', eaten_at: '2026-03-28T23:00:00Z' },
+        { name: 'sun 03:00', eaten_at: '2026-03-29T01:00:00Z' },
+        { name: 'sun 23:59', eaten_at: '2026-03-29T21:59:00Z' },
+        { name: 'mon 00:00', eaten_at: '2026-03-29T22:00:00Z' }
+    ];
+    const newYork = [
+        { name: 'sat 23:59', eaten_at: '2026-11-01T03:59:00Z' },
+        { name: 'sun 01:30 EDT', eaten_at: '2026-11-01T05:30:00Z' },
+        { name: 'sun 01:30 EST', eaten_at: '2026-11-01T06:30:00Z' },
+        { name: 'sun 23:59', eaten_at: '2026-11-02T04:59:00Z' },
+        { name: 'mon 00:00', eaten_at: '2026-11-02T05:00:00Z' }
+    ];
+
+    test('matches a 23-hour spring-forward day by date', () => {
+        assert.deepEqual(names(berlin, rangeFilter({ date: '2026-03-29' }, 'eaten_at', 'Europe/Berlin')), ['sun 00:00', 'sun 03:00', 'sun 23:59']);
+        assert.deepEqual(names(berlin, rangeFilter({ from: '2026-03-28', to: '2026-03-28' }, 'eaten_at', 'Europe/Berlin')), ['sat 23:59']);
+    });
+
+    test('matches a 25-hour fall-back day by date, with both 01:30s', () => {
+        assert.deepEqual(names(newYork, rangeFilter({ date: '2026-11-01' }, 'eaten_at', 'America/New_York')),
+            ['sun 01:30 EDT', 'sun 01:30 EST', 'sun 23:59']);
+    });
+
+    test('matches date-time bounds against the instant, whatever the zone', () => {
+        const spring = { from: '2026-03-29T00:00:00+01:00', to: '2026-03-29T03:00:00+02:00' };
+        assert.deepEqual(names(berlin, rangeFilter(spring, 'eaten_at', 'America/New_York')), ['sun 00:00', 'sun 03:00']);
+        const fall = { from: '2026-11-01T01:30:00-05:00', to: '2026-11-01T23:59:00-05:00' };
+        assert.deepEqual(names(newYork, rangeFilter(fall, 'eaten_at', 'Europe/Berlin')), ['sun 01:30 EST', 'sun 23:59']);
+    });
+
+    test('prefers a stored local date for date bounds only', () => {
+        const flown = [{ name: 'dinner in Berlin', eaten_at: '2026-10-25T22:30:00Z', local_date: '2026-10-25', time_zone: 'Europe/Berlin' }];
+        assert.deepEqual(names(flown, rangeFilter({ date: '2026-10-25' }, 'eaten_at', 'America/New_York')), ['dinner in Berlin']);
+        assert.deepEqual(names(flown, rangeFilter({ from: '2026-10-25T00:00:00-04:00', to: '2026-10-25T18:00:00-04:00' }, 'eaten_at', 'America/New_York')), []);
+    });
+
+    test('rejects a range that ends before it starts', () => {
+        assert.throws(() => rangeFilter({ from: '2026-03-29', to: '2026-03-28' }, 'eaten_at', 'Europe/Berlin'), { status: 400 });
+    });
+});
+
+describe('meals and stats across DST changes', () => {
+    const log = (userId, name, eaten_at) => MealService.create(userId, { name, calories: 100, eaten_at });
+    const countsOf = (summary) => Object.fromEntries(summary.days.map(day => [day.date, day.meals]));
+
+    before(async () => {
+        await db.insert('profiles', { user_id: 'berlin', time_zone: 'Europe/Berlin' });
+        await db.insert('profiles', { user_id: 'new-york', time_zone: 'America/New_York' });
+    });
+
+    test('dates a meal near local midnight on the local day it was eaten', async () => {
+        // 23:30 CET, the evening after the clocks went back; CEST would make it 00:30 the next day.
+        assert.equal((await log('berlin', 'late dinner', '2026-10-25T22:30:00Z')).local_date, '2026-10-25');
+        // 23:30 EST, the evening before the clocks go forward; EDT would make it 00:30 on the 8th.
+        assert.equal((await log('new-york', 'late dinner', '2026-03-08T04:30:00Z')).local_date, '2026-03-07');
+        // 00:15 CET, the first minutes of the day the clocks go forward.
+        assert.equal((await log('berlin', 'midnight snack', '2026-03-28T23:15:00Z')).local_date, '2026-03-29');
+        // 23:45 EDT, the last minutes of the day before the clocks go back.
+        assert.equal((await log('new-york', 'midnight snack', '2026-11-01T03:45:00Z')).local_date, '2026-10-31');
+    });
+
+    test('buckets spring-forward and fall-back days in Berlin', async () => {
+        await log('berlin', 'sun 03:30', '2026-03-29T01:30:00Z');
+        await log('berlin', 'sun 23:30', '2026-03-29T21:30:00Z');
+        await log('berlin', 'sun 02:30 CEST', '2026-10-25T00:30:00Z');
+        await log('berlin', 'sun 02:30 CET', '2026-10-25T01:30:00Z');
+
+        const spring = await StatsService.summary('berlin', { from: '2026-03-28', to: '2026-03-30' });
+        assert.deepEqual(countsOf(spring), { '2026-03-28': 0, '2026-03-29': 3, '2026-03-30': 0 });
+        const fall = await StatsService.summary('berlin', { from: '2026-10-24', to: '2026-10-26' });
+        assert.deepEqual(countsOf(fall), { '2026-10-24': 0, '2026-10-25': 3, '2026-10-26': 0 });
+
+        const day = await StatsService.day('berlin', { date: '2026-10-25' });
+        assert.equal(day.meals, 3);
+        assert.equal(day.calories, 300);
+    });
+
+    test('buckets spring-forward and fall-back days in New York', async () => {
+        await log('new-york', 'sun 03:30', '2026-03-08T07:30:00Z');
+        await log('new-york', 'sun 23:30', '2026-03-09T03:30:00Z');
+        await log('new-york', 'sun 01:30 EDT', '2026-11-01T05:30:00Z');
+        await log('new-york', 'sun 01:30 EST', '2026-11-01T06:30:00Z');
+        await log('new-york', 'sun 23:30', '2026-11-02T04:30:00Z');
+
+        const spring = await StatsService.summary('new-york', { from: '2026-03-07', to: '2026-03-09' });
+        assert.deepEqual(countsOf(spring), { '2026-03-07': 1, '2026-03-08': 2, '2026-03-09': 0 });
+        const fall = await StatsService.summary('new-york', { from: '2026-10-31', to: '2026-11-02' });
+        assert.deepEqual(countsOf(fall), { '2026-10-31': 1, '2026-11-01': 3, '2026-11-02': 0 });
+
+        const day = await StatsService.day('new-york', { date: '2026-11-01' });
+        assert.equal(day.meals, 3);
+    });
+
+    test('keeps stored days when the stats are asked for in another zone', async () => {
+        const fall = await StatsService.summary('berlin', { from: '2026-10-24', to: '2026-10-26', timeZone: 'America/New_York' });
+        assert.deepEqual(countsOf(fall), { '2026-10-24': 0, '2026-10-25': 3, '2026-10-26': 0 });
+        const day = await StatsService.day('new-york', { date: '2026-03-07', timeZone: 'Europe/Berlin' });
+        assert.equal(day.meals, 1);
+    });
+});
+
+describe('weigh-ins by local day', () => {
+    const weighIn = (userId, measured_at) => WeightService.create(userId, { weight: 70, measured_at });
+    const times = (entries) => entries.map(entry => entry.measured_at);
+
+    before(async () => {
+        await db.insert('profiles', { user_id: 'berlin-scale', time_zone: 'Europe/Berlin' });
+        await weighIn('berlin-scale', '2026-10-24T22:30:00Z'); // 00:30 CEST on the 25th
+        await weighIn('berlin-scale', '2026-10-25T22:30:00Z'); // 23:30 CET on the 25th
+        await weighIn('berlin-scale', '2026-10-25T23:30:00Z'); // 00:30 CET on the 26th
+    });
+
+    test('lists a day in the profile\'s zone', async () => {
+        assert.deepEqual(times(await WeightService.list('berlin-scale', { date: '2026-10-25' })), ['2026-10-25T22:30:00.000Z', '2026-10-24T22:30:00.000Z']);
+        assert.deepEqual(times(await WeightService.list('berlin-scale', { from: '2026-10-26' })), ['2026-10-25T23:30:00.000Z']);
+        assert.deepEqual(times(await WeightService.list('berlin-scale', { to: '2026-10-24' })), []);
+    });
+
+    test('lists a day in the zone asked for', async () => {
+        const utc = await WeightService.list('berlin-scale', { date: '2026-10-25', tz: 'UTC' });
+        assert.deepEqual(times(utc), ['2026-10-25T23:30:00.000Z', '2026-10-25T22:30:00.000Z']);
+    });
+});